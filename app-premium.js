@@ -520,16 +520,21 @@ class PregnancySafetyChecker {
         safetyBadge.textContent = safetyLevel.text;
         safetyBadge.className = `safety-badge ${safetyLevel.class}`;
 
-        const riskScore = data.riskScore || 5;
-        riskIndicator.textContent = riskScore;
-        const position = ((riskScore - 1) / 9) * 100;
+        const riskScore = data.riskScore ?? null;
+        // No score when the AI reply could not be validated against the schema
+        const hasScore = Number.isInteger(riskScore);
+        riskIndicator.textContent = hasScore ? riskScore : '?';
+        const position = hasScore ? ((riskScore - 1) / 9) * 100 : 50;
         riskIndicator.style.left = `calc(${position}% - 25px)`;
 
         const color = this.getRiskColor(riskScore);
         riskIndicator.style.borderColor = color;
         riskIndicator.style.color = color;
 
-        if (riskScore <= 4) {
+        if (!hasScore) {
+            safetyVerdict.textContent = '❔ UNABLE TO SCORE - Read the details below and check with your provider';
+            safetyVerdict.className = 'safety-verdict caution';
+        } else if (riskScore <= 4) {
             safetyVerdict.textContent = '✅ SAFE - This is generally considered safe during pregnancy';
             safetyVerdict.className = 'safety-verdict safe';
         } else {
@@ -539,6 +544,9 @@ class PregnancySafetyChecker {
 
         const formattedContent = this.formatContent(data.result);
         resultContent.innerHTML = formattedContent;
+        if (data.reviewed === false) {
+            resultContent.innerHTML += `<div class="source-note unreviewed">🤖 ${data.reviewNotice || 'AI-generated, not reviewed'}</div>`;
+        }
 
         if (data.references && data.references.length > 0) {
             referenceLinks.innerHTML = data.references.map(ref => 
@@ -550,6 +558,8 @@ class PregnancySafetyChecker {
     }
 
     getRiskColor(score) {
+        // Unscored results render grey rather than borrowing the "very safe" green
+        if (!Number.isInteger(score)) return '#9E9E9E';
         const colors = [
             '#00ff00', '#33ff00', '#66ff00', '#99ff00', '#ffff00',
             '#ffcc00', '#ff9900', '#ff6600', '#ff3300', '#ff0000'
@@ -635,7 +645,7 @@ class PregnancySafetyChecker {
                 <div class="history-item" onclick="checker.performSearch('${item.item}')">
                     <span class="history-item-name">${item.item}</span>
                     <span class="history-item-risk" style="background: ${color}22; color: ${color}; border: 1px solid ${color}">
-                        Risk: ${item.riskScore}/10
+                        Risk: ${item.riskScore ?? '?'}/10
                     </span>
                 </div>
             `;
@@ -17,6 +17,8 @@ class PregnancySafetyChecker {
         this.initializeAffiliate();
         this.initializeSessionManagement();
         this.initializeCompareMode();
+        this.initializeIngredientsMode();
+        this.initializeTriageMode();
         this.initializeEmergencyContacts();
         this.displayHistory();
     }
@@ -157,9 +159,13 @@ class PregnancySafetyChecker {
             name: document.getElementById('profile-name').value,
             age: document.getElementById('profile-age').value,
             dueDate: document.getElementById('due-date').value,
+            lmp: document.getElementById('lmp-date')?.value || '',
             weeksPregnant: document.getElementById('weeks-pregnant').value,
             pregnancyNumber: document.getElementById('pregnancy-number').value,
             healthcareProvider: document.getElementById('healthcare-provider').value,
+            // Comma-separated in the form; used by the interaction checker
+            medications: (document.getElementById('profile-medications')?.value || '')
+                .split(',').map(name => name.trim()).filter(Boolean),
             conditions: [],
             riskFactors: [],
             diet: [],
@@ -211,12 +217,19 @@ class PregnancySafetyChecker {
                         'Authorization': `Bearer ${authToken}`
                     },
                     body: JSON.stringify(profile)
+                }).then(async (response) => {
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        this.showError(data.error || 'Failed to save profile');
+                    }
                 }).catch(() => {});
             }
         } catch (_) {
             // Ignore network errors; local save already succeeded
         }
         
+        this.loadTimeline(profile);
+        
         // Show success message
         const saveBtn = document.getElementById('saveProfile');
         const originalText = saveBtn.textContent;
@@ -229,6 +242,44 @@ class PregnancySafetyChecker {
         }, 2000);
     }
     
+    // Week, trimester and the next screening from the due date or LMP; also
+    // keeps the manual week/trimester fields in step with the dates
+    async loadTimeline(profile) {
+        const summary = document.getElementById('timeline-summary');
+        if (!summary) return;
+
+        const params = new URLSearchParams();
+        if (profile.dueDate) params.set('dueDate', profile.dueDate);
+        else if (profile.lmp) params.set('lmp', profile.lmp);
+        if (!params.toString()) {
+            summary.style.display = 'none';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/timeline?${params}`);
+            const data = await response.json();
+            if (!response.ok || data.timeline.status === 'ended') {
+                summary.style.display = 'none';
+                return;
+            }
+
+            const { timeline } = data;
+            const next = timeline.screenings.find(screening => screening.status !== 'past');
+            summary.innerHTML = `
+                <strong>${timeline.gestationalAge.label}</strong> · ${timeline.trimester} trimester · due ${timeline.dueDate}
+                ${next ? `<br>Next: ${this.escapeHtml(next.name)} (${next.status === 'open' ? `now until ${next.endDate}` : `from ${next.startDate}`})` : ''}
+            `;
+            summary.style.display = 'block';
+
+            document.getElementById('weeks-pregnant').value = timeline.gestationalAge.weeks;
+            const radio = document.querySelector(`input[name="trimester"][value="${timeline.trimester}"]`);
+            if (radio) radio.checked = true;
+        } catch (error) {
+            console.warn('Timeline unavailable:', error);
+        }
+    }
+    
     loadProfile() {
         const savedProfile = localStorage.getItem('pregnancyProfile');
         if (!savedProfile) return;
@@ -239,9 +290,13 @@ class PregnancySafetyChecker {
         if (profile.name) document.getElementById('profile-name').value = profile.name;
         if (profile.age) document.getElementById('profile-age').value = profile.age;
         if (profile.dueDate) document.getElementById('due-date').value = profile.dueDate;
+        if (profile.lmp && document.getElementById('lmp-date')) document.getElementById('lmp-date').value = profile.lmp;
         if (profile.weeksPregnant) document.getElementById('weeks-pregnant').value = profile.weeksPregnant;
         if (profile.pregnancyNumber) document.getElementById('pregnancy-number').value = profile.pregnancyNumber;
         if (profile.healthcareProvider) document.getElementById('healthcare-provider').value = profile.healthcareProvider;
+        if (Array.isArray(profile.medications) && document.getElementById('profile-medications')) {
+            document.getElementById('profile-medications').value = profile.medications.join(', ');
+        }
         
         // Load conditions
         if (profile.conditions) {
@@ -280,6 +335,7 @@ class PregnancySafetyChecker {
             const radio = document.querySelector(`input[name="trimester"][value="${profile.trimester}"]`);
             if (radio) radio.checked = true;
         }
+        this.loadTimeline(profile);
         
         // Load preferences including AI thoughts toggle
         if (profile.preferences) {
@@ -475,15 +531,28 @@ class PregnancySafetyChecker {
             this.hideResults();
 
             try {
+                // A readable barcode in the photo answers from the product catalog
+                const code = await this.detectBarcode(this.capturedImage);
+                const product = code ? await this.checkProduct(code) : null;
+                if (product) {
+                    this.showProductResult(product);
+                    return;
+                }
+
                 // Always use detailed image analysis
                 const result = await this.getDetailedImageSafetyInfo(this.capturedImage);
-                this.displayResults('Analyzed Image', result);
-                this.addToHistory('Photo Analysis', result.riskScore);
                 // Track current search for detailed answers
                 this.currentSearchItem = this.capturedImage;
                 this.currentSearchType = 'image';
+                this.displayResults('Analyzed Image', result);
+                this.addToHistory('Photo Analysis', result.riskScore);
+                this.initializeFollowUp();
             } catch (error) {
-                this.showError('Failed to analyze image. Please try again.');
+                if (error.requiresUpgrade) {
+                    this.showUpgradePrompt();
+                } else {
+                    this.showError('Failed to analyze image. Please try again.');
+                }
                 console.error('Error:', error);
             } finally {
                 this.showLoading(false);
@@ -501,18 +570,31 @@ class PregnancySafetyChecker {
         this.hideResults();
 
         try {
-            // Always use detailed analysis for text queries
-            const result = await this.getDetailedSafetyInfo(query);
-            this.displayResults(query, result);
-            this.addToHistory(query, result.riskScore);
+            // A typed UPC/EAN number is looked up in the product catalog first
+            if (/^\d{8,14}$/.test(query)) {
+                const product = await this.checkProduct(query);
+                if (product) {
+                    this.showProductResult(product);
+                    return;
+                }
+            }
+
+            // Always use detailed analysis for text queries; sections render as they stream in
+            const result = await this.getDetailedSafetyInfo(query, 0, (partial) => {
+                this.showLoading(false);
+                this.displayResults(query, partial);
+            });
             // Track current search for detailed answers
             this.currentSearchItem = query;
             this.currentSearchType = 'text';
+            this.displayResults(query, result);
+            this.addToHistory(query, result.riskScore);
+            this.initializeFollowUp();
         } catch (error) {
             console.error('Error:', error);
             
             // Check if it's a daily limit error
-            if (error.message.includes('Daily limit reached') || error.message.includes('Trial limit reached')) {
+            if (error.requiresUpgrade) {
                 this.showUpgradePrompt();
             } else {
                 this.showError('Failed to check safety. Please try again.');
@@ -541,6 +623,8 @@ class PregnancySafetyChecker {
             })
         });
 
+        this.handleExpiredToken(response);
+
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             throw new Error(errorData.error || `Server Error: ${response.status}`);
@@ -569,6 +653,8 @@ class PregnancySafetyChecker {
             })
         });
 
+        this.handleExpiredToken(response);
+
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             throw new Error(errorData.error || `Server Error: ${response.status}`);
@@ -578,7 +664,71 @@ class PregnancySafetyChecker {
         return data;
     }
 
-    async getDetailedSafetyInfo(item, retryCount = 0) {
+    // Decodes a UPC/EAN from the photo where the browser supports BarcodeDetector
+    async detectBarcode(imageData) {
+        if (!('BarcodeDetector' in window)) return null;
+        try {
+            const detector = new BarcodeDetector({ formats: ['ean_13', 'ean_8', 'upc_a', 'upc_e'] });
+            const img = new Image();
+            img.src = imageData;
+            await img.decode();
+            const codes = await detector.detect(img);
+            return codes.length > 0 ? codes[0].rawValue : null;
+        } catch (error) {
+            console.warn('Barcode detection failed:', error);
+            return null;
+        }
+    }
+
+    // Returns null when the product is not in the catalog so callers can fall back
+    async checkProduct(code) {
+        const authToken = localStorage.getItem('authToken');
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        
+        if (authToken) {
+            headers['Authorization'] = `Bearer ${authToken}`;
+        }
+        
+        const response = await fetch('/api/check-product', {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({ code })
+        });
+
+        if (response.status === 404 || response.status === 400) {
+            return null;
+        }
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const productError = new Error(errorData.error || `Server Error: ${response.status}`);
+            productError.requiresUpgrade = !!errorData.requiresUpgrade;
+            throw productError;
+        }
+
+        return response.json();
+    }
+
+    showProductResult(data) {
+        this.currentSearchItem = data.product.name;
+        this.currentSearchType = 'text';
+        this.displayResults(data.product.name, data);
+        this.addToHistory(data.product.name, data.riskScore);
+        this.initializeFollowUp();
+    }
+
+    async getDetailedSafetyInfo(item, retryCount = 0, onProgress = null) {
+        // Try the streaming endpoint first; the JSON endpoint below is the fallback
+        if (onProgress && retryCount === 0 && this.canStream()) {
+            try {
+                return await this.streamDetailedSafetyInfo(item, onProgress);
+            } catch (error) {
+                if (error.requiresUpgrade) throw error;
+                console.warn('Streaming failed, falling back to JSON endpoint:', error.message);
+            }
+        }
+
         const maxRetries = 2;
         const authToken = localStorage.getItem('authToken');
         const headers = {
@@ -632,6 +782,13 @@ class PregnancySafetyChecker {
                     return this.getDetailedSafetyInfo(item, retryCount + 1);
                 }
                 
+                // Quota errors carry requiresUpgrade so callers can show the upgrade prompt
+                if (errorData.requiresUpgrade) {
+                    const limitError = new Error(errorData.error);
+                    limitError.requiresUpgrade = true;
+                    throw limitError;
+                }
+                
                 throw new Error(errorData.message || errorData.error || `Server Error: ${response.status}`);
             }
 
@@ -712,6 +869,13 @@ class PregnancySafetyChecker {
                     return this.getDetailedImageSafetyInfo(imageData, retryCount + 1);
                 }
                 
+                // Quota errors carry requiresUpgrade so callers can show the upgrade prompt
+                if (errorData.requiresUpgrade) {
+                    const limitError = new Error(errorData.error);
+                    limitError.requiresUpgrade = true;
+                    throw limitError;
+                }
+                
                 throw new Error(errorData.message || errorData.error || `Server Error: ${response.status}`);
             }
 
@@ -738,6 +902,95 @@ class PregnancySafetyChecker {
         }
     }
 
+    canStream() {
+        return typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+
+    // Builds up a partial result from streamed events so displayResults can render it
+    async streamDetailedSafetyInfo(item, onProgress) {
+        const partial = { riskScore: null, result: '' };
+        let header = '';
+        let sections = '';
+
+        return this.streamSections('/api/detailed-safety/stream', { item }, {
+            onMeta: (meta) => {
+                partial.riskScore = meta.riskScore;
+                header = `RISK_SCORE: ${meta.riskScore ?? ''}\nSAFETY: ${meta.safety || ''}\n`;
+                partial.result = header + sections;
+                onProgress({ ...partial });
+            },
+            onSection: (section) => {
+                sections += section.html + '\n';
+                partial.result = header + sections;
+                onProgress({ ...partial });
+            }
+        });
+    }
+
+    // POSTs to an SSE endpoint and dispatches meta/section events; resolves
+    // with the 'done' payload, rejects on 'error' or when the stream ends early
+    async streamSections(url, body, { onMeta, onSection } = {}) {
+        const authToken = localStorage.getItem('authToken');
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream'
+        };
+        if (authToken) {
+            headers['Authorization'] = `Bearer ${authToken}`;
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(body)
+        });
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.ok || !contentType.includes('text/event-stream') || !response.body) {
+            const errorData = await response.json().catch(() => ({}));
+            const streamError = new Error(errorData.error || `Server Error: ${response.status}`);
+            streamError.requiresUpgrade = !!errorData.requiresUpgrade;
+            throw streamError;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            for (const message of messages) {
+                let event = 'message';
+                const dataLines = [];
+                message.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+                });
+                if (dataLines.length === 0) continue;
+
+                const data = JSON.parse(dataLines.join('\n'));
+                if (event === 'meta' && onMeta) onMeta(data);
+                if (event === 'section' && onSection) onSection(data);
+                if (event === 'done') {
+                    reader.cancel().catch(() => {});
+                    return data;
+                }
+                if (event === 'error') {
+                    const streamError = new Error(data.message || data.error || 'Streaming failed');
+                    streamError.requiresUpgrade = !!data.requiresUpgrade;
+                    throw streamError;
+                }
+            }
+        }
+
+        throw new Error('Stream ended before the answer was complete');
+    }
+
     displayResults(item, data) {
         const resultsSection = document.getElementById('results');
         const itemName = document.getElementById('itemName');
@@ -757,9 +1010,11 @@ class PregnancySafetyChecker {
         safetyBadge.className = `safety-badge ${safetyLevel.class}`;
 
         // Set risk score and position indicator (use pregnancy as primary)
-        const riskScore = data.pregnancyRiskScore || data.riskScore || 5;
-        riskIndicator.textContent = riskScore;
-        const position = ((riskScore - 1) / 9) * 100;
+        const riskScore = data.pregnancyRiskScore ?? data.riskScore ?? null;
+        // No score when the AI reply could not be validated against the schema
+        const hasScore = Number.isInteger(riskScore);
+        riskIndicator.textContent = hasScore ? riskScore : '?';
+        const position = hasScore ? ((riskScore - 1) / 9) * 100 : 50;
         riskIndicator.style.left = `calc(${position}% - 25px)`;
 
         // Set color based on risk score
@@ -768,7 +1023,10 @@ class PregnancySafetyChecker {
         riskIndicator.style.color = color;
 
         // Set safety verdict based on new scale
-        if (riskScore <= 2) {
+        if (!hasScore) {
+            safetyVerdict.textContent = '❔ UNABLE TO SCORE - Read the details below and check with your provider';
+            safetyVerdict.className = 'safety-verdict caution';
+        } else if (riskScore <= 2) {
             safetyVerdict.textContent = '✅ VERY SAFE - This is considered very safe during pregnancy';
             safetyVerdict.className = 'safety-verdict safe';
         } else if (riskScore <= 4) {
@@ -811,6 +1069,24 @@ class PregnancySafetyChecker {
         }
         
         contentHTML += formattedContent;
+
+        if (Array.isArray(data.ingredients)) {
+            contentHTML += this.renderIngredientBreakdown(data.ingredients);
+        }
+
+        // Say whether this came from the reviewed knowledge base or straight from the AI
+        if (data.source === 'knowledge-base') {
+            const citations = (data.references || []).map(ref =>
+                `<a href="${ref.url}" target="_blank" rel="noopener">${this.escapeHtml(ref.title)}</a>`
+            ).join(' · ');
+            contentHTML += `<div class="source-note reviewed" style="margin-top: 1rem; font-size: 0.85rem; color: #2e7d32;">📚 Reviewed answer${citations ? ` — Sources: ${citations}` : ''}</div>`;
+        } else if (data.source === 'product-catalog') {
+            const flagged = (data.flagged || []).map(entry => this.escapeHtml(entry.ingredient)).join(', ');
+            contentHTML += `<div class="source-note reviewed" style="margin-top: 1rem; font-size: 0.85rem; color: #2e7d32;">🏷️ Barcode ${this.escapeHtml(data.code)} — checked ${data.product.ingredients.length} listed ingredients${flagged ? `; flagged: ${flagged}` : ''}</div>`;
+        } else if (data.reviewed === false) {
+            contentHTML += `<div class="source-note unreviewed" style="margin-top: 1rem; font-size: 0.85rem; color: #8d6e63;">🤖 ${this.escapeHtml(data.reviewNotice || 'AI-generated, not reviewed')}</div>`;
+        }
+
         resultContent.innerHTML = contentHTML;
 
         // Store current context for follow-up questions
@@ -818,13 +1094,10 @@ class PregnancySafetyChecker {
             item: item,
             initialResponse: data.result,
             riskScore: data.riskScore,
+            source: data.source,
             type: this.currentSearchType
         };
 
-        // Initialize follow-up question functionality
-        // Commented out for now - not working properly
-        // this.initializeFollowUp();
-
         resultsSection.style.display = 'block';
         
         // Show the details section and reset its state
@@ -840,38 +1113,91 @@ class PregnancySafetyChecker {
         }
     }
 
-    initializeFollowUp() {
+    // Follow-ups are stored as a server-side thread, so they need an account
+    initializeFollowUp(conversation = null) {
+        const followUpSection = document.getElementById('followUpSection');
         const followUpBtn = document.getElementById('followUpBtn');
         const followUpInput = document.getElementById('followUpInput');
+        if (!followUpSection || !followUpBtn || !followUpInput) return;
+
+        this.conversationId = conversation ? conversation.id : null;
+        followUpSection.style.display = localStorage.getItem('authToken') ? 'block' : 'none';
         
         // Remove existing listeners to avoid duplicates
         const newFollowUpBtn = followUpBtn.cloneNode(true);
         followUpBtn.parentNode.replaceChild(newFollowUpBtn, followUpBtn);
+        const newFollowUpInput = followUpInput.cloneNode(true);
+        followUpInput.parentNode.replaceChild(newFollowUpInput, followUpInput);
+        newFollowUpInput.value = '';
         
         // Add event listener for follow-up button
         newFollowUpBtn.addEventListener('click', () => this.handleFollowUp());
         
         // Add enter key support for follow-up input
-        followUpInput.addEventListener('keypress', (e) => {
+        newFollowUpInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.handleFollowUp();
             }
         });
         
-        // Clear previous conversation
+        // Clear previous conversation, or replay a reopened one
         const followUpConversation = document.getElementById('followUpConversation');
         followUpConversation.innerHTML = '';
         followUpConversation.style.display = 'none';
+
+        const messages = conversation ? conversation.messages : [];
+        for (let i = 0; i + 1 < messages.length; i += 2) {
+            this.appendFollowUp(messages[i].content, messages[i + 1].content);
+        }
+    }
+
+    // Adds a Q&A pair to the thread; without an answer it shows a placeholder
+    appendFollowUp(question, answer = null) {
+        const followUpConversation = document.getElementById('followUpConversation');
+        followUpConversation.style.display = 'block';
+
+        const qaId = `qa-${Date.now()}-${followUpConversation.children.length}`;
+        const answerHTML = answer === null
+            ? '<div class="loading-spinner-small"></div> Getting answer...'
+            : `<strong>A:</strong> ${this.formatContent(answer)}`;
+        followUpConversation.insertAdjacentHTML('beforeend', `
+            <div class="follow-up-qa" id="${qaId}">
+                <div class="follow-up-question">
+                    <strong>Q:</strong> ${this.escapeHtml(question)}
+                </div>
+                <div class="follow-up-answer" style="opacity: ${answer === null ? '0.6' : '1'};">
+                    ${answerHTML}
+                </div>
+            </div>
+        `);
+        return qaId;
+    }
+
+    async conversationRequest(path, method = 'GET', body = null) {
+        const response = await fetch(`/api/conversations${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const requestError = new Error(data.message || data.error || `Server Error: ${response.status}`);
+            requestError.requiresUpgrade = !!data.requiresUpgrade;
+            throw requestError;
+        }
+        return data;
     }
     
     async handleFollowUp() {
         const followUpInput = document.getElementById('followUpInput');
-        const followUpConversation = document.getElementById('followUpConversation');
         const followUpBtn = document.getElementById('followUpBtn');
         
         const question = followUpInput.value.trim();
-        if (!question) return;
+        if (!question || !this.currentContext) return;
         
         // Disable button and show loading state
         followUpBtn.disabled = true;
@@ -880,86 +1206,32 @@ class PregnancySafetyChecker {
             <div class="loading-spinner-small"></div>
         `;
         
-        // Show the conversation area
-        followUpConversation.style.display = 'block';
-        
-        // Add the question to conversation
-        const qaId = `qa-${Date.now()}`;
-        const qaHTML = `
-            <div class="follow-up-qa" id="${qaId}">
-                <div class="follow-up-question">
-                    <strong>Q:</strong> ${this.escapeHtml(question)}
-                </div>
-                <div class="follow-up-answer" style="opacity: 0.6;">
-                    <div class="loading-spinner-small"></div>
-                    Getting answer...
-                </div>
-            </div>
-        `;
-        followUpConversation.insertAdjacentHTML('beforeend', qaHTML);
-        
-        // Scroll to the new question
+        // Add the question to conversation and scroll to it
+        const qaId = this.appendFollowUp(question);
         document.getElementById(qaId).scrollIntoView({ behavior: 'smooth', block: 'nearest' });
         
         try {
-            // Format the follow-up question more naturally for the AI
-            // Combine the original item with the follow-up question for context
-            let contextualQuery = '';
-            
-            // Check if it's asking about a variation or related item
-            if (question.toLowerCase().includes('what about') || 
-                question.toLowerCase().includes('how about') ||
-                question.toLowerCase().includes('and what about') ||
-                question.toLowerCase().includes('but')) {
-                // Extract the specific thing they're asking about
-                let extracted = question.replace(/^(but |and )?(what about|how about|and)\s*/i, '').trim();
-                extracted = extracted.replace(/\?$/, ''); // Remove trailing question mark
-                
-                // Simply ask about the new item during pregnancy
-                contextualQuery = `${extracted} during pregnancy`;
-            } else if (question.toLowerCase().includes('instead') || 
-                       question.toLowerCase().includes('alternative')) {
-                // Asking for alternatives
-                contextualQuery = `Safe alternatives to ${this.currentContext.item} during pregnancy: ${question}`;
-            } else if (question.split(' ').length <= 3 && !question.includes('?')) {
-                // Short queries (1-3 words) without question marks are likely new items
-                contextualQuery = `${question} during pregnancy`;
-            } else if (question.toLowerCase().includes('is it safe') || 
-                       question.toLowerCase().includes('can i') ||
-                       question.toLowerCase().includes('should i') ||
-                       question.toLowerCase().includes('how') ||
-                       question.toLowerCase().includes('why') ||
-                       question.toLowerCase().includes('when')) {
-                // Questions about the original item
-                contextualQuery = `${this.currentContext.item}: ${question}`;
-            } else {
-                // Default: assume it's a new item to check
-                contextualQuery = `${question} during pregnancy`;
-            }
-            
-            console.log('Follow-up query:', contextualQuery);
-            
-            const response = await fetch('/api/check-safety', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-                },
-                body: JSON.stringify({
-                    item: contextualQuery
-                })
-            });
-            
-            const result = await response.json();
-            
-            if (!response.ok) {
-                throw new Error(result.error || 'Failed to get response');
+            // The thread is created on the first question, from the answer on screen
+            if (!this.conversationId) {
+                const { conversation } = await this.conversationRequest('', 'POST', {
+                    item: this.currentContext.item,
+                    itemType: this.currentContext.type === 'image' ? 'image' : 'text',
+                    assessment: {
+                        result: this.currentContext.initialResponse,
+                        riskScore: Number.isInteger(this.currentContext.riskScore) ? this.currentContext.riskScore : null,
+                        source: this.currentContext.source
+                    }
+                });
+                this.conversationId = conversation.id;
+                this.linkHistoryToConversation(this.currentContext.type === 'image' ? 'Photo Analysis' : this.currentContext.item, conversation.id);
             }
+
+            const { answer } = await this.conversationRequest(`/${this.conversationId}/messages`, 'POST', { question });
             
             // Update the answer in the conversation
             const answerDiv = document.querySelector(`#${qaId} .follow-up-answer`);
             answerDiv.style.opacity = '1';
-            answerDiv.innerHTML = `<strong>A:</strong> ${this.formatContent(result.result)}`;
+            answerDiv.innerHTML = `<strong>A:</strong> ${this.formatContent(answer)}`;
             
             // Clear the input
             followUpInput.value = '';
@@ -969,13 +1241,12 @@ class PregnancySafetyChecker {
             const answerDiv = document.querySelector(`#${qaId} .follow-up-answer`);
             answerDiv.style.opacity = '1';
             
-            // Check if it's a daily limit error
-            if (error.message && (error.message.includes('Daily limit reached') || error.message.includes('Trial limit reached'))) {
+            if (error.requiresUpgrade) {
                 this.showUpgradePrompt();
                 // Remove the failed question from conversation
                 document.getElementById(qaId).remove();
             } else {
-                answerDiv.innerHTML = `<span style="color: red;">Sorry, I couldn't get an answer. Please try again.</span>`;
+                answerDiv.innerHTML = `<span style="color: red;">${this.escapeHtml(error.message || "Sorry, I couldn't get an answer. Please try again.")}</span>`;
             }
         } finally {
             // Re-enable button
@@ -989,6 +1260,30 @@ class PregnancySafetyChecker {
         }
     }
 
+    // Reopens a stored thread from history without running a new check
+    async openConversation(conversationId) {
+        this.showLoading(true);
+        this.hideError();
+        this.hideResults();
+
+        try {
+            const { conversation } = await this.conversationRequest(`/${conversationId}`);
+            this.currentSearchType = conversation.itemType;
+            this.currentSearchItem = conversation.itemType === 'text' ? conversation.item : null;
+            this.displayResults(conversation.item, {
+                result: conversation.assessment.result,
+                riskScore: conversation.assessment.riskScore,
+                source: conversation.assessment.source
+            });
+            this.initializeFollowUp(conversation);
+        } catch (error) {
+            console.error('Error reopening conversation:', error);
+            this.showError('Could not reopen this conversation.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
     async requestDetailedAnswer() {
         if (!this.currentSearchItem || !this.currentSearchType) {
             this.showError('No search to get details for. Please search first.');
@@ -1061,6 +1356,8 @@ class PregnancySafetyChecker {
     }
 
     getRiskColor(score) {
+        // Unscored results render grey rather than borrowing the "very safe" green
+        if (!Number.isInteger(score)) return '#9E9E9E';
         const colors = [
             '#00c851', // 1 - Deep Green (Very Safe)
             '#00c851', // 2 - Deep Green (Very Safe)
@@ -1199,6 +1496,14 @@ class PregnancySafetyChecker {
         return this.formatContent(content);
     }
 
+    linkHistoryToConversation(item, conversationId) {
+        const entry = this.searchHistory.find(h => h.item.toLowerCase() === item.toLowerCase());
+        if (!entry) return;
+        entry.conversationId = conversationId;
+        localStorage.setItem('pregnancySafetyHistory', JSON.stringify(this.searchHistory));
+        this.displayHistory();
+    }
+
     addToHistory(item, riskScore) {
         // Remove duplicate if exists
         this.searchHistory = this.searchHistory.filter(h => h.item.toLowerCase() !== item.toLowerCase());
@@ -1232,11 +1537,15 @@ class PregnancySafetyChecker {
         
         historyItems.innerHTML = this.searchHistory.map(item => {
             const color = this.getRiskColor(item.riskScore);
+            // Entries with a follow-up thread reopen it instead of checking again
+            const action = item.conversationId
+                ? `checker.openConversation('${item.conversationId}')`
+                : `checker.performSearch('${item.item}')`;
             return `
-                <div class="history-item" onclick="checker.performSearch('${item.item}')">
-                    <span class="history-item-name">${item.item}</span>
+                <div class="history-item" onclick="${action}">
+                    <span class="history-item-name">${item.conversationId ? '💬 ' : ''}${item.item}</span>
                     <span class="history-item-risk" style="background: ${color}22; color: ${color}; border: 1px solid ${color}">
-                        Risk: ${item.riskScore}/10
+                        Risk: ${item.riskScore ?? '?'}/10
                     </span>
                 </div>
             `;
@@ -1350,6 +1659,15 @@ class PregnancySafetyChecker {
         errorDiv.style.display = 'flex';
     }
 
+    // The server answers as a trial user when the stored token no longer works
+    handleExpiredToken(response) {
+        if (response.headers.get('X-Auth-Status') !== 'invalid') return;
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('isPremium');
+        localStorage.removeItem('userEmail');
+        this.showError('Your session has expired. Please log in again to use your plan.');
+    }
+
     showError(message) {
         const errorDiv = document.getElementById('error');
         const errorText = document.getElementById('errorText');
@@ -1393,6 +1711,15 @@ class PregnancySafetyChecker {
         
         // Initialize calendar sync
         this.initializeCalendarSync();
+
+        // Initialize appointments and the calendar feed
+        this.initializeAppointments();
+
+        // Initialize kick counter and contraction timer
+        this.initializeTrackers();
+
+        // Initialize weight, blood pressure and glucose tracking
+        this.initializeVitals();
         
         // Initialize voice recording
         this.initializeVoiceRecording();
@@ -1404,6 +1731,19 @@ class PregnancySafetyChecker {
         const saveBtn = document.getElementById('saveLogEntry');
         if (saveBtn) {
             saveBtn.addEventListener('click', () => this.saveLogEntry());
+            document.getElementById('cancelEditLog').addEventListener('click', () => this.resetLogForm());
+        }
+        
+        // Journal search and tag filter
+        const journalSearch = document.getElementById('journalSearch');
+        if (journalSearch) {
+            let searchTimer;
+            journalSearch.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.loadJournalList(), 300);
+            });
+            document.getElementById('journalTagFilter').addEventListener('change', () => this.loadJournalList());
+            document.getElementById('journalMoreBtn').addEventListener('click', () => this.loadJournalList({ append: true }));
         }
         
         // Calendar navigation
@@ -1495,6 +1835,7 @@ class PregnancySafetyChecker {
             this.currentYear--;
         }
         this.updateCalendarDisplay();
+        this.loadLogEntries();
     }
     
     initializeVoiceRecording() {
@@ -1535,7 +1876,7 @@ class PregnancySafetyChecker {
             };
             
             this.mediaRecorder.onstop = () => {
-                const audioBlob = new Blob(this.audioChunks, { type: 'audio/wav' });
+                const audioBlob = new Blob(this.audioChunks, { type: this.mediaRecorder.mimeType || 'audio/webm' });
                 const audioUrl = URL.createObjectURL(audioBlob);
                 const voicePreview = document.getElementById('voicePreview');
                 if (voicePreview) {
@@ -1543,6 +1884,7 @@ class PregnancySafetyChecker {
                     voicePreview.style.display = 'block';
                 }
                 this.currentAudioBlob = audioBlob;
+                this.uploadVoiceNote(audioBlob);
             };
             
             this.mediaRecorder.start();
@@ -1562,111 +1904,218 @@ class PregnancySafetyChecker {
         }
     }
     
+    // Stores the recording right away so its transcript can be checked and
+    // corrected before the entry is saved
+    async uploadVoiceNote(audioBlob) {
+        const textInput = document.getElementById('logTextInput');
+        const placeholder = textInput.placeholder;
+        this.voiceNoteUpload = (async () => {
+            textInput.placeholder = 'Saving voice note...';
+            const response = await fetch('/api/journal/audio', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': audioBlob.type.split(';')[0],
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                },
+                body: audioBlob
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save voice note');
+            }
+            if (data.transcript && !textInput.value.trim()) {
+                textInput.value = data.transcript;
+            }
+            return data.audio;
+        })();
+        try {
+            await this.voiceNoteUpload;
+        } catch (error) {
+            console.error('Voice note upload failed:', error);
+        } finally {
+            textInput.placeholder = placeholder;
+        }
+    }
+    
+    // Voice notes are served only with the auth header, so play them from a blob
+    async loadVoiceNote(audioElement, audioUrl) {
+        try {
+            const response = await fetch(audioUrl, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+            });
+            if (!response.ok) throw new Error(`Voice note unavailable (${response.status})`);
+            audioElement.src = URL.createObjectURL(await response.blob());
+        } catch (error) {
+            audioElement.replaceWith(Object.assign(document.createElement('p'), { textContent: error.message }));
+        }
+    }
+    
+    // Comma-separated input to a list, dropping blanks
+    splitList(value) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
     async saveLogEntry() {
         const textInput = document.getElementById('logTextInput');
         const text = textInput ? textInput.value.trim() : '';
+        const photoInput = document.getElementById('logPhotos');
+        const photos = photoInput ? [...photoInput.files].slice(0, 4) : [];
         
-        if (!text && !this.currentAudioBlob) {
-            alert('Please enter text or record a voice note');
+        if (!text && !this.currentAudioBlob && photos.length === 0 && !this.editingEntryId) {
+            alert('Please enter text, record a voice note or add a photo');
             return;
         }
         
         const entry = {
-            id: Date.now().toString(),
-            date: new Date().toISOString(),
-            text: text,
-            type: this.currentAudioBlob ? 'voice' : 'text',
-            audioUrl: this.currentAudioBlob ? URL.createObjectURL(this.currentAudioBlob) : null
+            text,
+            mood: document.getElementById('logMood').value || null,
+            tags: this.splitList(document.getElementById('logTags').value),
+            symptoms: this.splitList(document.getElementById('logSymptoms').value)
         };
+        if (photos.length > 0) {
+            entry.attachments = await Promise.all(photos.map(async file => ({ url: await this.compressImage(file) })));
+        }
+        if (this.currentAudioBlob) {
+            try {
+                entry.audioUrl = (await this.voiceNoteUpload).url;
+            } catch (error) {
+                alert(`${error.message}. Please record the voice note again.`);
+                return;
+            }
+            entry.type = 'voice';
+        } else if (!this.editingEntryId) {
+            entry.type = 'text';
+        }
         
-        // Save to backend
         try {
-            const response = await fetch('/api/log-entry', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-                },
+            const editing = !!this.editingEntryId;
+            const { entry: savedEntry } = await this.authRequest(editing ? `/api/journal/${this.editingEntryId}` : '/api/journal', {
+                method: editing ? 'PATCH' : 'POST',
                 body: JSON.stringify(entry)
             });
             
-            if (response.ok) {
-                const savedEntry = await response.json();
-                this.logEntries.push(savedEntry);
-                
-                // Add to calendar if connected
-                await this.addEventToCalendar(savedEntry);
-                
-                // Clear inputs
-                if (textInput) textInput.value = '';
-                this.currentAudioBlob = null;
-                const voicePreview = document.getElementById('voicePreview');
-                if (voicePreview) {
-                    voicePreview.style.display = 'none';
-                    voicePreview.src = '';
-                }
-                
-                // Refresh calendar and recent entries
-                this.generateCalendarDays();
-                this.displayRecentEntries();
-                
-                alert('Entry saved successfully!' + (this.isCalendarConnected ? ' Calendar event added.' : ''));
-            }
+            // Add to calendar if connected
+            if (!editing) await this.addEventToCalendar(savedEntry);
+            
+            this.resetLogForm();
+            this.loadLogEntries();
+            this.loadJournalList();
+            
+            alert((editing ? 'Entry updated!' : 'Entry saved successfully!') + (!editing && this.isCalendarConnected ? ' Calendar event added.' : ''));
         } catch (error) {
             console.error('Error saving log entry:', error);
-            alert('Failed to save entry. Please try again.');
+            alert(error.message || 'Failed to save entry. Please try again.');
+        }
+    }
+    
+    resetLogForm() {
+        this.editingEntryId = null;
+        document.getElementById('logTextInput').value = '';
+        document.getElementById('logMood').value = '';
+        document.getElementById('logTags').value = '';
+        document.getElementById('logSymptoms').value = '';
+        document.getElementById('logPhotos').value = '';
+        document.getElementById('saveLogEntry').textContent = '💾 Save Entry';
+        document.getElementById('cancelEditLog').style.display = 'none';
+        this.currentAudioBlob = null;
+        this.voiceNoteUpload = null;
+        const voicePreview = document.getElementById('voicePreview');
+        if (voicePreview) {
+            voicePreview.style.display = 'none';
+            voicePreview.src = '';
         }
     }
     
+    // Entries for the month shown in the calendar
     async loadLogEntries() {
         // Only load if premium user
         if (localStorage.getItem('isPremium') !== 'true') {
             return;
         }
         
+        const from = new Date(this.currentYear, this.currentMonth, 1);
+        const to = new Date(this.currentYear, this.currentMonth + 1, 0, 23, 59, 59, 999);
         try {
-            const response = await fetch('/api/log-entries', {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-                }
-            });
-            
-            if (response.ok) {
-                this.logEntries = await response.json();
-                this.generateCalendarDays();
-                this.displayRecentEntries();
-            } else if (response.status === 403) {
-                console.log('Premium subscription required for log entries');
-            }
+            const { entries } = await this.authRequest(`/api/journal?from=${from.toISOString()}&to=${to.toISOString()}&limit=100`);
+            this.logEntries = entries;
+            this.generateCalendarDays();
+            if (!this.journalList) this.loadJournalList();
         } catch (error) {
             console.error('Error loading log entries:', error);
         }
     }
     
-    displayRecentEntries() {
-        const container = document.getElementById('recentLogEntries');
-        if (!container) return;
+    // Recent entries, narrowed by the search box and tag filter
+    async loadJournalList({ append = false } = {}) {
+        const search = document.getElementById('journalSearch')?.value.trim() || '';
+        const tag = document.getElementById('journalTagFilter')?.value || '';
+        const page = append && this.journalList ? this.journalList.page + 1 : 1;
+        const params = new URLSearchParams({ page, limit: 10 });
+        if (search) params.set('q', search);
+        if (tag) params.set('tag', tag);
         
-        const recentEntries = this.logEntries
-            .sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 5);
-        
-        container.innerHTML = recentEntries.map(entry => `
-            <div class="log-entry-item" onclick="pregnancySafetyChecker.showLogEntry('${entry.id}')">
-                <div class="log-entry-date">
-                    ${new Date(entry.date).toLocaleDateString()} at ${new Date(entry.date).toLocaleTimeString()}
-                </div>
-                <div class="log-entry-preview">
-                    ${entry.text || 'Voice note'}
-                </div>
-                <span class="log-entry-type ${entry.type}">${entry.type === 'voice' ? '🎤 Voice' : '📝 Text'}</span>
-            </div>
-        `).join('');
+        try {
+            const data = await this.authRequest(`/api/journal?${params}`);
+            this.journalList = {
+                page: data.page,
+                entries: append ? [...this.journalList.entries, ...data.entries] : data.entries
+            };
+            this.displayRecentEntries();
+            document.getElementById('journalMoreBtn').style.display = data.page < data.totalPages ? 'inline-block' : 'none';
+            if (!append) this.loadJournalTags();
+        } catch (error) {
+            console.error('Error loading journal:', error);
+        }
     }
     
-    // Calendar Sync Methods
-    initializeCalendarSync() {
-        this.isCalendarConnected = localStorage.getItem('calendarConnected') === 'true';
+    async loadJournalTags() {
+        const select = document.getElementById('journalTagFilter');
+        try {
+            const { tags } = await this.authRequest('/api/journal/tags');
+            const current = select.value;
+            select.innerHTML = '<option value="">All tags</option>' + tags.map(({ tag, count }) =>
+                `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)} (${count})</option>`
+            ).join('');
+            select.value = current;
+        } catch (error) {
+            console.warn('Journal tags unavailable:', error);
+        }
+    }
+    
+    renderEntryItem(entry, dateText) {
+        const preview = entry.text || (entry.type === 'voice' ? 'Voice note' : 'Photo');
+        return `
+            <div class="log-entry-item" onclick="pregnancySafetyChecker.showLogEntry('${entry.id}')">
+                <div class="log-entry-date">${dateText}</div>
+                <div class="log-entry-preview">${this.escapeHtml(preview)}</div>
+                <span class="log-entry-type ${entry.type}">${entry.type === 'voice' ? '🎤 Voice' : '📝 Text'}</span>
+                ${entry.mood || entry.tags.length || entry.attachmentCount ? `
+                    <div class="journal-meta">
+                        ${entry.mood ? `<span class="journal-tag">${this.escapeHtml(entry.mood)}</span>` : ''}
+                        ${entry.tags.map(tag => `<span class="journal-tag">#${this.escapeHtml(tag)}</span>`).join('')}
+                        ${entry.attachmentCount ? `<span class="journal-tag">📷 ${entry.attachmentCount}</span>` : ''}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    displayRecentEntries() {
+        const container = document.getElementById('recentLogEntries');
+        if (!container || !this.journalList) return;
+        
+        const { entries } = this.journalList;
+        container.innerHTML = entries.length === 0
+            ? '<p class="tracker-hint">No entries found.</p>'
+            : entries.map(entry => this.renderEntryItem(
+                entry,
+                `${new Date(entry.date).toLocaleDateString()} at ${new Date(entry.date).toLocaleTimeString()}`
+            )).join('');
+    }
+    
+    // Calendar Sync Methods
+    initializeCalendarSync() {
+        this.isCalendarConnected = localStorage.getItem('calendarConnected') === 'true';
         this.calendarType = localStorage.getItem('calendarType') || null;
         
         // Update sync status UI
@@ -1901,6 +2350,398 @@ END:VCALENDAR`;
     formatICSDate(date) {
         return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
     }
+
+    // Appointments live on the server; the feed URL lets any calendar app
+    // subscribe to them without the Google sign-in above
+    initializeAppointments() {
+        if (!document.getElementById('appointmentsList')) return;
+
+        document.getElementById('planAppointmentsBtn').addEventListener('click', () => this.planAppointments());
+        document.getElementById('subscribeCalendarBtn').addEventListener('click', () => this.createCalendarFeed());
+        document.getElementById('revokeCalendarBtn').addEventListener('click', () => this.revokeCalendarFeed());
+
+        if (localStorage.getItem('authToken')) {
+            this.loadAppointments();
+            this.loadCalendarFeedStatus();
+        }
+    }
+
+    async authRequest(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    appointmentsRequest(path, options = {}) {
+        return this.authRequest(`/api/appointments${path}`, options);
+    }
+
+    async loadAppointments() {
+        const list = document.getElementById('appointmentsList');
+        try {
+            const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+            const { appointments } = await this.appointmentsRequest(`?from=${encodeURIComponent(from)}`);
+            this.renderAppointments(appointments);
+        } catch (error) {
+            console.warn('Appointments unavailable:', error);
+            list.innerHTML = '';
+        }
+    }
+
+    renderAppointments(appointments) {
+        const list = document.getElementById('appointmentsList');
+        if (appointments.length === 0) {
+            list.innerHTML = '<li>No upcoming appointments</li>';
+            return;
+        }
+        list.innerHTML = appointments.map(appointment => {
+            const start = new Date(appointment.startsAt);
+            const when = appointment.allDay
+                ? `${start.toLocaleDateString(undefined, { timeZone: 'UTC' })} – ${new Date(new Date(appointment.endsAt).getTime() - 1).toLocaleDateString(undefined, { timeZone: 'UTC' })}`
+                : start.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+            return `
+                <li class="${appointment.status}">
+                    <span>${this.escapeHtml(appointment.title)}</span>
+                    <span>${when}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async planAppointments() {
+        if (!localStorage.getItem('authToken')) {
+            alert('Sign in to schedule appointments.');
+            return;
+        }
+        try {
+            await this.appointmentsRequest('/cadence', {
+                method: 'POST',
+                body: JSON.stringify({
+                    time: document.getElementById('appointmentTime').value || '09:00',
+                    timezoneOffset: new Date().getTimezoneOffset()
+                })
+            });
+            await this.loadAppointments();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async loadCalendarFeedStatus() {
+        try {
+            const feed = await this.appointmentsRequest('/feed');
+            document.getElementById('revokeCalendarBtn').style.display = feed.enabled ? 'inline-block' : 'none';
+        } catch (error) {
+            console.warn('Calendar feed status unavailable:', error);
+        }
+    }
+
+    async createCalendarFeed() {
+        if (!localStorage.getItem('authToken')) {
+            alert('Sign in to subscribe to your appointments.');
+            return;
+        }
+        if (document.getElementById('revokeCalendarBtn').style.display !== 'none' &&
+            !confirm('This replaces your existing calendar link; calendars subscribed to it will stop updating. Continue?')) {
+            return;
+        }
+        try {
+            const { url } = await this.appointmentsRequest('/feed', { method: 'POST' });
+            const webcal = url.replace(/^https?:/, 'webcal:');
+            const linkDiv = document.getElementById('calendarFeedLink');
+            linkDiv.innerHTML = `
+                Keep this link private — anyone with it can see your appointments.<br>
+                <a href="${this.escapeHtml(webcal)}">Open in calendar app</a> · <code>${this.escapeHtml(url)}</code>
+            `;
+            linkDiv.style.display = 'block';
+            document.getElementById('revokeCalendarBtn').style.display = 'inline-block';
+            if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => {});
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    // Kick counter and contraction timer. Timing happens here; each finished
+    // session or contraction is saved and checked on the server.
+    initializeTrackers() {
+        if (!document.getElementById('kickStartBtn')) return;
+
+        this.kickSession = null;
+        this.contractionStart = null;
+        document.getElementById('kickStartBtn').addEventListener('click', () => this.startKickSession());
+        document.getElementById('kickTapBtn').addEventListener('click', () => this.recordKick());
+        document.getElementById('kickFinishBtn').addEventListener('click', () => this.finishKickSession());
+        document.getElementById('contractionBtn').addEventListener('click', () => this.toggleContraction());
+
+        if (localStorage.getItem('authToken')) {
+            this.loadKickSummary();
+            this.loadContractions();
+        }
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    startKickSession() {
+        this.kickSession = { startedAt: new Date(), kickTimes: [] };
+        document.getElementById('kickCount').textContent = '0';
+        document.getElementById('kickStartBtn').style.display = 'none';
+        document.getElementById('kickTapBtn').style.display = 'inline-block';
+        document.getElementById('kickFinishBtn').style.display = 'inline-block';
+        this.kickTimer = setInterval(() => {
+            document.getElementById('kickElapsed').textContent = this.formatDuration(Date.now() - this.kickSession.startedAt);
+        }, 1000);
+    }
+
+    recordKick() {
+        if (!this.kickSession) return;
+        this.kickSession.kickTimes.push(new Date());
+        const count = this.kickSession.kickTimes.length;
+        document.getElementById('kickCount').textContent = count;
+        if (count === 10) this.finishKickSession();
+    }
+
+    async finishKickSession() {
+        if (!this.kickSession) return;
+        clearInterval(this.kickTimer);
+        const session = this.kickSession;
+        this.kickSession = null;
+        document.getElementById('kickStartBtn').style.display = 'inline-block';
+        document.getElementById('kickTapBtn').style.display = 'none';
+        document.getElementById('kickFinishBtn').style.display = 'none';
+
+        try {
+            const data = await this.authRequest('/api/kick-counts', {
+                method: 'POST',
+                body: JSON.stringify({ startedAt: session.startedAt, endedAt: new Date(), kickTimes: session.kickTimes })
+            });
+            this.showTrackerAlerts(data.alerts);
+            this.loadKickSummary();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async loadKickSummary() {
+        try {
+            const summary = await this.authRequest('/api/kick-counts/summary');
+            const latest = summary.latest;
+            document.getElementById('kickSummary').innerHTML = `
+                ${latest ? `Last session: ${latest.count} movements${latest.minutesToTarget !== null ? ` — 10 in ${Math.round(latest.minutesToTarget)} min` : ''}<br>` : ''}
+                ${summary.baselineMinutes !== null ? `Your usual: 10 in about ${Math.round(summary.baselineMinutes)} min` : 'Your usual time shows after 3 sessions'}
+            `;
+        } catch (error) {
+            console.warn('Kick summary unavailable:', error);
+        }
+    }
+
+    async toggleContraction() {
+        const button = document.getElementById('contractionBtn');
+        if (!this.contractionStart) {
+            this.contractionStart = new Date();
+            button.textContent = 'Contraction ended';
+            document.getElementById('contractionStatus').textContent = 'Contraction in progress';
+            this.contractionTimer = setInterval(() => {
+                document.getElementById('contractionClock').textContent = this.formatDuration(Date.now() - this.contractionStart);
+            }, 1000);
+            return;
+        }
+
+        clearInterval(this.contractionTimer);
+        const startedAt = this.contractionStart;
+        this.contractionStart = null;
+        button.textContent = 'Contraction started';
+
+        try {
+            const data = await this.authRequest('/api/contractions', {
+                method: 'POST',
+                body: JSON.stringify({ startedAt, endedAt: new Date() })
+            });
+            this.renderContractions(data.analysis);
+            this.showTrackerAlerts(data.analysis.alerts);
+        } catch (error) {
+            document.getElementById('contractionStatus').textContent = error.message;
+        }
+    }
+
+    async loadContractions() {
+        try {
+            const { analysis, active } = await this.authRequest('/api/contractions/summary');
+            this.renderContractions(analysis);
+            if (active) this.showTrackerAlerts(analysis.alerts);
+        } catch (error) {
+            console.warn('Contractions unavailable:', error);
+        }
+    }
+
+    renderContractions(analysis) {
+        const { fiveOneOne } = analysis;
+        document.getElementById('contractionStatus').textContent = analysis.lastHourCount > 1
+            ? `Last hour: ${analysis.lastHourCount}, every ${analysis.averageIntervalMinutes} min, ${Math.round(analysis.averageDurationSeconds)} s long${fiveOneOne.met ? ' — 5-1-1 met' : ''}`
+            : 'Ready';
+        document.getElementById('contractionList').innerHTML = analysis.recent.slice(0, 6).map(entry => `
+            <li>
+                <span>${new Date(entry.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                <span>${entry.durationSeconds} s${entry.intervalMinutes !== null ? ` · ${entry.intervalMinutes} min apart` : ''}</span>
+            </li>
+        `).join('');
+    }
+
+    // Shows the most urgent alert; the top tier also opens the emergency contacts
+    showTrackerAlerts(alerts = []) {
+        const container = document.getElementById('trackerAlert');
+        if (alerts.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        const urgent = alerts.find(entry => entry.urgency === 'go-to-labor-and-delivery') || alerts[0];
+        container.className = `triage-result ${urgent.urgency}`;
+        container.innerHTML = alerts.map(entry => `<p>${this.escapeHtml(entry.message)}</p>`).join('');
+        container.style.display = 'block';
+        if (urgent.urgency === 'go-to-labor-and-delivery') {
+            this.surfaceEmergencyContacts();
+        }
+    }
+
+    initializeVitals() {
+        if (!document.getElementById('addWeightBtn')) return;
+
+        document.getElementById('saveVitalsProfileBtn').addEventListener('click', () => this.saveVitalsProfile());
+        document.getElementById('addWeightBtn').addEventListener('click', () => this.addVital('/weight', {
+            weight: {
+                value: parseFloat(document.getElementById('weightValue').value),
+                unit: document.getElementById('weightUnit').value
+            }
+        }));
+        document.getElementById('addBloodPressureBtn').addEventListener('click', () => this.addVital('/blood-pressure', {
+            systolic: parseInt(document.getElementById('systolicValue').value, 10),
+            diastolic: parseInt(document.getElementById('diastolicValue').value, 10)
+        }));
+        document.getElementById('addGlucoseBtn').addEventListener('click', () => this.addVital('/glucose', {
+            value: parseFloat(document.getElementById('glucoseValue').value),
+            type: document.getElementById('glucoseType').value
+        }));
+        document.getElementById('exportVitalsBtn').addEventListener('click', () => this.exportVitals());
+
+        if (localStorage.getItem('authToken')) {
+            this.loadVitalsDashboard();
+        }
+    }
+
+    async saveVitalsProfile() {
+        try {
+            await this.authRequest('/api/maternal-monitoring/profile', {
+                method: 'POST',
+                body: JSON.stringify({
+                    prePregnancyWeight: {
+                        value: parseFloat(document.getElementById('prePregnancyWeight').value),
+                        unit: document.getElementById('weightUnit').value
+                    },
+                    height: { value: parseFloat(document.getElementById('heightValue').value), unit: 'cm' }
+                })
+            });
+            this.loadVitalsDashboard();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async addVital(path, body) {
+        try {
+            const data = await this.authRequest(`/api/maternal-monitoring${path}`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            this.loadVitalsDashboard(data.alerts);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async loadVitalsDashboard(newAlerts = []) {
+        try {
+            const dashboard = await this.authRequest('/api/maternal-monitoring/dashboard');
+            const weight = dashboard.charts.weight.points.at(-1);
+            const pressure = dashboard.latestBloodPressure;
+            const glucose = dashboard.latestGlucose;
+            const items = [];
+            if (weight) {
+                items.push(['Weight', `${weight.weightKg.toFixed(1)} kg${weight.gainKg !== null ? ` (${weight.gainKg >= 0 ? '+' : ''}${weight.gainKg} kg)` : ''}`]);
+            }
+            if (dashboard.baseline.bmiLabel) {
+                const [low, high] = dashboard.baseline.totalGainRangeKg;
+                items.push(['Recommended total gain', `${low}-${high} kg (${dashboard.baseline.bmiLabel})`]);
+            }
+            if (pressure) items.push(['Blood pressure', `${pressure.systolic}/${pressure.diastolic} (${pressure.category})`]);
+            if (glucose) items.push(['Glucose', `${glucose.value} mg/dL ${glucose.type.replace(/-/g, ' ')}`]);
+            if (dashboard.glucoseInTarget) {
+                items.push(['In target (30 days)', `${dashboard.glucoseInTarget.inTarget} of ${dashboard.glucoseInTarget.readings}`]);
+            }
+            document.getElementById('vitalsSummary').innerHTML = items.map(([label, value]) => `
+                <li><span>${this.escapeHtml(label)}</span><span>${this.escapeHtml(value)}</span></li>
+            `).join('');
+            this.renderVitalsAlerts(dashboard.activeAlerts, newAlerts);
+        } catch (error) {
+            console.warn('Vitals unavailable:', error);
+        }
+    }
+
+    // Severity maps onto the triage urgency styles; critical opens the emergency contacts
+    renderVitalsAlerts(alerts = [], newAlerts = []) {
+        const urgencyFor = { critical: 'go-to-labor-and-delivery', high: 'call-provider', medium: 'call-provider', low: 'self-care' };
+        document.getElementById('vitalsAlerts').innerHTML = alerts.map(entry => `
+            <div class="triage-result ${urgencyFor[entry.severity]}">
+                <p>${this.escapeHtml(entry.message)}</p>
+                <button class="disconnect-btn" data-alert-id="${entry._id}">Dismiss</button>
+            </div>
+        `).join('');
+        document.querySelectorAll('#vitalsAlerts [data-alert-id]').forEach(button => {
+            button.addEventListener('click', async () => {
+                await this.authRequest(`/api/maternal-monitoring/alert/${button.dataset.alertId}/acknowledge`, { method: 'POST' });
+                this.loadVitalsDashboard();
+            });
+        });
+        if (newAlerts.some(entry => entry.severity === 'critical')) {
+            this.surfaceEmergencyContacts();
+        }
+    }
+
+    async exportVitals() {
+        try {
+            const response = await fetch('/api/maternal-monitoring/export?format=csv', {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+            });
+            if (!response.ok) throw new Error('Export failed');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = 'pregnancy-vitals.csv';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async revokeCalendarFeed() {
+        try {
+            await this.appointmentsRequest('/feed', { method: 'DELETE' });
+            document.getElementById('calendarFeedLink').style.display = 'none';
+            document.getElementById('revokeCalendarBtn').style.display = 'none';
+        } catch (error) {
+            alert(error.message);
+        }
+    }
     
     showDayEntries(dateStr) {
         const dayEntries = this.logEntries.filter(entry => 
@@ -1926,17 +2767,7 @@ END:VCALENDAR`;
         modalBody.innerHTML = `
             <h3>Entries for ${new Date(dateStr).toLocaleDateString()}</h3>
             <div class="entries-list">
-                ${entries.map(entry => `
-                    <div class="log-entry-item" onclick="pregnancySafetyChecker.showLogEntry('${entry.id}')">
-                        <div class="log-entry-date">
-                            ${new Date(entry.date).toLocaleTimeString()}
-                        </div>
-                        <div class="log-entry-preview">
-                            ${entry.text || 'Voice note'}
-                        </div>
-                        <span class="log-entry-type ${entry.type}">${entry.type === 'voice' ? '🎤' : '📝'}</span>
-                    </div>
-                `).join('')}
+                ${entries.map(entry => this.renderEntryItem(entry, new Date(entry.date).toLocaleTimeString())).join('')}
             </div>
         `;
         
@@ -1944,8 +2775,13 @@ END:VCALENDAR`;
     }
     
     async showLogEntry(entryId) {
-        const entry = this.logEntries.find(e => e.id === entryId);
-        if (!entry) return;
+        let entry;
+        try {
+            ({ entry } = await this.authRequest(`/api/journal/${entryId}`));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
         
         const modal = document.getElementById('logModal');
         const modalBody = document.getElementById('logModalBody');
@@ -1954,20 +2790,87 @@ END:VCALENDAR`;
             <div class="original-entry">
                 <h4>Your Entry</h4>
                 <div class="original-entry-text">
-                    ${entry.text || 'Voice note recorded'}
-                    ${entry.audioUrl ? `<audio controls src="${entry.audioUrl}" style="margin-top: 10px; width: 100%;"></audio>` : ''}
+                    ${this.escapeHtml(entry.text || (entry.type === 'voice' ? 'Voice note recorded' : ''))}
+                    ${entry.audioUrl ? `<audio controls style="margin-top: 10px; width: 100%;"></audio>` : ''}
+                </div>
+                <div class="journal-meta">
+                    ${entry.mood ? `<span class="journal-tag">${this.escapeHtml(entry.mood)}</span>` : ''}
+                    ${entry.tags.map(tag => `<span class="journal-tag">#${this.escapeHtml(tag)}</span>`).join('')}
+                    ${entry.symptoms.map(symptom => `<span class="journal-tag">${this.escapeHtml(symptom)}</span>`).join('')}
+                </div>
+                ${entry.attachments.length ? `
+                    <div class="journal-photos">
+                        ${entry.attachments.map(photo => `<img src="${this.escapeHtml(photo.url)}" alt="${this.escapeHtml(photo.caption || 'Journal photo')}">`).join('')}
+                    </div>
+                ` : ''}
+                <small>${new Date(entry.date).toLocaleString()}${entry.gestationalWeek !== null ? ` · week ${entry.gestationalWeek}` : ''}</small>
+                <div class="journal-entry-actions">
+                    <button class="appointments-btn" data-journal-action="edit">✏️ Edit</button>
+                    <button class="disconnect-btn" data-journal-action="delete">Delete</button>
                 </div>
-                <small>${new Date(entry.date).toLocaleString()}</small>
             </div>
             
-            <div class="loading-analysis">
-                <div class="loading-spinner"></div>
-                <p>Analyzing your entry with Shroud AI...</p>
-            </div>
+            ${entry.text ? `
+                <div class="loading-analysis">
+                    <div class="loading-spinner"></div>
+                    <p>Analyzing your entry with Shroud AI...</p>
+                </div>
+            ` : ''}
         `;
         
         modal.style.display = 'block';
+        const audioElement = modalBody.querySelector('.original-entry audio');
+        if (audioElement) {
+            if (entry.audioUrl.startsWith('/api/journal/audio/')) {
+                this.loadVoiceNote(audioElement, entry.audioUrl);
+            } else {
+                audioElement.src = entry.audioUrl;
+            }
+        }
+        modalBody.querySelector('[data-journal-action="edit"]').addEventListener('click', () => this.editLogEntry(entry));
+        modalBody.querySelector('[data-journal-action="delete"]').addEventListener('click', () => this.deleteLogEntry(entry.id));
+        if (!entry.text) return;
+        this.flagLogEntry(entry.text, modalBody);
         
+        // Shows the analysis container, replacing the loading spinner on first use
+        const showAnalysis = (html) => {
+            let contentDiv = modalBody.querySelector('.ai-analysis-content');
+            const analysisDiv = modalBody.querySelector('.loading-analysis');
+            if (!contentDiv && analysisDiv) {
+                analysisDiv.outerHTML = `
+                    <div class="ai-analysis">
+                        <h4>🤖 AI Health Analysis</h4>
+                        <div class="ai-analysis-content"></div>
+                    </div>
+                `;
+                contentDiv = modalBody.querySelector('.ai-analysis-content');
+            }
+            if (contentDiv) contentDiv.innerHTML = html;
+        };
+
+        // Saved from an earlier visit; analyzing again would use up quota
+        if (entry.aiAnalysis) {
+            showAnalysis(entry.aiAnalysis.result);
+            return;
+        }
+
+        // Stream the analysis section by section when possible
+        if (this.canStream()) {
+            let sections = '';
+            try {
+                const analysis = await this.streamSections('/api/analyze-log-entry/stream', { entryId }, {
+                    onSection: (section) => {
+                        sections += section.html;
+                        showAnalysis(sections);
+                    }
+                });
+                showAnalysis(analysis.result);
+                return;
+            } catch (error) {
+                console.warn('Streaming analysis failed, falling back to JSON endpoint:', error.message);
+            }
+        }
+
         // Get Shroud AI analysis
         try {
             const response = await fetch('/api/analyze-log-entry', {
@@ -1976,24 +2879,14 @@ END:VCALENDAR`;
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${localStorage.getItem('authToken')}`
                 },
-                body: JSON.stringify({ entryId, text: entry.text })
+                body: JSON.stringify({ entryId })
             });
             
             if (response.ok) {
                 const analysis = await response.json();
                 
                 // Replace loading with analysis
-                const analysisDiv = modalBody.querySelector('.loading-analysis');
-                if (analysisDiv) {
-                    analysisDiv.outerHTML = `
-                        <div class="ai-analysis">
-                            <h4>🤖 AI Health Analysis</h4>
-                            <div class="ai-analysis-content">
-                                ${analysis.result}
-                            </div>
-                        </div>
-                    `;
-                }
+                showAnalysis(analysis.result);
             }
         } catch (error) {
             console.error('Error getting AI analysis:', error);
@@ -2004,6 +2897,64 @@ END:VCALENDAR`;
         }
     }
     
+    editLogEntry(entry) {
+        this.editingEntryId = entry.id;
+        document.getElementById('logTextInput').value = entry.text;
+        document.getElementById('logMood').value = entry.mood || '';
+        document.getElementById('logTags').value = entry.tags.join(', ');
+        document.getElementById('logSymptoms').value = entry.symptoms.join(', ');
+        document.getElementById('saveLogEntry').textContent = '💾 Update Entry';
+        document.getElementById('cancelEditLog').style.display = 'inline-block';
+        document.getElementById('logModal').style.display = 'none';
+        document.getElementById('logTextInput').focus();
+    }
+    
+    async deleteLogEntry(entryId) {
+        if (!confirm('Delete this entry? This cannot be undone.')) return;
+        try {
+            await this.authRequest(`/api/journal/${entryId}`, { method: 'DELETE' });
+            document.getElementById('logModal').style.display = 'none';
+            this.loadLogEntries();
+            this.loadJournalList();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+    
+    // Red-flag check for a diary entry; shown above the AI analysis and only
+    // when the entry needs more than self-care
+    async flagLogEntry(text, modalBody) {
+        try {
+            const response = await fetch('/api/triage', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                },
+                body: JSON.stringify({ symptoms: text })
+            });
+            if (!response.ok) return;
+            const { triage } = await response.json();
+            if (triage.urgency === 'self-care') return;
+
+            const original = modalBody.querySelector('.original-entry');
+            if (original) {
+                original.insertAdjacentHTML('afterend', `
+                    <div class="triage-result ${triage.urgency}">
+                        <h3>${this.escapeHtml(triage.label)}</h3>
+                        <p>${this.escapeHtml(triage.advice)}</p>
+                        <ul class="triage-flags">${triage.redFlags.map(flag => `<li>${this.escapeHtml(flag.name)}</li>`).join('')}</ul>
+                    </div>
+                `);
+            }
+            if (triage.urgency === 'go-to-labor-and-delivery') {
+                this.surfaceEmergencyContacts();
+            }
+        } catch (error) {
+            console.warn('Triage unavailable:', error);
+        }
+    }
+
     // Affiliate features
     initializeAffiliate() {
         // Check if user is premium to show affiliate features
@@ -2548,6 +3499,182 @@ END:VCALENDAR`;
         compareBtn.addEventListener('click', () => this.performComparison());
     }
 
+    // ==========================================
+    // Ingredient List Mode
+    // ==========================================
+    initializeIngredientsMode() {
+        const toggleBtn = document.getElementById('ingredientsToggleBtn');
+        const ingredientsMode = document.getElementById('ingredientsMode');
+
+        if (!toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => {
+            const isVisible = ingredientsMode.style.display !== 'none';
+            ingredientsMode.style.display = isVisible ? 'none' : 'block';
+            toggleBtn.classList.toggle('active', !isVisible);
+        });
+
+        document.getElementById('ingredientsBtn').addEventListener('click', () => this.performIngredientCheck());
+    }
+
+    async performIngredientCheck() {
+        const text = document.getElementById('ingredientsInput').value.trim();
+        const category = document.getElementById('ingredientsCategory').value;
+
+        if (!text) {
+            this.showError('Please paste an ingredient list or recipe.');
+            return;
+        }
+
+        const ingredientsBtn = document.getElementById('ingredientsBtn');
+        const btnText = ingredientsBtn.querySelector('.btn-text');
+        const loader = ingredientsBtn.querySelector('.loader');
+        btnText.style.display = 'none';
+        loader.style.display = 'inline-block';
+        ingredientsBtn.disabled = true;
+        this.hideError();
+        this.hideResults();
+
+        try {
+            const authToken = localStorage.getItem('authToken');
+            const headers = { 'Content-Type': 'application/json' };
+            if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+
+            const response = await fetch('/api/check-ingredients', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ text, category })
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                if (data.requiresUpgrade) {
+                    this.showUpgradePrompt();
+                    return;
+                }
+                throw new Error(data.error || 'Ingredient check failed');
+            }
+
+            this.currentSearchItem = data.assessment.item;
+            this.currentSearchType = 'text';
+            this.displayResults(data.assessment.item, data);
+            this.addToHistory(data.assessment.item, data.riskScore);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            btnText.style.display = 'inline';
+            loader.style.display = 'none';
+            ingredientsBtn.disabled = false;
+        }
+    }
+
+    initializeTriageMode() {
+        const toggleBtn = document.getElementById('triageToggleBtn');
+        const triageMode = document.getElementById('triageMode');
+
+        if (!toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => {
+            const isVisible = triageMode.style.display !== 'none';
+            triageMode.style.display = isVisible ? 'none' : 'block';
+            toggleBtn.classList.toggle('active', !isVisible);
+        });
+
+        document.getElementById('triageBtn').addEventListener('click', () => this.performTriage());
+    }
+
+    // The urgency tier comes from the server's red-flag rules and is shown
+    // first; the AI explanation is added underneath when the plan includes it
+    async performTriage() {
+        const symptoms = document.getElementById('triageInput').value.trim();
+        if (!symptoms) {
+            this.showError('Please describe your symptoms.');
+            return;
+        }
+
+        const body = { symptoms };
+        const severity = document.getElementById('triageSeverity').value;
+        if (severity) body.severity = severity;
+        const temperature = parseFloat(document.getElementById('triageTemperature').value);
+        if (!Number.isNaN(temperature)) body.temperature = temperature;
+
+        const authToken = localStorage.getItem('authToken');
+        const headers = { 'Content-Type': 'application/json' };
+        if (authToken) {
+            headers['Authorization'] = `Bearer ${authToken}`;
+        } else {
+            // Signed-in users get the week from their saved due date
+            const profile = JSON.parse(localStorage.getItem('pregnancyProfile') || '{}');
+            const week = parseInt(profile.weeksPregnant, 10);
+            if (week >= 1 && week <= 44) body.week = week;
+        }
+
+        const triageBtn = document.getElementById('triageBtn');
+        const btnText = triageBtn.querySelector('.btn-text');
+        const loader = triageBtn.querySelector('.loader');
+        btnText.style.display = 'none';
+        loader.style.display = 'inline-block';
+        triageBtn.disabled = true;
+        this.hideError();
+
+        try {
+            const response = await fetch('/api/triage', { method: 'POST', headers, body: JSON.stringify(body) });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'Symptom check failed');
+            }
+
+            this.renderTriage(data.triage);
+            if (data.triage.urgency === 'go-to-labor-and-delivery') {
+                this.surfaceEmergencyContacts();
+            }
+            if (authToken) {
+                this.loadTriageExplanation(body, headers);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            btnText.style.display = 'inline';
+            loader.style.display = 'none';
+            triageBtn.disabled = false;
+        }
+    }
+
+    renderTriage(triage) {
+        const container = document.getElementById('triageResult');
+        const flags = triage.redFlags.map(flag => `<li><strong>${this.escapeHtml(flag.name)}</strong> — ${this.escapeHtml(flag.reason)}</li>`).join('');
+        container.className = `triage-result ${triage.urgency}`;
+        container.innerHTML = `
+            <h3>${this.escapeHtml(triage.label)}</h3>
+            <p>${this.escapeHtml(triage.advice)}</p>
+            ${flags ? `<ul class="triage-flags">${flags}</ul>` : ''}
+            <div class="triage-explanation"></div>
+        `;
+        container.style.display = 'block';
+    }
+
+    async loadTriageExplanation(body, headers) {
+        const target = document.querySelector('#triageResult .triage-explanation');
+        try {
+            const response = await fetch('/api/triage/explain', { method: 'POST', headers, body: JSON.stringify(body) });
+            if (!response.ok) return; // Not in the plan or no AI provider; the tier above stands on its own
+            const data = await response.json();
+            if (target) {
+                target.innerHTML = `${data.explanation}<p class="review-notice">${this.escapeHtml(data.reviewNotice)}</p>`;
+            }
+        } catch (error) {
+            console.warn('Triage explanation unavailable:', error);
+        }
+    }
+
+    renderIngredientBreakdown(ingredients) {
+        const rows = ingredients.map(entry => {
+            const level = entry.safetyLevel ? entry.safetyLevel.toLowerCase() : 'unchecked';
+            return `<li><span class="ingredient-level ${level}">${this.escapeHtml(entry.safetyLevel || 'Unchecked')}</span><span><strong>${this.escapeHtml(entry.ingredient)}</strong>${entry.why ? ` — ${this.escapeHtml(entry.why)}` : ''}</span></li>`;
+        }).join('');
+        return `<ul class="ingredient-breakdown">${rows}</ul>`;
+    }
+
     async performComparison() {
         const item1 = document.getElementById('compareItem1').value.trim();
         const item2 = document.getElementById('compareItem2').value.trim();
@@ -2652,6 +3779,17 @@ END:VCALENDAR`;
         this.loadOBGYNContact();
     }
 
+    // Opens the emergency panel and keeps it highlighted after a
+    // go-to-Labor-&-Delivery triage result
+    surfaceEmergencyContacts() {
+        const widget = document.getElementById('emergencyWidget');
+        const panel = document.getElementById('emergencyPanel');
+        if (!widget || !panel) return;
+
+        widget.classList.add('emergency-alert');
+        panel.style.display = 'block';
+    }
+
     loadOBGYNContact() {
         try {
             const profile = JSON.parse(localStorage.getItem('pregnancyProfile') || '{}');
@@ -56,6 +56,12 @@ class BabyMonitor {
                         this.loadGrowthChart();
                     } else if (targetTab === 'vitals') {
                         this.loadVitalsChart();
+                    } else if (targetTab === 'sleep') {
+                        this.loadSleepSummary();
+                    } else if (targetTab === 'vaccinations') {
+                        this.loadVaccinations();
+                    } else if (targetTab === 'milestones') {
+                        this.loadMilestones();
                     }
                 }
             });
@@ -92,6 +98,18 @@ class BabyMonitor {
             e.preventDefault();
             await this.saveMedication();
         });
+        
+        // Vaccination form
+        document.getElementById('vaccinationForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveVaccination();
+        });
+        
+        // Sleep form starts or stops a session
+        document.getElementById('sleepForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.toggleSleep();
+        });
     }
     
     async loadDashboard() {
@@ -102,7 +120,7 @@ class BabyMonitor {
                 return;
             }
             
-            const response = await fetch(`/monitoring/dashboard/${this.babyId}`, {
+            const response = await fetch(`/monitoring/dashboard/${this.babyId}?timezoneOffset=${new Date().getTimezoneOffset()}`, {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
@@ -119,6 +137,9 @@ class BabyMonitor {
             
             const data = await response.json();
             this.monitoringData = data;
+            if (data.monitoring && !data.monitoring.timezone) {
+                await this.syncTimezone();
+            }
             
             // Update UI with dashboard data
             this.updateDashboard(data);
@@ -138,6 +159,7 @@ class BabyMonitor {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
+                    settings: { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone },
                     riskFactors: {},
                     alertThresholds: {
                         heartRate: { min: 100, max: 160 },
@@ -163,7 +185,13 @@ class BabyMonitor {
         // Update baby info
         if (data.baby) {
             document.getElementById('babyName').textContent = data.baby.name || 'Baby';
-            document.getElementById('babyAge').textContent = this.calculateAge(data.baby.birthDate);
+            let ageText = this.calculateAge(data.baby.birthDate);
+            if (data.age?.useCorrected) {
+                ageText += data.age.beforeTermEquivalent
+                    ? ` · ${data.age.postmenstrualWeeks} weeks postmenstrual`
+                    : ` · corrected ${data.age.corrected.weeks} weeks`;
+            }
+            document.getElementById('babyAge').textContent = ageText;
             
             // Update risk level
             const riskLevel = data.monitoring?.riskFactors?.developmentalRisk || 'low';
@@ -173,6 +201,9 @@ class BabyMonitor {
                                       riskLevel === 'moderate' ? '#ff9800' : '#4caf50';
         }
         
+        this.currentSleep = data.monitoring?.currentSleep || null;
+        this.updateSleepControls();
+        
         // Update vitals
         if (data.monitoring?.latestVitals) {
             const vitals = data.monitoring.latestVitals;
@@ -220,6 +251,7 @@ class BabyMonitor {
             
             document.getElementById('todayWet').textContent = wetCount;
             document.getElementById('todayDirty').textContent = dirtyCount;
+            this.updateHydration(data.monitoring.hydration);
         }
         
         // Update alerts
@@ -373,6 +405,12 @@ class BabyMonitor {
                 <p><strong>Frequency:</strong> ${med.frequency}</p>
                 <p><strong>Route:</strong> ${med.route}</p>
                 ${med.purpose ? `<p><strong>Purpose:</strong> ${med.purpose}</p>` : ''}
+                ${(med.doses || []).map(dose => `
+                    <p style="margin: 4px 0;">
+                        ${dose.time} · <span class="${this.getDoseClass(dose.status)}" style="text-transform: capitalize;">${dose.status}</span>
+                        ${dose.administeredAt ? `<small style="color: #999;">(${new Date(dose.administeredAt).toLocaleTimeString()})</small>` : ''}
+                    </p>
+                `).join('')}
                 <button onclick="logMedicationAdmin('${med._id}')" class="btn-primary" style="margin-top: 10px;">
                     Log Administration
                 </button>
@@ -381,6 +419,90 @@ class BabyMonitor {
         });
     }
 
+    getDoseClass(status) {
+        if (status === 'missed') return 'vital-critical';
+        if (status === 'due' || status === 'late' || status === 'skipped') return 'vital-warning';
+        return 'vital-normal';
+    }
+    
+    async logMedication(medicationId) {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/medication/${this.babyId}/${medicationId}/log`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ timestamp: new Date(), given: true, givenBy: 'User' })
+            });
+            
+            if (response.ok) {
+                const result = await response.json();
+                if (result.duplicateWarning) {
+                    this.showNotification(result.duplicateWarning.message, 'warning');
+                } else {
+                    this.showNotification('Dose logged', 'success');
+                }
+                await this.loadDashboard();
+            }
+        } catch (error) {
+            console.error('Error logging medication:', error);
+            this.showNotification('Error logging dose', 'error');
+        }
+    }
+    
+    async loadDose(drug, concentration) {
+        const result = document.getElementById('dosingResult');
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/dosing/${this.babyId}?drug=${drug}&concentration=${encodeURIComponent(concentration)}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                result.innerHTML = `<p class="vital-warning">${data.error}</p>`;
+                return;
+            }
+            
+            const warnings = data.warnings.map(warning => `<p class="vital-warning">${warning}</p>`).join('');
+            if (!data.allowed) {
+                result.innerHTML = `<p class="vital-critical">${data.reason}</p>`;
+                return;
+            }
+            result.innerHTML = `
+                <p><strong>${data.dose.ml} mL</strong> (${data.dose.mg} mg) for ${data.weightKg} kg</p>
+                <p>Every ${data.dose.everyHours[0]}–${data.dose.everyHours[1]} hours, no more than ${data.dose.maxDosesPerDay} doses or ${data.dose.maxDailyMg} mg in 24 hours</p>
+                <p>Last 24 hours: ${data.last24h.doses} dose(s), ${data.last24h.mg} mg</p>
+                <p class="${data.canGiveNow ? 'vital-normal' : 'vital-critical'}"><strong>${data.canGiveNow ? 'OK to give now' : 'Do not give now'}</strong></p>
+                ${warnings}
+                <small style="color: #999;">${data.disclaimer}</small>
+            `;
+        } catch (error) {
+            console.error('Error calculating dose:', error);
+            this.showNotification('Error calculating dose', 'error');
+        }
+    }
+    
+    // Reminders are scheduled in the baby's timezone; default it to this browser's
+    async syncTimezone() {
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (!timezone) return;
+        try {
+            const token = localStorage.getItem('authToken');
+            await fetch(`/monitoring/settings/${this.babyId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ timezone })
+            });
+        } catch (error) {
+            console.error('Error saving timezone:', error);
+        }
+    }
+
     updateNotes(notes) {
         const notesList = document.getElementById('notesList');
         if (!notesList) return;
@@ -514,7 +636,8 @@ class BabyMonitor {
             };
             
             const token = localStorage.getItem('authToken');
-            const response = await fetch(`/monitoring/diaper/${this.babyId}`, {
+            const offset = new Date().getTimezoneOffset();
+            const response = await fetch(`/monitoring/diaper/${this.babyId}?timezoneOffset=${offset}`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -524,7 +647,15 @@ class BabyMonitor {
             });
             
             if (response.ok) {
+                const result = await response.json();
                 this.showNotification('Diaper change logged successfully', 'success');
+                
+                if (result.alerts && result.alerts.length > 0) {
+                    result.alerts.forEach(alert => {
+                        this.showNotification(`Alert: ${alert.message}`, alert.severity);
+                    });
+                }
+
                 this.closeModal('diaperModal');
                 document.getElementById('diaperForm').reset();
                 await this.loadDashboard();
@@ -589,6 +720,278 @@ class BabyMonitor {
         }
     }
     
+    updateHydration(hydration) {
+        const element = document.getElementById('hydrationStatus');
+        if (!hydration) {
+            element.textContent = '--';
+            return;
+        }
+        const labels = { ok: 'On track', watch: 'Watch', low: 'Low' };
+        element.textContent = `${labels[hydration.status]} · ${hydration.wetCount}/${hydration.expectedWet} wet in 24h`;
+        element.className = hydration.status === 'low' ? 'vital-value vital-critical' :
+                            hydration.status === 'watch' ? 'vital-value vital-warning' : 'vital-value vital-normal';
+        element.title = hydration.concerns.map(concern => concern.message).join('\n');
+        document.getElementById('lastWetDiaper').textContent = hydration.hoursSinceLastWet === null
+            ? 'No wet diapers logged yet'
+            : `Last wet diaper ${hydration.hoursSinceLastWet} h ago`;
+    }
+    
+    updateSleepControls() {
+        const sleeping = !!this.currentSleep;
+        const label = sleeping ? 'Stop Sleep' : 'Start Sleep';
+        document.getElementById('sleepActionLabel').textContent = label;
+        document.getElementById('sleepModalTitle').textContent = label;
+        document.getElementById('sleepSubmitBtn').textContent = label;
+        document.getElementById('sleepQualityGroup').style.display = sleeping ? 'block' : 'none';
+        if (sleeping && this.currentSleep.location) {
+            document.getElementById('sleepLocation').value = this.currentSleep.location;
+        }
+    }
+    
+    async toggleSleep() {
+        try {
+            const sleeping = !!this.currentSleep;
+            const location = document.getElementById('sleepLocation').value;
+            const body = { notes: document.getElementById('sleepNotes').value || undefined };
+            if (sleeping) {
+                body.quality = document.getElementById('sleepQuality').value;
+                if (location !== this.currentSleep.location) body.location = location;
+            } else {
+                body.location = location;
+            }
+            
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/sleep/${this.babyId}/${sleeping ? 'stop' : 'start'}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.error || 'Error saving sleep', 'error');
+                return;
+            }
+            
+            this.showNotification(sleeping ? 'Sleep session ended' : 'Sleep session started', 'success');
+            if (result.safeSleepWarning) {
+                this.showNotification(result.safeSleepWarning.message, 'error');
+            }
+            this.closeModal('sleepModal');
+            document.getElementById('sleepForm').reset();
+            await this.loadDashboard();
+        } catch (error) {
+            console.error('Error saving sleep:', error);
+            this.showNotification('Error saving sleep', 'error');
+        }
+    }
+    
+    async loadVaccinations() {
+        const container = document.getElementById('vaccinationSummary');
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/vaccinations/${this.babyId}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                container.innerHTML = `<p style="color: #999;">${data.error}</p>`;
+                return;
+            }
+            
+            const formatDate = (date) => date ? new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' }) : '';
+            const statusClass = {
+                overdue: 'vital-critical',
+                due: 'vital-warning',
+                given: 'vital-normal'
+            };
+            container.innerHTML = `
+                <p style="color: #666;">${data.schedule.name}</p>
+                <table style="width: 100%;">
+                    <tr><th>Vaccine</th><th>Dose</th><th>Status</th><th>Given</th><th>Due by</th></tr>
+                    ${data.vaccines.flatMap(vaccine => vaccine.doses.map(dose => `
+                        <tr>
+                            <td>${vaccine.name}</td>
+                            <td>${dose.dose}</td>
+                            <td class="${statusClass[dose.status] || ''}" style="text-transform: capitalize;">${dose.status.replace('-', ' ')}</td>
+                            <td>${formatDate(dose.givenOn)}</td>
+                            <td>${formatDate(dose.dueBy)}</td>
+                        </tr>
+                    `)).join('')}
+                </table>
+                ${data.vaccines.flatMap(vaccine => vaccine.invalidDoses.map(entry => `
+                    <p class="vital-warning">${vaccine.name} on ${formatDate(entry.date)} not counted: ${entry.reason}</p>
+                `)).join('')}
+                ${data.unrecognized.map(entry => `
+                    <p style="color: #999;">"${entry.name}" is not in this schedule</p>
+                `).join('')}
+                ${data.seasonal.map(entry => `<p style="color: #666;"><strong>${entry.name}:</strong> ${entry.note}</p>`).join('')}
+            `;
+        } catch (error) {
+            console.error('Error loading vaccinations:', error);
+            container.innerHTML = '<p style="color: #999;">Unable to load vaccinations</p>';
+        }
+    }
+    
+    async saveVaccination() {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/vaccinations/${this.babyId}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name: document.getElementById('vaccineName').value,
+                    date: document.getElementById('vaccineDate').value
+                })
+            });
+            const result = await response.json();
+            
+            if (response.ok) {
+                this.showNotification(result.recognized ? 'Vaccine recorded' : 'Vaccine recorded, but it is not in the schedule', result.recognized ? 'success' : 'warning');
+                document.getElementById('vaccinationForm').reset();
+                await this.loadVaccinations();
+            } else {
+                this.showNotification(result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error saving vaccination:', error);
+            this.showNotification('Error saving vaccination', 'error');
+        }
+    }
+    
+    async loadMilestones() {
+        const container = document.getElementById('milestonesList');
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/milestones/${this.babyId}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                container.innerHTML = `<p style="color: #999;">${data.error}</p>`;
+                return;
+            }
+            
+            const statusClass = {
+                overdue: 'vital-warning',
+                achieved: 'vital-normal'
+            };
+            // Past checklists and the next one; later ones would only be noise
+            const checklists = data.checklists.filter(checklist =>
+                data.nextChecklistMonths === null || checklist.ageMonths <= data.nextChecklistMonths);
+            container.innerHTML = `
+                <p style="color: #666;">
+                    Age ${data.ageMonths} months${data.corrected ? ' (corrected)' : ''}.
+                    ${data.overdue.length > 0 ? `<span class="vital-warning">${data.overdue.length} not yet reached: worth mentioning at the next checkup.</span>` : ''}
+                </p>
+                <button class="btn-primary" onclick="exportMilestoneSummary()">Summary for pediatrician (PDF)</button>
+                ${checklists.reverse().map(checklist => `
+                    <h4>${checklist.ageMonths} months</h4>
+                    ${checklist.milestones.map(milestone => `
+                        <div class="milestone-item">
+                            <input type="checkbox" id="milestone-${milestone.id}"
+                                ${milestone.status === 'achieved' ? 'checked' : ''}
+                                onchange="toggleMilestone('${milestone.id}', this.checked)">
+                            <label for="milestone-${milestone.id}" class="${statusClass[milestone.status] || ''}">
+                                ${milestone.text} <small style="color: #999;">${milestone.category}</small>
+                                ${milestone.achievedDate ? `<small>(${new Date(milestone.achievedDate).toLocaleDateString()})</small>` : ''}
+                            </label>
+                        </div>
+                    `).join('')}
+                `).join('')}
+                <p style="color: #999;"><small>${data.catalog.notes}</small></p>
+            `;
+        } catch (error) {
+            console.error('Error loading milestones:', error);
+            container.innerHTML = '<p style="color: #999;">Unable to load milestones</p>';
+        }
+    }
+    
+    async toggleMilestone(milestoneId, achieved) {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(achieved
+                ? `/monitoring/milestones/${this.babyId}`
+                : `/monitoring/milestones/${this.babyId}/${milestoneId}`, {
+                method: achieved ? 'POST' : 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: achieved ? JSON.stringify({ milestoneId }) : undefined
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.error, 'error');
+            }
+            await this.loadMilestones();
+        } catch (error) {
+            console.error('Error saving milestone:', error);
+            this.showNotification('Error saving milestone', 'error');
+        }
+    }
+    
+    async loadSleepSummary() {
+        const container = document.getElementById('sleepSummary');
+        try {
+            const token = localStorage.getItem('authToken');
+            const offset = new Date().getTimezoneOffset();
+            const response = await fetch(`/monitoring/sleep/${this.babyId}?days=7&timezoneOffset=${offset}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            if (!response.ok) throw new Error('Failed to load sleep');
+            const summary = await response.json();
+            
+            const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+            const week = summary.weekly[summary.weekly.length - 1];
+            const comparison = summary.comparison;
+            const statusText = {
+                below: 'less than recommended',
+                within: 'within the recommended range',
+                above: 'more than recommended'
+            };
+            
+            container.innerHTML = `
+                ${comparison ? `
+                    <p><strong>${comparison.averageHoursPerDay} h/day</strong> on average, ${statusText[comparison.status]}
+                    (${comparison.recommendedHours[0]}–${comparison.recommendedHours[1]} h for ${comparison.ageGroup}).</p>
+                ` : ''}
+                ${week ? `
+                    <div class="vital-sign"><span>Night sleep (avg)</span><span class="vital-value">${week.averageNightHours} h</span></div>
+                    <div class="vital-sign"><span>Naps (avg)</span><span class="vital-value">${week.averageNapHours} h</span></div>
+                ` : ''}
+                <div class="vital-sign"><span>Longest stretch</span><span class="vital-value">${formatMinutes(summary.longestStretchMinutes)}</span></div>
+                <table style="width: 100%; margin-top: 15px;">
+                    <tr><th>Day</th><th>Total</th><th>Night</th><th>Naps</th><th>Longest</th></tr>
+                    ${summary.daily.slice().reverse().map((day) => `
+                        <tr>
+                            <td>${new Date(`${day.date}T12:00:00`).toLocaleDateString()}${day.partial ? ' (so far)' : ''}</td>
+                            <td>${formatMinutes(day.totalMinutes)}</td>
+                            <td>${formatMinutes(day.nightMinutes)}</td>
+                            <td>${formatMinutes(day.napMinutes)}</td>
+                            <td>${formatMinutes(day.longestStretchMinutes)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading sleep summary:', error);
+            container.textContent = 'Error loading sleep data';
+        }
+    }
+    
     async saveMedication() {
         try {
             const medication = {
@@ -598,6 +1001,11 @@ class BabyMonitor {
                 route: document.getElementById('medRoute').value,
                 purpose: document.getElementById('medPurpose').value,
                 prescribedBy: document.getElementById('medPrescriber').value,
+                reminders: document.getElementById('medReminders').value
+                    .split(',')
+                    .map(time => time.trim())
+                    .filter(Boolean)
+                    .map(time => ({ time, enabled: true })),
                 startDate: new Date()
             };
             
@@ -651,7 +1059,8 @@ class BabyMonitor {
             feeding: '🍼',
             medication: '💊',
             milestone: '🎯',
-            appointment: '📅'
+            appointment: '📅',
+            diaper: '🧷'
         };
         return icons[type] || '⚠️';
     }
@@ -694,43 +1103,96 @@ class BabyMonitor {
         const chartCanvas = document.getElementById('growthChart');
         if (!chartCanvas) return;
 
-        const growth = this.monitoringData?.monitoring?.recentGrowth || [];
-        if (!growth.length) return;
+        const note = document.getElementById('growthChartNote');
+        const select = document.getElementById('growthIndicator');
+        if (select && !select.dataset.bound) {
+            select.dataset.bound = 'true';
+            select.addEventListener('change', () => this.loadGrowthChart());
+        }
+        const indicator = select ? select.value : 'weight-for-age';
+
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`/monitoring/growth-chart/${this.babyId}?indicator=${indicator}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const chart = await response.json();
+            if (!response.ok) {
+                if (note) note.textContent = chart.error || 'Growth chart unavailable';
+                return;
+            }
+
+            if (note) {
+                note.textContent = chart.available
+                    ? `${chart.label} (${chart.sources.map((source) => source.source).join(', ')}), P3–P97`
+                    : `${chart.label} reference data is not installed yet`;
+                if (chart.age?.chart === 'fenton' && chart.scale === 'age') {
+                    note.textContent += ' · Fenton preterm chart not installed, plotted at corrected age';
+                }
+            }
 
-        const labels = growth.map((entry) => new Date(entry.date).toLocaleDateString());
-        const weightData = growth.map((entry) => entry.weight?.value ?? null);
-        const lengthData = growth.map((entry) => entry.length?.value ?? null);
+            if (this.charts.growthChart) {
+                this.charts.growthChart.destroy();
+            }
 
-        if (this.charts.growthChart) {
-            this.charts.growthChart.destroy();
-        }
+            const axisTitles = {
+                cm: 'Length (cm)',
+                weeks: 'Postmenstrual age (weeks)',
+                months: chart.age?.useCorrected ? 'Corrected age (months)' : 'Age (months)'
+            };
+            const lines = ['p3', 'p10', 'p25', 'p50', 'p75', 'p90', 'p97'];
+            const datasets = lines.map((line) => ({
+                label: line.toUpperCase(),
+                data: chart.curves.map((point) => ({ x: point.x, y: point[line] })),
+                borderColor: line === 'p50' ? '#9e9e9e' : '#e0e0e0',
+                borderWidth: line === 'p50' ? 2 : 1,
+                pointRadius: 0,
+                fill: false
+            }));
+            datasets.push({
+                label: 'Baby',
+                data: chart.points.map((point) => ({ x: point.x, y: point.value, percentile: point.percentile })),
+                borderColor: '#4caf50',
+                backgroundColor: '#4caf50',
+                pointRadius: 4,
+                showLine: true
+            });
 
-        this.charts.growthChart = new Chart(chartCanvas, {
-            type: 'line',
-            data: {
-                labels,
-                datasets: [
-                    {
-                        label: 'Weight',
-                        data: weightData,
-                        borderColor: '#4caf50',
-                        backgroundColor: 'rgba(76, 175, 80, 0.2)',
-                        spanGaps: true
+            this.charts.growthChart = new Chart(chartCanvas, {
+                type: 'line',
+                data: { datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            title: { display: true, text: axisTitles[chart.xUnit] }
+                        },
+                        y: {
+                            title: { display: true, text: chart.unit }
+                        }
                     },
-                    {
-                        label: 'Length',
-                        data: lengthData,
-                        borderColor: '#2196f3',
-                        backgroundColor: 'rgba(33, 150, 243, 0.2)',
-                        spanGaps: true
+                    plugins: {
+                        tooltip: {
+                            callbacks: {
+                                label: (context) => {
+                                    const percentile = context.raw.percentile;
+                                    return percentile != null
+                                        ? `${context.dataset.label}: ${context.raw.y} ${chart.unit} (P${percentile})`
+                                        : `${context.dataset.label}: ${context.raw.y} ${chart.unit}`;
+                                }
+                            }
+                        }
                     }
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false
-            }
-        });
+                }
+            });
+        } catch (error) {
+            console.error('Error loading growth chart:', error);
+            if (note) note.textContent = 'Error loading growth chart';
+        }
     }
     
     async loadVitalsChart() {
@@ -877,6 +1339,73 @@ async function acknowledgeAlert(alertId) {
     }
 }
 
+async function calculateDose() {
+    const [drug, concentration] = document.getElementById('dosingConcentration').value.split('|');
+    await window.babyMonitor.loadDose(drug, concentration);
+}
+
+async function logMedicationAdmin(medicationId) {
+    await window.babyMonitor.logMedication(medicationId);
+}
+
+async function exportVaccinations(format) {
+    try {
+        const monitor = window.babyMonitor;
+        const token = localStorage.getItem('authToken');
+        
+        const response = await fetch(`/monitoring/vaccinations/${monitor.babyId}/export?format=${format}`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        
+        if (response.ok) {
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `vaccinations-${monitor.babyId}.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            a.remove();
+        }
+    } catch (error) {
+        console.error('Error exporting vaccinations:', error);
+    }
+}
+
+async function toggleMilestone(milestoneId, achieved) {
+    await window.babyMonitor.toggleMilestone(milestoneId, achieved);
+}
+
+async function exportMilestoneSummary() {
+    try {
+        const monitor = window.babyMonitor;
+        const token = localStorage.getItem('authToken');
+        
+        const response = await fetch(`/monitoring/milestones/${monitor.babyId}/summary?format=pdf`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        
+        if (response.ok) {
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `milestones-${monitor.babyId}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            a.remove();
+        }
+    } catch (error) {
+        console.error('Error exporting milestone summary:', error);
+    }
+}
+
 async function exportData() {
     try {
         const monitor = window.babyMonitor;
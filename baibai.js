@@ -102,6 +102,8 @@ class BaibaiDoula {
             this.activeBabyId = e.target.value;
             localStorage.setItem('activeBabyId', this.activeBabyId);
         });
+        
+        document.getElementById('milestoneBabySelect').addEventListener('change', () => this.loadMilestones());
     }
     
     async loadBabyProfiles() {
@@ -148,7 +150,7 @@ class BaibaiDoula {
             <div class="baby-profile-card" data-baby-id="${baby.id}">
                 <div class="baby-info">
                     <h3>${baby.name}</h3>
-                    <p>Age: ${this.calculateAge(baby.birthDate)}</p>
+                    <p>Age: ${this.describeAge(baby)}</p>
                     <p>Born: ${new Date(baby.birthDate).toLocaleDateString()}</p>
                     ${baby.weight ? `<p>Weight: ${baby.weight.value} ${baby.weight.unit}</p>` : ''}
                     ${baby.length ? `<p>Length: ${baby.length.value} ${baby.length.unit}</p>` : ''}
@@ -167,7 +169,7 @@ class BaibaiDoula {
         
         const options = '<option value="">Select baby profile...</option>' + 
             this.babyProfiles.map(baby => 
-                `<option value="${baby.id}">${baby.name} (${this.calculateAge(baby.birthDate)})</option>`
+                `<option value="${baby.id}">${baby.name} (${this.describeAge(baby)})</option>`
             ).join('');
         
         activeBabySelect.innerHTML = options;
@@ -193,6 +195,20 @@ class BaibaiDoula {
         }
     }
     
+    // Chronological age, plus the corrected age while it is in use
+    describeAge(baby) {
+        const age = this.calculateAge(baby.birthDate);
+        const info = baby.ageInfo;
+        if (!info || !info.useCorrected) {
+            return age;
+        }
+        if (info.beforeTermEquivalent) {
+            return `${age}, ${info.postmenstrualWeeks} weeks postmenstrual`;
+        }
+        const correctedBirth = new Date(Date.now() - info.corrected.days * 24 * 60 * 60 * 1000);
+        return `${age}, corrected ${this.calculateAge(correctedBirth)}`;
+    }
+    
     showBabyForm(babyId = null) {
         const form = document.getElementById('babyProfileForm');
         const formTitle = document.getElementById('formTitle');
@@ -204,6 +220,7 @@ class BaibaiDoula {
                 document.getElementById('baby-name').value = baby.name || '';
                 document.getElementById('birth-date').value = baby.birthDate ? baby.birthDate.split('T')[0] : '';
                 document.getElementById('baby-gender').value = baby.gender || '';
+                document.getElementById('gestational-age-at-birth').value = baby.gestationalAgeAtBirth || '';
                 // Load other fields...
                 form.dataset.editId = babyId;
             }
@@ -233,6 +250,7 @@ class BaibaiDoula {
             name: document.getElementById('baby-name').value,
             birthDate: document.getElementById('birth-date').value,
             gender: document.getElementById('baby-gender').value,
+            gestationalAgeAtBirth: parseFloat(document.getElementById('gestational-age-at-birth').value) || null,
             weight: {
                 value: parseFloat(document.getElementById('baby-weight').value) || null,
                 unit: document.getElementById('weight-unit').value
@@ -354,7 +372,7 @@ class BaibaiDoula {
         } catch (error) {
             console.error('Error:', error);
             
-            if (error.message.includes('Daily limit reached')) {
+            if (error.requiresUpgrade) {
                 this.showUpgradePrompt();
             } else {
                 this.showError('Failed to check safety. Please try again.');
@@ -390,7 +408,9 @@ class BaibaiDoula {
         
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Server Error: ${response.status}`);
+            const requestError = new Error(errorData.error || `Server Error: ${response.status}`);
+            requestError.requiresUpgrade = !!errorData.requiresUpgrade;
+            throw requestError;
         }
         
         return await response.json();
@@ -415,7 +435,9 @@ class BaibaiDoula {
         
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Server Error: ${response.status}`);
+            const requestError = new Error(errorData.error || `Server Error: ${response.status}`);
+            requestError.requiresUpgrade = !!errorData.requiresUpgrade;
+            throw requestError;
         }
         
         return await response.json();
@@ -437,9 +459,11 @@ class BaibaiDoula {
         safetyBadge.textContent = safetyLevel.text;
         safetyBadge.className = `safety-badge ${safetyLevel.class}`;
         
-        const riskScore = data.riskScore || 5;
-        riskIndicator.textContent = riskScore;
-        const position = ((riskScore - 1) / 9) * 100;
+        const riskScore = data.riskScore ?? null;
+        // No score when the AI reply could not be validated against the schema
+        const hasScore = Number.isInteger(riskScore);
+        riskIndicator.textContent = hasScore ? riskScore : '?';
+        const position = hasScore ? ((riskScore - 1) / 9) * 100 : 50;
         riskIndicator.style.left = `calc(${position}% - 25px)`;
         
         const color = this.getRiskColor(riskScore);
@@ -447,7 +471,10 @@ class BaibaiDoula {
         riskIndicator.style.color = color;
         
         // Set safety verdict for babies
-        if (riskScore <= 2) {
+        if (!hasScore) {
+            safetyVerdict.textContent = '❔ UNABLE TO SCORE - Read the details below and check with your provider';
+            safetyVerdict.className = 'safety-verdict caution';
+        } else if (riskScore <= 2) {
             safetyVerdict.textContent = '✅ VERY SAFE - This is considered very safe for babies';
             safetyVerdict.className = 'safety-verdict safe';
         } else if (riskScore <= 4) {
@@ -500,6 +527,8 @@ class BaibaiDoula {
     }
     
     getRiskColor(score) {
+        // Unscored results render grey rather than borrowing the "very safe" green
+        if (!Number.isInteger(score)) return '#9E9E9E';
         if (score <= 3) return '#22c55e';
         if (score <= 6) return '#f59e0b';
         return '#ef4444';
@@ -651,7 +680,7 @@ class BaibaiDoula {
                     <div class="history-content">
                         <strong>${item.item}</strong>
                         ${baby ? `<span class="baby-tag">${baby.name}</span>` : ''}
-                        <span class="risk-score">Risk: ${item.riskScore}/10</span>
+                        <span class="risk-score">Risk: ${item.riskScore ?? '?'}/10</span>
                     </div>
                     <div class="history-date">${date.toLocaleDateString()} ${date.toLocaleTimeString()}</div>
                 </div>
@@ -667,7 +696,7 @@ class BaibaiDoula {
         }
     }
     
-    loadMilestones() {
+    async loadMilestones() {
         const select = document.getElementById('milestoneBabySelect');
         const content = document.getElementById('milestonesContent');
         
@@ -679,39 +708,72 @@ class BaibaiDoula {
         const baby = this.babyProfiles.find(b => b.id === select.value);
         if (!baby) return;
         
-        const ageMonths = this.getAgeInMonths(baby.birthDate);
-        
-        const milestones = this.getMilestonesForAge(ageMonths);
-        
-        content.innerHTML = `
-            <h3>Milestones for ${baby.name} (${this.calculateAge(baby.birthDate)})</h3>
-            <div class="milestones-list">
-                ${milestones.map(milestone => `
-                    <div class="milestone-item">
-                        <input type="checkbox" id="milestone-${milestone.id}" 
-                            ${baby.developmentalMilestones?.find(m => m.milestone === milestone.text)?.achieved ? 'checked' : ''}>
-                        <label for="milestone-${milestone.id}">${milestone.text}</label>
+        // Milestones are kept with the baby's monitoring profile, checked
+        // against corrected age for preterm babies
+        const authToken = localStorage.getItem('authToken');
+        try {
+            const response = await fetch(`/monitoring/milestones/${baby.id}`, {
+                headers: {
+                    'Authorization': `Bearer ${authToken}`
+                }
+            });
+            const data = await response.json();
+            if (response.status === 404) {
+                content.innerHTML = `<p>Set up <a href="/baby-monitor.html?babyId=${baby.id}">baby monitoring</a> for ${baby.name} to track milestones.</p>`;
+                return;
+            }
+            if (!response.ok) {
+                content.innerHTML = `<p>${data.error}</p>`;
+                return;
+            }
+            
+            const checklists = data.checklists.filter(checklist =>
+                data.nextChecklistMonths === null || checklist.ageMonths <= data.nextChecklistMonths);
+            content.innerHTML = `
+                <h3>Milestones for ${baby.name} (${this.describeAge(baby)})</h3>
+                ${data.overdue.length > 0 ? `<p>${data.overdue.length} milestones most children reach by now aren't checked yet. Mention them at the next checkup.</p>` : ''}
+                ${checklists.reverse().map(checklist => `
+                    <h4>By ${checklist.ageMonths} months</h4>
+                    <div class="milestones-list">
+                        ${checklist.milestones.map(milestone => `
+                            <div class="milestone-item">
+                                <input type="checkbox" id="milestone-${milestone.id}"
+                                    ${milestone.status === 'achieved' ? 'checked' : ''}
+                                    onchange="baibaiApp.toggleMilestone('${baby.id}', '${milestone.id}', this.checked)">
+                                <label for="milestone-${milestone.id}">${milestone.text}</label>
+                            </div>
+                        `).join('')}
                     </div>
                 `).join('')}
-            </div>
-        `;
-    }
-    
-    getMilestonesForAge(ageMonths) {
-        const milestones = [
-            { age: 2, text: 'Smiles at people', id: 'smile' },
-            { age: 2, text: 'Can briefly calm self', id: 'calm' },
-            { age: 4, text: 'Holds head steady', id: 'head' },
-            { age: 4, text: 'Coos, makes gurgling sounds', id: 'coo' },
-            { age: 6, text: 'Rolls over in both directions', id: 'roll' },
-            { age: 6, text: 'Begins to sit without support', id: 'sit' },
-            { age: 9, text: 'Stands, holding on', id: 'stand' },
-            { age: 9, text: 'Says "mama" and "dada"', id: 'words' },
-            { age: 12, text: 'Walks alone', id: 'walk' },
-            { age: 12, text: 'Says several single words', id: 'talk' }
-        ];
-        
-        return milestones.filter(m => m.age <= ageMonths + 3);
+            `;
+        } catch (error) {
+            console.error('Error loading milestones:', error);
+            content.innerHTML = '<p>Unable to load milestones</p>';
+        }
+    }
+    
+    async toggleMilestone(babyId, milestoneId, achieved) {
+        const authToken = localStorage.getItem('authToken');
+        try {
+            const response = await fetch(achieved
+                ? `/monitoring/milestones/${babyId}`
+                : `/monitoring/milestones/${babyId}/${milestoneId}`, {
+                method: achieved ? 'POST' : 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${authToken}`
+                },
+                body: achieved ? JSON.stringify({ milestoneId }) : undefined
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                this.showError(data.error || 'Failed to save milestone');
+            }
+        } catch (error) {
+            console.error('Error saving milestone:', error);
+            this.showError('Failed to save milestone');
+        }
+        await this.loadMilestones();
     }
     
     showLoading(show) {
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
@@ -41,30 +42,68 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
-// Check if user has premium subscription
-const requirePremium = async (req, res, next) => {
-    try {
-        if (!req.user) {
-            return res.status(401).json({ error: 'Please authenticate' });
-        }
+// Attach req.user when a valid token is present, otherwise continue as a
+// trial user. A token that no longer works is flagged with
+// X-Auth-Status: invalid so the client can ask the user to log in again.
+const optionalAuth = async (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '') ||
+                 req.session?.token;
 
-        if (!req.user.isPremium) {
-            // Check if user has free searches remaining
-            const hasFreebies = await req.user.checkDailyLimit();
-            
-            if (!hasFreebies) {
-                return res.status(403).json({ 
-                    error: 'Daily limit reached',
-                    message: 'You have used all 3 free searches today. Upgrade to premium for unlimited searches!',
-                    requiresPayment: true
-                });
-            }
+    if (token) {
+        let user = null;
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            user = await User.findById(decoded.userId);
+        } catch (authError) {
+            user = null;
+        }
+        if (user) {
+            req.user = user;
+            req.userId = user._id.toString();
+            req.token = token;
+        } else {
+            res.setHeader('X-Auth-Status', 'invalid');
         }
+    }
 
-        next();
-    } catch (error) {
-        res.status(500).json({ error: 'Server error' });
+    next();
+};
+
+// Premium-only features; metered features use requireEntitlement instead
+const requirePremium = async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please authenticate' });
+    }
+
+    if (!req.user.isPremium) {
+        return res.status(403).json({
+            error: 'Premium subscription required',
+            message: 'Upgrade to premium to unlock this feature!',
+            requiresPayment: true
+        });
+    }
+
+    next();
+};
+
+// Operator-only endpoints: X-Admin-Token header must match ADMIN_TOKEN
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const provided = req.header('X-Admin-Token') || req.body?.adminToken;
+
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin access not configured' });
     }
+    // Compare byte lengths: a multibyte header can match the token's
+    // character count and still make timingSafeEqual throw
+    const providedBytes = typeof provided === 'string' ? Buffer.from(provided) : null;
+    const adminBytes = Buffer.from(adminToken);
+    if (!providedBytes || providedBytes.length !== adminBytes.length ||
+        !crypto.timingSafeEqual(providedBytes, adminBytes)) {
+        return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    next();
 };
 
-module.exports = { verifyToken, requirePremium };
\ No newline at end of file
+module.exports = { verifyToken, optionalAuth, requirePremium, requireAdmin };
\ No newline at end of file
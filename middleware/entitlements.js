@@ -0,0 +1,67 @@
+const entitlements = require('../services/entitlements');
+
+// Checks the caller's quota for a feature before the handler runs and sets
+// X-RateLimit-* headers. Handlers call `await req.entitlement.charge()` once
+// they have a successful answer, so failed or unusable answers are free.
+// Expects req.user to be set already (verifyToken or optionalAuth).
+//
+// Saved users take the use atomically up front and get it back when the
+// response closes uncharged, so parallel requests can't go over the limit.
+const requireEntitlement = (feature) => (req, res, next) => {
+    const subject = { user: req.user, session: req.session };
+    const quota = entitlements.getQuota(subject, feature);
+    entitlements.setQuotaHeaders(res, quota);
+
+    if (!entitlements.hasQuota(quota)) {
+        return res.status(403).json(entitlements.quotaExceededBody(quota));
+    }
+    if (entitlements.canReserve(subject)) {
+        return reserve(req, res, next, subject, feature);
+    }
+
+    let charged = false;
+    req.entitlement = {
+        quota,
+        charge: async () => {
+            if (charged) return req.entitlement.quota;
+            charged = true;
+            req.entitlement.quota = await entitlements.recordUsage(subject, feature);
+            if (!res.headersSent) {
+                entitlements.setQuotaHeaders(res, req.entitlement.quota);
+            }
+            return req.entitlement.quota;
+        }
+    };
+    next();
+};
+
+async function reserve(req, res, next, subject, feature) {
+    try {
+        const reserved = await entitlements.reserveUsage(subject, feature);
+        if (!reserved) {
+            const quota = { ...entitlements.getQuota(subject, feature), remaining: 0 };
+            entitlements.setQuotaHeaders(res, quota);
+            return res.status(403).json(entitlements.quotaExceededBody(quota));
+        }
+        entitlements.setQuotaHeaders(res, reserved.quota);
+
+        let charged = false;
+        res.once('close', () => {
+            if (charged) return;
+            entitlements.releaseUsage(subject, feature, reserved.period)
+                .catch((error) => console.error('Failed to release unused quota:', error.message));
+        });
+        req.entitlement = {
+            quota: reserved.quota,
+            charge: async () => {
+                charged = true;
+                return req.entitlement.quota;
+            }
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { requireEntitlement };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Prenatal visits, scans and screenings. `source` says whether the user
+// entered it or it was generated from the timeline (see
+// services/appointmentPlan.js); regenerating only replaces generated entries.
+const APPOINTMENT_TYPES = ['prenatal-visit', 'ultrasound', 'screening', 'lab', 'vaccine', 'specialist', 'other'];
+const APPOINTMENT_STATUSES = ['scheduled', 'completed', 'cancelled'];
+const APPOINTMENT_SOURCES = ['manual', 'cadence', 'screening'];
+
+const appointmentSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true },
+    type: { type: String, enum: APPOINTMENT_TYPES, default: 'prenatal-visit' },
+    startsAt: { type: Date, required: true },
+    endsAt: Date,
+    allDay: { type: Boolean, default: false },
+    location: String,
+    provider: String,
+    notes: String,
+    status: { type: String, enum: APPOINTMENT_STATUSES, default: 'scheduled' },
+    source: { type: String, enum: APPOINTMENT_SOURCES, default: 'manual' },
+    gestationalWeek: Number,
+    screeningId: String
+}, { timestamps: true });
+
+appointmentSchema.index({ userId: 1, startsAt: 1 });
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
+module.exports.APPOINTMENT_TYPES = APPOINTMENT_TYPES;
+module.exports.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
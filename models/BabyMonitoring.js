@@ -20,22 +20,37 @@ const growthMeasurementSchema = new mongoose.Schema({
     weight: {
         value: Number,
         unit: { type: String, enum: ['kg', 'lbs', 'g'], default: 'kg' },
-        percentile: Number
+        percentile: Number,
+        zScore: Number
     },
     length: {
         value: Number,
         unit: { type: String, enum: ['cm', 'inches'], default: 'cm' },
-        percentile: Number
+        percentile: Number,
+        zScore: Number
     },
     headCircumference: {
         value: Number,
         unit: { type: String, enum: ['cm', 'inches'], default: 'cm' },
-        percentile: Number
+        percentile: Number,
+        zScore: Number
+    },
+    // Derived on save from weight and length (kg/m²)
+    bmi: {
+        value: Number,
+        percentile: Number,
+        zScore: Number
+    },
+    weightForLength: {
+        percentile: Number,
+        zScore: Number
     },
     adjustedAge: {
         weeks: Number,
         days: Number
     },
+    ageMonths: Number, // age the percentiles were read at (corrected if preterm)
+    postmenstrualAge: Number, // weeks, when gestational age at birth is known
     measuredBy: String,
     notes: String
 });
@@ -80,12 +95,15 @@ const medicationSchema = new mongoose.Schema({
     purpose: String,
     prescribedBy: String,
     reminders: [{
-        time: String, // "09:00", "21:00"
+        time: String, // "09:00", "21:00" in settings.timezone
         enabled: { type: Boolean, default: true }
     }],
+    graceMinutes: Number, // a dose is missed this long after it was due (default 60)
+    minIntervalHours: Number, // closer doses warn as possible duplicates
     administrationLog: [{
-        timestamp: Date,
+        timestamp: { type: Date, default: Date.now },
         given: Boolean,
+        doseMg: Number,
         givenBy: String,
         notes: String
     }]
@@ -95,7 +113,7 @@ const alertSchema = new mongoose.Schema({
     timestamp: { type: Date, default: Date.now },
     type: { 
         type: String, 
-        enum: ['vital', 'growth', 'feeding', 'medication', 'milestone', 'appointment'],
+        enum: ['vital', 'growth', 'feeding', 'medication', 'milestone', 'appointment', 'sleep', 'diaper'],
         required: true 
     },
     severity: { 
@@ -159,12 +177,13 @@ const babyMonitoringSchema = new mongoose.Schema({
         startTime: Date,
         endTime: Date,
         quality: { type: String, enum: ['good', 'fair', 'poor'] },
-        location: String, // 'crib', 'bassinet', 'parent bed'
+        location: String, // see LOCATIONS in services/babySleep.js
         notes: String
     }],
     
     // Developmental milestones (adjusted for corrected age)
     milestones: [{
+        milestoneId: String, // id in data/developmental-milestones.json
         category: { 
             type: String, 
             enum: ['motor', 'cognitive', 'language', 'social'] 
@@ -226,6 +245,7 @@ const babyMonitoringSchema = new mongoose.Schema({
             temperature: { type: String, enum: ['celsius', 'fahrenheit'], default: 'fahrenheit' }
         },
         timezone: String,
+        immunizationSchedule: { type: String, default: 'us-cdc' }, // data/immunization-schedules/<id>.json
         language: { type: String, default: 'en' }
     },
     
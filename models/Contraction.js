@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One timed contraction. Intervals are measured start to start from the
+// previous contraction, so they are worked out when reading, not stored.
+const alertSchema = new mongoose.Schema({
+    urgency: { type: String, enum: ['call-provider', 'go-to-labor-and-delivery'], required: true },
+    message: { type: String, required: true }
+}, { _id: false });
+
+const contractionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true },
+    intensity: { type: String, enum: ['mild', 'moderate', 'strong'] },
+    gestationalWeek: Number,
+    notes: String,
+    alerts: [alertSchema]
+}, { timestamps: true });
+
+contractionSchema.index({ userId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('Contraction', contractionSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Follow-up thread for one checked item: the original assessment plus every
+// question and answer, all of which are sent back to the model on each turn
+const messageSchema = new mongoose.Schema({
+    role: { type: String, enum: ['user', 'assistant'], required: true },
+    content: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    item: { type: String, required: true },
+    itemType: { type: String, enum: ['text', 'image'], default: 'text' },
+    assessment: {
+        result: { type: String, required: true },
+        riskScore: Number,
+        source: String
+    },
+    messages: [messageSchema]
+}, { timestamps: true });
+
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
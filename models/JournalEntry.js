@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Pregnancy journal, one document per entry. Replaces the embedded
+// User.logEntries array, which is moved here the first time the journal loads.
+const MOODS = ['happy', 'calm', 'tired', 'anxious', 'sad', 'irritable'];
+
+const attachmentSchema = new mongoose.Schema({
+    url: { type: String, required: true }, // https URL or data:image/... URL
+    contentType: String,
+    caption: String
+});
+
+const journalEntrySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: Date, default: Date.now },
+    text: { type: String, default: '' },
+    type: { type: String, enum: ['text', 'voice'], default: 'text' },
+    audioUrl: String,
+    mood: { type: String, enum: MOODS },
+    tags: [String],
+    symptoms: [String],
+    attachments: [attachmentSchema],
+    gestationalWeek: Number,
+    // Last answer from /api/analyze-log-entry; cleared when the text changes
+    aiAnalysis: {
+        result: String,
+        source: String,
+        reviewed: Boolean,
+        analyzedAt: Date
+    },
+    legacyId: String // id of the User.logEntries item it was moved from
+}, { timestamps: true });
+
+journalEntrySchema.index({ userId: 1, date: -1 });
+journalEntrySchema.index({ userId: 1, tags: 1 });
+// Every query is scoped to one user, so the text index is too
+journalEntrySchema.index(
+    { userId: 1, text: 'text', tags: 'text', symptoms: 'text' },
+    { weights: { text: 1, symptoms: 2, tags: 3 }, name: 'journal_text' }
+);
+
+journalEntrySchema.statics.MOODS = MOODS;
+
+journalEntrySchema.statics.findOwned = function(userId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+    return this.findOne({ _id: id, userId });
+};
+
+journalEntrySchema.methods.recordAnalysis = function(result, fields = {}) {
+    this.aiAnalysis = { result, source: fields.source, reviewed: fields.reviewed, analyzedAt: new Date() };
+    return this.save();
+};
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One count-to-10 fetal movement session. `kickTimes` holds each movement
+// the user tapped; alerts are set when the session is saved (see
+// services/kickCounts.js).
+const alertSchema = new mongoose.Schema({
+    urgency: { type: String, enum: ['call-provider', 'go-to-labor-and-delivery'], required: true },
+    message: { type: String, required: true }
+}, { _id: false });
+
+const kickSessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true },
+    count: { type: Number, required: true },
+    kickTimes: [Date],
+    target: { type: Number, default: 10 },
+    minutesToTarget: Number,
+    gestationalWeek: Number,
+    notes: String,
+    alerts: [alertSchema]
+}, { timestamps: true });
+
+kickSessionSchema.index({ userId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('KickSession', kickSessionSchema);
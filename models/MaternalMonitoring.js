@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// The pregnant user's own vitals, alongside BabyMonitoring for infants.
+// Thresholds live in services/maternalVitals.js; a provider's own targets can
+// be stored per user in alertThresholds.
+
+const weightRecordSchema = new mongoose.Schema({
+    timestamp: { type: Date, default: Date.now },
+    weight: {
+        value: { type: Number, required: true },
+        unit: { type: String, enum: ['kg', 'lbs'], default: 'kg' }
+    },
+    gestationalWeek: Number,
+    gainKg: Number, // since pre-pregnancy weight
+    notes: String
+});
+
+const bloodPressureReadingSchema = new mongoose.Schema({
+    timestamp: { type: Date, default: Date.now },
+    systolic: { type: Number, required: true },
+    diastolic: { type: Number, required: true },
+    pulse: Number,
+    arm: { type: String, enum: ['left', 'right'] },
+    category: { type: String, enum: ['normal', 'elevated', 'high', 'severe'] },
+    gestationalWeek: Number,
+    notes: String
+});
+
+const glucoseReadingSchema = new mongoose.Schema({
+    timestamp: { type: Date, default: Date.now },
+    value: { type: Number, required: true }, // always mg/dL
+    enteredValue: {
+        value: Number,
+        unit: { type: String, enum: ['mg/dL', 'mmol/L'], default: 'mg/dL' }
+    },
+    type: {
+        type: String,
+        enum: ['fasting', 'before-meal', '1h-after-meal', '2h-after-meal', 'bedtime', 'random'],
+        required: true
+    },
+    meal: String,
+    inTarget: Boolean,
+    gestationalWeek: Number,
+    notes: String
+});
+
+const alertSchema = new mongoose.Schema({
+    timestamp: { type: Date, default: Date.now },
+    type: {
+        type: String,
+        enum: ['weight', 'blood-pressure', 'glucose'],
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical'],
+        required: true
+    },
+    message: String,
+    data: mongoose.Schema.Types.Mixed,
+    acknowledged: { type: Boolean, default: false },
+    acknowledgedAt: Date,
+    actionTaken: String
+});
+
+const maternalMonitoringSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+
+    // Starting point for weight gain and BMI
+    baseline: {
+        prePregnancyWeight: {
+            value: Number,
+            unit: { type: String, enum: ['kg', 'lbs'], default: 'kg' }
+        },
+        height: {
+            value: Number,
+            unit: { type: String, enum: ['cm', 'inches'], default: 'cm' }
+        }
+    },
+
+    alertThresholds: {
+        bloodPressure: { systolic: Number, diastolic: Number, severeSystolic: Number, severeDiastolic: Number },
+        glucose: { fasting: Number, oneHourAfterMeal: Number, twoHoursAfterMeal: Number, low: Number }
+    },
+
+    weightRecords: [weightRecordSchema],
+    bloodPressureReadings: [bloodPressureReadingSchema],
+    glucoseReadings: [glucoseReadingSchema],
+    alerts: [alertSchema],
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+maternalMonitoringSchema.methods.getLatestWeight = function() {
+    return latestBy(this.weightRecords);
+};
+
+maternalMonitoringSchema.methods.getLatestBloodPressure = function() {
+    return latestBy(this.bloodPressureReadings);
+};
+
+maternalMonitoringSchema.methods.getLatestGlucose = function() {
+    return latestBy(this.glucoseReadings);
+};
+
+// Entries can be back-dated, so the newest is not always the last one pushed
+function latestBy(records) {
+    return records.reduce((latest, record) => (!latest || record.timestamp > latest.timestamp ? record : latest), null);
+}
+
+// Pre-save hook to update timestamp
+maternalMonitoringSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('MaternalMonitoring', maternalMonitoringSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Shared cache of AI safety answers, keyed by item plus the profile factors
+// that change the answer (see services/responseCache.js)
+const responseCacheSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    item: { type: String, required: true, index: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    size: Number, // bytes of serialized data
+    hits: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+
+// MongoDB removes documents once expiresAt has passed
+responseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+responseCacheSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('ResponseCache', responseCacheSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const entitlements = require('../services/entitlements');
 
 // Encryption helper functions
 const algorithm = 'aes-256-gcm';
@@ -53,6 +54,7 @@ const userSchema = new mongoose.Schema({
         birthDate: Date,
         age: String, // Calculated/stored as "X months Y days"
         gender: String,
+        gestationalAgeAtBirth: Number, // weeks; under 37 turns on corrected age
         weight: {
             value: Number,
             unit: String // 'kg' or 'lbs'
@@ -101,6 +103,13 @@ const userSchema = new mongoose.Schema({
         updatedAt: { type: Date, default: Date.now }
     }],
     
+    // Subscribable appointments feed (routes/appointments.js); only the hash
+    // of the secret URL token is stored
+    calendarFeed: {
+        tokenHash: { type: String, index: { unique: true, sparse: true } },
+        createdAt: Date
+    },
+    
     // User preferences
     showAIThoughts: { type: Boolean, default: false }, // Premium feature to see AI reasoning
     
@@ -122,7 +131,8 @@ const userSchema = new mongoose.Schema({
         isImage: { type: Boolean, default: false }
     }],
     
-    // Pregnancy log entries (Premium feature)
+    // Legacy pregnancy log entries; moved to the JournalEntry collection the
+    // first time the journal loads (routes/journal.js)
     logEntries: [{
         id: String,
         date: { type: Date, default: Date.now },
@@ -133,10 +143,10 @@ const userSchema = new mongoose.Schema({
         createdAt: { type: Date, default: Date.now }
     }],
     
-    // Usage tracking for free tier (3 searches per day)
-    dailySearches: {
-        count: { type: Number, default: 0 },
-        date: { type: Date, default: Date.now }
+    // Per-feature usage for the current quota period (see services/entitlements.js)
+    usage: {
+        period: String, // UTC date, e.g. '2026-10-19'
+        counts: { type: Map, of: Number, default: {} }
     },
     
     // Affiliate system
@@ -175,28 +185,14 @@ const userSchema = new mongoose.Schema({
     lastLogin: { type: Date, default: Date.now }
 });
 
-// Reset daily search count if it's a new day
+// Text-check quota helpers kept for older callers; new code should use
+// middleware/entitlements.js, which covers every metered feature
 userSchema.methods.checkDailyLimit = function() {
-    const today = new Date().setHours(0, 0, 0, 0);
-    const lastSearchDate = new Date(this.dailySearches.date).setHours(0, 0, 0, 0);
-    
-    if (today !== lastSearchDate) {
-        this.dailySearches.count = 0;
-        this.dailySearches.date = new Date();
-    }
-    
-    // Premium users have unlimited searches
-    if (this.isPremium) return true;
-    
-    // Free users get 1 search per day
-    return this.dailySearches.count < 1;
+    return entitlements.hasQuota(entitlements.getQuota({ user: this }, 'textCheck'));
 };
 
-// Increment search count
 userSchema.methods.incrementSearchCount = function() {
-    this.checkDailyLimit();
-    this.dailySearches.count++;
-    return this.save();
+    return entitlements.recordUsage({ user: this }, 'textCheck');
 };
 
 // Add to search history
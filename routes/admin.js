@@ -0,0 +1,31 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const { getResponseCache } = require('../services/responseCache');
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Hit/miss counters and size of the shared AI response cache
+router.get('/cache', async (req, res) => {
+    try {
+        res.json(await getResponseCache().stats());
+    } catch (error) {
+        console.error('Cache stats error:', error);
+        res.status(500).json({ error: 'Failed to read cache stats' });
+    }
+});
+
+// Purge everything, or only entries for ?item=<name> after its guidance changes
+router.delete('/cache', async (req, res) => {
+    try {
+        const item = req.query.item || req.body?.item;
+        const removed = await getResponseCache().purge({ item });
+        console.log(`🧹 Purged ${removed} cached response(s)${item ? ` for "${item}"` : ''}`);
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error('Cache purge error:', error);
+        res.status(500).json({ error: 'Failed to purge cache' });
+    }
+});
+
+module.exports = router;
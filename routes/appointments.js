@@ -0,0 +1,314 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const { APPOINTMENT_TYPES, APPOINTMENT_STATUSES } = require('../models/Appointment');
+const User = require('../models/User');
+const { verifyToken } = require('../middleware/auth');
+const { planAppointments } = require('../services/appointmentPlan');
+const { createFeedToken, hashFeedToken, buildCalendar } = require('../services/calendarFeed');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_NOTES_LENGTH = 2000;
+const EDITABLE_FIELDS = ['title', 'type', 'startsAt', 'endsAt', 'allDay', 'location', 'provider', 'notes', 'status'];
+
+function isValidDate(value) {
+    return value !== undefined && value !== null && !Number.isNaN(new Date(value).getTime());
+}
+
+// Checks the fields present in `body`; `partial` allows leaving out required ones
+function validateAppointment(body = {}, { partial = false } = {}) {
+    if (!partial || body.title !== undefined) {
+        if (!body.title || typeof body.title !== 'string' || !body.title.trim()) return 'title is required';
+        if (body.title.length > MAX_TEXT_LENGTH) return `title must be under ${MAX_TEXT_LENGTH} characters`;
+    }
+    if (!partial || body.startsAt !== undefined) {
+        if (!isValidDate(body.startsAt)) return 'startsAt must be a date';
+    }
+    if (body.endsAt !== undefined && body.endsAt !== null) {
+        if (!isValidDate(body.endsAt)) return 'endsAt must be a date';
+        if (body.startsAt !== undefined && new Date(body.endsAt) <= new Date(body.startsAt)) return 'endsAt must be after startsAt';
+    }
+    if (body.type !== undefined && !APPOINTMENT_TYPES.includes(body.type)) {
+        return `type must be one of ${APPOINTMENT_TYPES.join(', ')}`;
+    }
+    if (body.status !== undefined && !APPOINTMENT_STATUSES.includes(body.status)) {
+        return `status must be one of ${APPOINTMENT_STATUSES.join(', ')}`;
+    }
+    for (const field of ['location', 'provider']) {
+        if (body[field] !== undefined && body[field] !== null && (typeof body[field] !== 'string' || body[field].length > MAX_TEXT_LENGTH)) {
+            return `${field} must be text under ${MAX_TEXT_LENGTH} characters`;
+        }
+    }
+    if (body.notes !== undefined && body.notes !== null && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+        return `notes must be text under ${MAX_NOTES_LENGTH} characters`;
+    }
+    return null;
+}
+
+// A partial update checked against the stored times it doesn't change
+function validateUpdate(appointment, updates) {
+    return validateAppointment({ startsAt: appointment.startsAt, endsAt: appointment.endsAt, ...updates }, { partial: true });
+}
+
+function pickEditable(body) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+    return fields;
+}
+
+function serialize(appointment) {
+    return {
+        id: appointment._id,
+        title: appointment.title,
+        type: appointment.type,
+        startsAt: appointment.startsAt,
+        endsAt: appointment.endsAt || null,
+        allDay: appointment.allDay,
+        location: appointment.location || null,
+        provider: appointment.provider || null,
+        notes: appointment.notes || null,
+        status: appointment.status,
+        source: appointment.source,
+        gestationalWeek: appointment.gestationalWeek ?? null,
+        screeningId: appointment.screeningId || null
+    };
+}
+
+function feedUrl(req, token) {
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/api/appointments/feed/${token}.ics`;
+}
+
+// Public ICS feed: the secret token in the URL is the only credential, so
+// calendar apps can subscribe without signing in
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const user = await User.findOne({ 'calendarFeed.tokenHash': hashFeedToken(req.params.token) }).select('_id');
+        if (!user) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const appointments = await Appointment.find({ userId: user._id }).sort({ startsAt: 1 });
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(buildCalendar({ appointments }));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
+router.use(verifyToken);
+
+// Feed status; the URL itself is only shown when it is created
+router.get('/feed', (req, res) => {
+    const feed = req.user.calendarFeed || {};
+    res.json({ enabled: !!feed.tokenHash, createdAt: feed.createdAt || null });
+});
+
+// Creates the feed URL, or replaces it so the old one stops working
+router.post('/feed', async (req, res) => {
+    try {
+        const { token, tokenHash } = createFeedToken();
+        req.user.calendarFeed = { tokenHash, createdAt: new Date() };
+        await req.user.save();
+        res.status(201).json({ enabled: true, url: feedUrl(req, token), createdAt: req.user.calendarFeed.createdAt });
+    } catch (error) {
+        console.error('Create calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+});
+
+router.delete('/feed', async (req, res) => {
+    try {
+        req.user.calendarFeed = undefined;
+        await req.user.save();
+        res.json({ enabled: false });
+    } catch (error) {
+        console.error('Revoke calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to revoke calendar feed' });
+    }
+});
+
+// Generates visits on the standard cadence plus screening windows from the
+// profile's due date or LMP. Replaces earlier generated entries that are
+// still ahead; manual appointments and their weeks are kept.
+router.post('/cadence', async (req, res) => {
+    try {
+        const { time = '09:00', timezoneOffset = 0, location, provider } = req.body;
+        if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+            return res.status(400).json({ error: 'timezoneOffset must be minutes from UTC' });
+        }
+        const validationError = validateAppointment({ location, provider }, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const now = new Date();
+        const manualVisits = await Appointment.find({
+            userId: req.user._id,
+            source: 'manual',
+            type: 'prenatal-visit',
+            status: { $ne: 'cancelled' },
+            gestationalWeek: { $ne: null }
+        }).select('gestationalWeek');
+
+        let plan;
+        try {
+            plan = planAppointments({
+                profile: req.user.getProfile(),
+                time,
+                timezoneOffset,
+                location,
+                provider,
+                skipWeeks: manualVisits.map((visit) => visit.gestationalWeek),
+                now
+            });
+        } catch (planError) {
+            return res.status(400).json({ error: planError.message });
+        }
+        if (!plan) {
+            return res.status(400).json({ error: 'Add your due date or last period to your profile first' });
+        }
+
+        await Appointment.deleteMany({
+            userId: req.user._id,
+            source: { $in: ['cadence', 'screening'] },
+            status: 'scheduled',
+            startsAt: { $gte: now }
+        });
+        // Screening windows that are already open (or were edited) are kept; add each one only once
+        const existingScreenings = await Appointment.find({ userId: req.user._id, screeningId: { $ne: null } }).select('screeningId');
+        const kept = new Set(existingScreenings.map((entry) => entry.screeningId));
+        const toCreate = plan.appointments.filter((entry) => entry.source !== 'screening' || !kept.has(entry.screeningId));
+
+        const created = await Appointment.insertMany(toCreate.map((entry) => ({ ...entry, userId: req.user._id })));
+        res.status(201).json({
+            appointments: created.map(serialize),
+            gestationalAge: plan.timeline.gestationalAge,
+            dueDate: plan.timeline.dueDate
+        });
+    } catch (error) {
+        console.error('Appointment cadence error:', error);
+        res.status(500).json({ error: 'Failed to schedule appointments' });
+    }
+});
+
+async function findOwned(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ error: 'Appointment not found' });
+        return null;
+    }
+    const appointment = await Appointment.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!appointment) {
+        res.status(404).json({ error: 'Appointment not found' });
+        return null;
+    }
+    return appointment;
+}
+
+// Soonest first; ?from= and ?to= bound startsAt, ?status= filters
+router.get('/', async (req, res) => {
+    try {
+        const filter = { userId: req.user._id };
+        const { from, to, status } = req.query;
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be dates' });
+        }
+        if (from || to) {
+            filter.startsAt = {};
+            if (from) filter.startsAt.$gte = new Date(from);
+            if (to) filter.startsAt.$lte = new Date(to);
+        }
+        if (status) {
+            if (!APPOINTMENT_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of ${APPOINTMENT_STATUSES.join(', ')}` });
+            }
+            filter.status = status;
+        }
+        const appointments = await Appointment.find(filter).sort({ startsAt: 1 }).limit(200);
+        res.json({ appointments: appointments.map(serialize) });
+    } catch (error) {
+        console.error('List appointments error:', error);
+        res.status(500).json({ error: 'Failed to load appointments' });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const validationError = validateAppointment(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const { gestationalWeek } = req.body;
+        if (gestationalWeek !== undefined && !(Number.isInteger(gestationalWeek) && gestationalWeek >= 1 && gestationalWeek <= 44)) {
+            return res.status(400).json({ error: 'gestationalWeek must be a week from 1 to 44' });
+        }
+
+        const appointment = await Appointment.create({
+            ...pickEditable(req.body),
+            gestationalWeek,
+            userId: req.user._id,
+            source: 'manual'
+        });
+        res.status(201).json({ appointment: serialize(appointment) });
+    } catch (error) {
+        console.error('Create appointment error:', error);
+        res.status(500).json({ error: 'Failed to create appointment' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const appointment = await findOwned(req, res);
+        if (!appointment) return;
+        res.json({ appointment: serialize(appointment) });
+    } catch (error) {
+        console.error('Get appointment error:', error);
+        res.status(500).json({ error: 'Failed to load appointment' });
+    }
+});
+
+// Editing a generated appointment makes it the user's own, so regenerating
+// the cadence will not replace it
+router.patch('/:id', async (req, res) => {
+    try {
+        const appointment = await findOwned(req, res);
+        if (!appointment) return;
+
+        const updates = pickEditable(req.body);
+        const validationError = validateUpdate(appointment, updates);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        appointment.set(updates);
+        appointment.source = 'manual';
+        await appointment.save();
+        res.json({ appointment: serialize(appointment) });
+    } catch (error) {
+        console.error('Update appointment error:', error);
+        res.status(500).json({ error: 'Failed to update appointment' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const appointment = await findOwned(req, res);
+        if (!appointment) return;
+        await appointment.deleteOne();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete appointment error:', error);
+        res.status(500).json({ error: 'Failed to delete appointment' });
+    }
+});
+
+module.exports = router;
+module.exports.__testUtils = {
+    validateAppointment,
+    validateUpdate
+};
@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const User = require('../models/User');
+const entitlements = require('../services/entitlements');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 
@@ -589,8 +590,8 @@ router.get('/me', async (req, res) => {
             return res.status(401).json({ authenticated: false });
         }
 
-        // Check daily limit for free users
-        const hasFreebies = await user.checkDailyLimit();
+        // Text-check quota for the plan badge; /api/quota has every feature
+        const textQuota = entitlements.getQuota({ user }, 'textCheck');
         
         // Get decrypted profile data
         const profile = user.getProfile();
@@ -603,8 +604,8 @@ router.get('/me', async (req, res) => {
             profilePicture: user.profilePicture,
             isPremium: user.isPremium,
             provider: user.provider,
-            dailySearchesRemaining: user.isPremium ? 'unlimited' : (1 - user.dailySearches.count),
-            canSearch: user.isPremium || hasFreebies,
+            dailySearchesRemaining: textQuota.remaining === null ? 'unlimited' : textQuota.remaining,
+            canSearch: entitlements.hasQuota(textQuota),
             profile: profile,
             affiliateCode: user.affiliateCode,
             affiliatePoints: user.affiliatePoints,
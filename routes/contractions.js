@@ -0,0 +1,146 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Contraction = require('../models/Contraction');
+const { verifyToken } = require('../middleware/auth');
+const { currentGestationalWeek } = require('../services/pregnancyTimeline');
+const { analyzeContractions, summarizeByHour } = require('../services/contractions');
+
+const INTENSITIES = ['mild', 'moderate', 'strong'];
+const MAX_DURATION_SECONDS = 5 * 60;
+const MAX_NOTES_LENGTH = 2000;
+// Contractions this far back are enough to judge the current run
+const ANALYSIS_WINDOW_MS = 3 * 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// The run counts as ongoing while the last contraction ended this recently
+const ACTIVE_MS = 15 * 60 * 1000;
+
+function toDate(value) {
+    if (value === undefined || value === null) return null;
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function validateContraction(body = {}, { now = new Date() } = {}) {
+    const startedAt = toDate(body.startedAt);
+    const endedAt = toDate(body.endedAt);
+    if (!startedAt || !endedAt) return 'startedAt and endedAt must be dates';
+    if (endedAt <= startedAt) return 'endedAt must be after startedAt';
+    if (endedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) return 'endedAt cannot be in the future';
+    // Usually a timer that was left running
+    if (endedAt - startedAt > MAX_DURATION_SECONDS * 1000) return 'A contraction can last at most 5 minutes';
+    if (body.intensity !== undefined && !INTENSITIES.includes(body.intensity)) {
+        return `intensity must be one of ${INTENSITIES.join(', ')}`;
+    }
+    if (body.notes !== undefined && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+        return `notes must be text under ${MAX_NOTES_LENGTH} characters`;
+    }
+    return null;
+}
+
+function serialize(contraction) {
+    return {
+        id: contraction._id,
+        startedAt: contraction.startedAt,
+        endedAt: contraction.endedAt,
+        intensity: contraction.intensity || null,
+        gestationalWeek: contraction.gestationalWeek ?? null,
+        notes: contraction.notes || null,
+        alerts: contraction.alerts || []
+    };
+}
+
+router.use(verifyToken);
+
+// Saves one timed contraction and checks the current run for 5-1-1 and,
+// before 37 weeks, preterm frequency
+router.post('/', async (req, res) => {
+    try {
+        const validationError = validateContraction(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const startedAt = new Date(req.body.startedAt);
+        const week = currentGestationalWeek(req.user.getProfile(), { now: startedAt });
+        const earlier = await Contraction.find({
+            userId: req.user._id,
+            startedAt: { $gte: new Date(startedAt - ANALYSIS_WINDOW_MS), $lt: startedAt }
+        });
+        const contraction = new Contraction({
+            userId: req.user._id,
+            startedAt,
+            endedAt: new Date(req.body.endedAt),
+            intensity: req.body.intensity,
+            gestationalWeek: week,
+            notes: req.body.notes
+        });
+        const analysis = analyzeContractions([...earlier, contraction], { week });
+
+        contraction.alerts = analysis.alerts;
+        await contraction.save();
+        res.status(201).json({ contraction: serialize(contraction), analysis });
+    } catch (error) {
+        console.error('Save contraction error:', error);
+        res.status(500).json({ error: 'Failed to save contraction' });
+    }
+});
+
+// Newest first over the last ?hours= (default 24, at most a week)
+router.get('/', async (req, res) => {
+    try {
+        const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 168);
+        const contractions = await Contraction.find({
+            userId: req.user._id,
+            startedAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+        }).sort({ startedAt: -1 });
+        res.json({ contractions: contractions.map(serialize) });
+    } catch (error) {
+        console.error('List contractions error:', error);
+        res.status(500).json({ error: 'Failed to load contractions' });
+    }
+});
+
+// Current run (durations, intervals, 5-1-1) and hourly trend over ?hours= (default 12)
+router.get('/summary', async (req, res) => {
+    try {
+        const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 12, 1), 168);
+        const contractions = await Contraction.find({
+            userId: req.user._id,
+            startedAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+        });
+        const week = currentGestationalWeek(req.user.getProfile());
+        const analysis = analyzeContractions(contractions, { week });
+        const last = analysis.recent[0];
+        res.json({
+            analysis,
+            active: !!last && Date.now() - last.endedAt <= ACTIVE_MS,
+            hourly: summarizeByHour(contractions),
+            gestationalWeek: week
+        });
+    } catch (error) {
+        console.error('Contraction summary error:', error);
+        res.status(500).json({ error: 'Failed to summarize contractions' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Contraction not found' });
+        }
+        const deleted = await Contraction.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (!deleted) {
+            return res.status(404).json({ error: 'Contraction not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete contraction error:', error);
+        res.status(500).json({ error: 'Failed to delete contraction' });
+    }
+});
+
+module.exports = router;
+module.exports.__testUtils = {
+    validateContraction
+};
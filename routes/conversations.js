@@ -0,0 +1,198 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Conversation = require('../models/Conversation');
+const { verifyToken } = require('../middleware/auth');
+const { requireEntitlement } = require('../middleware/entitlements');
+const safetyAssessment = require('../services/safetyAssessment');
+
+// Follow-up threads are stored per user so they can be reopened from history
+const MAX_FOLLOW_UPS = 20;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ASSESSMENT_LENGTH = 20000;
+
+router.use(verifyToken);
+
+function validateThreadPayload(body = {}) {
+    const { item, itemType = 'text', assessment } = body;
+    if (!item || typeof item !== 'string' || !item.trim()) {
+        return 'item is required';
+    }
+    if (!['text', 'image'].includes(itemType)) {
+        return 'itemType must be text or image';
+    }
+    if (!assessment || typeof assessment.result !== 'string' || !assessment.result.trim()) {
+        return 'assessment.result is required';
+    }
+    if (assessment.result.length > MAX_ASSESSMENT_LENGTH) {
+        return `assessment.result must be under ${MAX_ASSESSMENT_LENGTH} characters`;
+    }
+    if (assessment.riskScore !== undefined && assessment.riskScore !== null
+        && !(Number.isInteger(assessment.riskScore) && assessment.riskScore >= 1 && assessment.riskScore <= 10)) {
+        return 'assessment.riskScore must be an integer from 1 to 10';
+    }
+    return null;
+}
+
+function validateQuestion(question) {
+    if (!question || typeof question !== 'string' || !question.trim()) {
+        return 'question is required';
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+        return `question must be under ${MAX_QUESTION_LENGTH} characters`;
+    }
+    return null;
+}
+
+function summarize(conversation) {
+    return {
+        id: conversation._id,
+        item: conversation.item,
+        itemType: conversation.itemType,
+        riskScore: conversation.assessment?.riskScore ?? null,
+        followUps: conversation.messages.filter((message) => message.role === 'user').length,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+    };
+}
+
+function serialize(conversation) {
+    return {
+        ...summarize(conversation),
+        assessment: conversation.assessment,
+        messages: conversation.messages
+    };
+}
+
+async function findOwned(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ error: 'Conversation not found' });
+        return null;
+    }
+    const conversation = await Conversation.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!conversation) {
+        res.status(404).json({ error: 'Conversation not found' });
+        return null;
+    }
+    return conversation;
+}
+
+// Start a thread from an assessment the user has just seen
+router.post('/', async (req, res) => {
+    try {
+        const validationError = validateThreadPayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { item, itemType = 'text', assessment } = req.body;
+        const conversation = await Conversation.create({
+            userId: req.user._id,
+            item: item.trim(),
+            itemType,
+            assessment: {
+                result: assessment.result,
+                riskScore: assessment.riskScore ?? null,
+                source: assessment.source
+            },
+            messages: []
+        });
+
+        res.status(201).json({ conversation: serialize(conversation) });
+    } catch (error) {
+        console.error('Create conversation error:', error);
+        res.status(500).json({ error: 'Failed to start conversation' });
+    }
+});
+
+// Most recent threads first; ?item= narrows to one item
+router.get('/', async (req, res) => {
+    try {
+        const filter = { userId: req.user._id };
+        if (req.query.item) {
+            filter.item = req.query.item;
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const conversations = await Conversation.find(filter).sort({ updatedAt: -1 }).limit(limit);
+        res.json({ conversations: conversations.map(summarize) });
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({ error: 'Failed to load conversations' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const conversation = await findOwned(req, res);
+        if (!conversation) return;
+        res.json({ conversation: serialize(conversation) });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({ error: 'Failed to load conversation' });
+    }
+});
+
+// Ask a follow-up; the whole thread goes to the model
+router.post('/:id/messages', requireEntitlement('followUp'), async (req, res) => {
+    try {
+        const { question } = req.body;
+        const validationError = validateQuestion(question);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const conversation = await findOwned(req, res);
+        if (!conversation) return;
+
+        if (summarize(conversation).followUps >= MAX_FOLLOW_UPS) {
+            return res.status(400).json({
+                error: 'Conversation limit reached',
+                message: 'This conversation is full. Start a new check to keep asking questions.'
+            });
+        }
+
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
+        }
+
+        const { content: answer } = await safetyAssessment.answerFollowUp({
+            item: conversation.item,
+            itemType: conversation.itemType,
+            assessment: conversation.assessment,
+            history: conversation.messages,
+            question: question.trim(),
+            userProfile: req.user.getProfile()
+        });
+
+        conversation.messages.push(
+            { role: 'user', content: question.trim() },
+            { role: 'assistant', content: answer }
+        );
+        await conversation.save();
+        await req.entitlement.charge();
+
+        res.json({ answer, conversation: serialize(conversation) });
+    } catch (error) {
+        console.error('Follow-up error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to answer follow-up question' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const conversation = await findOwned(req, res);
+        if (!conversation) return;
+        await conversation.deleteOne();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+module.exports = router;
+module.exports.__testUtils = {
+    validateThreadPayload,
+    validateQuestion,
+    MAX_FOLLOW_UPS
+};
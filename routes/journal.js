@@ -0,0 +1,484 @@
+const express = require('express');
+const router = express.Router();
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const { verifyToken, requirePremium } = require('../middleware/auth');
+const { currentGestationalWeek } = require('../services/pregnancyTimeline');
+const { getAudioStore, voiceNoteUrl } = require('../services/audioStore');
+const { getTranscriber } = require('../services/transcription');
+
+const MAX_TEXT_LENGTH = 10000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_SYMPTOMS = 20;
+const MAX_SYMPTOM_LENGTH = 80;
+const MAX_ATTACHMENTS = 4;
+// Roughly a 1.5 MB photo once base64-encoded; keeps an entry well under 16 MB
+const MAX_DATA_URL_LENGTH = 2 * 1024 * 1024;
+const MAX_URL_LENGTH = 2048;
+const MAX_PAGE_SIZE = 100;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const IMAGE_DATA_URL = /^data:(image\/(?:jpeg|png|webp|gif));base64,[A-Za-z0-9+/=]+$/;
+// About 10 minutes of Opus; longer notes are usually a recorder left running
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+const AUDIO_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/aac', 'audio/wav', 'audio/x-wav'];
+// Voice notes uploaded through POST /audio are referenced by this path
+const VOICE_NOTE_URL = /^\/api\/journal\/audio\/([a-f0-9]{24})$/;
+// Fields a create or update may set
+const ENTRY_FIELDS = ['date', 'text', 'type', 'audioUrl', 'mood', 'tags', 'symptoms', 'attachments'];
+
+router.use(verifyToken, requirePremium);
+
+function toDate(value) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function isHttpUrl(value) {
+    return typeof value === 'string' && value.length <= MAX_URL_LENGTH && /^https?:\/\/\S+$/i.test(value);
+}
+
+function validateList(list, field, maxItems, maxLength) {
+    if (!Array.isArray(list) || list.length > maxItems) {
+        return `${field} must be a list of at most ${maxItems}`;
+    }
+    if (list.some((value) => typeof value !== 'string' || !value.trim() || value.length > maxLength)) {
+        return `each of ${field} must be text under ${maxLength} characters`;
+    }
+    return null;
+}
+
+function validateAttachments(attachments) {
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+        return `attachments must be a list of at most ${MAX_ATTACHMENTS} photos`;
+    }
+    for (const attachment of attachments) {
+        const url = attachment?.url;
+        const isDataUrl = typeof url === 'string' && url.length <= MAX_DATA_URL_LENGTH && IMAGE_DATA_URL.test(url);
+        if (!isDataUrl && !isHttpUrl(url)) {
+            return 'each attachment needs an https URL or a JPEG, PNG, WebP or GIF image under 1.5 MB';
+        }
+        if (attachment.caption !== undefined && (typeof attachment.caption !== 'string' || attachment.caption.length > 200)) {
+            return 'attachment captions must be under 200 characters';
+        }
+    }
+    return null;
+}
+
+// `partial` is for updates, where only the fields sent are checked
+function validateEntryPayload(body = {}, { partial = false, now = new Date() } = {}) {
+    const { date, text, type, audioUrl, mood, tags, symptoms, attachments } = body;
+
+    if (!partial) {
+        const hasContent = (typeof text === 'string' && text.trim())
+            || audioUrl
+            || (Array.isArray(attachments) && attachments.length > 0);
+        if (!hasContent) return 'An entry needs text, a voice note or a photo';
+    }
+    if (text !== undefined && (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH)) {
+        return `text must be under ${MAX_TEXT_LENGTH} characters`;
+    }
+    if (date !== undefined) {
+        const parsed = toDate(date);
+        if (!parsed) return 'date must be a valid datetime';
+        if (parsed.getTime() > now.getTime() + CLOCK_SKEW_MS) return 'date cannot be in the future';
+    }
+    if (type !== undefined && !['text', 'voice'].includes(type)) return 'type must be text or voice';
+    if (audioUrl !== undefined && audioUrl !== null && !isHttpUrl(audioUrl) && !VOICE_NOTE_URL.test(audioUrl)) {
+        return 'audioUrl must be an http(s) URL or an uploaded voice note';
+    }
+    if (mood !== undefined && mood !== null && !JournalEntry.MOODS.includes(mood)) {
+        return `mood must be one of ${JournalEntry.MOODS.join(', ')}`;
+    }
+    if (tags !== undefined) {
+        const tagError = validateList(tags, 'tags', MAX_TAGS, MAX_TAG_LENGTH);
+        if (tagError) return tagError;
+    }
+    if (symptoms !== undefined) {
+        const symptomError = validateList(symptoms, 'symptoms', MAX_SYMPTOMS, MAX_SYMPTOM_LENGTH);
+        if (symptomError) return symptomError;
+    }
+    if (attachments !== undefined) {
+        const attachmentError = validateAttachments(attachments);
+        if (attachmentError) return attachmentError;
+    }
+    return null;
+}
+
+// Tags are matched case-insensitively, so they are stored lowercased
+function normalizeList(list, lowercase = false) {
+    const values = list.map((value) => value.trim().replace(/\s+/g, ' ')).map((value) => (lowercase ? value.toLowerCase() : value));
+    return [...new Set(values)];
+}
+
+function entryFields(body) {
+    const fields = {};
+    for (const field of ENTRY_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (fields.date) fields.date = new Date(fields.date);
+    if (typeof fields.text === 'string') fields.text = fields.text.trim();
+    if (fields.tags) fields.tags = normalizeList(fields.tags, true);
+    if (fields.symptoms) fields.symptoms = normalizeList(fields.symptoms);
+    if (fields.attachments) {
+        fields.attachments = fields.attachments.map(({ url, caption }) => ({
+            url,
+            contentType: IMAGE_DATA_URL.exec(url)?.[1],
+            caption
+        }));
+    }
+    return fields;
+}
+
+// ?page, ?limit, ?from/?to on the entry date, ?tag, ?mood and ?q (full-text)
+function buildListQuery(userId, query = {}) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const filter = { userId };
+
+    const from = query.from ? toDate(query.from) : null;
+    const to = query.to ? toDate(query.to) : null;
+    if ((query.from && !from) || (query.to && !to) || (from && to && from > to)) {
+        return { error: 'Invalid date range' };
+    }
+    if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = from;
+        if (to) filter.date.$lte = to;
+    }
+    if (query.tag) filter.tags = String(query.tag).trim().toLowerCase();
+    if (query.mood) {
+        if (!JournalEntry.MOODS.includes(query.mood)) return { error: 'Invalid mood' };
+        filter.mood = query.mood;
+    }
+
+    const search = typeof query.q === 'string' ? query.q.trim() : '';
+    if (search) {
+        filter.$text = { $search: search };
+        return { filter, page, limit, sort: { score: { $meta: 'textScore' }, date: -1 }, projection: { score: { $meta: 'textScore' } } };
+    }
+    return { filter, page, limit, sort: { date: -1 }, projection: {} };
+}
+
+// Lists leave out photo data; GET /:id has everything
+function summarize(entry) {
+    return {
+        id: entry._id,
+        date: entry.date,
+        text: entry.text,
+        type: entry.type,
+        audioUrl: entry.audioUrl || null,
+        mood: entry.mood || null,
+        tags: entry.tags,
+        symptoms: entry.symptoms,
+        attachmentCount: entry.attachments.length,
+        gestationalWeek: entry.gestationalWeek ?? null,
+        hasAnalysis: !!entry.aiAnalysis?.result,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt
+    };
+}
+
+function serialize(entry) {
+    return {
+        ...summarize(entry),
+        attachments: entry.attachments.map(({ _id, url, contentType, caption }) => ({ id: _id, url, contentType, caption: caption || null })),
+        aiAnalysis: entry.aiAnalysis?.result ? entry.aiAnalysis : null
+    };
+}
+
+// Moves entries still embedded on the user into the collection. Upserts on
+// legacyId, so an interrupted move can simply run again.
+async function importLegacyEntries(user) {
+    const legacy = user.logEntries || [];
+    if (legacy.length === 0) return 0;
+
+    await JournalEntry.bulkWrite(legacy.map((entry) => {
+        const legacyId = entry.id || entry._id.toString();
+        return {
+            updateOne: {
+                filter: { userId: user._id, legacyId },
+                update: {
+                    $setOnInsert: {
+                        userId: user._id,
+                        legacyId,
+                        date: entry.date || entry.createdAt,
+                        text: entry.text || '',
+                        type: entry.type || 'text',
+                        // Old clients stored blob: URLs, which never outlived the page
+                        audioUrl: isHttpUrl(entry.audioUrl) ? entry.audioUrl : undefined,
+                        aiAnalysis: entry.aiAnalysis ? { result: entry.aiAnalysis, source: 'ai', reviewed: false } : undefined
+                    }
+                },
+                upsert: true
+            }
+        };
+    }));
+    await User.updateOne({ _id: user._id }, { $set: { logEntries: [] } });
+    user.logEntries = [];
+    return legacy.length;
+}
+
+function voiceNoteId(audioUrl) {
+    return VOICE_NOTE_URL.exec(audioUrl || '')?.[1] || null;
+}
+
+// The stored voice note behind an audioUrl, if it is one of this user's uploads
+async function findVoiceNote(user, audioUrl) {
+    const id = voiceNoteId(audioUrl);
+    if (!id) return null;
+    const note = await getAudioStore().stat(id);
+    return note && note.metadata?.userId === user._id.toString() ? note : null;
+}
+
+// Whether another of the user's entries already uses this voice note
+function voiceNoteInUse(user, audioUrl, exceptEntryId) {
+    const filter = { userId: user._id, audioUrl };
+    if (exceptEntryId) filter._id = { $ne: exceptEntryId };
+    return JournalEntry.exists(filter).then(Boolean);
+}
+
+// Deletes the stored note unless an entry still points at it
+async function removeVoiceNote(audioUrl) {
+    const id = voiceNoteId(audioUrl);
+    if (!id) return;
+    try {
+        if (await JournalEntry.exists({ audioUrl })) return;
+        await getAudioStore().remove(id);
+    } catch (error) {
+        console.error('Remove voice note error:', error);
+    }
+}
+
+function audioContentType(header = '') {
+    const type = header.split(';')[0].trim().toLowerCase();
+    return AUDIO_TYPES.includes(type) ? type : null;
+}
+
+// Stores a recording sent as the raw request body and transcribes it when a
+// provider is configured. The transcript is kept with the audio so an entry
+// saved without text gets it.
+router.post('/audio', express.raw({ type: 'audio/*', limit: MAX_AUDIO_BYTES }), async (req, res) => {
+    try {
+        const contentType = audioContentType(req.get('Content-Type'));
+        if (!contentType) {
+            return res.status(415).json({ error: `Voice notes must be one of ${AUDIO_TYPES.join(', ')}` });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Recording is empty' });
+        }
+
+        let transcript = null;
+        const transcriber = getTranscriber();
+        if (transcriber.isConfigured()) {
+            try {
+                ({ text: transcript } = await transcriber.transcribe({
+                    buffer: req.body,
+                    contentType,
+                    language: req.query.language
+                }));
+            } catch (error) {
+                // The recording is still worth keeping without text
+                console.error('Transcription error:', error.message);
+            }
+        }
+
+        const saved = await getAudioStore().save({
+            buffer: req.body,
+            contentType,
+            metadata: { userId: req.user._id.toString(), transcript: transcript || null, transcriber: transcriber.name }
+        });
+
+        res.status(201).json({
+            audio: { id: saved.id, url: voiceNoteUrl(saved.id), contentType, size: saved.size },
+            transcript: transcript || null
+        });
+    } catch (error) {
+        console.error('Upload voice note error:', error);
+        res.status(500).json({ error: 'Failed to save voice note' });
+    }
+});
+
+router.get('/audio/:audioId', async (req, res) => {
+    try {
+        const note = await findVoiceNote(req.user, voiceNoteUrl(req.params.audioId));
+        if (!note) {
+            return res.status(404).json({ error: 'Voice note not found' });
+        }
+
+        res.set({
+            'Content-Type': note.contentType,
+            'Content-Length': note.size,
+            'Cache-Control': 'private, max-age=3600'
+        });
+        const stream = getAudioStore().openStream(note.id);
+        stream.on('error', (error) => {
+            console.error('Stream voice note error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Get voice note error:', error);
+        res.status(500).json({ error: 'Failed to load voice note' });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const validationError = validateEntryPayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const fields = entryFields(req.body);
+        if (voiceNoteId(fields.audioUrl)) {
+            const note = await findVoiceNote(req.user, fields.audioUrl);
+            if (!note) {
+                return res.status(400).json({ error: 'Voice note not found' });
+            }
+            if (await voiceNoteInUse(req.user, fields.audioUrl)) {
+                return res.status(409).json({ error: 'That voice note is already attached to another entry' });
+            }
+            fields.type = 'voice';
+            if (!fields.text && note.metadata.transcript) fields.text = note.metadata.transcript;
+        }
+        const date = fields.date || new Date();
+        const entry = await JournalEntry.create({
+            ...fields,
+            userId: req.user._id,
+            date,
+            gestationalWeek: currentGestationalWeek(req.user.getProfile(), { now: date })
+        });
+
+        res.status(201).json({ entry: serialize(entry) });
+    } catch (error) {
+        console.error('Create journal entry error:', error);
+        res.status(500).json({ error: 'Failed to save entry' });
+    }
+});
+
+router.get('/', async (req, res) => {
+    try {
+        const query = buildListQuery(req.user._id, req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+        await importLegacyEntries(req.user);
+
+        const [entries, total] = await Promise.all([
+            JournalEntry.find(query.filter, query.projection)
+                .sort(query.sort)
+                .skip((query.page - 1) * query.limit)
+                .limit(query.limit),
+            JournalEntry.countDocuments(query.filter)
+        ]);
+
+        res.json({
+            entries: entries.map(summarize),
+            page: query.page,
+            limit: query.limit,
+            total,
+            totalPages: Math.ceil(total / query.limit)
+        });
+    } catch (error) {
+        console.error('List journal entries error:', error);
+        res.status(500).json({ error: 'Failed to load entries' });
+    }
+});
+
+// Tags in use, most used first, for filter suggestions
+router.get('/tags', async (req, res) => {
+    try {
+        const tags = await JournalEntry.aggregate([
+            { $match: { userId: req.user._id } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 50 }
+        ]);
+        res.json({ tags: tags.map(({ _id, count }) => ({ tag: _id, count })) });
+    } catch (error) {
+        console.error('Journal tags error:', error);
+        res.status(500).json({ error: 'Failed to load tags' });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const entry = await JournalEntry.findOwned(req.user._id, req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        res.json({ entry: serialize(entry) });
+    } catch (error) {
+        console.error('Get journal entry error:', error);
+        res.status(500).json({ error: 'Failed to load entry' });
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        const validationError = validateEntryPayload(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const entry = await JournalEntry.findOwned(req.user._id, req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+
+        const fields = entryFields(req.body);
+        const replacedAudioUrl = fields.audioUrl !== undefined && fields.audioUrl !== entry.audioUrl ? entry.audioUrl : null;
+        if (voiceNoteId(fields.audioUrl) && fields.audioUrl !== entry.audioUrl) {
+            if (!(await findVoiceNote(req.user, fields.audioUrl))) {
+                return res.status(400).json({ error: 'Voice note not found' });
+            }
+            if (await voiceNoteInUse(req.user, fields.audioUrl, entry._id)) {
+                return res.status(409).json({ error: 'That voice note is already attached to another entry' });
+            }
+            fields.type = 'voice';
+        }
+        // The stored analysis was for the old text
+        if (fields.text !== undefined && fields.text !== entry.text) {
+            entry.aiAnalysis = undefined;
+        }
+        entry.set(fields);
+        if (fields.date) {
+            entry.gestationalWeek = currentGestationalWeek(req.user.getProfile(), { now: fields.date });
+        }
+        if (!entry.text && !entry.audioUrl && entry.attachments.length === 0) {
+            return res.status(400).json({ error: 'An entry needs text, a voice note or a photo' });
+        }
+        await entry.save();
+        await removeVoiceNote(replacedAudioUrl);
+
+        res.json({ entry: serialize(entry) });
+    } catch (error) {
+        console.error('Update journal entry error:', error);
+        res.status(500).json({ error: 'Failed to update entry' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const entry = await JournalEntry.findOwned(req.user._id, req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        await entry.deleteOne();
+        await removeVoiceNote(entry.audioUrl);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete journal entry error:', error);
+        res.status(500).json({ error: 'Failed to delete entry' });
+    }
+});
+
+module.exports = router;
+module.exports.__testUtils = {
+    validateEntryPayload,
+    audioContentType,
+    entryFields,
+    buildListQuery
+};
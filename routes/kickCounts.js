@@ -0,0 +1,150 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const KickSession = require('../models/KickSession');
+const { verifyToken } = require('../middleware/auth');
+const { currentGestationalWeek } = require('../services/pregnancyTimeline');
+const { KICK_TARGET, evaluateKickSession, summarizeKickSessions } = require('../services/kickCounts');
+
+const MAX_SESSION_MINUTES = 12 * 60;
+const MAX_KICKS = 200;
+const MAX_NOTES_LENGTH = 2000;
+// Allows for a phone clock that runs a little ahead
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function toDate(value) {
+    if (value === undefined || value === null) return null;
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Returns an error message, or null; `kickTimes` may be left out when only a count was kept
+function validateKickSession(body = {}, { now = new Date() } = {}) {
+    const startedAt = toDate(body.startedAt);
+    const endedAt = toDate(body.endedAt);
+    if (!startedAt || !endedAt) return 'startedAt and endedAt must be dates';
+    if (endedAt <= startedAt) return 'endedAt must be after startedAt';
+    if (endedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) return 'endedAt cannot be in the future';
+    if (endedAt - startedAt > MAX_SESSION_MINUTES * 60000) return 'A session can last at most 12 hours';
+
+    if (body.kickTimes !== undefined) {
+        if (!Array.isArray(body.kickTimes) || body.kickTimes.length > MAX_KICKS) {
+            return `kickTimes must be a list of at most ${MAX_KICKS} times`;
+        }
+        const times = body.kickTimes.map(toDate);
+        if (times.some((time) => !time || time < startedAt || time > endedAt)) {
+            return 'kickTimes must be times between startedAt and endedAt';
+        }
+    }
+    const count = body.count ?? body.kickTimes?.length;
+    if (!Number.isInteger(count) || count < 0 || count > MAX_KICKS) {
+        return `count must be a whole number from 0 to ${MAX_KICKS}`;
+    }
+    if (body.kickTimes && count < body.kickTimes.length) return 'count cannot be less than the number of kickTimes';
+    if (body.notes !== undefined && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+        return `notes must be text under ${MAX_NOTES_LENGTH} characters`;
+    }
+    return null;
+}
+
+function serialize(session) {
+    return {
+        id: session._id,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        count: session.count,
+        target: session.target,
+        minutesToTarget: session.minutesToTarget ?? null,
+        gestationalWeek: session.gestationalWeek ?? null,
+        notes: session.notes || null,
+        alerts: session.alerts || []
+    };
+}
+
+router.use(verifyToken);
+
+// Saves a finished session and compares it with the user's recent ones
+router.post('/', async (req, res) => {
+    try {
+        const validationError = validateKickSession(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const kickTimes = (req.body.kickTimes || []).map((time) => new Date(time)).sort((a, b) => a - b);
+        const session = {
+            startedAt: new Date(req.body.startedAt),
+            endedAt: new Date(req.body.endedAt),
+            count: req.body.count ?? kickTimes.length,
+            kickTimes,
+            target: KICK_TARGET
+        };
+        const history = await KickSession.find({ userId: req.user._id, startedAt: { $lt: session.startedAt } })
+            .sort({ startedAt: -1 })
+            .limit(20);
+        const { minutesToTarget, baselineMinutes, alerts } = evaluateKickSession(session, history);
+
+        const saved = await KickSession.create({
+            ...session,
+            userId: req.user._id,
+            minutesToTarget,
+            gestationalWeek: currentGestationalWeek(req.user.getProfile(), { now: session.startedAt }),
+            notes: req.body.notes,
+            alerts
+        });
+        res.status(201).json({ session: serialize(saved), baselineMinutes, alerts });
+    } catch (error) {
+        console.error('Save kick count error:', error);
+        res.status(500).json({ error: 'Failed to save kick count' });
+    }
+});
+
+// Newest first; ?limit= up to 100
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const sessions = await KickSession.find({ userId: req.user._id }).sort({ startedAt: -1 }).limit(limit);
+        res.json({ sessions: sessions.map(serialize) });
+    } catch (error) {
+        console.error('List kick counts error:', error);
+        res.status(500).json({ error: 'Failed to load kick counts' });
+    }
+});
+
+// Daily trend over ?days= (default 14), the baseline and recent alerts
+router.get('/summary', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+        const sessions = await KickSession.find({ userId: req.user._id }).sort({ startedAt: -1 }).limit(300);
+        const summary = summarizeKickSessions(sessions, { days });
+        const alerts = sessions
+            .filter((session) => session.alerts.length > 0)
+            .slice(0, 5)
+            .map((session) => ({ sessionId: session._id, startedAt: session.startedAt, alerts: session.alerts }));
+        res.json({ ...summary, alerts });
+    } catch (error) {
+        console.error('Kick count summary error:', error);
+        res.status(500).json({ error: 'Failed to summarize kick counts' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Kick count not found' });
+        }
+        const deleted = await KickSession.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (!deleted) {
+            return res.status(404).json({ error: 'Kick count not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete kick count error:', error);
+        res.status(500).json({ error: 'Failed to delete kick count' });
+    }
+});
+
+module.exports = router;
+module.exports.__testUtils = {
+    validateKickSession
+};
@@ -0,0 +1,472 @@
+const express = require('express');
+const router = express.Router();
+const MaternalMonitoring = require('../models/MaternalMonitoring');
+const { verifyToken } = require('../middleware/auth');
+const { activeKeys } = require('../services/safetyAssessment');
+const { currentGestationalWeek } = require('../services/pregnancyTimeline');
+const {
+    IOM_GAIN,
+    GLUCOSE_TYPES,
+    DEFAULT_ALERT_THRESHOLDS,
+    toKg,
+    toCm,
+    toMgDl,
+    computeBmi,
+    bmiCategory,
+    expectedGainCurve,
+    evaluateWeight,
+    classifyBloodPressure,
+    evaluateGlucose
+} = require('../services/maternalVitals');
+
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_NOTES_LENGTH = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function toDate(value) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Readings can be back-dated but not dated ahead
+function validateTimestampAndNotes(payload, now = new Date()) {
+    if (payload?.timestamp !== undefined) {
+        const timestamp = toDate(payload.timestamp);
+        if (!timestamp) return 'timestamp must be a valid datetime';
+        if (timestamp.getTime() > now.getTime() + CLOCK_SKEW_MS) return 'timestamp cannot be in the future';
+    }
+    if (payload?.notes !== undefined && (typeof payload.notes !== 'string' || payload.notes.length > MAX_NOTES_LENGTH)) {
+        return `notes must be text under ${MAX_NOTES_LENGTH} characters`;
+    }
+    return null;
+}
+
+function validateWeight(weight, field) {
+    if (!isFiniteNumber(weight?.value)) return `${field}.value is required`;
+    if (weight.unit !== undefined && !['kg', 'lbs'].includes(weight.unit)) return `${field}.unit must be kg or lbs`;
+    const kg = toKg(weight);
+    if (kg < 30 || kg > 300) return `${field} must be between 30 and 300 kg`;
+    return null;
+}
+
+function validateProfilePayload(payload) {
+    const prePregnancyWeight = payload?.prePregnancyWeight;
+    const height = payload?.height;
+    if (prePregnancyWeight !== undefined) {
+        const weightError = validateWeight(prePregnancyWeight, 'prePregnancyWeight');
+        if (weightError) return weightError;
+    }
+    if (height !== undefined) {
+        if (!isFiniteNumber(height?.value)) return 'height.value is required';
+        if (height.unit !== undefined && !['cm', 'inches'].includes(height.unit)) return 'height.unit must be cm or inches';
+        const cm = toCm(height);
+        if (cm < 120 || cm > 220) return 'height must be between 120 and 220 cm';
+    }
+
+    const thresholds = payload?.alertThresholds;
+    if (thresholds !== undefined) {
+        for (const group of ['bloodPressure', 'glucose']) {
+            for (const [key, value] of Object.entries(thresholds?.[group] || {})) {
+                if (!(key in DEFAULT_ALERT_THRESHOLDS[group])) return `Unknown ${group} threshold: ${key}`;
+                if (!isFiniteNumber(value) || value <= 0) return `alertThresholds.${group}.${key} must be a positive number`;
+            }
+        }
+    }
+    return null;
+}
+
+function validateWeightPayload(payload) {
+    return validateWeight(payload?.weight, 'weight') || validateTimestampAndNotes(payload);
+}
+
+function validateBloodPressurePayload(payload) {
+    const { systolic, diastolic, pulse, arm } = payload || {};
+    if (!isFiniteNumber(systolic) || !isFiniteNumber(diastolic)) {
+        return 'systolic and diastolic are required';
+    }
+    if (systolic < 60 || systolic > 260 || diastolic < 30 || diastolic > 160) {
+        return 'Blood pressure is outside the range a home cuff can read';
+    }
+    if (diastolic >= systolic) return 'systolic must be higher than diastolic';
+    if (pulse !== undefined && (!isFiniteNumber(pulse) || pulse < 30 || pulse > 220)) {
+        return 'pulse must be between 30 and 220';
+    }
+    if (arm !== undefined && !['left', 'right'].includes(arm)) return 'arm must be left or right';
+    return validateTimestampAndNotes(payload);
+}
+
+function validateGlucosePayload(payload) {
+    if (!isFiniteNumber(payload?.value)) return 'value is required';
+    const unit = payload.unit || 'mg/dL';
+    if (!['mg/dL', 'mmol/L'].includes(unit)) return 'unit must be mg/dL or mmol/L';
+    const mgDl = toMgDl(payload.value, unit);
+    if (mgDl < 20 || mgDl > 600) return 'Glucose is outside the range a meter can read';
+    if (!GLUCOSE_TYPES.includes(payload.type)) {
+        return `type must be one of ${GLUCOSE_TYPES.join(', ')}`;
+    }
+    return validateTimestampAndNotes(payload);
+}
+
+// Unsaved until the first reading, so the dashboard works for new users
+async function getMonitoringProfile(userId) {
+    return (await MaternalMonitoring.findOne({ userId })) || new MaternalMonitoring({ userId });
+}
+
+// Stored thresholds override the defaults key by key
+function resolveThresholds(monitoring) {
+    const source = typeof monitoring.toObject === 'function' ? monitoring.toObject() : monitoring;
+    const stored = source.alertThresholds || {};
+    const merge = (group) => {
+        const overrides = Object.entries(stored[group] || {}).filter(([, value]) => isFiniteNumber(value));
+        return { ...DEFAULT_ALERT_THRESHOLDS[group], ...Object.fromEntries(overrides) };
+    };
+    return { bloodPressure: merge('bloodPressure'), glucose: merge('glucose') };
+}
+
+function describeBaseline(monitoring) {
+    const baselineKg = toKg(monitoring.baseline?.prePregnancyWeight);
+    const heightCm = toCm(monitoring.baseline?.height);
+    const bmi = computeBmi(baselineKg, heightCm);
+    const category = bmiCategory(bmi);
+    return {
+        prePregnancyWeightKg: baselineKg,
+        heightCm,
+        bmi,
+        bmiCategory: category,
+        bmiLabel: category ? IOM_GAIN[category].label : null,
+        totalGainRangeKg: category ? IOM_GAIN[category].totalKg : null
+    };
+}
+
+function hasGestationalDiabetes(user) {
+    return activeKeys(user.getProfile().conditions).includes('gestational-diabetes');
+}
+
+function weekAt(user, timestamp) {
+    return currentGestationalWeek(user.getProfile(), { now: timestamp });
+}
+
+function weightPoint(record) {
+    return { timestamp: record.timestamp, weightKg: toKg(record.weight), week: record.gestationalWeek ?? null };
+}
+
+function byTimestamp(a, b) {
+    return a.timestamp - b.timestamp;
+}
+
+// Set pre-pregnancy weight, height and any provider-specific thresholds
+router.post('/profile', verifyToken, async (req, res) => {
+    try {
+        const validationError = validateProfilePayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(req.userId);
+        if (req.body.prePregnancyWeight) {
+            monitoring.baseline.prePregnancyWeight = { unit: 'kg', ...req.body.prePregnancyWeight };
+        }
+        if (req.body.height) {
+            monitoring.baseline.height = { unit: 'cm', ...req.body.height };
+        }
+        if (req.body.alertThresholds) {
+            for (const group of ['bloodPressure', 'glucose']) {
+                for (const [key, value] of Object.entries(req.body.alertThresholds[group] || {})) {
+                    monitoring.set(`alertThresholds.${group}.${key}`, value);
+                }
+            }
+        }
+        await monitoring.save();
+
+        res.json({
+            baseline: describeBaseline(monitoring),
+            alertThresholds: resolveThresholds(monitoring)
+        });
+    } catch (error) {
+        console.error('Error saving maternal monitoring profile:', error);
+        res.status(500).json({ error: 'Failed to save monitoring profile' });
+    }
+});
+
+// Add weight; gain is judged against the IOM range for the starting BMI
+router.post('/weight', verifyToken, async (req, res) => {
+    try {
+        const validationError = validateWeightPayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(req.userId);
+        const timestamp = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+        const weight = { unit: 'kg', ...req.body.weight };
+        const week = weekAt(req.user, timestamp);
+        const previous = monitoring.weightRecords
+            .filter((record) => record.timestamp < timestamp)
+            .sort(byTimestamp)
+            .pop();
+        const baseline = describeBaseline(monitoring);
+        const evaluation = evaluateWeight(
+            { timestamp, weightKg: toKg(weight), week },
+            {
+                baselineKg: baseline.prePregnancyWeightKg,
+                category: baseline.bmiCategory,
+                previous: previous ? weightPoint(previous) : null
+            }
+        );
+
+        monitoring.weightRecords.push({
+            timestamp,
+            weight,
+            gestationalWeek: week,
+            gainKg: evaluation.gainKg,
+            notes: req.body.notes
+        });
+        monitoring.alerts.push(...evaluation.alerts);
+        await monitoring.save();
+
+        res.json({
+            success: true,
+            weight: monitoring.weightRecords[monitoring.weightRecords.length - 1],
+            evaluation,
+            alerts: monitoring.alerts.slice(monitoring.alerts.length - evaluation.alerts.length)
+        });
+    } catch (error) {
+        console.error('Error adding weight:', error);
+        res.status(500).json({ error: 'Failed to add weight' });
+    }
+});
+
+// Add a blood pressure reading
+router.post('/blood-pressure', verifyToken, async (req, res) => {
+    try {
+        const validationError = validateBloodPressurePayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(req.userId);
+        const timestamp = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+        const { systolic, diastolic, pulse, arm, notes } = req.body;
+        const { category, alerts } = classifyBloodPressure(
+            { systolic, diastolic },
+            resolveThresholds(monitoring).bloodPressure
+        );
+
+        monitoring.bloodPressureReadings.push({
+            timestamp,
+            systolic,
+            diastolic,
+            pulse,
+            arm,
+            category,
+            gestationalWeek: weekAt(req.user, timestamp),
+            notes
+        });
+        monitoring.alerts.push(...alerts);
+        await monitoring.save();
+
+        res.json({
+            success: true,
+            reading: monitoring.bloodPressureReadings[monitoring.bloodPressureReadings.length - 1],
+            alerts: monitoring.alerts.slice(monitoring.alerts.length - alerts.length)
+        });
+    } catch (error) {
+        console.error('Error adding blood pressure:', error);
+        res.status(500).json({ error: 'Failed to add blood pressure' });
+    }
+});
+
+// Add a glucose reading; targets apply when the gestational-diabetes
+// condition is set on the profile
+router.post('/glucose', verifyToken, async (req, res) => {
+    try {
+        const validationError = validateGlucosePayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(req.userId);
+        const timestamp = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+        const unit = req.body.unit || 'mg/dL';
+        const value = toMgDl(req.body.value, unit);
+        const evaluation = evaluateGlucose(
+            { value, type: req.body.type },
+            { gestationalDiabetes: hasGestationalDiabetes(req.user), thresholds: resolveThresholds(monitoring).glucose }
+        );
+
+        monitoring.glucoseReadings.push({
+            timestamp,
+            value,
+            enteredValue: { value: req.body.value, unit },
+            type: req.body.type,
+            meal: req.body.meal,
+            inTarget: evaluation.inTarget ?? undefined,
+            gestationalWeek: weekAt(req.user, timestamp),
+            notes: req.body.notes
+        });
+        monitoring.alerts.push(...evaluation.alerts);
+        await monitoring.save();
+
+        res.json({
+            success: true,
+            reading: monitoring.glucoseReadings[monitoring.glucoseReadings.length - 1],
+            target: evaluation.target,
+            alerts: monitoring.alerts.slice(monitoring.alerts.length - evaluation.alerts.length)
+        });
+    } catch (error) {
+        console.error('Error adding glucose:', error);
+        res.status(500).json({ error: 'Failed to add glucose' });
+    }
+});
+
+// Latest readings, unacknowledged alerts and chart series. Weight covers the
+// whole pregnancy; blood pressure and glucose the last ?days= (default 30)
+router.get('/dashboard', verifyToken, async (req, res) => {
+    try {
+        const monitoring = await getMonitoringProfile(req.userId);
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 280);
+        const since = new Date(Date.now() - days * DAY_MS);
+        const baseline = describeBaseline(monitoring);
+        const gestationalDiabetes = hasGestationalDiabetes(req.user);
+        const glucoseThresholds = resolveThresholds(monitoring).glucose;
+
+        const glucose = monitoring.glucoseReadings
+            .filter((reading) => reading.timestamp >= since)
+            .sort(byTimestamp)
+            .map((reading) => {
+                const { target, inTarget } = evaluateGlucose(reading, { gestationalDiabetes, thresholds: glucoseThresholds });
+                return { timestamp: reading.timestamp, type: reading.type, value: reading.value, target, inTarget };
+            });
+        const targeted = glucose.filter((reading) => reading.inTarget !== null);
+
+        res.json({
+            baseline,
+            gestationalWeek: currentGestationalWeek(req.user.getProfile()),
+            gestationalDiabetes,
+            alertThresholds: resolveThresholds(monitoring),
+            latestWeight: monitoring.getLatestWeight(),
+            latestBloodPressure: monitoring.getLatestBloodPressure(),
+            latestGlucose: monitoring.getLatestGlucose(),
+            activeAlerts: monitoring.alerts.filter(alert => !alert.acknowledged),
+            glucoseInTarget: targeted.length > 0
+                ? { readings: targeted.length, inTarget: targeted.filter((reading) => reading.inTarget).length }
+                : null,
+            charts: {
+                weight: {
+                    points: [...monitoring.weightRecords].sort(byTimestamp).map((record) => ({
+                        ...weightPoint(record),
+                        gainKg: record.gainKg ?? null
+                    })),
+                    expectedGain: expectedGainCurve(baseline.bmiCategory)
+                },
+                bloodPressure: monitoring.bloodPressureReadings
+                    .filter((reading) => reading.timestamp >= since)
+                    .sort(byTimestamp)
+                    .map(({ timestamp, systolic, diastolic, pulse, category }) => ({
+                        timestamp, systolic, diastolic, pulse: pulse ?? null, category
+                    })),
+                glucose
+            }
+        });
+    } catch (error) {
+        console.error('Error getting maternal dashboard:', error);
+        res.status(500).json({ error: 'Failed to get dashboard data' });
+    }
+});
+
+// Acknowledge alert
+router.post('/alert/:alertId/acknowledge', verifyToken, async (req, res) => {
+    try {
+        const monitoring = await MaternalMonitoring.findOne({ userId: req.userId });
+        const alert = monitoring?.alerts.id(req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+
+        alert.acknowledged = true;
+        alert.acknowledgedAt = new Date();
+        alert.actionTaken = req.body.actionTaken;
+        await monitoring.save();
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error acknowledging maternal alert:', error);
+        res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+});
+
+// Export for a provider visit
+router.get('/export', verifyToken, async (req, res) => {
+    try {
+        const { format = 'json', startDate, endDate } = req.query;
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        const start = startDate ? new Date(startDate) : new Date(0);
+        const end = endDate ? new Date(endDate) : new Date();
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        const inRange = (record) => record.timestamp >= start && record.timestamp <= end;
+
+        const monitoring = await getMonitoringProfile(req.userId);
+        const data = {
+            baseline: describeBaseline(monitoring),
+            alertThresholds: resolveThresholds(monitoring),
+            weightRecords: monitoring.weightRecords.filter(inRange).sort(byTimestamp),
+            bloodPressureReadings: monitoring.bloodPressureReadings.filter(inRange).sort(byTimestamp),
+            glucoseReadings: monitoring.glucoseReadings.filter(inRange).sort(byTimestamp),
+            alerts: monitoring.alerts.filter(inRange)
+        };
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename="pregnancy-vitals.csv"');
+            res.send(convertToCSV(data));
+        } else {
+            res.json(data);
+        }
+    } catch (error) {
+        console.error('Error exporting maternal data:', error);
+        res.status(500).json({ error: 'Failed to export data' });
+    }
+});
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per reading, oldest first within each category
+function convertToCSV(data) {
+    const rows = [['Category', 'Date', 'Week', 'Type', 'Value', 'Unit', 'Notes']];
+
+    data.weightRecords.forEach(w => {
+        rows.push(['Weight', w.timestamp, w.gestationalWeek, 'Weight', w.weight.value, w.weight.unit, w.notes]);
+    });
+    data.bloodPressureReadings.forEach(b => {
+        rows.push(['Blood Pressure', b.timestamp, b.gestationalWeek, b.category, `${b.systolic}/${b.diastolic}`, 'mmHg', b.notes]);
+        if (b.pulse) rows.push(['Blood Pressure', b.timestamp, b.gestationalWeek, 'Pulse', b.pulse, 'bpm', b.notes]);
+    });
+    data.glucoseReadings.forEach(g => {
+        rows.push(['Glucose', g.timestamp, g.gestationalWeek, g.type, g.value, 'mg/dL', g.notes]);
+    });
+
+    return rows.map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = router;
+module.exports.__testUtils = {
+    validateProfilePayload,
+    validateWeightPayload,
+    validateBloodPressurePayload,
+    validateGlucosePayload,
+    resolveThresholds,
+    convertToCSV
+};
@@ -3,6 +3,49 @@ const router = express.Router();
 const BabyMonitoring = require('../models/BabyMonitoring');
 const User = require('../models/User');
 const { verifyToken } = require('../middleware/auth');
+const {
+    INDICATORS,
+    normalizeSex,
+    toKg,
+    toCm,
+    computeBmi,
+    adjustedAgeInMonths,
+    getGrowthStandards
+} = require('../services/growthStandards');
+const { computeBabyAge, gestationalAgeFor } = require('../services/correctedAge');
+const {
+    validateSleepPayload,
+    normalizeLocation,
+    safeSleepWarning,
+    summarizeSleep
+} = require('../services/babySleep');
+const { evaluateDiaperRecord, evaluateDiaperOutput } = require('../services/diaperOutput');
+const {
+    parseReminderTime,
+    isValidTimeZone,
+    resolveTimeZone,
+    localDayStart,
+    buildSchedule,
+    adherenceReport,
+    duplicateDoseWarning,
+    syncMedicationAlerts
+} = require('../services/medicationSchedule');
+const { getDosingTable, recentDoses, calculateDose } = require('../services/pediatricDosing');
+const {
+    DEFAULT_SCHEDULE,
+    listSchedules,
+    getImmunizationSchedule,
+    computeVaccinationStatus,
+    syncVaccinationAlerts,
+    vaccinationRecordRows
+} = require('../services/immunizationSchedule');
+const { renderTextPdf } = require('../services/pdfDocument');
+const {
+    getMilestoneCatalog,
+    computeMilestoneStatus,
+    developmentalSummary,
+    syncMilestoneAlerts
+} = require('../services/developmentalMilestones');
 
 const DEFAULT_ALERT_THRESHOLDS = {
     heartRate: { min: 100, max: 160 },
@@ -14,48 +57,6 @@ const DEFAULT_ALERT_THRESHOLDS = {
     wetDiapers: { min: 6 }
 };
 
-const GROWTH_CHARTS = {
-    weight: [
-        { weeks: 0, p50: 3.3, sd: 0.5, unit: 'kg' },
-        { weeks: 4, p50: 4.2, sd: 0.6, unit: 'kg' },
-        { weeks: 8, p50: 5.0, sd: 0.65, unit: 'kg' },
-        { weeks: 12, p50: 5.8, sd: 0.7, unit: 'kg' },
-        { weeks: 16, p50: 6.4, sd: 0.75, unit: 'kg' },
-        { weeks: 20, p50: 7.0, sd: 0.8, unit: 'kg' },
-        { weeks: 24, p50: 7.5, sd: 0.85, unit: 'kg' },
-        { weeks: 36, p50: 8.9, sd: 0.95, unit: 'kg' },
-        { weeks: 52, p50: 9.6, sd: 1.05, unit: 'kg' },
-        { weeks: 78, p50: 11.5, sd: 1.2, unit: 'kg' },
-        { weeks: 104, p50: 12.7, sd: 1.3, unit: 'kg' }
-    ],
-    length: [
-        { weeks: 0, p50: 49.9, sd: 1.9, unit: 'cm' },
-        { weeks: 4, p50: 53.7, sd: 2.0, unit: 'cm' },
-        { weeks: 8, p50: 57.1, sd: 2.1, unit: 'cm' },
-        { weeks: 12, p50: 60.0, sd: 2.2, unit: 'cm' },
-        { weeks: 16, p50: 62.4, sd: 2.3, unit: 'cm' },
-        { weeks: 20, p50: 64.3, sd: 2.4, unit: 'cm' },
-        { weeks: 24, p50: 66.0, sd: 2.5, unit: 'cm' },
-        { weeks: 36, p50: 71.0, sd: 2.7, unit: 'cm' },
-        { weeks: 52, p50: 75.7, sd: 2.9, unit: 'cm' },
-        { weeks: 78, p50: 83.0, sd: 3.1, unit: 'cm' },
-        { weeks: 104, p50: 87.8, sd: 3.3, unit: 'cm' }
-    ],
-    hc: [
-        { weeks: 0, p50: 34.5, sd: 1.3, unit: 'cm' },
-        { weeks: 4, p50: 37.1, sd: 1.4, unit: 'cm' },
-        { weeks: 8, p50: 39.0, sd: 1.5, unit: 'cm' },
-        { weeks: 12, p50: 40.5, sd: 1.5, unit: 'cm' },
-        { weeks: 16, p50: 41.8, sd: 1.6, unit: 'cm' },
-        { weeks: 20, p50: 42.8, sd: 1.6, unit: 'cm' },
-        { weeks: 24, p50: 43.6, sd: 1.7, unit: 'cm' },
-        { weeks: 36, p50: 45.8, sd: 1.8, unit: 'cm' },
-        { weeks: 52, p50: 46.9, sd: 1.9, unit: 'cm' },
-        { weeks: 78, p50: 48.5, sd: 2.0, unit: 'cm' },
-        { weeks: 104, p50: 49.5, sd: 2.1, unit: 'cm' }
-    ]
-};
-
 function isFiniteNumber(value) {
     return typeof value === 'number' && Number.isFinite(value);
 }
@@ -134,6 +135,17 @@ function validateMedicationPayload(payload) {
     if (!payload?.name || typeof payload.name !== 'string' || payload.name.trim().length < 2) {
         return 'Medication name is required';
     }
+    if (payload.reminders !== undefined) {
+        if (!Array.isArray(payload.reminders) || payload.reminders.some((reminder) => !parseReminderTime(reminder?.time))) {
+            return 'Reminder times must be HH:MM';
+        }
+    }
+    if (payload.graceMinutes !== undefined && (!isFiniteNumber(payload.graceMinutes) || payload.graceMinutes < 0)) {
+        return 'graceMinutes must be a non-negative number';
+    }
+    if (payload.minIntervalHours !== undefined && (!isFiniteNumber(payload.minIntervalHours) || payload.minIntervalHours <= 0)) {
+        return 'minIntervalHours must be a positive number';
+    }
     return null;
 }
 
@@ -162,8 +174,9 @@ router.post('/profile/:babyId', verifyToken, async (req, res) => {
             monitoring = new BabyMonitoring({
                 userId,
                 babyId,
-                riskFactors: req.body.riskFactors || {},
-                alertThresholds: req.body.alertThresholds || DEFAULT_ALERT_THRESHOLDS
+                riskFactors: { gestationalAge: baby.gestationalAgeAtBirth, ...req.body.riskFactors },
+                alertThresholds: req.body.alertThresholds || DEFAULT_ALERT_THRESHOLDS,
+                settings: isValidTimeZone(req.body.settings?.timezone) ? { timezone: req.body.settings.timezone } : undefined
             });
             
             await monitoring.save();
@@ -227,22 +240,47 @@ router.post('/growth/:babyId', verifyToken, async (req, res) => {
             return res.status(404).json({ error: 'Monitoring profile not found' });
         }
         
-        // Calculate percentiles (simplified - would integrate with WHO/CDC charts)
-        const measurement = {
-            ...req.body,
-            weight: {
-                ...req.body.weight,
-                percentile: calculatePercentile(req.body.weight.value, req.body.adjustedAge, 'weight')
-            },
-            length: {
-                ...req.body.length,
-                percentile: calculatePercentile(req.body.length.value, req.body.adjustedAge, 'length')
-            },
-            headCircumference: {
-                ...req.body.headCircumference,
-                percentile: calculatePercentile(req.body.headCircumference.value, req.body.adjustedAge, 'hc')
+        const user = await User.findById(userId);
+        const subject = growthSubject(user?.getBabyProfile(babyId), monitoring);
+        const measurement = { ...req.body, date: toDate(req.body.date) || new Date() };
+        delete measurement.bmi;
+        delete measurement.weightForLength;
+        delete measurement.postmenstrualAge;
+
+        for (const field of ['weight', 'length', 'headCircumference']) {
+            if (!isFiniteNumber(measurement[field]?.value)) {
+                delete measurement[field];
+                continue;
             }
-        };
+            const point = growthPoint(measurement, MEASURE_INDICATORS[field], subject);
+            measurement[field] = {
+                ...measurement[field],
+                percentile: point?.percentile ?? null,
+                zScore: point?.zScore ?? null
+            };
+        }
+
+        const { age, ageMonths, values } = measureGrowth(measurement, subject);
+        measurement.ageMonths = ageMonths === null ? undefined : round(ageMonths);
+        // Corrected age no longer has to be typed in for every measurement
+        if (age && !req.body.adjustedAge) {
+            measurement.adjustedAge = { weeks: Math.floor(age.ageDays / 7), days: age.ageDays % 7 };
+        }
+        if (age?.postmenstrualWeeks != null) {
+            measurement.postmenstrualAge = age.postmenstrualWeeks;
+        }
+        if (values.bmi !== null) {
+            const bmi = growthPoint(measurement, 'bmi-for-age', subject);
+            measurement.bmi = {
+                value: round(values.bmi),
+                percentile: bmi?.percentile ?? null,
+                zScore: bmi?.zScore ?? null
+            };
+        }
+        const weightForLength = growthPoint(measurement, 'weight-for-length', subject);
+        if (weightForLength) {
+            measurement.weightForLength = { percentile: weightForLength.percentile, zScore: weightForLength.zScore };
+        }
         
         monitoring.growthMeasurements.push(measurement);
         
@@ -271,6 +309,79 @@ router.post('/growth/:babyId', verifyToken, async (req, res) => {
     }
 });
 
+// Percentile curves (P3–P97) for one indicator with the baby's measurements
+// plotted on the same axes. Preterm babies get the Fenton chart by
+// postmenstrual age until 50 weeks when it is installed; `?scale=` picks
+// `age` or `postmenstrual-weeks` explicitly.
+router.get('/growth-chart/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const indicator = req.query.indicator || 'weight-for-age';
+        if (!INDICATORS[indicator]) {
+            return res.status(400).json({ error: `indicator must be one of: ${Object.keys(INDICATORS).join(', ')}` });
+        }
+        if (req.query.scale && !['age', 'postmenstrual-weeks'].includes(req.query.scale)) {
+            return res.status(400).json({ error: 'scale must be age or postmenstrual-weeks' });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        if (!baby) {
+            return res.status(404).json({ error: 'Baby profile not found' });
+        }
+        const sex = normalizeSex(baby.gender);
+        if (!sex) {
+            return res.status(400).json({ error: 'Set the baby\'s sex in their profile to see growth percentiles' });
+        }
+
+        const standards = getGrowthStandards();
+        const subject = growthSubject(baby, monitoring);
+        const age = computeBabyAge({ birthDate: baby.birthDate, gestationalAge: subject.gestationalAge });
+        let scale = req.query.scale || 'age';
+        if (!req.query.scale && age?.chart === 'fenton' && standards.describe(indicator, sex, { scale: 'postmenstrual-weeks' }).available) {
+            scale = 'postmenstrual-weeks';
+        }
+        if (INDICATORS[indicator].x === 'length') {
+            scale = 'age';
+        }
+
+        const points = monitoring.growthMeasurements
+            .map((measurement) => growthPoint(measurement, indicator, subject, { scale }))
+            .filter(Boolean)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        // Age charts run to at least 2 years, or six months past the last point
+        let range = {};
+        if (INDICATORS[indicator].x === 'age' && scale === 'age') {
+            range = { from: 0, to: Math.max(24, ...points.map((point) => Math.ceil(point.x) + 6)) };
+        }
+        const description = standards.describe(indicator, sex, { scale });
+
+        res.json({
+            indicator,
+            label: description.label,
+            sex,
+            scale,
+            age,
+            unit: description.unit,
+            xUnit: description.xUnit,
+            available: description.available,
+            sources: description.sources,
+            curves: standards.curves(indicator, sex, { ...range, scale }),
+            points,
+            indicators: standards.indicators(sex).map(({ id, label, available }) => ({ id, label, available }))
+        });
+    } catch (error) {
+        console.error('Error building growth chart:', error);
+        res.status(500).json({ error: 'Failed to build growth chart' });
+    }
+});
+
 // Add feeding record
 router.post('/feeding/:babyId', verifyToken, async (req, res) => {
     try {
@@ -332,24 +443,33 @@ router.post('/diaper/:babyId', verifyToken, async (req, res) => {
             return res.status(404).json({ error: 'Monitoring profile not found' });
         }
         
+        const timezoneOffset = parseTimezoneOffset(req.query.timezoneOffset);
+        if (timezoneOffset === null) {
+            return res.status(400).json({ error: 'timezoneOffset must be minutes from UTC' });
+        }
+
         monitoring.diaperRecords.push(req.body);
-        
-        // Check wet diaper count for the day
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const todaysWetDiapers = monitoring.diaperRecords
-            .filter(record => 
-                record.timestamp >= today && 
-                (record.type === 'wet' || record.type === 'both')
-            ).length;
-        
+        const diaper = monitoring.diaperRecords[monitoring.diaperRecords.length - 1];
+
+        const age = await currentBabyAge(userId, babyId, monitoring);
+        const stoolAlerts = evaluateDiaperRecord(diaper, { ageDays: age ? age.chronological.days : null });
+        const hydration = evaluateDiaperOutput(
+            monitoring.diaperRecords,
+            diaperOutputOptions(monitoring, age, timezoneOffset)
+        );
+        const alerts = addDiaperAlerts(monitoring, [
+            ...stoolAlerts.map((alert) => ({ ...alert, diaperId: diaper._id })),
+            ...hydration.concerns
+        ]);
+
         await monitoring.save();
-        
-        res.json({ 
-            success: true, 
-            diaper: monitoring.diaperRecords[monitoring.diaperRecords.length - 1],
-            todaysWetCount: todaysWetDiapers
+
+        res.json({
+            success: true,
+            diaper,
+            todaysWetCount: hydration.wetCount,
+            hydration,
+            alerts
         });
     } catch (error) {
         console.error('Error adding diaper record:', error);
@@ -357,6 +477,248 @@ router.post('/diaper/:babyId', verifyToken, async (req, res) => {
     }
 });
 
+function parseTimezoneOffset(value) {
+    const timezoneOffset = Number(value || 0);
+    return Number.isInteger(timezoneOffset) && Math.abs(timezoneOffset) <= 14 * 60 ? timezoneOffset : null;
+}
+
+// Diaper expectations use chronological age: day of life is what matters for
+// a newborn's output, however early they arrived
+function diaperOutputOptions(monitoring, age, timezoneOffset) {
+    return {
+        ageDays: age ? age.chronological.days : null,
+        minWet: monitoring.alertThresholds?.wetDiapers?.min ?? DEFAULT_ALERT_THRESHOLDS.wetDiapers.min,
+        trackingSince: monitoring.createdAt,
+        timeZone: monitoring.settings?.timezone,
+        timezoneOffset
+    };
+}
+
+// Stool alerts are raised for every diaper; low-output alerts only when the
+// same concern isn't already waiting to be acknowledged
+function addDiaperAlerts(monitoring, alerts) {
+    const added = [];
+    for (const alert of alerts) {
+        const pending = !alert.diaperId && monitoring.alerts.some((existing) =>
+            existing.type === 'diaper' && !existing.acknowledged && existing.data?.kind === alert.kind);
+        if (pending) {
+            continue;
+        }
+        monitoring.alerts.push({
+            type: 'diaper',
+            severity: alert.severity,
+            message: alert.message,
+            data: alert.diaperId ? { kind: alert.kind, diaperId: alert.diaperId } : { kind: alert.kind }
+        });
+        added.push(monitoring.alerts[monitoring.alerts.length - 1]);
+    }
+    return added;
+}
+
+// Baby's age now, for sleep comparisons and safe-sleep warnings
+async function currentBabyAge(userId, babyId, monitoring) {
+    const user = await User.findById(userId);
+    const baby = user?.getBabyProfile(babyId);
+    if (!baby) {
+        return null;
+    }
+    return computeBabyAge({ birthDate: baby.birthDate, gestationalAge: gestationalAgeFor(baby, monitoring) });
+}
+
+// Safe-sleep uses chronological age: the AAP advice covers the first year
+// after birth, however early the baby arrived
+function addSafeSleepAlert(monitoring, session, age) {
+    const warning = safeSleepWarning(session.location, age ? age.chronological.months : null);
+    if (!warning) {
+        return null;
+    }
+    monitoring.alerts.push({
+        type: 'sleep',
+        severity: 'high',
+        message: warning.message,
+        data: { sessionId: session._id, location: warning.location }
+    });
+    return warning;
+}
+
+function sleepFields(body) {
+    const fields = {};
+    if (body.quality !== undefined) fields.quality = body.quality;
+    if (body.location !== undefined) fields.location = normalizeLocation(body.location);
+    if (body.notes !== undefined) fields.notes = String(body.notes);
+    return fields;
+}
+
+// Start a sleep session. Another open session is fine (two caregivers, or a
+// second tap); overlapping time is only counted once in the summary.
+router.post('/sleep/:babyId/start', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const validationError = validateSleepPayload({ ...req.body, endTime: undefined });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        const overlapping = monitoring.sleepSessions.filter((session) => !session.endTime);
+        monitoring.sleepSessions.push({
+            startTime: toDate(req.body.startTime) || new Date(),
+            ...sleepFields(req.body)
+        });
+        const session = monitoring.sleepSessions[monitoring.sleepSessions.length - 1];
+        const warning = addSafeSleepAlert(monitoring, session, await currentBabyAge(userId, babyId, monitoring));
+        await monitoring.save();
+
+        res.json({
+            success: true,
+            session,
+            overlapping: overlapping.map((open) => open._id),
+            safeSleepWarning: warning
+        });
+    } catch (error) {
+        console.error('Error starting sleep session:', error);
+        res.status(500).json({ error: 'Failed to start sleep session' });
+    }
+});
+
+// Stop one open session (sessionId) or, without one, every open session
+router.post('/sleep/:babyId/stop', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const endTime = req.body.endTime === undefined ? new Date() : toDate(req.body.endTime);
+        if (!endTime) {
+            return res.status(400).json({ error: 'endTime must be a valid date' });
+        }
+        const validationError = validateSleepPayload({ ...req.body, startTime: undefined, endTime: undefined });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        const open = monitoring.sleepSessions.filter((session) => !session.endTime
+            && (!req.body.sessionId || String(session._id) === String(req.body.sessionId)));
+        if (open.length === 0) {
+            return res.status(404).json({ error: 'No sleep session in progress' });
+        }
+        if (open.some((session) => endTime <= session.startTime)) {
+            return res.status(400).json({ error: 'endTime must be after the session started' });
+        }
+
+        const fields = sleepFields(req.body);
+        open.forEach((session) => session.set({ endTime, ...fields }));
+        let warning = null;
+        if (fields.location) {
+            const age = await currentBabyAge(userId, babyId, monitoring);
+            warning = addSafeSleepAlert(monitoring, open[0], age);
+        }
+        await monitoring.save();
+
+        res.json({ success: true, sessions: open, safeSleepWarning: warning });
+    } catch (error) {
+        console.error('Error stopping sleep session:', error);
+        res.status(500).json({ error: 'Failed to stop sleep session' });
+    }
+});
+
+// Log a finished session after the fact
+router.post('/sleep/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const validationError = validateSleepPayload(req.body, { requireEnd: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        monitoring.sleepSessions.push({
+            startTime: toDate(req.body.startTime),
+            endTime: toDate(req.body.endTime),
+            ...sleepFields(req.body)
+        });
+        const session = monitoring.sleepSessions[monitoring.sleepSessions.length - 1];
+        const warning = addSafeSleepAlert(monitoring, session, await currentBabyAge(userId, babyId, monitoring));
+        await monitoring.save();
+
+        res.json({ success: true, session, safeSleepWarning: warning });
+    } catch (error) {
+        console.error('Error logging sleep session:', error);
+        res.status(500).json({ error: 'Failed to log sleep session' });
+    }
+});
+
+// Daily and weekly totals, night vs naps, and the recommendation for age.
+// timezoneOffset is minutes from UTC as reported by Date#getTimezoneOffset.
+router.get('/sleep/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+        const timezoneOffset = parseTimezoneOffset(req.query.timezoneOffset);
+        if (timezoneOffset === null) {
+            return res.status(400).json({ error: 'timezoneOffset must be minutes from UTC' });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        const age = await currentBabyAge(userId, babyId, monitoring);
+        const now = new Date();
+        const since = new Date(now.getTime() - (days + 1) * 24 * 60 * 60 * 1000);
+        const sessions = monitoring.sleepSessions.filter((session) => !session.endTime || session.endTime >= since);
+        const summary = summarizeSleep(sessions, {
+            days,
+            now,
+            timezoneOffset,
+            ageMonths: age ? age.ageMonths : null
+        });
+
+        res.json({
+            ...summary,
+            sessions: sessions.sort((a, b) => b.startTime - a.startTime)
+        });
+    } catch (error) {
+        console.error('Error getting sleep summary:', error);
+        res.status(500).json({ error: 'Failed to get sleep summary' });
+    }
+});
+
+router.delete('/sleep/:babyId/:sessionId', verifyToken, async (req, res) => {
+    try {
+        const { babyId, sessionId } = req.params;
+        const monitoring = await getMonitoringProfile(req.userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const session = monitoring.sleepSessions.id(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Sleep session not found' });
+        }
+        session.deleteOne();
+        await monitoring.save();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting sleep session:', error);
+        res.status(500).json({ error: 'Failed to delete sleep session' });
+    }
+});
+
 // Add medication
 router.post('/medication/:babyId', verifyToken, async (req, res) => {
     try {
@@ -385,14 +747,20 @@ router.post('/medication/:babyId', verifyToken, async (req, res) => {
     }
 });
 
-// Log medication administration
+// Log medication administration. The dose is saved even when it looks like
+// a duplicate; the response and a `medication` alert carry the warning.
 router.post('/medication/:babyId/:medicationId/log', verifyToken, async (req, res) => {
     try {
         const { babyId, medicationId } = req.params;
         const userId = req.userId;
-        if (!toDate(req.body?.timestamp)) {
+        // Doses logged without a time were given now
+        const timestamp = req.body?.timestamp === undefined ? new Date() : toDate(req.body.timestamp);
+        if (!timestamp) {
             return res.status(400).json({ error: 'Valid administration timestamp is required' });
         }
+        if (req.body.doseMg !== undefined && (!isFiniteNumber(req.body.doseMg) || req.body.doseMg <= 0)) {
+            return res.status(400).json({ error: 'doseMg must be a positive number' });
+        }
         
         const monitoring = await getMonitoringProfile(userId, babyId);
         if (!monitoring) {
@@ -404,16 +772,559 @@ router.post('/medication/:babyId/:medicationId/log', verifyToken, async (req, re
             return res.status(404).json({ error: 'Medication not found' });
         }
         
-        medication.administrationLog.push(req.body);
+        const duplicateWarning = req.body.given === false
+            ? null
+            : duplicateDoseWarning(medication, timestamp);
+        medication.administrationLog.push({ ...req.body, timestamp });
+        const entry = medication.administrationLog[medication.administrationLog.length - 1];
+        if (duplicateWarning) {
+            monitoring.alerts.push({
+                type: 'medication',
+                severity: 'high',
+                message: duplicateWarning.message,
+                data: { kind: 'duplicate-dose', medicationId: String(medication._id), logId: String(entry._id) }
+            });
+        }
         await monitoring.save();
         
-        res.json({ success: true });
+        res.json({ success: true, entry, duplicateWarning });
     } catch (error) {
         console.error('Error logging medication:', error);
         res.status(500).json({ error: 'Failed to log medication' });
     }
 });
 
+// Scheduled doses between `from` and `to` (default: today in the baby's
+// timezone) with their status
+router.get('/medication/:babyId/schedule', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        const now = new Date();
+        const timeZone = resolveTimeZone(monitoring.settings?.timezone);
+        const from = req.query.from ? toDate(req.query.from) : localDayStart(now, timeZone);
+        const to = req.query.to ? toDate(req.query.to) : new Date(from?.getTime() + 24 * 60 * 60 * 1000);
+        if (!from || !to || to <= from) {
+            return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+        }
+        if (to - from > 31 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: 'The schedule covers at most 31 days' });
+        }
+
+        if (syncMedicationAlerts(monitoring, { now }).length > 0) {
+            await monitoring.save();
+        }
+
+        const doses = monitoring.medications.flatMap((medication) =>
+            buildSchedule(medication, { from, to, now, timeZone }).map((dose) => ({
+                ...dose,
+                medicationId: medication._id,
+                name: medication.name,
+                dosage: medication.dosage
+            })))
+            .sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+        res.json({ success: true, timeZone, from, to, doses });
+    } catch (error) {
+        console.error('Error getting medication schedule:', error);
+        res.status(500).json({ error: 'Failed to get medication schedule' });
+    }
+});
+
+// Given, late, skipped and missed doses per medication over the last `days`
+router.get('/medication/:babyId/adherence', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        const now = new Date();
+        const report = adherenceReport(monitoring.medications, {
+            from: new Date(now.getTime() - days * 24 * 60 * 60 * 1000),
+            to: now,
+            now,
+            timeZone: resolveTimeZone(monitoring.settings?.timezone)
+        });
+
+        res.json({ success: true, days, ...report });
+    } catch (error) {
+        console.error('Error getting medication adherence:', error);
+        res.status(500).json({ error: 'Failed to get medication adherence' });
+    }
+});
+
+// Weight-based acetaminophen/ibuprofen dose from the latest weight, checked
+// against the age minimum and the doses logged in the last 24 hours
+router.get('/dosing/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const table = getDosingTable();
+        const drug = table.resolve(req.query.drug);
+        if (!drug) {
+            return res.status(400).json({
+                error: `drug must be one of: ${table.drugs.map((entry) => entry.id).join(', ')}`
+            });
+        }
+        if (req.query.concentration && !drug.concentrations.some((entry) => entry.id === req.query.concentration)) {
+            return res.status(400).json({
+                error: `concentration must be one of: ${drug.concentrations.map((entry) => entry.id).join(', ')}`
+            });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const age = await currentBabyAge(userId, babyId, monitoring);
+        if (!age) {
+            return res.status(404).json({ error: 'Baby profile not found' });
+        }
+
+        const weighed = monitoring.growthMeasurements
+            .filter((measurement) => toKg(measurement.weight))
+            .sort((a, b) => b.date - a.date)[0];
+        if (!weighed) {
+            return res.status(400).json({ error: 'Record a weight before using the dosing calculator' });
+        }
+
+        const now = new Date();
+        const result = calculateDose({
+            drug,
+            concentration: req.query.concentration,
+            weightKg: toKg(weighed.weight),
+            weighedAt: weighed.date,
+            ageDays: age.chronological.days,
+            doses: recentDoses(monitoring.medications, drug, { now, table }),
+            now
+        });
+        if (age.preterm && age.useCorrected) {
+            result.warnings.push('Your baby was born early. Check this dose with your pediatrician before giving it.');
+        }
+
+        res.json({
+            success: true,
+            ...result,
+            source: table.source,
+            disclaimer: 'Always check the dose against the package and your pediatrician\'s advice. Call your pediatrician for a fever in a baby under 3 months.'
+        });
+    } catch (error) {
+        console.error('Error calculating dose:', error);
+        res.status(500).json({ error: 'Failed to calculate dose' });
+    }
+});
+
+// Monitoring settings: the timezone reminders are read in and the
+// immunization schedule vaccinations are tracked against
+router.patch('/settings/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const { timezone, immunizationSchedule } = req.body || {};
+        if (timezone === undefined && immunizationSchedule === undefined) {
+            return res.status(400).json({ error: 'timezone or immunizationSchedule is required' });
+        }
+        if (timezone !== undefined && !isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: 'timezone must be an IANA timezone such as America/New_York' });
+        }
+        if (immunizationSchedule !== undefined && !listSchedules().includes(immunizationSchedule)) {
+            return res.status(400).json({ error: `immunizationSchedule must be one of: ${listSchedules().join(', ')}` });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+
+        if (timezone !== undefined) monitoring.settings.timezone = timezone;
+        if (immunizationSchedule !== undefined) monitoring.settings.immunizationSchedule = immunizationSchedule;
+        await monitoring.save();
+
+        res.json({ success: true, settings: monitoring.settings });
+    } catch (error) {
+        console.error('Error updating monitoring settings:', error);
+        res.status(500).json({ error: 'Failed to update monitoring settings' });
+    }
+});
+
+function immunizationScheduleFor(monitoring) {
+    return getImmunizationSchedule(monitoring.settings?.immunizationSchedule || DEFAULT_SCHEDULE)
+        || getImmunizationSchedule(DEFAULT_SCHEDULE);
+}
+
+function vaccinationStatusFor(baby, monitoring, now = new Date()) {
+    if (!baby?.birthDate) {
+        return null;
+    }
+    return computeVaccinationStatus(immunizationScheduleFor(monitoring), {
+        birthDate: baby.birthDate,
+        records: baby.vaccinations || [],
+        now
+    });
+}
+
+// Due, overdue and upcoming doses from the birth date and recorded vaccinations
+router.get('/vaccinations/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        if (!baby) {
+            return res.status(404).json({ error: 'Baby profile not found' });
+        }
+        const status = vaccinationStatusFor(baby, monitoring);
+        if (!status) {
+            return res.status(400).json({ error: 'Add a birth date to the baby profile to track vaccinations' });
+        }
+
+        if (syncVaccinationAlerts(monitoring, status).length > 0) {
+            await monitoring.save();
+        }
+
+        res.json({ success: true, records: baby.vaccinations, ...status });
+    } catch (error) {
+        console.error('Error getting vaccinations:', error);
+        res.status(500).json({ error: 'Failed to get vaccinations' });
+    }
+});
+
+// Record a vaccination on the baby profile
+router.post('/vaccinations/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+        const date = toDate(req.body?.date);
+        if (!name) {
+            return res.status(400).json({ error: 'Vaccine name is required' });
+        }
+        if (!date || date > new Date()) {
+            return res.status(400).json({ error: 'date must be a valid date, not in the future' });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        if (!baby) {
+            return res.status(404).json({ error: 'Baby profile not found' });
+        }
+        if (baby.birthDate && date < new Date(baby.birthDate).setUTCHours(0, 0, 0, 0)) {
+            return res.status(400).json({ error: 'date cannot be before the birth date' });
+        }
+
+        baby.vaccinations.push({ name, date });
+        await user.save();
+        const record = baby.vaccinations[baby.vaccinations.length - 1];
+        const recognized = immunizationScheduleFor(monitoring).resolve(name).length > 0;
+
+        res.json({ success: true, record, recognized });
+    } catch (error) {
+        console.error('Error recording vaccination:', error);
+        res.status(500).json({ error: 'Failed to record vaccination' });
+    }
+});
+
+router.delete('/vaccinations/:babyId/:recordId', verifyToken, async (req, res) => {
+    try {
+        const { babyId, recordId } = req.params;
+        const user = await User.findById(req.userId);
+        const baby = user?.getBabyProfile(babyId);
+        const record = baby?.vaccinations.id(recordId);
+        if (!record) {
+            return res.status(404).json({ error: 'Vaccination record not found' });
+        }
+
+        record.deleteOne();
+        await user.save();
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting vaccination:', error);
+        res.status(500).json({ error: 'Failed to delete vaccination' });
+    }
+});
+
+// Printable vaccination record as CSV or PDF
+router.get('/vaccinations/:babyId/export', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const { format = 'pdf' } = req.query;
+        if (!['csv', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or pdf' });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        const status = vaccinationStatusFor(baby, monitoring);
+        if (!status) {
+            return res.status(404).json({ error: 'Baby profile with a birth date not found' });
+        }
+
+        const rows = vaccinationRecordRows(status);
+        const filename = `vaccinations-${babyId}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            return res.send(vaccinationCsv(rows));
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(renderTextPdf({
+            title: `Vaccination record: ${baby.name || 'Baby'}`,
+            lines: vaccinationPdfLines(baby, status, rows)
+        }));
+    } catch (error) {
+        console.error('Error exporting vaccinations:', error);
+        res.status(500).json({ error: 'Failed to export vaccinations' });
+    }
+});
+
+function csvField(value) {
+    // A leading quote stops spreadsheets from running the cell as a formula
+    const raw = String(value ?? '');
+    const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function vaccinationCsv(rows) {
+    const header = 'Vaccine,Dose,Status,Date Given,Recommended,Due By\n';
+    return header + rows
+        .map((row) => [row.vaccine, row.dose, row.status, row.given, row.recommended, row.dueBy].map(csvField).join(','))
+        .join('\n') + '\n';
+}
+
+function vaccinationPdfLines(baby, status, rows) {
+    const born = new Date(baby.birthDate).toISOString().slice(0, 10);
+    const cell = (value, width) => String(value ?? '').slice(0, width).padEnd(width);
+    return [
+        `Born ${born}. Schedule: ${status.schedule.name}.`,
+        `Generated ${new Date().toISOString().slice(0, 10)}.`,
+        '',
+        `${cell('Vaccine', 40)} ${cell('Dose', 4)} ${cell('Status', 12)} ${cell('Given', 10)} ${cell('Due by', 10)}`,
+        '-'.repeat(80),
+        ...rows.map((row) => `${cell(row.vaccine, 40)} ${cell(row.dose, 4)} ${cell(row.status, 12)} ${cell(row.given, 10)} ${cell(row.dueBy, 10)}`),
+        '',
+        ...rows.filter((row) => row.status.startsWith('not counted')).map((row) => `* ${row.vaccine} on ${row.given}: ${row.status}`),
+        status.schedule.notes || ''
+    ];
+}
+
+function milestoneStatusFor(baby, monitoring, now = new Date()) {
+    if (!baby?.birthDate) {
+        return null;
+    }
+    const gestationalAge = gestationalAgeFor(baby, monitoring);
+    const age = computeBabyAge({ birthDate: baby.birthDate, gestationalAge, on: now });
+    if (!age) {
+        return null;
+    }
+    return computeMilestoneStatus(getMilestoneCatalog(), {
+        age,
+        birthDate: baby.birthDate,
+        gestationalAge,
+        records: monitoring.milestones
+    });
+}
+
+// The milestone catalog with each milestone's status at the baby's
+// (corrected) age
+router.get('/milestones/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        if (!baby) {
+            return res.status(404).json({ error: 'Baby profile not found' });
+        }
+        const status = milestoneStatusFor(baby, monitoring);
+        if (!status) {
+            return res.status(400).json({ error: 'Add a birth date to the baby profile to track milestones' });
+        }
+
+        if (syncMilestoneAlerts(monitoring, status).length > 0) {
+            await monitoring.save();
+        }
+
+        res.json({ success: true, ...status });
+    } catch (error) {
+        console.error('Error getting milestones:', error);
+        res.status(500).json({ error: 'Failed to get milestones' });
+    }
+});
+
+// Mark a catalog milestone achieved, or update its date and notes
+router.post('/milestones/:babyId', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const { milestoneId, notes } = req.body || {};
+        const milestone = typeof milestoneId === 'string' ? getMilestoneCatalog().get(milestoneId) : null;
+        if (!milestone) {
+            return res.status(400).json({ error: 'milestoneId must be a milestone from the catalog' });
+        }
+        const achievedDate = req.body.achievedDate === undefined ? new Date() : toDate(req.body.achievedDate);
+        if (!achievedDate || achievedDate > new Date()) {
+            return res.status(400).json({ error: 'achievedDate must be a valid date, not in the future' });
+        }
+        if (notes !== undefined && typeof notes !== 'string') {
+            return res.status(400).json({ error: 'notes must be a string' });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        if (!baby) {
+            return res.status(404).json({ error: 'Baby profile not found' });
+        }
+        if (baby.birthDate && achievedDate < new Date(baby.birthDate).setUTCHours(0, 0, 0, 0)) {
+            return res.status(400).json({ error: 'achievedDate cannot be before the birth date' });
+        }
+
+        const age = computeBabyAge({ birthDate: baby.birthDate, gestationalAge: gestationalAgeFor(baby, monitoring) });
+        let record = monitoring.milestones.find((entry) => entry.milestoneId === milestone.id);
+        if (!record) {
+            monitoring.milestones.push({ milestoneId: milestone.id });
+            record = monitoring.milestones[monitoring.milestones.length - 1];
+        }
+        record.category = milestone.category;
+        record.milestone = milestone.text;
+        record.expectedAge = { months: milestone.ageMonths, adjusted: Boolean(age?.useCorrected) };
+        record.achievedDate = achievedDate;
+        if (notes !== undefined) record.notes = notes;
+        await monitoring.save();
+
+        res.json({ success: true, record });
+    } catch (error) {
+        console.error('Error recording milestone:', error);
+        res.status(500).json({ error: 'Failed to record milestone' });
+    }
+});
+
+// Unmark a milestone
+router.delete('/milestones/:babyId/:milestoneId', verifyToken, async (req, res) => {
+    try {
+        const { babyId, milestoneId } = req.params;
+        const monitoring = await getMonitoringProfile(req.userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const record = monitoring.milestones.find((entry) => entry.milestoneId === milestoneId);
+        if (!record) {
+            return res.status(404).json({ error: 'Milestone record not found' });
+        }
+
+        record.deleteOne();
+        await monitoring.save();
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting milestone:', error);
+        res.status(500).json({ error: 'Failed to delete milestone' });
+    }
+});
+
+// Developmental summary for pediatrician visits, as JSON or a printable PDF
+router.get('/milestones/:babyId/summary', verifyToken, async (req, res) => {
+    try {
+        const { babyId } = req.params;
+        const userId = req.userId;
+        const { format = 'json' } = req.query;
+        if (!['json', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or pdf' });
+        }
+
+        const monitoring = await getMonitoringProfile(userId, babyId);
+        if (!monitoring) {
+            return res.status(404).json({ error: 'Monitoring profile not found' });
+        }
+        const user = await User.findById(userId);
+        const baby = user?.getBabyProfile(babyId);
+        const status = milestoneStatusFor(baby, monitoring);
+        if (!status) {
+            return res.status(404).json({ error: 'Baby profile with a birth date not found' });
+        }
+
+        const summary = developmentalSummary(status);
+        if (format === 'json') {
+            return res.json({ success: true, catalog: status.catalog, summary });
+        }
+        res.setHeader('Content-Disposition', `attachment; filename="milestones-${babyId}.pdf"`);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(renderTextPdf({
+            title: `Developmental summary: ${baby.name || 'Baby'}`,
+            lines: milestoneSummaryLines(baby, status, summary)
+        }));
+    } catch (error) {
+        console.error('Error getting milestone summary:', error);
+        res.status(500).json({ error: 'Failed to get milestone summary' });
+    }
+});
+
+function milestoneSummaryLines(baby, status, summary) {
+    const day = (date) => new Date(date).toISOString().slice(0, 10);
+    const cell = (value, width) => String(value ?? '').slice(0, width).padEnd(width);
+    const list = (milestones, describe) => milestones.length > 0
+        ? milestones.map((milestone) => `  [${milestone.ageMonths}m ${milestone.category}] ${milestone.text}${describe ? ` - ${describe(milestone)}` : ''}`)
+        : ['  None'];
+    return [
+        `Born ${day(baby.birthDate)}. Age ${summary.ageMonths} months${summary.corrected ? ' (corrected for prematurity)' : ''}.`,
+        `Checklist: ${status.catalog.name}.`,
+        `Generated ${day(new Date())}.`,
+        '',
+        `${cell('Category', 12)} ${cell('Expected', 8)} ${cell('Achieved', 8)} ${cell('Not yet', 8)}`,
+        '-'.repeat(40),
+        ...Object.entries(summary.byCategory).map(([category, counts]) =>
+            `${cell(category, 12)} ${cell(counts.expected, 8)} ${cell(counts.achieved, 8)} ${cell(counts.overdue, 8)}`),
+        '',
+        'Not yet reached (past the age 75% of children reach them by):',
+        ...list(summary.overdue),
+        '',
+        'Reached later than the checklist age:',
+        ...list(summary.late, (milestone) => `at ${milestone.achievedAgeMonths} months`),
+        '',
+        'Recently reached:',
+        ...list(summary.recentlyAchieved, (milestone) => day(milestone.achievedDate)),
+        '',
+        summary.nextChecklistMonths ? `Next checklist (${summary.nextChecklistMonths} months):` : 'Next checklist: none',
+        ...(summary.nextChecklistMonths ? list(summary.next) : []),
+        '',
+        status.catalog.notes || ''
+    ];
+}
+
 // Get dashboard data
 router.get('/dashboard/:babyId', verifyToken, async (req, res) => {
     try {
@@ -431,6 +1342,7 @@ router.get('/dashboard/:babyId', verifyToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
         const baby = user.getBabyProfile(babyId);
+        const age = baby ? computeBabyAge({ birthDate: baby.birthDate, gestationalAge: gestationalAgeFor(baby, monitoring) }) : null;
         
         // Get latest data
         const latestVitals = monitoring.getLatestVitals();
@@ -438,9 +1350,6 @@ router.get('/dashboard/:babyId', verifyToken, async (req, res) => {
         const todaysFeedingTotal = monitoring.getTodaysFeedingTotal();
         const weightGainVelocity = monitoring.getWeightGainVelocity();
         
-        // Get unacknowledged alerts
-        const activeAlerts = monitoring.alerts.filter(alert => !alert.acknowledged);
-        
         // Get today's records
         const today = new Date();
         today.setHours(0, 0, 0, 0);
@@ -448,16 +1357,34 @@ router.get('/dashboard/:babyId', verifyToken, async (req, res) => {
         const todaysFeedings = monitoring.feedingRecords.filter(r => r.timestamp >= today);
         const todaysDiapers = monitoring.diaperRecords.filter(r => r.timestamp >= today);
         
-        // Get medications due today
-        const medicationsDue = monitoring.medications.filter(med => {
-            if (!med.endDate || med.endDate >= today) {
-                return med.reminders.some(reminder => reminder.enabled);
-            }
-            return false;
-        });
+        // Today's doses in the baby's timezone, vaccinations and milestones;
+        // raise alerts for missed doses, due or overdue vaccines and overdue
+        // milestones
+        const now = new Date();
+        const timeZone = resolveTimeZone(monitoring.settings?.timezone);
+        const dayStart = localDayStart(now, timeZone);
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+        const vaccinations = vaccinationStatusFor(baby, monitoring, now);
+        const milestones = milestoneStatusFor(baby, monitoring, now);
+        const changedAlerts = [
+            ...syncMedicationAlerts(monitoring, { now }),
+            ...(vaccinations ? syncVaccinationAlerts(monitoring, vaccinations) : []),
+            ...(milestones ? syncMilestoneAlerts(monitoring, milestones) : [])
+        ];
+        if (changedAlerts.length > 0) {
+            await monitoring.save();
+        }
+        const activeAlerts = monitoring.alerts.filter(alert => !alert.acknowledged);
+        const medicationsDue = monitoring.medications
+            .map((medication) => ({
+                ...medication.toObject(),
+                doses: buildSchedule(medication, { from: dayStart, to: dayEnd, now, timeZone })
+            }))
+            .filter((medication) => medication.doses.length > 0);
         
         res.json({
             baby,
+            age,
             monitoring: {
                 riskFactors: monitoring.riskFactors,
                 latestVitals,
@@ -467,7 +1394,19 @@ router.get('/dashboard/:babyId', verifyToken, async (req, res) => {
                 activeAlerts,
                 todaysFeedings,
                 todaysDiapers,
+                hydration: evaluateDiaperOutput(
+                    monitoring.diaperRecords,
+                    diaperOutputOptions(monitoring, age, parseTimezoneOffset(req.query.timezoneOffset) ?? 0)
+                ),
                 medicationsDue,
+                timezone: monitoring.settings?.timezone || null,
+                vaccinations: vaccinations
+                    ? { overdue: vaccinations.overdue, due: vaccinations.due, nextVisit: vaccinations.nextVisit }
+                    : null,
+                milestones: milestones
+                    ? { overdue: milestones.overdue, byCategory: milestones.byCategory, nextChecklistMonths: milestones.nextChecklistMonths }
+                    : null,
+                currentSleep: monitoring.sleepSessions.filter((session) => !session.endTime).pop() || null,
                 recentVitals: monitoring.vitalSigns.slice(-10),
                 recentGrowth: monitoring.growthMeasurements.slice(-10),
                 recentNotes: monitoring.dailyNotes.slice(-10)
@@ -614,94 +1553,90 @@ router.get('/export/:babyId', verifyToken, async (req, res) => {
     }
 });
 
-// Helper function to calculate percentiles (simplified placeholder)
-function calculatePercentile(value, adjustedAge, type) {
-    if (!isFiniteNumber(value)) {
-        return null;
-    }
-
-    const chart = GROWTH_CHARTS[type];
-    if (!chart || chart.length === 0) {
-        return null;
-    }
-
-    // adjustedAge is expected to be { weeks, days } for corrected age.
-    const weeks = Number(adjustedAge?.weeks || 0);
-    const days = Number(adjustedAge?.days || 0);
-    const ageInWeeks = Math.max(0, (Number.isFinite(weeks) ? weeks : 0) + ((Number.isFinite(days) ? days : 0) / 7));
-
-    const [lower, upper] = findBoundingPoints(chart, ageInWeeks);
-    const p50 = interpolate(lower.weeks, upper.weeks, lower.p50, upper.p50, ageInWeeks);
-    const sd = interpolate(lower.weeks, upper.weeks, lower.sd, upper.sd, ageInWeeks);
-    const normalized = normalizeToChartUnit(value, type);
-    if (normalized === null || sd <= 0) {
-        return null;
-    }
+// Which chart each measurement field is plotted on against age
+const MEASURE_INDICATORS = {
+    weight: 'weight-for-age',
+    length: 'length-for-age',
+    headCircumference: 'head-circumference-for-age',
+    hc: 'head-circumference-for-age'
+};
 
-    const zScore = (normalized - p50) / sd;
-    const percentile = Math.round(normalCdf(zScore) * 100);
-    return Math.max(1, Math.min(99, percentile));
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
 }
 
-function findBoundingPoints(chart, ageInWeeks) {
-    if (ageInWeeks <= chart[0].weeks) {
-        return [chart[0], chart[0]];
-    }
-    if (ageInWeeks >= chart[chart.length - 1].weeks) {
-        const last = chart[chart.length - 1];
-        return [last, last];
-    }
+// The baby details growth percentiles depend on
+function growthSubject(baby, monitoring) {
+    return {
+        gender: baby?.gender,
+        birthDate: baby?.birthDate,
+        gestationalAge: gestationalAgeFor(baby, monitoring)
+    };
+}
 
-    for (let i = 0; i < chart.length - 1; i++) {
-        const current = chart[i];
-        const next = chart[i + 1];
-        if (ageInWeeks >= current.weeks && ageInWeeks <= next.weeks) {
-            return [current, next];
-        }
+// Age at the measurement (corrected for preterm babies until 24 months, or
+// the adjustedAge entered by hand) and every measure in chart units
+function measureGrowth(measurement, subject = {}) {
+    const age = subject.birthDate
+        ? computeBabyAge({ birthDate: subject.birthDate, gestationalAge: subject.gestationalAge, on: measurement.date || new Date() })
+        : null;
+    const hasAdjustedAge = measurement.adjustedAge
+        && (measurement.adjustedAge.weeks != null || measurement.adjustedAge.days != null);
+    let ageMonths = age ? age.ageMonths : null;
+    if (hasAdjustedAge) {
+        ageMonths = adjustedAgeInMonths(measurement.adjustedAge);
     }
 
-    const fallback = chart[chart.length - 1];
-    return [fallback, fallback];
+    const values = {
+        weight: toKg(measurement.weight),
+        length: toCm(measurement.length),
+        headCircumference: toCm(measurement.headCircumference)
+    };
+    values.bmi = computeBmi(values.weight, values.length);
+    return { age, ageMonths, values };
 }
 
-function interpolate(x1, x2, y1, y2, x) {
-    if (x1 === x2) {
-        return y1;
-    }
-    const ratio = (x - x1) / (x2 - x1);
-    return y1 + (y2 - y1) * ratio;
+function toPoint(measurement, x, value, result) {
+    return {
+        date: measurement.date,
+        x: round(x),
+        value: round(value),
+        percentile: result ? result.percentile : null,
+        zScore: result ? result.zScore : null,
+        source: result ? result.source : null
+    };
 }
 
-function normalizeToChartUnit(value, type) {
-    if (!isFiniteNumber(value)) {
+// Preterm babies are read on the Fenton chart by postmenstrual age up to 50
+// weeks and on WHO/CDC at corrected age after that. Without a Fenton table
+// they go straight to WHO at corrected age. `scale` forces one axis;
+// `standards` defaults to the tables in data/growth/.
+function growthPoint(measurement, indicator, subject = {}, { scale, standards = getGrowthStandards() } = {}) {
+    const { age, ageMonths, values } = measureGrowth(measurement, subject);
+    const { measure, x } = INDICATORS[indicator];
+    const value = values[measure];
+    if (value === null) {
         return null;
     }
 
-    // Growth payload currently passes normalized units:
-    // - weight in kg, length/head circumference in cm
-    // If this changes in the future, unit conversion should happen before this call.
-    if (type === 'weight' && value > 40) {
-        return value / 1000;
+    const postmenstrual = x === 'age' && age?.postmenstrualWeeks != null
+        && (scale === 'postmenstrual-weeks' || (!scale && age.chart === 'fenton'));
+    if (postmenstrual) {
+        const result = standards.assess(indicator, subject.gender, age.postmenstrualWeeks, value, { scale: 'postmenstrual-weeks' });
+        if (result || scale) {
+            return toPoint(measurement, age.postmenstrualWeeks, value, result);
+        }
+    }
+    if (scale === 'postmenstrual-weeks') {
+        return null;
     }
-    return value;
-}
-
-function normalCdf(z) {
-    return 0.5 * (1 + erf(z / Math.sqrt(2)));
-}
 
-function erf(x) {
-    const sign = x < 0 ? -1 : 1;
-    const absX = Math.abs(x);
-    const t = 1 / (1 + 0.3275911 * absX);
-    const a1 = 0.254829592;
-    const a2 = -0.284496736;
-    const a3 = 1.421413741;
-    const a4 = -1.453152027;
-    const a5 = 1.061405429;
-
-    const poly = (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t;
-    return sign * (1 - poly * Math.exp(-absX * absX));
+    const xValue = x === 'length' ? values.length : ageMonths;
+    if (xValue === null) {
+        return null;
+    }
+    return toPoint(measurement, xValue, value, standards.assess(indicator, subject.gender, xValue, value));
 }
 
 // Helper function to convert data to CSV
@@ -732,10 +1667,15 @@ function convertToCSV(data) {
 
 module.exports = router;
 module.exports.__testUtils = {
-    calculatePercentile,
+    growthSubject,
+    measureGrowth,
+    growthPoint,
     validateVitalPayload,
     validateGrowthPayload,
     validateFeedingPayload,
     validateDiaperPayload,
-    validateMedicationPayload
+    validateMedicationPayload,
+    diaperOutputOptions,
+    addDiaperAlerts,
+    vaccinationCsv
 };
\ No newline at end of file
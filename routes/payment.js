@@ -458,7 +458,7 @@ router.get('/debug-status/:email', async (req, res) => {
             stripeSubscriptionId: user.stripeSubscriptionId,
             subscriptionType: user.subscriptionType,
             subscriptionDate: user.subscriptionDate,
-            dailySearches: user.dailySearches,
+            usage: user.usage,
             createdAt: user.createdAt,
             lastLogin: user.lastLogin
         });
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Converts the published WHO and CDC LMS files into data/growth/*.json for
+// services/growthStandards.js.
+//
+//   node scripts/import-growth-tables.js cdc <indicator> <file.csv>
+//   node scripts/import-growth-tables.js who <indicator> <boys.txt> <girls.txt>
+//   node scripts/import-growth-tables.js fenton <indicator> <file.csv> [--grams]
+//
+// CDC files (https://www.cdc.gov/growthcharts/percentile_data_files.htm:
+// wtage.csv, statage.csv, bmiagerev.csv, wtleninf.csv) hold both sexes with
+// a Sex column (1 = male, 2 = female) and Agemos or Length. WHO "expanded
+// tables" and monthly tables are tab separated, one file per sex, keyed by
+// Month, Day, Length or Height. Fenton 2013 LMS files are keyed by Sex and
+// postmenstrual Weeks; pass --grams when the weight M column is in grams.
+// Rows are merged into who-0-2.json, cdc-2-20.json or fenton-2013.json under
+// the indicator; other indicators are left alone.
+
+const fs = require('fs');
+const path = require('path');
+const { INDICATORS, normalizeSex } = require('../services/growthStandards');
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'growth');
+const DAYS_PER_MONTH = 30.4375;
+
+const SOURCES = {
+    who: {
+        file: 'who-0-2.json',
+        source: 'WHO',
+        name: 'WHO Child Growth Standards (2006), birth to 24 months',
+        url: 'https://www.who.int/tools/child-growth-standards/standards',
+        rangeKey: 'ageRangeMonths',
+        range: [0, 24],
+        // WHO caps extreme z-scores for weight-based indicators
+        restrictTails: ['weight-for-age', 'weight-for-length', 'bmi-for-age']
+    },
+    cdc: {
+        file: 'cdc-2-20.json',
+        source: 'CDC',
+        name: 'CDC Growth Charts (2000), 2 to 20 years',
+        url: 'https://www.cdc.gov/growthcharts/percentile_data_files.htm',
+        rangeKey: 'ageRangeMonths',
+        range: [24, 240.5],
+        restrictTails: []
+    },
+    fenton: {
+        file: 'fenton-2013.json',
+        source: 'Fenton',
+        name: 'Fenton 2013 preterm growth charts, 22 to 50 weeks postmenstrual age',
+        url: 'https://ucalgary.ca/resource/preterm-growth-chart',
+        scale: 'postmenstrual-weeks',
+        rangeKey: 'pmaRangeWeeks',
+        range: [22, 50],
+        restrictTails: []
+    }
+};
+
+function parseTable(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim());
+    const split = (line) => line.split(/[,\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ''));
+    const header = split(lines[0]).map((cell) => cell.toLowerCase());
+    return lines.slice(1).map((line) => {
+        const cells = split(line);
+        return Object.fromEntries(header.map((name, index) => [name, cells[index]]));
+    });
+}
+
+// [x, L, M, S] with x in months (age), weeks (postmenstrual age) or cm (length)
+function toRow(record) {
+    let x;
+    if (record.agemos !== undefined) x = Number(record.agemos);
+    else if (record.weeks !== undefined) x = Number(record.weeks);
+    else if (record.month !== undefined) x = Number(record.month);
+    else if (record.day !== undefined) x = Number(record.day) / DAYS_PER_MONTH;
+    else x = Number(record.length ?? record.height);
+    const row = [x, Number(record.l), Number(record.m), Number(record.s)];
+    if (row.some((value) => !Number.isFinite(value))) {
+        throw new Error(`Unreadable row: ${JSON.stringify(record)}`);
+    }
+    return [Math.round(x * 10000) / 10000, ...row.slice(1)];
+}
+
+function inRange(row, indicator, [from, to]) {
+    return INDICATORS[indicator].x !== 'age' || (row[0] >= from && row[0] <= to);
+}
+
+// 1/2 in the CDC files, words in the Fenton ones
+function rowSex(value) {
+    if (value === '1') return 'male';
+    if (value === '2') return 'female';
+    return normalizeSex(value);
+}
+
+function main(args) {
+    const grams = args.includes('--grams');
+    const [sourceName, indicator, ...files] = args.filter((arg) => arg !== '--grams');
+    const config = SOURCES[sourceName];
+    if (!config || !INDICATORS[indicator] || files.length === 0) {
+        console.error('Usage: import-growth-tables.js <who|cdc|fenton> <indicator> <file> [girls-file] [--grams]');
+        console.error(`Indicators: ${Object.keys(INDICATORS).join(', ')}`);
+        process.exit(1);
+    }
+
+    const bySex = { male: [], female: [] };
+    if (sourceName !== 'who') {
+        for (const record of parseTable(fs.readFileSync(files[0], 'utf8'))) {
+            // The CDC files repeat the header row part-way through
+            const sex = rowSex(record.sex);
+            if (sex) bySex[sex].push(toRow(record));
+        }
+    } else {
+        if (files.length < 2) {
+            console.error('WHO tables come as one file per sex: <boys-file> <girls-file>');
+            process.exit(1);
+        }
+        bySex.male = parseTable(fs.readFileSync(files[0], 'utf8')).map(toRow);
+        bySex.female = parseTable(fs.readFileSync(files[1], 'utf8')).map(toRow);
+    }
+
+    const target = path.join(DATA_DIR, config.file);
+    const data = fs.existsSync(target)
+        ? JSON.parse(fs.readFileSync(target, 'utf8'))
+        : {
+            source: config.source,
+            name: config.name,
+            url: config.url,
+            ...(config.scale ? { scale: config.scale } : {}),
+            [config.rangeKey]: config.range,
+            indicators: {}
+        };
+
+    let xUnit = config.scale ? 'weeks' : 'months';
+    if (INDICATORS[indicator].x === 'length') xUnit = 'cm';
+    const table = {
+        xUnit,
+        unit: INDICATORS[indicator].unit
+    };
+    if (config.restrictTails.includes(indicator)) table.restrictTails = true;
+    for (const sex of ['male', 'female']) {
+        table[sex] = bySex[sex]
+            .filter((row) => inRange(row, indicator, data[config.rangeKey]))
+            .map(([x, L, M, S]) => [x, L, grams && INDICATORS[indicator].measure === 'weight' ? M / 1000 : M, S])
+            .sort((a, b) => a[0] - b[0]);
+        if (table[sex].length === 0) {
+            console.error(`No ${sex} rows found for ${indicator}`);
+            process.exit(1);
+        }
+    }
+
+    data.indicators[indicator] = table;
+    data.updatedAt = new Date().toISOString().slice(0, 10);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    // One table row per line, like the hand-checked files
+    const json = JSON.stringify(data, null, 4)
+        .replace(/\[\s+(-?[\d.e-]+(?:,\s+-?[\d.e-]+)*)\s+\]/g, (match, cells) => `[${cells.split(/,\s+/).join(', ')}]`);
+    fs.writeFileSync(target, `${json}\n`);
+    console.log(`${config.file}: ${indicator} (${table.male.length} male, ${table.female.length} female rows)`);
+}
+
+main(process.argv.slice(2));
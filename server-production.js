@@ -10,8 +10,26 @@ if (process.env.NODE_ENV !== 'production') {
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const axios = require('axios');
 const session = require('express-session');
+const safetyAssessment = require('./services/safetyAssessment');
+const { SCHEMA_VERSION, ASSESSMENT_SCHEMA, formatAssessmentText } = require('./services/assessmentSchema');
+const { getKnowledgeBase, toAssessment } = require('./services/knowledgeBase');
+const { buildCacheKey, getResponseCache } = require('./services/responseCache');
+const { createSectionParser } = require('./services/sectionStream');
+const { openEventStream } = require('./services/eventStream');
+const { checkInteractions, CONTEXTS: interactionContexts } = require('./services/interactions');
+const { normalizeBarcode, getProductCatalog } = require('./services/productCatalog');
+const { validatePregnancyDates, computeTimeline, currentGestationalWeek } = require('./services/pregnancyTimeline');
+const { validateTriageInput, getTriageRules } = require('./services/symptomTriage');
+const { computeBabyAge, gestationalAgeFor } = require('./services/correctedAge');
+const {
+    PRODUCT_CATEGORIES,
+    MAX_INGREDIENTS,
+    getIngredientRules,
+    toIngredientAssessment,
+    splitIngredientList,
+    checkIngredients
+} = require('./services/ingredients');
 
 // Conditionally load MongoStore only if MongoDB is configured
 let MongoStore;
@@ -31,10 +49,11 @@ try {
 }
 
 // Import middleware with error handling
-let verifyToken, requirePremium;
+let verifyToken, optionalAuth, requirePremium;
 try {
     const authMiddleware = require('./middleware/auth');
     verifyToken = authMiddleware.verifyToken;
+    optionalAuth = authMiddleware.optionalAuth;
     requirePremium = authMiddleware.requirePremium;
 } catch (error) {
     console.error('Auth middleware not available:', error.message);
@@ -42,13 +61,17 @@ try {
     verifyToken = (req, res, next) => {
         res.status(503).json({ error: 'Authentication service unavailable' });
     };
+    // Without auth everyone is a trial user
+    optionalAuth = (req, res, next) => next();
     requirePremium = (req, res, next) => {
         res.status(503).json({ error: 'Premium service unavailable' });
     };
 }
+const { requireEntitlement } = require('./middleware/entitlements');
+const entitlements = require('./services/entitlements');
 
 // Import routes with error handling
-let authRoutes, affiliateRoutes, paymentRoutes, User;
+let authRoutes, affiliateRoutes, paymentRoutes, adminRoutes, conversationRoutes, appointmentRoutes, kickCountRoutes, contractionRoutes, maternalMonitoringRoutes, journalRoutes, babyMonitoringRoutes, BabyMonitoring, JournalEntry, User;
 try {
     authRoutes = require('./routes/auth');
 } catch (error) {
@@ -67,6 +90,51 @@ try {
     console.error('Payment routes not available:', error.message);
 }
 
+try {
+    adminRoutes = require('./routes/admin');
+} catch (error) {
+    console.error('Admin routes not available:', error.message);
+}
+
+try {
+    conversationRoutes = require('./routes/conversations');
+} catch (error) {
+    console.error('Conversation routes not available:', error.message);
+}
+
+try {
+    appointmentRoutes = require('./routes/appointments');
+} catch (error) {
+    console.error('Appointment routes not available:', error.message);
+}
+
+try {
+    kickCountRoutes = require('./routes/kickCounts');
+    contractionRoutes = require('./routes/contractions');
+} catch (error) {
+    console.error('Kick count and contraction routes not available:', error.message);
+}
+
+try {
+    maternalMonitoringRoutes = require('./routes/maternalMonitoring');
+} catch (error) {
+    console.error('Maternal monitoring routes not available:', error.message);
+}
+
+try {
+    journalRoutes = require('./routes/journal');
+    JournalEntry = require('./models/JournalEntry');
+} catch (error) {
+    console.error('Journal routes not available:', error.message);
+}
+
+try {
+    babyMonitoringRoutes = require('./routes/monitoring');
+    BabyMonitoring = require('./models/BabyMonitoring');
+} catch (error) {
+    console.error('Baby monitoring routes not available:', error.message);
+}
+
 try {
     User = require('./models/User');
 } catch (error) {
@@ -106,14 +174,33 @@ if ((process.env.MONGODB_URI || process.env.mongodb_uri) && connectDB) {
         } catch (error) {
             console.error('Failed to connect to database:', error.message);
         }
+        // Missed-dose alerts; serverless deployments rely on the dashboard check instead
+        if (BabyMonitoring) {
+            require('./services/medicationSchedule').startMedicationScheduler(BabyMonitoring);
+        }
+        // Voice notes uploaded but never saved with an entry
+        if (JournalEntry) {
+            require('./services/audioStore').startVoiceNoteCleanup(JournalEntry);
+        }
     }
 } else {
     console.warn('MONGODB_URI is not set or database module unavailable. Running without database connection.');
 }
 
-// Simple in-memory cache
-const responseCache = new Map();
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
+// LLM answers for items outside the curated knowledge base are labelled as unreviewed
+const AI_SOURCE_FIELDS = {
+    source: 'ai',
+    reviewed: false,
+    reviewNotice: 'AI-generated, not reviewed'
+};
+
+// Charges the text-check quota and records the check in the user's history
+async function recordSafetyCheck(req, item, riskScore) {
+    await req.entitlement.charge();
+    if (req.user) {
+        await req.user.addToHistory(item, riskScore);
+    }
+}
 
 // Session configuration with better error handling for serverless
 const sessionConfig = {
@@ -194,6 +281,36 @@ if (affiliateRoutes) {
     app.use('/api/affiliate', affiliateRoutes);
 }
 
+if (adminRoutes) {
+    app.use('/api/admin', adminRoutes);
+}
+
+if (conversationRoutes) {
+    app.use('/api/conversations', conversationRoutes);
+}
+
+if (appointmentRoutes) {
+    app.use('/api/appointments', appointmentRoutes);
+}
+
+if (kickCountRoutes && contractionRoutes) {
+    app.use('/api/kick-counts', kickCountRoutes);
+    app.use('/api/contractions', contractionRoutes);
+}
+
+if (maternalMonitoringRoutes) {
+    app.use('/api/maternal-monitoring', maternalMonitoringRoutes);
+}
+
+if (journalRoutes) {
+    app.use('/api/journal', journalRoutes);
+}
+
+// baby-monitor.js calls these without the /api prefix
+if (babyMonitoringRoutes) {
+    app.use('/monitoring', babyMonitoringRoutes);
+}
+
 // Payment routes (with fallback)
 if (paymentRoutes) {
     app.use('/payment', paymentRoutes);
@@ -381,6 +498,9 @@ app.get('/api/health', (req, res) => {
             hasSessionSecret: !!process.env.SESSION_SECRET,
             hasJwtSecret: !!process.env.JWT_SECRET,
             hasShroudKey: !!process.env.SHROUD_API_KEY,
+            llmProvider: safetyAssessment.getProviderName(),
+            llmConfigured: safetyAssessment.isConfigured(),
+            knowledgeBaseVersion: getKnowledgeBase().version,
             mongooseConnected: false
         }
     };
@@ -395,6 +515,16 @@ app.get('/api/health', (req, res) => {
     res.json(health);
 });
 
+// JSON Schema describing the structured "assessment" field on safety responses
+app.get('/api/assessment-schema', (req, res) => {
+    res.json(ASSESSMENT_SCHEMA);
+});
+
+// Remaining quota for every metered feature on the caller's plan
+app.get('/api/quota', optionalAuth, (req, res) => {
+    res.json(entitlements.getAllQuotas({ user: req.user, session: req.session }));
+});
+
 // API endpoints for profile management
 app.get('/api/profile', verifyToken, async (req, res) => {
     try {
@@ -411,6 +541,11 @@ app.get('/api/profile', verifyToken, async (req, res) => {
 
 app.post('/api/profile', verifyToken, async (req, res) => {
     try {
+        const dateError = validatePregnancyDates(req.body);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
         await req.user.saveProfile(req.body);
         
         // Also save the showAIThoughts preference if provided
@@ -426,14 +561,90 @@ app.post('/api/profile', verifyToken, async (req, res) => {
     }
 });
 
-// Shroud model config — single model for all inference
-const SHROUD_MODEL = process.env.SHROUD_MODEL || 'Qwen/Qwen3-32B';
-const TEXT_MODEL = SHROUD_MODEL;
-const DETAILED_TEXT_MODEL = SHROUD_MODEL;
-const VISION_MODELS = [SHROUD_MODEL];
+// Gestational age, trimester, milestones and screening windows. Uses
+// ?dueDate= or ?lmp= when given, otherwise the signed-in user's profile.
+app.get('/api/timeline', optionalAuth, (req, res) => {
+    try {
+        const { dueDate, lmp } = req.query;
+        let source = { dueDate, lmp };
+        if (!dueDate && !lmp) {
+            if (!req.user) {
+                return res.status(400).json({ error: 'Provide dueDate or lmp, or sign in' });
+            }
+            source = req.user.getProfile();
+        }
+
+        const dateError = validatePregnancyDates(source);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        const timeline = computeTimeline(source);
+        if (!timeline) {
+            return res.status(404).json({ error: 'Add your due date or last period to your profile', timeline: null });
+        }
+        res.json({ timeline });
+    } catch (error) {
+        console.error('Timeline error:', error);
+        res.status(500).json({ error: 'Failed to compute timeline' });
+    }
+});
+
+// Runs the red-flag rules on a triage request. The week comes from the body,
+// or from the signed-in user's due date or LMP.
+function runTriage(req) {
+    const { symptoms, week, severity, temperature, temperatureUnit } = req.body;
+    let gestationalWeek = week ?? null;
+    if (gestationalWeek === null && req.user) {
+        gestationalWeek = currentGestationalWeek(req.user.getProfile());
+    }
+    return getTriageRules().triage({ symptoms, week: gestationalWeek, severity, temperature, temperatureUnit });
+}
+
+// Symptom triage: deterministic red-flag rules only, free for everyone, so
+// the urgency tier never waits on a quota or an AI call
+app.post('/api/triage', optionalAuth, (req, res) => {
+    try {
+        const validationError = validateTriageInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        res.json({ triage: runTriage(req) });
+    } catch (error) {
+        console.error('Triage error:', error);
+        res.status(500).json({ error: 'Failed to triage symptoms' });
+    }
+});
+
+// AI explanation of a triage result. The tier is recomputed from the rules
+// here rather than taken from the client, and the model cannot change it.
+app.post('/api/triage/explain', verifyToken, requireEntitlement('triageExplanation'), async (req, res) => {
+    try {
+        const validationError = validateTriageInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
+        }
+
+        const triage = runTriage(req);
+        const { content } = await safetyAssessment.explainTriage({
+            symptoms: req.body.symptoms,
+            triage,
+            userProfile: req.user.getProfile()
+        });
+        await req.entitlement.charge();
 
-// API endpoint for safety checks (1 free per day for trial/free users, unlimited for premium)
-app.post('/api/check-safety', async (req, res) => {
+        res.json({ triage, explanation: content, reviewed: false, reviewNotice: AI_SOURCE_FIELDS.reviewNotice });
+    } catch (error) {
+        console.error('Triage explanation error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to explain triage result' });
+    }
+});
+
+// API endpoint for safety checks (quota per plan in services/entitlements.js)
+app.post('/api/check-safety', optionalAuth, requireEntitlement('textCheck'), async (req, res) => {
     console.log('🔍 Safety check request received:', {
         item: req.body?.item,
         hasAuth: !!req.header('Authorization'),
@@ -442,253 +653,80 @@ app.post('/api/check-safety', async (req, res) => {
     });
     
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            console.error('SHROUD_API_KEY is not set in environment variables');
-            return res.status(500).json({ error: 'Shroud API key not configured' });
-        }
-
         const { item } = req.body;
-        
-        // Try to get authenticated user
-        let user = null;
-        let userProfile = {};
-        
-        // Check for auth token
-        const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                     req.session?.token;
-        
-        if (token) {
-            try {
-                const jwt = require('jsonwebtoken');
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const User = require('./models/User');
-                user = await User.findById(decoded.userId);
-                if (user) {
-                    userProfile = user.getProfile();
-                }
-            } catch (authError) {
-                console.log('Auth failed, continuing as trial user');
-            }
-        }
-        
-        // Check cache first
-        const cacheKey = item.toLowerCase();
-        const cached = responseCache.get(cacheKey);
-        
-        if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-            console.log('Returning cached response for:', cacheKey);
-            const cachedData = cached.data;
+        const user = req.user || null;
+        const userProfile = user ? user.getProfile() : {};
 
-            // Enforce limits and track usage similarly to fresh calls
-            if (user) {
-                const canSearch = await user.checkDailyLimit();
-                if (!canSearch && !user.isPremium) {
-                    return res.status(403).json({ 
-                        error: 'Daily limit reached', 
-                        message: 'You\'ve used your free daily check. Upgrade to premium for unlimited checks!',
-                        requiresUpgrade: true 
-                    });
-                }
-                await user.incrementSearchCount();
-                const riskForHistory = cachedData.pregnancyRiskScore || cachedData.riskScore || 5;
-                await user.addToHistory(item, riskForHistory);
-            } else {
-                if (!req.session.trialSearchCount) req.session.trialSearchCount = 0;
-                req.session.trialSearchCount++;
-                if (req.session.trialSearchCount > 1) {
-                    return res.status(403).json({ 
-                        error: 'Trial limit reached', 
-                        message: 'Trial users get 1 free check. Please sign up for unlimited access!',
-                        requiresUpgrade: true 
-                    });
-                }
-            }
+        const includeBreastfeeding = !!(user && user.isPremium);
 
-            return res.json(cachedData);
+        // Curated entries answer without an LLM call, unless the profile has
+        // an allergy or condition they don't cover; then the model answers
+        // with the profile, or without a provider the curated answer goes out
+        // unreviewed with the concerns attached
+        const knowledgeBase = getKnowledgeBase();
+        const known = knowledgeBase.lookup(item);
+        const profileWarnings = known ? safetyAssessment.profileConcerns(known, { item, userProfile }) : [];
+        if (known && profileWarnings.length > 0 && safetyAssessment.isConfigured()) {
+            console.log(`📚 Knowledge base hit for "${item}" (${known.id}) needs the profile: asking the model`);
+        } else if (known) {
+            console.log(`📚 Knowledge base hit for "${item}": ${known.id}`);
+            const assessment = toAssessment(known, { includeBreastfeeding });
+            await recordSafetyCheck(req, item, assessment.riskScore);
+            return res.json({
+                result: [...profileWarnings, formatAssessmentText(assessment)].join('\n'),
+                ...(includeBreastfeeding
+                    ? { hasBothSections: true, pregnancyRiskScore: assessment.riskScore, breastfeedingRiskScore: assessment.breastfeeding.riskScore }
+                    : { riskScore: assessment.riskScore }),
+                assessment,
+                schemaVersion: SCHEMA_VERSION,
+                assessmentStatus: 'valid',
+                source: 'knowledge-base',
+                reviewed: profileWarnings.length === 0,
+                ...(profileWarnings.length > 0 ? { profileWarnings } : {}),
+                knowledgeBase: { id: known.id, version: knowledgeBase.version, reviewedAt: known.reviewedAt },
+                references: known.citations,
+                thinking: '',
+                hasThinking: false,
+                showAIThoughts: user?.showAIThoughts || false
+            });
         }
 
-        // Build personalized context from user profile
-        let contextInfo = '';
-        if (userProfile.conditions) {
-            const activeConditions = Object.entries(userProfile.conditions)
-                .filter(([key, value]) => value === true)
-                .map(([key, value]) => {
-                    const conditionMap = {
-                        'gestational-diabetes': 'gestational diabetes',
-                        'preeclampsia': 'preeclampsia/high blood pressure',
-                        'anemia': 'anemia',
-                        'thyroid': 'thyroid disorders',
-                        'placenta-previa': 'placenta previa',
-                        'hyperemesis': 'hyperemesis gravidarum',
-                        'rh-negative': 'Rh negative blood type',
-                        'multiples': 'multiple pregnancy (twins/triplets)'
-                    };
-                    return conditionMap[key] || key;
-                });
-            if (activeConditions.length > 0) {
-                contextInfo += `\nPatient has: ${activeConditions.join(', ')}.`;
-            }
+        if (!safetyAssessment.isConfigured()) {
+            console.error(`LLM provider "${safetyAssessment.getProviderName()}" is not configured`);
+            return res.status(500).json({ error: 'AI provider not configured' });
         }
         
-        if (userProfile.allergies) {
-            const activeAllergies = Object.entries(userProfile.allergies)
-                .filter(([key, value]) => value === true)
-                .map(([key, value]) => {
-                    const allergyMap = {
-                        'peanuts': 'peanut allergy',
-                        'tree-nuts': 'tree nut allergy',
-                        'milk': 'milk/dairy allergy',
-                        'eggs': 'egg allergy',
-                        'soy': 'soy allergy',
-                        'wheat': 'wheat allergy',
-                        'shellfish': 'shellfish allergy',
-                        'fish': 'fish allergy',
-                        'sesame': 'sesame allergy',
-                        'latex': 'latex allergy',
-                        'penicillin': 'penicillin allergy',
-                        'aspirin': 'aspirin/NSAID allergy',
-                        'sulfa': 'sulfa drug allergy',
-                        'iodine': 'iodine/contrast dye allergy',
-                        'bee-stings': 'bee/wasp sting allergy',
-                        'pollen': 'pollen/hay fever',
-                        'dust-mites': 'dust mite allergy',
-                        'pet-dander': 'pet dander allergy',
-                        'mold': 'mold allergy',
-                        'nickel': 'nickel/metal allergy'
-                    };
-                    return allergyMap[key] || key;
-                });
-            if (activeAllergies.length > 0) {
-                contextInfo += `\nPatient has allergies: ${activeAllergies.join(', ')}.`;
-            }
-        }
+        // Check cache first; the key covers the profile factors that change the answer
+        const responseCache = getResponseCache();
+        const cacheKey = buildCacheKey({ item, userProfile, includeBreastfeeding });
+        const cachedData = await responseCache.get(cacheKey);
         
-        if (userProfile.trimester) {
-            contextInfo += `\nCurrently in ${userProfile.trimester} trimester.`;
-        }
-        
-        if (userProfile.age && parseInt(userProfile.age) >= 35) {
-            contextInfo += `\nAdvanced maternal age (${userProfile.age}).`;
-        }
+        if (cachedData) {
+            console.log(`Returning cached response for "${item}" (${cacheKey.key})`);
 
-        // Add user preferences to context
-        let preferenceContext = '';
-        if (userProfile.preferences) {
-            const prefs = userProfile.preferences;
-            
-            // Measurement preferences
-            if (prefs.measurementSystem === 'metric') {
-                preferenceContext += '\nUse metric units (kg, °C, ml, cm).';
-            } else {
-                preferenceContext += '\nUse imperial units (lbs, °F, cups, inches).';
-            }
-            
-            // Caffeine preferences
-            if (prefs.caffeineMeasurement === 'milligrams') {
-                preferenceContext += '\nFor caffeine, use milligrams (e.g., "200mg limit" instead of "1-2 cups").';
-            } else {
-                preferenceContext += '\nFor caffeine, use cups/servings (e.g., "1-2 cups" instead of mg amounts).';
-            }
-            
-            // Temperature preferences
-            if (prefs.temperatureUnit === 'celsius') {
-                preferenceContext += '\nUse Celsius for temperatures.';
-            } else {
-                preferenceContext += '\nUse Fahrenheit for temperatures.';
-            }
-            
-            // Detail level
-            if (prefs.detailLevel === 'detailed') {
-                preferenceContext += '\nProvide comprehensive explanations with detailed medical information.';
-            } else {
-                preferenceContext += '\nKeep explanations brief and to the point.';
-            }
-            
-            // Language style
-            if (prefs.languageStyle === 'scientific') {
-                preferenceContext += '\nUse medical terminology and scientific language.';
-            } else {
-                preferenceContext += '\nUse simple, easy-to-understand language.';
-            }
-            
-            // Risk communication
-            if (prefs.riskStyle === 'reassuring') {
-                preferenceContext += '\nEmphasize what is safe and reassuring where appropriate.';
-            } else if (prefs.riskStyle === 'cautious') {
-                preferenceContext += '\nEmphasize potential risks and err on the side of caution.';
-            } else {
-                preferenceContext += '\nPresent risks and benefits in a balanced way.';
-            }
-        }
+            // Cached answers count against the quota like fresh ones
+            await recordSafetyCheck(req, item, cachedData.pregnancyRiskScore ?? cachedData.riskScore ?? null);
 
-        const includeBreastfeeding = !!(user && user.isPremium);
+            return res.json({ ...cachedData, showAIThoughts: user?.showAIThoughts || false });
+        }
 
-        const prompt = includeBreastfeeding
-            ? `Provide a concise, dual safety assessment of "${item}" for both pregnancy and breastfeeding.${contextInfo}${preferenceContext}
-Respond EXACTLY in this structured format:
-PREGNANCY_RISK_SCORE: [1-10]
-BREASTFEEDING_RISK_SCORE: [1-10]
-PREGNANCY:
-SAFETY: [Safe/Caution/Avoid]
-WHY: [1 sentence]
-TIPS:
-- [short tip 1]
-- [short tip 2]
+        const assessed = await safetyAssessment.assessItem({ item, userProfile, includeBreastfeeding });
+        const { assessment } = assessed;
+        if (!assessment) {
+            console.error(`❌ Assessment for "${item}" failed schema validation:`, assessed.errors.join('; '));
+        }
 
-BREASTFEEDING:
-SAFETY: [Safe/Caution/Avoid]
-WHY: [1 sentence]
-TIPS:
-- [short tip 1]
-- [short tip 2]`
-            : `Is "${item}" safe during pregnancy? ${contextInfo}${preferenceContext}
-Give risk score 1-10 (1=safest, 10=most dangerous). Consider any mentioned conditions. Follow user preferences for units and communication style:
-RISK_SCORE: [1-10]
-SAFETY: [Safe/Caution/Avoid]
-WHY: [1 sentence explanation]
-TIPS: [2-3 short practical tips specific to the patient's conditions if applicable]`;
-
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        const requestBody = {
-            model: TEXT_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a medical expert specializing in pregnancy safety. CRITICAL: Accurately assess risk levels.
-                    
-Risk Score Guidelines (1-10 scale):
-- 1-2: Very safe (e.g., walking, prenatal vitamins)
-- 3-4: Generally safe (e.g., moderate exercise, most cooked foods)
-- 5: Requires judgment (e.g., hair dye, hot baths)
-- 6-7: Use caution (e.g., some medications, certain exercises)
-- 8-9: High risk/Avoid (e.g., raw fish/sushi, soft cheeses, roller coasters, alcohol)
-- 10: Extremely dangerous (e.g., certain drugs, extreme activities)
-
-Common high-risk items (7-9): sushi, raw fish, soft unpasteurized cheese, deli meats, roller coasters, hot tubs, alcohol, smoking.
-Be accurate and evidence-based. Consider patient-specific conditions.`
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.1,
-            max_tokens: 150
+        // Unparseable answers are flagged to the client, never given a made-up score
+        const result = assessment ? formatAssessmentText(assessment) : cleanAIResponse(assessed.raw).response;
+        const assessmentFields = {
+            assessment,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: assessed.status,
+            ...(assessment ? {} : { parseErrors: assessed.errors }),
+            ...AI_SOURCE_FIELDS
         };
+        const thinking = assessed.thinking || '';
 
-        const response = await axios.post(apiUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        const aiResponse = response.data.choices[0].message.content;
-        
-        // Clean the AI response to remove thinking process
-        const cleaned = cleanAIResponse(aiResponse);
-        
-        // Parse risk scores for either single or dual format
         let responseData;
         const references = [
             { title: 'Mayo Clinic - Pregnancy Week by Week', url: 'https://www.mayoclinic.org/healthy-lifestyle/pregnancy-week-by-week/basics/pregnancy-week-by-week/hlv-20049471' },
@@ -696,92 +734,43 @@ Be accurate and evidence-based. Consider patient-specific conditions.`
             { title: 'CDC - Pregnancy Safety', url: 'https://www.cdc.gov/pregnancy/index.html' }
         ];
         if (includeBreastfeeding) {
-            const pregMatch = cleaned.response.match(/PREGNANCY_RISK_SCORE:\s*(\d+)/i);
-            const bfMatch = cleaned.response.match(/BREASTFEEDING_RISK_SCORE:\s*(\d+)/i);
-            const pregnancyRiskScore = pregMatch ? parseInt(pregMatch[1]) : 5;
-            const breastfeedingRiskScore = bfMatch ? parseInt(bfMatch[1]) : null;
+            const pregnancyRiskScore = assessment ? assessment.riskScore : null;
+            const breastfeedingRiskScore = assessment?.breastfeeding ? assessment.breastfeeding.riskScore : null;
             responseData = {
-                result: cleaned.response,
+                result,
                 hasBothSections: true,
                 pregnancyRiskScore,
                 breastfeedingRiskScore,
+                ...assessmentFields,
                 references,
-                thinking: cleaned.thinking,
-                hasThinking: cleaned.hasThinking,
+                thinking,
+                hasThinking: thinking.length > 0,
                 showAIThoughts: user?.showAIThoughts || false
             };
-            // Track usage and history if authenticated
-            if (user) {
-                const canSearch = await user.checkDailyLimit();
-                if (!canSearch && !user.isPremium) {
-                    return res.status(403).json({ 
-                        error: 'Daily limit reached', 
-                        message: 'You\'ve used your free daily check. Upgrade to premium for unlimited checks!',
-                        requiresUpgrade: true 
-                    });
-                }
-                await user.incrementSearchCount();
-                await user.addToHistory(item, pregnancyRiskScore);
-            } else {
-                if (!req.session.trialSearchCount) req.session.trialSearchCount = 0;
-                req.session.trialSearchCount++;
-                if (req.session.trialSearchCount > 1) {
-                    return res.status(403).json({ 
-                        error: 'Trial limit reached', 
-                        message: 'Trial users get 1 free check. Please sign up for unlimited access!',
-                        requiresUpgrade: true 
-                    });
-                }
+            // Only validated answers are cached and charged
+            if (assessment) {
+                await responseCache.set(cacheKey, responseData);
+                await recordSafetyCheck(req, item, pregnancyRiskScore);
             }
             return res.json(responseData);
         }
 
-        const riskScoreMatch = cleaned.response.match(/RISK_SCORE:\s*(\d+)/);
-        const riskScore = riskScoreMatch ? parseInt(riskScoreMatch[1]) : 5;
+        const riskScore = assessment ? assessment.riskScore : null;
         
         responseData = { 
-            result: cleaned.response,
-            riskScore: riskScore,
+            result,
+            riskScore,
+            ...assessmentFields,
             references,
-            thinking: cleaned.thinking,
-            hasThinking: cleaned.hasThinking,
+            thinking,
+            hasThinking: thinking.length > 0,
             showAIThoughts: user?.showAIThoughts || false
         };
         
-        // Cache the response
-        responseCache.set(cacheKey, {
-            data: responseData,
-            timestamp: Date.now()
-        });
-        
-        // Check daily limit for authenticated free users
-        if (user) {
-            const canSearch = await user.checkDailyLimit();
-            if (!canSearch && !user.isPremium) {
-                return res.status(403).json({ 
-                    error: 'Daily limit reached', 
-                    message: 'You\'ve used your free daily check. Upgrade to premium for unlimited checks!',
-                    requiresUpgrade: true 
-                });
-            }
-            
-            // Increment search count and save to user's history
-            await user.incrementSearchCount();
-            await user.addToHistory(item, riskScore);
-        } else {
-            // Trial users get 1 check per session
-            if (!req.session.trialSearchCount) {
-                req.session.trialSearchCount = 0;
-            }
-            req.session.trialSearchCount++;
-            
-            if (req.session.trialSearchCount > 1) {
-                return res.status(403).json({ 
-                    error: 'Trial limit reached', 
-                    message: 'Trial users get 1 free check. Please sign up for unlimited access!',
-                    requiresUpgrade: true 
-                });
-            }
+        // Only validated answers are cached and charged
+        if (assessment) {
+            await responseCache.set(cacheKey, responseData);
+            await recordSafetyCheck(req, item, riskScore);
         }
         
         res.json(responseData);
@@ -795,10 +784,14 @@ Be accurate and evidence-based. Consider patient-specific conditions.`
             console.error('API Response data:', error.response.data);
         }
         
-        // Provide a fallback response instead of 500 error for better UX
+        // Provide a fallback response instead of 500 error for better UX,
+        // flagged as unavailable rather than carrying an invented score
         const fallbackResponse = {
-            result: `RISK_SCORE: 5\nSAFETY: Caution\nWHY: Unable to analyze "${req.body?.item || 'this item'}" right now due to a temporary service issue.\nTIPS: Please try again in a moment, consult your healthcare provider for specific guidance, and err on the side of caution.`,
-            riskScore: 5,
+            result: `WHY: Unable to analyze "${req.body?.item || 'this item'}" right now due to a temporary service issue.\nTIPS: Please try again in a moment, consult your healthcare provider for specific guidance, and err on the side of caution.`,
+            riskScore: null,
+            assessment: null,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: 'unavailable',
             references: [
                 { title: 'Mayo Clinic - Pregnancy Week by Week', url: 'https://www.mayoclinic.org/healthy-lifestyle/pregnancy-week-by-week/basics/pregnancy-week-by-week/hlv-20049471' },
                 { title: 'American Pregnancy Association', url: 'https://americanpregnancy.org/healthy-pregnancy/' },
@@ -810,11 +803,11 @@ Be accurate and evidence-based. Consider patient-specific conditions.`
     }
 });
 
-// Image analysis endpoint (premium feature only)
-app.post('/api/check-image-safety', verifyToken, requirePremium, async (req, res) => {
+// Image analysis endpoint (signed-in users; quota per plan)
+app.post('/api/check-image-safety', verifyToken, requireEntitlement('imageCheck'), async (req, res) => {
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            return res.status(500).json({ error: 'Shroud API key not configured' });
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
         }
 
         const { image } = req.body;
@@ -822,109 +815,52 @@ app.post('/api/check-image-safety', verifyToken, requirePremium, async (req, res
             return res.status(400).json({ error: 'No image provided' });
         }
 
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
+        const references = [
+            { title: 'Mayo Clinic - Pregnancy Week by Week', url: 'https://www.mayoclinic.org/healthy-lifestyle/pregnancy-week-by-week/basics/pregnancy-week-by-week/hlv-20049471' },
+            { title: 'American Pregnancy Association', url: 'https://americanpregnancy.org/healthy-pregnancy/' },
+            { title: 'CDC - Pregnancy Safety', url: 'https://www.cdc.gov/pregnancy/index.html' }
+        ];
 
-        let lastError = null;
-        
-        for (const modelName of VISION_MODELS) {
-            try {
-                console.log(`🔍 Attempting image analysis with model: ${modelName}`);
-                
-                const requestBody = {
-                    model: modelName,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are a medical expert analyzing images for pregnancy safety. Look at the image carefully, identify what you see, and provide a specific safety assessment.
-
-CRITICAL Risk Score Guidelines (1-10):
-- 1-2: Very safe (walking, prenatal vitamins, fruits)
-- 3-4: Generally safe (moderate exercise, most cooked foods)
-- 5: Requires judgment (hair dye, hot baths)
-- 6-7: Use caution (some medications, certain exercises)
-- 8-9: High risk/Avoid (raw fish/sushi, soft cheeses, roller coasters, alcohol)
-- 10: Extremely dangerous (certain drugs, extreme activities)
-
-Common high-risk items (7-9): sushi, raw fish, soft unpasteurized cheese, deli meats, roller coasters, hot tubs, alcohol, smoking.
-Be accurate based on what you see in the image.`
-                        },
-                        {
-                            role: 'user',
-                            content: [
-                                {
-                                    type: 'text',
-                                    text: `Look at this image carefully. Identify what item, food, product, or activity is shown. Then assess its safety during pregnancy.
-
-Respond in this exact format:
-RISK_SCORE: [1-10]
-SAFETY: [Safe/Caution/Avoid]
-WHY: [Brief description of what you see in the image and specific explanation of why it's safe/caution/avoid for pregnancy]
-TIPS:
-- [Specific practical tip 1 based on what's in the image]
-- [Specific practical tip 2 based on what's in the image]`
-                                },
-                                {
-                                    type: 'image_url',
-                                    image_url: { url: image }
-                                }
-                            ]
-                        }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 300
-                };
-
-                const response = await axios.post(apiUrl, requestBody, {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 30000
-                });
-
-                console.log(`✅ Image analysis successful with model: ${modelName}`);
-                
-                const aiResponse = response.data.choices[0].message.content;
-                const riskScoreMatch = aiResponse.match(/RISK_SCORE:\s*(\d+)/);
-                const riskScore = riskScoreMatch ? parseInt(riskScoreMatch[1]) : 5;
-
-                // Track usage/history for authenticated user
-                if (req.user) {
-                    await req.user.incrementSearchCount();
-                    await req.user.addToHistory('Image Analysis', riskScore, true);
-                }
-
-                const references = [
-                    { title: 'Mayo Clinic - Pregnancy Week by Week', url: 'https://www.mayoclinic.org/healthy-lifestyle/pregnancy-week-by-week/basics/pregnancy-week-by-week/hlv-20049471' },
-                    { title: 'American Pregnancy Association', url: 'https://americanpregnancy.org/healthy-pregnancy/' },
-                    { title: 'CDC - Pregnancy Safety', url: 'https://www.cdc.gov/pregnancy/index.html' }
-                ];
-
-                return res.json({ result: aiResponse, riskScore, references });
-            } catch (modelError) {
-                console.error(`❌ Model ${modelName} failed:`, modelError.response?.data || modelError.message);
-                lastError = modelError;
-                // Continue to next model
+        try {
+            const assessed = await safetyAssessment.assessImage({ image, userProfile: req.user.getProfile() });
+            const { assessment } = assessed;
+            const riskScore = assessment ? assessment.riskScore : null;
+
+            // Charge and record history only for answers that passed validation
+            if (assessment) {
+                await req.entitlement.charge();
+                await req.user.addToHistory(assessment.item || 'Image Analysis', riskScore, true);
             }
+
+            return res.json({
+                result: assessment ? formatAssessmentText(assessment) : cleanAIResponse(assessed.raw).response,
+                riskScore,
+                assessment,
+                schemaVersion: SCHEMA_VERSION,
+                assessmentStatus: assessed.status,
+                ...(assessment ? {} : { parseErrors: assessed.errors }),
+                ...AI_SOURCE_FIELDS,
+                references
+            });
+        } catch (visionError) {
+            // All vision models failed — return a graceful fallback instead of 500
+            console.error('❌ All vision models failed. Returning graceful fallback. Last error:', visionError.response?.data || visionError.message);
         }
-        
-        // All vision models failed — return a graceful fallback instead of 500
-        console.error('❌ All vision models failed. Returning graceful fallback. Last error:', lastError?.response?.data || lastError?.message);
-        const helpfulResponse = `RISK_SCORE: 5
-SAFETY: Caution
-WHY: We couldn't analyze this image right now. Please try another photo or type what you want to check.
+
+        const helpfulResponse = `WHY: We couldn't analyze this image right now. Please try another photo or type what you want to check.
 TIPS:
 - Use a clear, well-lit photo focusing on one item
 - Or type the name of the item (e.g., "coffee", "sushi", "ibuprofen")
 - Include brand/type when relevant`;
 
-        const references = [
-            { title: 'Mayo Clinic - Pregnancy Week by Week', url: 'https://www.mayoclinic.org/healthy-lifestyle/pregnancy-week-by-week/basics/pregnancy-week-by-week/hlv-20049471' },
-            { title: 'American Pregnancy Association', url: 'https://americanpregnancy.org/healthy-pregnancy/' },
-            { title: 'CDC - Pregnancy Safety', url: 'https://www.cdc.gov/pregnancy/index.html' }
-        ];
-
-        return res.json({ result: helpfulResponse, riskScore: 5, references });
+        return res.json({
+            result: helpfulResponse,
+            riskScore: null,
+            assessment: null,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: 'unavailable',
+            references
+        });
     } catch (error) {
         console.error('Image analysis error:', error.response?.data || error.message);
         res.status(500).json({ 
@@ -1000,444 +936,192 @@ function cleanAIResponse(rawResponse) {
     };
 }
 
-// Detailed Safety Information endpoint
-app.post('/api/detailed-safety', async (req, res) => {
+// Shared by the JSON and streaming detailed-safety endpoints
+function buildDetailedSafetyResult(aiResponse, user) {
+    // Clean the AI response to remove thinking process
+    let cleaned;
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            console.error('SHROUD_API_KEY is not set in environment variables');
-            return res.status(500).json({ error: 'Shroud API key not configured' });
-        }
-
-        const { item } = req.body;
-        
-        // Try to get authenticated user for personalization
-        let user = null;
-        let userProfile = {};
-        
-        const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                     req.session?.token;
-        
-        if (token) {
-            try {
-                const jwt = require('jsonwebtoken');
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const User = require('./models/User');
-                user = await User.findById(decoded.userId);
-                if (user) {
-                    userProfile = user.getProfile();
-                }
-            } catch (authError) {
-                console.log('Auth failed, continuing as trial user');
-            }
-        }
-
-        // Build personalized context from user profile
-        let contextInfo = '';
-        if (userProfile.conditions) {
-            const activeConditions = Object.entries(userProfile.conditions)
-                .filter(([key, value]) => value === true)
-                .map(([key, value]) => {
-                    const conditionMap = {
-                        'gestational-diabetes': 'gestational diabetes',
-                        'preeclampsia': 'preeclampsia/high blood pressure',
-                        'anemia': 'anemia',
-                        'thyroid': 'thyroid disorders',
-                        'placenta-previa': 'placenta previa',
-                        'hyperemesis': 'hyperemesis gravidarum',
-                        'rh-negative': 'Rh negative blood type',
-                        'multiples': 'multiple pregnancy (twins/triplets)'
-                    };
-                    return conditionMap[key] || key;
-                });
-            if (activeConditions.length > 0) {
-                contextInfo += `\nPatient has: ${activeConditions.join(', ')}.`;
-            }
-        }
-        
-        if (userProfile.allergies) {
-            const activeAllergies = Object.entries(userProfile.allergies)
-                .filter(([key, value]) => value === true)
-                .map(([key, value]) => {
-                    const allergyMap = {
-                        'peanuts': 'peanut allergy',
-                        'tree-nuts': 'tree nut allergy',
-                        'milk': 'milk/dairy allergy',
-                        'eggs': 'egg allergy',
-                        'soy': 'soy allergy',
-                        'wheat': 'wheat allergy',
-                        'shellfish': 'shellfish allergy',
-                        'fish': 'fish allergy',
-                        'sesame': 'sesame allergy',
-                        'latex': 'latex allergy',
-                        'penicillin': 'penicillin allergy',
-                        'aspirin': 'aspirin/NSAID allergy',
-                        'sulfa': 'sulfa drug allergy',
-                        'iodine': 'iodine/contrast dye allergy',
-                        'bee-stings': 'bee/wasp sting allergy',
-                        'pollen': 'pollen/hay fever',
-                        'dust-mites': 'dust mite allergy',
-                        'pet-dander': 'pet dander allergy',
-                        'mold': 'mold allergy',
-                        'nickel': 'nickel/metal allergy'
-                    };
-                    return allergyMap[key] || key;
-                });
-            if (activeAllergies.length > 0) {
-                contextInfo += `\nPatient has allergies: ${activeAllergies.join(', ')}.`;
-            }
-        }
-        
-        if (userProfile.trimester) {
-            contextInfo += `\nCurrently in ${userProfile.trimester} trimester.`;
-        }
-        
-        if (userProfile.age && parseInt(userProfile.age) >= 35) {
-            contextInfo += `\nAdvanced maternal age (${userProfile.age}).`;
-        }
-
-        // Add user preferences to context
-        let preferenceContext = '';
-        if (userProfile.preferences) {
-            const prefs = userProfile.preferences;
-            
-            if (prefs.measurementSystem === 'metric') {
-                preferenceContext += '\nUse metric units (kg, °C, ml, cm).';
-            } else {
-                preferenceContext += '\nUse imperial units (lbs, °F, cups, inches).';
-            }
-            
-            if (prefs.caffeineMeasurement === 'milligrams') {
-                preferenceContext += '\nFor caffeine, use milligrams (e.g., "200mg limit" instead of "1-2 cups").';
-            } else {
-                preferenceContext += '\nFor caffeine, use cups/servings (e.g., "1-2 cups" instead of mg amounts).';
-            }
-            
-            if (prefs.temperatureUnit === 'celsius') {
-                preferenceContext += '\nUse Celsius for temperatures.';
-            } else {
-                preferenceContext += '\nUse Fahrenheit for temperatures.';
-            }
-            
-            // For detailed answers, always provide comprehensive information regardless of brief/detailed preference
-            preferenceContext += '\nProvide comprehensive, detailed explanations with specific medical information.';
-            
-            if (prefs.languageStyle === 'scientific') {
-                preferenceContext += '\nUse medical terminology and scientific language.';
-            } else {
-                preferenceContext += '\nUse clear, understandable language while being comprehensive.';
-            }
-            
-            if (prefs.riskStyle === 'reassuring') {
-                preferenceContext += '\nEmphasize what is safe and provide reassuring information where appropriate.';
-            } else if (prefs.riskStyle === 'cautious') {
-                preferenceContext += '\nEmphasize potential risks and provide thorough cautions.';
-            } else {
-                preferenceContext += '\nPresent both risks and benefits in a balanced, detailed way.';
-            }
-        }
-
-        const prompt = `Provide a comprehensive, detailed analysis of "${item}" during pregnancy. ${contextInfo}${preferenceContext}
-Start your response with EXACTLY TWO header lines:
-RISK_SCORE: [1-10]
-SAFETY: [Safe/Caution/Avoid]
-
-Then a blank line followed by the full answer formatted using ONLY HTML tags (h3, p, ul, li, strong). Do NOT use markdown symbols like *, **, or #.
-
-Please provide a thorough examination including these HTML sections:
-
-<h3>Safety Overview</h3>
-<p>Detailed safety assessment and risk level</p>
-
-<h3>Trimester Considerations</h3>
-<p>How safety/recommendations change by trimester</p>
-
-<h3>Dosage/Amount Guidelines</h3>
-<p>Specific limits and recommendations if applicable</p>
-
-<h3>Medical Mechanisms</h3>
-<p>How this affects pregnancy and fetal development</p>
-
-<h3>Special Circumstances</h3>
-<p>Considerations for high-risk pregnancies or specific conditions</p>
-
-<h3>Practical Guidelines</h3>
-<ul><li>Detailed practical advice and alternatives</li></ul>
-
-<h3>Warning Signs</h3>
-<ul><li>What symptoms to watch for</li></ul>
-
-<h3>Healthcare Consultation</h3>
-<p>When to contact healthcare providers</p>
-
-Be comprehensive and evidence-based. Address any specific conditions mentioned.`;
-
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        const requestBody = {
-            model: DETAILED_TEXT_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a comprehensive pregnancy health expert providing detailed, evidence-based information. 
-
-CRITICAL Risk Score Guidelines (1-10):
-- 1-2: Very safe (walking, prenatal vitamins)
-- 3-4: Generally safe (moderate exercise, most cooked foods)
-- 5: Requires judgment (hair dye, hot baths)
-- 6-7: Use caution (some medications, certain exercises)
-- 8-9: High risk/Avoid (raw fish/sushi, soft cheeses, roller coasters, alcohol)
-- 10: Extremely dangerous (certain drugs, extreme activities)
-
-Common high-risk items (7-9): sushi, raw fish, soft unpasteurized cheese, deli meats, roller coasters, hot tubs, alcohol, smoking.
-
-Give thorough, well-structured responses with specific medical guidance. Do NOT include ANY instructions, reasoning, formatting notes, or meta-commentary in your output. Start DIRECTLY with the two header lines, followed by a blank line, then ONLY the HTML-formatted content using h3, p, ul, li, strong tags. Do NOT use markdown or any other text.`
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.2,
-            max_tokens: 800
+        cleaned = cleanAIResponse(aiResponse);
+    } catch (cleanError) {
+        console.error('Error cleaning AI response:', cleanError);
+        // Fallback to uncleaned response
+        cleaned = {
+            response: aiResponse,
+            thinking: '',
+            hasThinking: false
         };
+    }
+    
+    // Extract risk score for UI meter if present
+    const riskMatch = cleaned.response.match(/RISK_SCORE:\s*(\d+)/i);
+    const riskScore = riskMatch ? parseInt(riskMatch[1], 10) : null;
+    
+    return {
+        result: cleaned.response,
+        riskScore,
+        assessmentStatus: riskMatch ? 'valid' : 'unparsed',
+        // Include thinking based on user preference
+        thinking: cleaned.thinking,
+        hasThinking: cleaned.hasThinking,
+        showAIThoughts: user?.showAIThoughts || false
+    };
+}
 
-        const response = await axios.post(apiUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 45000,
-            validateStatus: function (status) {
-                return status < 500;
-            }
-        });
-        
-        if (response.status !== 200) {
-            throw new Error(`Shroud API returned status ${response.status}`);
-        }
-        
-        if (!response.data || !response.data.choices || !response.data.choices[0]) {
-            throw new Error('Invalid response structure from Shroud API');
-        }
-
-        const aiResponse = response.data.choices[0].message.content;
-        
-        // Validate AI response exists
-        if (!aiResponse) {
-            throw new Error('Empty response from Shroud API');
-        }
-        
-        // Clean the AI response to remove thinking process
-        let cleaned;
-        try {
-            cleaned = cleanAIResponse(aiResponse);
-        } catch (cleanError) {
-            console.error('Error cleaning AI response:', cleanError);
-            // Fallback to uncleaned response
-            cleaned = {
-                response: aiResponse,
-                thinking: '',
-                hasThinking: false
-            };
-        }
-        
-        // Extract risk score for UI meter if present
-        const riskMatch = cleaned.response.match(/RISK_SCORE:\s*(\d+)/i);
-        const riskScore = riskMatch ? parseInt(riskMatch[1]) : 5;
-        
-        res.json({ 
-            result: cleaned.response,
-            riskScore,
-            // Include thinking based on user preference
-            thinking: cleaned.thinking,
-            hasThinking: cleaned.hasThinking,
-            showAIThoughts: user?.showAIThoughts || false
-        });
-    } catch (error) {
-        console.error('Shroud AI detailed API error:', error.response?.data || error.message);
-        
-        // Always ensure we return valid JSON
-        res.setHeader('Content-Type', 'application/json');
-        
-        if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-            return res.status(504).json({ 
+// Maps provider failures to a status and JSON body
+function detailedSafetyError(error) {
+    console.error('Shroud AI detailed API error:', error.response?.data || error.message);
+    
+    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+        return {
+            status: 504,
+            body: {
                 error: 'Request timed out',
                 message: 'The analysis is taking longer than expected. Please try again or simplify your query.',
                 isTimeout: true
-            });
-        }
-        
-        // Check if Shroud API returned an error
-        if (error.response?.status === 429) {
-            return res.status(429).json({
+            }
+        };
+    }
+    
+    // Check if Shroud API returned an error
+    if (error.response?.status === 429) {
+        return {
+            status: 429,
+            body: {
                 error: 'Rate limit exceeded',
                 message: 'Too many requests. Please wait a moment and try again.',
                 retryAfter: error.response?.headers?.['retry-after'] || 60
-            });
-        }
-        
-        if (error.response?.status >= 500) {
-            return res.status(502).json({
+            }
+        };
+    }
+    
+    if (error.response?.status >= 500) {
+        return {
+            status: 502,
+            body: {
                 error: 'External service error',
                 message: 'The AI service is temporarily unavailable. Please try again in a few moments.',
                 details: process.env.NODE_ENV === 'development' ? error.response?.data : undefined
-            });
-        }
-        
-        // Default error response
-        return res.status(500).json({ 
+            }
+        };
+    }
+    
+    // Default error response
+    return {
+        status: 500,
+        body: {
             error: 'Failed to get detailed information',
             message: 'An unexpected error occurred. Please try again.',
             details: process.env.NODE_ENV === 'development' ? (error.response?.data?.error || error.message) : undefined
-        });
+        }
+    };
+}
+
+function logAnalysisError(error) {
+    console.error('Shroud AI analysis error:', error);
+    return { status: 500, body: { error: 'Failed to analyze entry' } };
+}
+
+// Runs an HTML-section answer over SSE: 'meta' once the header lines are in,
+// 'section' as each section completes, then 'done' with the same payload as
+// the JSON endpoint, or 'error'. Quota is charged only on 'done'.
+async function streamSections(req, res, { run, buildResult, describeError }) {
+    // Trial usage lives in the session, so its cookie has to go out with the
+    // headers now; nothing can be added once the stream has started
+    if (req.session && !req.session.usage) {
+        req.session.usage = { counts: {} };
     }
-});
+    const stream = openEventStream(res);
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    
+    const parser = createSectionParser({
+        onMeta: (meta) => stream.send('meta', meta),
+        onSection: (section) => stream.send('section', section)
+    });
+    
+    try {
+        const { content } = await run({ onToken: parser.push, signal: controller.signal });
+        parser.end();
+        const result = await buildResult(content);
+        await req.entitlement.charge();
+        stream.send('done', result);
+    } catch (error) {
+        // Nobody left to tell when the client went away
+        if (controller.signal.aborted) return;
+        const { status, body } = describeError(error);
+        stream.send('error', { ...body, status });
+    }
+    stream.close();
+}
 
-// Detailed Image Analysis endpoint
-app.post('/api/detailed-image-safety', async (req, res) => {
+// Detailed Safety Information endpoint
+app.post('/api/detailed-safety', optionalAuth, requireEntitlement('detailedReport'), async (req, res) => {
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            return res.status(500).json({ error: 'Shroud API key not configured' });
+        if (!safetyAssessment.isConfigured()) {
+            console.error(`LLM provider "${safetyAssessment.getProviderName()}" is not configured`);
+            return res.status(500).json({ error: 'AI provider not configured' });
         }
 
-        const { image } = req.body;
-        
-        // Try to get authenticated user for personalization
-        let user = null;
-        let userProfile = {};
-        
-        const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                     req.session?.token;
+        const { item } = req.body;
         
-        if (token) {
-            try {
-                const jwt = require('jsonwebtoken');
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const User = require('./models/User');
-                user = await User.findById(decoded.userId);
-                if (user) {
-                    userProfile = user.getProfile();
-                }
-            } catch (authError) {
-                console.log('Auth failed, continuing as trial user');
-            }
-        }
+        // optionalAuth sets req.user when signed in, for personalization
+        const user = req.user || null;
+        const userProfile = user ? user.getProfile() : {};
 
-        // Build personalized context
-        let contextInfo = '';
-        if (userProfile.trimester) {
-            contextInfo += `\nCurrently in ${userProfile.trimester} trimester.`;
-        }
-        if (userProfile.conditions) {
-            const activeConditions = Object.entries(userProfile.conditions)
-                .filter(([key, value]) => value === true);
-            if (activeConditions.length > 0) {
-                contextInfo += `\nPatient has specific medical conditions that may affect recommendations.`;
-            }
-        }
-        
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        
-        let lastError = null;
+        const { content: aiResponse } = await safetyAssessment.assessItemDetailed({ item, userProfile });
+        const result = buildDetailedSafetyResult(aiResponse, user);
+        await req.entitlement.charge();
         
-        for (const modelName of VISION_MODELS) {
-            try {
-                console.log(`🔍 Attempting detailed image analysis with model: ${modelName}`);
-                
-                const requestBody = {
-                    model: modelName,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are a comprehensive medical expert analyzing images for detailed pregnancy safety assessment. First identify what you see in the image, then provide thorough, evidence-based analysis.
-
-CRITICAL Risk Score Guidelines (1-10):
-- 1-2: Very safe (walking, prenatal vitamins, fruits)
-- 3-4: Generally safe (moderate exercise, most cooked foods)
-- 5: Requires judgment (hair dye, hot baths)
-- 6-7: Use caution (some medications, certain exercises)
-- 8-9: High risk/Avoid (raw fish/sushi, soft cheeses, roller coasters, alcohol)
-- 10: Extremely dangerous (certain drugs, extreme activities)
-
-Common high-risk items (7-9): sushi, raw fish, soft unpasteurized cheese, deli meats, roller coasters, hot tubs, alcohol, smoking.
-
-Format your response using HTML tags only (h3, p, ul, li, strong) - do NOT use markdown (no *, #, or ** symbols).`
-                        },
-                        {
-                            role: 'user',
-                            content: [
-                                {
-                                    type: 'text',
-                                    text: `Look at this image carefully and identify what is shown. Then provide a comprehensive analysis regarding pregnancy safety. ${contextInfo}
-
-Format your response using HTML tags. Include these sections:
-
-<h3>Item Identification</h3>
-<p>What you see in the image</p>
-
-<h3>Detailed Safety Assessment</h3>
-<p>Comprehensive safety evaluation</p>
-
-<h3>Specific Risks/Benefits</h3>
-<p>Detailed explanation of any risks or benefits</p>
-
-<h3>Trimester Considerations</h3>
-<p>How recommendations might vary by pregnancy stage</p>
-
-<h3>Usage Guidelines</h3>
-<ul>
-<li>Specific recommendations for safe use if applicable</li>
-</ul>
-
-<h3>Alternatives</h3>
-<p>Safer alternatives if the item should be avoided</p>
-
-<h3>Medical Considerations</h3>
-<p>How this relates to pregnancy health</p>
-
-<h3>When to Consult a Doctor</h3>
-<ul>
-<li>Specific situations requiring medical consultation</li>
-</ul>
-
-Be thorough and evidence-based. Use ONLY HTML tags (h3, p, ul, li, strong). Do NOT use markdown symbols like *, **, or #.`
-                                },
-                                {
-                                    type: 'image_url',
-                                    image_url: {
-                                        url: image
-                                    }
-                                }
-                            ]
-                        }
-                    ],
-                    temperature: 0.2,
-                    max_tokens: 800
-                };
-                
-                const response = await axios.post(apiUrl, requestBody, {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 30000
-                });
-
-                console.log(`✅ Detailed image analysis successful with model: ${modelName}`);
-                const aiResponse = response.data.choices[0].message.content;
-                
-                return res.json({ 
-                    result: aiResponse
-                });
-            } catch (modelError) {
-                console.error(`❌ Detailed model ${modelName} failed:`, modelError.response?.data || modelError.message);
-                lastError = modelError;
-                // Continue to next model
-            }
+        res.json(result);
+    } catch (error) {
+        const { status, body } = detailedSafetyError(error);
+        res.status(status).json(body);
+    }
+});
+
+// Streaming variant; the JSON endpoint above stays as the fallback
+app.post('/api/detailed-safety/stream', optionalAuth, requireEntitlement('detailedReport'), async (req, res) => {
+    if (!safetyAssessment.isConfigured()) {
+        console.error(`LLM provider "${safetyAssessment.getProviderName()}" is not configured`);
+        return res.status(500).json({ error: 'AI provider not configured' });
+    }
+
+    const { item } = req.body;
+    if (!item) {
+        return res.status(400).json({ error: 'Item is required' });
+    }
+
+    const user = req.user || null;
+    const userProfile = user ? user.getProfile() : {};
+
+    await streamSections(req, res, {
+        run: ({ onToken, signal }) => safetyAssessment.assessItemDetailed({ item, userProfile, onToken, signal }),
+        buildResult: (aiResponse) => buildDetailedSafetyResult(aiResponse, user),
+        describeError: detailedSafetyError
+    });
+});
+
+// Detailed Image Analysis endpoint
+app.post('/api/detailed-image-safety', optionalAuth, requireEntitlement('imageCheck'), async (req, res) => {
+    try {
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
         }
+
+        const { image } = req.body;
         
-        // All vision models failed
-        console.error('❌ All detailed vision models failed. Last error:', lastError?.response?.data || lastError?.message);
-        throw lastError || new Error('All vision models failed');
+        // optionalAuth sets req.user when signed in, for personalization
+        const user = req.user || null;
+        const userProfile = user ? user.getProfile() : {};
+
+        const { content: aiResponse } = await safetyAssessment.assessImageDetailed({ image, userProfile });
+        await req.entitlement.charge();
+
+        res.json({
+            result: aiResponse
+        });
     } catch (error) {
         console.error('Detailed image analysis error:', error.response?.data || error.message);
         res.status(500).json({ 
@@ -1447,170 +1131,55 @@ Be thorough and evidence-based. Use ONLY HTML tags (h3, p, ul, li, strong). Do N
     }
 });
 
-// Log Entries API (Premium feature)
-app.post('/api/log-entry', async (req, res) => {
-    try {
-        // Check for auth token (same pattern as /api/check-safety)
-        const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                     req.session?.token;
-        
-        if (!token) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
-        
-        // Verify token and get user
-        let user = null;
-        try {
-            const jwt = require('jsonwebtoken');
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const User = require('./models/User');
-            user = await User.findById(decoded.userId);
-        } catch (authError) {
-            return res.status(401).json({ error: 'Invalid authentication token' });
-        }
-        
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
-        }
-        
-        if (!user.isPremium) {
-            return res.status(403).json({ error: 'Premium subscription required' });
-        }
-        
-        const { text, type, audioUrl } = req.body;
-        const entry = {
-            id: Date.now().toString(),
-            date: new Date(),
-            text,
-            type: type || 'text',
-            audioUrl,
-            createdAt: new Date()
-        };
-        
-        user.logEntries.push(entry);
-        await user.save();
-        
-        res.json(entry);
-    } catch (error) {
-        console.error('Error saving log entry:', error);
-        res.status(500).json({ error: 'Failed to save log entry' });
-    }
-});
+// Journal entries live in routes/journal.js. Passing an entryId here stores
+// the analysis on that entry, and its text is used when none is sent.
+async function findLogEntry(req) {
+    const { entryId } = req.body;
+    if (!entryId || !JournalEntry) return null;
+    return JournalEntry.findOwned(req.user._id, entryId);
+}
 
-app.get('/api/log-entries', async (req, res) => {
+app.post('/api/analyze-log-entry', verifyToken, requireEntitlement('logAnalysis'), async (req, res) => {
     try {
-        // Check for auth token (same pattern as /api/check-safety)
-        const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                     req.session?.token;
-        
-        if (!token) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
+        const entry = await findLogEntry(req);
+        const text = req.body.text || entry?.text;
         
-        // Verify token and get user
-        let user = null;
-        try {
-            const jwt = require('jsonwebtoken');
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const User = require('./models/User');
-            user = await User.findById(decoded.userId);
-        } catch (authError) {
-            return res.status(401).json({ error: 'Invalid authentication token' });
-        }
-        
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
+        if (!text) {
+            return res.status(400).json({ error: 'Text required for analysis' });
         }
         
-        if (!user.isPremium) {
-            return res.status(403).json({ error: 'Premium subscription required' });
-        }
+        const { content: aiResponse } = await safetyAssessment.analyzeLogEntry({ text, userProfile: req.user.getProfile() });
+        await req.entitlement.charge();
+        if (entry) await entry.recordAnalysis(aiResponse, AI_SOURCE_FIELDS);
         
-        res.json(user.logEntries || []);
+        res.json({ result: aiResponse, entryId: entry?._id ?? null });
     } catch (error) {
-        console.error('Error loading log entries:', error);
-        res.status(500).json({ error: 'Failed to load log entries' });
+        const { status, body } = logAnalysisError(error);
+        res.status(status).json(body);
     }
 });
 
-app.post('/api/analyze-log-entry', async (req, res) => {
+app.post('/api/analyze-log-entry/stream', verifyToken, requireEntitlement('logAnalysis'), async (req, res) => {
+    let entry;
     try {
-        // Check for auth token (same pattern as /api/check-safety)
-        const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                     req.session?.token;
-        
-        if (!token) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
-        
-        // Verify token and get user
-        let user = null;
-        try {
-            const jwt = require('jsonwebtoken');
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const User = require('./models/User');
-            user = await User.findById(decoded.userId);
-        } catch (authError) {
-            return res.status(401).json({ error: 'Invalid authentication token' });
-        }
-        
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
-        }
-        
-        if (!user.isPremium) {
-            return res.status(403).json({ error: 'Premium subscription required' });
-        }
-        
-        const { text } = req.body;
-        
-        if (!text) {
-            return res.status(400).json({ error: 'Text required for analysis' });
-        }
-        
-        const prompt = `Analyze this pregnancy log entry and provide detailed health insights:
-        
-Entry: "${text}"
-
-Please provide:
-1. Health Assessment - What this might indicate about the pregnancy
-2. Important Observations - Key things to note
-3. Recommendations - What actions to consider
-4. When to Contact Doctor - Any concerning signs
-
-Format as HTML with clear sections and bullet points.`;
-
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        const requestBody = {
-            model: SHROUD_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a pregnancy health expert providing detailed analysis of pregnancy diary entries. Be thorough, supportive, and medically accurate.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 500
-        };
-        
-        const response = await axios.post(apiUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        const aiResponse = response.data.choices[0].message.content;
-        
-        res.json({ result: aiResponse });
+        entry = await findLogEntry(req);
     } catch (error) {
-        console.error('Shroud AI analysis error:', error);
-        res.status(500).json({ error: 'Failed to analyze entry' });
+        const { status, body } = logAnalysisError(error);
+        return res.status(status).json(body);
+    }
+    const text = req.body.text || entry?.text;
+    if (!text) {
+        return res.status(400).json({ error: 'Text required for analysis' });
     }
+
+    await streamSections(req, res, {
+        run: ({ onToken, signal }) => safetyAssessment.analyzeLogEntry({ text, userProfile: req.user.getProfile(), onToken, signal }),
+        buildResult: async (aiResponse) => {
+            if (entry) await entry.recordAnalysis(aiResponse, AI_SOURCE_FIELDS);
+            return { result: aiResponse, entryId: entry?._id ?? null };
+        },
+        describeError: logAnalysisError
+    });
 });
 
 // Get user's search history
@@ -1627,7 +1196,18 @@ app.get('/api/history', verifyToken, async (req, res) => {
 app.get('/api/baby-profiles', verifyToken, async (req, res) => {
     try {
         const user = await User.findById(req.user._id);
-        res.json({ profiles: user.babyProfiles || [] });
+        const monitoringProfiles = BabyMonitoring
+            ? await BabyMonitoring.find({ userId: user._id }).select('babyId riskFactors.gestationalAge')
+            : [];
+        // Corrected age for preterm babies, so milestones use it too
+        const profiles = (user.babyProfiles || []).map((baby) => {
+            const monitoring = monitoringProfiles.find((entry) => entry.babyId === baby.id);
+            return {
+                ...(baby.toObject ? baby.toObject() : baby),
+                ageInfo: computeBabyAge({ birthDate: baby.birthDate, gestationalAge: gestationalAgeFor(baby, monitoring) })
+            };
+        });
+        res.json({ profiles });
     } catch (error) {
         console.error('Error fetching baby profiles:', error);
         res.status(500).json({ error: 'Failed to fetch baby profiles' });
@@ -1667,260 +1247,271 @@ app.delete('/api/baby-profiles/:id', verifyToken, async (req, res) => {
     }
 });
 
-app.post('/api/baby-safety', async (req, res) => {
+app.post('/api/baby-safety', optionalAuth, requireEntitlement('babyCheck'), async (req, res) => {
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            return res.status(500).json({ error: 'Shroud API key not configured' });
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
         }
 
         const { item, babyAgeMonths, isBreastfeeding } = req.body;
 
-        let ageContext = '';
-        if (babyAgeMonths !== null && babyAgeMonths !== undefined) {
-            if (babyAgeMonths < 1) {
-                ageContext = 'newborn (less than 1 month old)';
-            } else if (babyAgeMonths < 6) {
-                ageContext = `${babyAgeMonths} month${babyAgeMonths > 1 ? 's' : ''} old infant`;
-            } else if (babyAgeMonths < 12) {
-                ageContext = `${babyAgeMonths} month old baby`;
-            } else {
-                const years = Math.floor(babyAgeMonths / 12);
-                ageContext = `${years} year${years > 1 ? 's' : ''} old toddler`;
-            }
+        const assessed = await safetyAssessment.assessBabyItem({ item, babyAgeMonths, isBreastfeeding });
+        const { assessment } = assessed;
+        if (assessment) {
+            await req.entitlement.charge();
         }
 
-        const breastfeedingContext = isBreastfeeding
-            ? ' The parent is currently breastfeeding, so also mention if this affects the breastfeeding parent.'
-            : '';
+        res.json({
+            result: assessment ? formatAssessmentText(assessment) : cleanAIResponse(assessed.raw).response,
+            riskScore: assessment ? assessment.riskScore : null,
+            ageRecommendation: assessment?.ageRecommendation ? `Recommended from: ${assessment.ageRecommendation}` : null,
+            assessment,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: assessed.status
+        });
+    } catch (error) {
+        console.error('Shroud AI error:', error);
+        res.status(500).json({ error: 'Failed to check baby safety' });
+    }
+});
 
-        const prompt = `Is "${item}" safe for a ${ageContext || 'baby'}?${breastfeedingContext} 
-        
-        Provide a detailed safety assessment including:
-        1. Overall safety rating (1-10 where 1 is very safe and 10 is very dangerous)
-        2. Age-specific recommendations (when it becomes safe if not currently)
-        3. Potential risks or concerns
-        4. Safe alternatives if applicable
-        5. Guidelines for safe use if applicable
-        
-        Be specific about choking hazards, allergen risks, developmental appropriateness, and any other safety concerns.`;
-
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        const requestBody = {
-            model: SHROUD_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a pediatric safety expert providing detailed, accurate information about baby and child safety. Focus on evidence-based recommendations from pediatric organizations.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 800
-        };
+app.post('/api/baby-image-safety', optionalAuth, requireEntitlement('babyCheck'), async (req, res) => {
+    try {
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
+        }
 
-        const response = await axios.post(apiUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
+        const { image, babyAgeMonths, isBreastfeeding } = req.body;
+
+        const assessed = await safetyAssessment.assessBabyImage({ image, babyAgeMonths, isBreastfeeding });
+        const { assessment } = assessed;
+        if (assessment) {
+            await req.entitlement.charge();
+        }
+
+        res.json({
+            result: assessment ? formatAssessmentText(assessment) : cleanAIResponse(assessed.raw).response,
+            riskScore: assessment ? assessment.riskScore : null,
+            ageRecommendation: assessment?.ageRecommendation ? `Recommended from: ${assessment.ageRecommendation}` : null,
+            assessment,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: assessed.status
         });
+    } catch (error) {
+        console.error('Shroud AI image analysis error:', error);
+        res.status(500).json({ error: 'Failed to analyze image for baby safety' });
+    }
+});
 
-        const aiResponse = response.data.choices[0].message.content;
+// Safety Comparison endpoint — compare 2-3 items side by side
+app.post('/api/compare-safety', optionalAuth, requireEntitlement('comparison'), async (req, res) => {
+    try {
+        if (!safetyAssessment.isConfigured()) {
+            return res.status(500).json({ error: 'AI provider not configured' });
+        }
 
-        const riskMatch = aiResponse.match(/(?:safety rating|risk score|rating)[:\s]+(\d+)/i);
-        const riskScore = riskMatch ? parseInt(riskMatch[1], 10) : 5;
+        const { items } = req.body;
+
+        if (!items || !Array.isArray(items) || items.length < 2 || items.length > 3) {
+            return res.status(400).json({ error: 'Provide 2-3 items to compare' });
+        }
 
-        let ageRecommendation = null;
-        const ageMatch = aiResponse.match(/(?:safe (?:from|after|at)|appropriate (?:from|after|at)|recommended (?:from|after|at))[\s:]+(\d+[\s-]?\w+)/i);
-        if (ageMatch) {
-            ageRecommendation = `Recommended from: ${ageMatch[1]}`;
+        const compared = await safetyAssessment.compareItems({ items, userProfile: req.user ? req.user.getProfile() : {} });
+        const { comparison } = compared;
+        if (comparison) {
+            await req.entitlement.charge();
         }
 
+        // Unparseable replies come back with no rows rather than guessed scores
+        const comparisonItems = (comparison ? comparison.comparisons : []).map((entry) => ({
+            item: entry.item,
+            riskScore: entry.riskScore,
+            safety: entry.safetyLevel,
+            summary: entry.why,
+            keyConcern: entry.keyConcern || '',
+            saferAlternative: entry.saferAlternative || 'N/A'
+        }));
+
         res.json({
-            result: aiResponse,
-            riskScore: riskScore,
-            ageRecommendation: ageRecommendation
+            comparisons: comparisonItems,
+            recommendation: comparison ? comparison.recommendation : '',
+            raw: cleanAIResponse(compared.raw).response,
+            confidential: true,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: compared.status
         });
     } catch (error) {
-        console.error('Shroud AI error:', error);
-        res.status(500).json({ error: 'Failed to check baby safety' });
+        console.error('Comparison API error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to compare items' });
     }
 });
 
-app.post('/api/baby-image-safety', async (req, res) => {
+const MAX_INTERACTION_ITEMS = 20;
+
+// Profiles may hold medications as an array or a comma-separated string
+function listMedications(value) {
+    if (Array.isArray(value)) return value.filter((name) => typeof name === 'string');
+    if (typeof value === 'string') return value.split(',');
+    return [];
+}
+
+// Medication interaction check: the user's stored medications (and a baby's,
+// with babyId) plus a new item. Local interaction table first, AI fallback
+// only for items the table does not know.
+app.post('/api/interactions', verifyToken, requireEntitlement('interactionCheck'), async (req, res) => {
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            return res.status(500).json({ error: 'Shroud API key not configured' });
+        const { item, babyId, context, medications: extra } = req.body;
+
+        if (!item || typeof item !== 'string' || !item.trim()) {
+            return res.status(400).json({ error: 'Item is required' });
+        }
+        if (extra !== undefined && !Array.isArray(extra)) {
+            return res.status(400).json({ error: 'medications must be an array' });
         }
 
-        const { image, babyAgeMonths, isBreastfeeding } = req.body;
+        const profile = req.user.getProfile();
+        const medications = listMedications(profile.medications);
+        let checkContext = context || 'pregnancy';
 
-        let ageContext = '';
-        if (babyAgeMonths !== null && babyAgeMonths !== undefined) {
-            if (babyAgeMonths < 1) {
-                ageContext = 'newborn (less than 1 month old)';
-            } else if (babyAgeMonths < 6) {
-                ageContext = `${babyAgeMonths} month${babyAgeMonths > 1 ? 's' : ''} old infant`;
-            } else if (babyAgeMonths < 12) {
-                ageContext = `${babyAgeMonths} month old baby`;
-            } else {
-                const years = Math.floor(babyAgeMonths / 12);
-                ageContext = `${years} year${years > 1 ? 's' : ''} old toddler`;
+        if (babyId) {
+            const baby = (req.user.babyProfiles || []).find((entry) => entry.id === babyId);
+            if (!baby) {
+                return res.status(404).json({ error: 'Baby profile not found' });
             }
+            medications.push(...listMedications(baby.medications));
+            checkContext = context || 'lactation';
         }
+        medications.push(...listMedications(extra));
 
-        const breastfeedingContext = isBreastfeeding
-            ? ' The parent is currently breastfeeding, so also mention if this affects the breastfeeding parent.'
-            : '';
-
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        const requestBody = {
-            model: SHROUD_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a pediatric safety expert analyzing images for baby and child safety. Focus on identifying potential hazards, age-appropriateness, and safety concerns.'
-                },
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Analyze this image for safety for a ${ageContext || 'baby'}.${breastfeedingContext}
-                            
-                            Provide:
-                            1. Identification of what's in the image
-                            2. Safety rating (1-10 where 1 is very safe and 10 is very dangerous)
-                            3. Specific safety concerns for this age group
-                            4. Recommendations for safe use or alternatives
-                            5. Age when this becomes appropriate (if not currently safe)`
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: image
-                            }
-                        }
-                    ]
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 800
-        };
-
-        const response = await axios.post(apiUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
+        if (!interactionContexts.includes(checkContext)) {
+            return res.status(400).json({ error: `context must be one of ${interactionContexts.join(', ')}` });
+        }
+        if (medications.length + 1 > MAX_INTERACTION_ITEMS) {
+            return res.status(400).json({ error: `Check at most ${MAX_INTERACTION_ITEMS} items at once` });
+        }
 
-        const aiResponse = response.data.choices[0].message.content;
+        const fallback = safetyAssessment.isConfigured()
+            ? ({ items, unknown }) => safetyAssessment.assessInteractions({ items, unknown, userProfile: profile })
+            : null;
+        const report = await checkInteractions({ medications, item, context: checkContext, fallback });
 
-        const riskMatch = aiResponse.match(/(?:safety rating|risk score|rating)[:\s]+(\d+)/i);
-        const riskScore = riskMatch ? parseInt(riskMatch[1], 10) : 5;
+        // Table answers are always usable; AI answers only once they validate
+        if (['not-needed', 'valid', 'repaired'].includes(report.assessmentStatus)) {
+            await req.entitlement.charge();
+        }
 
+        const reviewed = report.source === 'interaction-table';
         res.json({
-            result: aiResponse,
-            riskScore: riskScore
+            ...report,
+            reviewed,
+            reviewNotice: reviewed ? null : 'Includes AI-generated results that have not been reviewed',
+            schemaVersion: SCHEMA_VERSION
         });
     } catch (error) {
-        console.error('Shroud AI image analysis error:', error);
-        res.status(500).json({ error: 'Failed to analyze image for baby safety' });
+        console.error('Interaction check error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to check interactions' });
     }
 });
 
-// Safety Comparison endpoint — compare 2-3 items side by side
-app.post('/api/compare-safety', async (req, res) => {
+// Barcode lookup: the client decodes the UPC/EAN, we resolve it against the
+// local product catalog and check each listed ingredient. Unknown products
+// return 404 so the client can fall back to photo analysis.
+app.post('/api/check-product', optionalAuth, requireEntitlement('productCheck'), async (req, res) => {
     try {
-        if (!process.env.SHROUD_API_KEY) {
-            return res.status(500).json({ error: 'Shroud API key not configured' });
+        const { code } = req.body;
+        const gtin = normalizeBarcode(code);
+        if (!gtin) {
+            return res.status(400).json({ error: 'A valid UPC or EAN barcode is required' });
         }
 
-        const { items } = req.body;
-
-        if (!items || !Array.isArray(items) || items.length < 2 || items.length > 3) {
-            return res.status(400).json({ error: 'Provide 2-3 items to compare' });
+        const catalog = getProductCatalog();
+        const product = catalog.lookup(gtin);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found', found: false, code: gtin });
         }
 
-        const itemList = items.map((it, i) => `${i + 1}. "${it}"`).join('\n');
-
-        const prompt = `Compare the pregnancy safety of these items side by side:\n${itemList}\n\nFor EACH item provide EXACTLY:\nITEM: [name]\nRISK_SCORE: [1-10]\nSAFETY: [Safe/Caution/Avoid]\nSUMMARY: [1-2 sentence explanation]\nKEY_CONCERN: [main risk factor or "None"]\nSAFER_ALTERNATIVE: [if applicable, otherwise "N/A"]\n\nThen provide:\nRECOMMENDATION: [which item is safest and why, 1 sentence]\n\nBe concise, accurate, and evidence-based.`;
-
-        const apiUrl = (process.env.SHROUD_HTTP_URL || 'https://dev.shroud.us') + '/v1/chat/completions';
-        const requestBody = {
-            model: SHROUD_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a pregnancy safety expert comparing multiple items. Provide structured, side-by-side comparisons with clear risk scores. Use the exact format requested.
-
-Risk Score Guidelines (1-10):
-- 1-2: Very safe (walking, prenatal vitamins)
-- 3-4: Generally safe (moderate exercise, most cooked foods)
-- 5: Requires judgment (hair dye, hot baths)
-- 6-7: Use caution (some medications, certain exercises)
-- 8-9: High risk/Avoid (raw fish, alcohol, certain drugs)
-- 10: Extremely dangerous`
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.15,
-            max_tokens: 600
-        };
+        const allergies = req.user ? safetyAssessment.activeKeys(req.user.getProfile().allergies) : [];
+        const rules = getIngredientRules();
+        const analysis = rules.analyze(product.ingredients, { category: product.category, allergies });
+        const assessment = toIngredientAssessment(product.name, analysis);
+
+        await recordSafetyCheck(req, product.name, assessment.riskScore);
 
-        const response = await axios.post(apiUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${process.env.SHROUD_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
+        res.json({
+            found: true,
+            code: gtin,
+            product,
+            flagged: analysis.flagged,
+            riskScore: assessment.riskScore,
+            result: formatAssessmentText(assessment),
+            assessment,
+            schemaVersion: SCHEMA_VERSION,
+            assessmentStatus: 'valid',
+            source: 'product-catalog',
+            reviewed: true,
+            catalogVersion: catalog.version,
+            rulesVersion: rules.version
         });
+    } catch (error) {
+        console.error('Product check error:', error.message);
+        res.status(500).json({ error: 'Failed to check product' });
+    }
+});
 
-        const aiResponse = response.data.choices[0].message.content;
-        const cleaned = cleanAIResponse(aiResponse);
-
-        const comparisonItems = [];
-        const itemBlocks = cleaned.response.split(/(?=ITEM:)/i).filter(b => b.trim());
-
-        for (const block of itemBlocks) {
-            const nameMatch = block.match(/ITEM:\s*(.+)/i);
-            const scoreMatch = block.match(/RISK_SCORE:\s*(\d+)/i);
-            const safetyMatch = block.match(/SAFETY:\s*(Safe|Caution|Avoid)/i);
-            const summaryMatch = block.match(/SUMMARY:\s*(.+)/i);
-            const concernMatch = block.match(/KEY_CONCERN:\s*(.+)/i);
-            const altMatch = block.match(/SAFER_ALTERNATIVE:\s*(.+)/i);
-
-            if (nameMatch) {
-                comparisonItems.push({
-                    item: nameMatch[1].trim(),
-                    riskScore: scoreMatch ? parseInt(scoreMatch[1], 10) : 5,
-                    safety: safetyMatch ? safetyMatch[1] : 'Caution',
-                    summary: summaryMatch ? summaryMatch[1].trim() : '',
-                    keyConcern: concernMatch ? concernMatch[1].trim() : '',
-                    saferAlternative: altMatch ? altMatch[1].trim() : 'N/A'
-                });
-            }
+// Ingredient-list analysis for pasted labels, recipes or OCR text: a
+// per-ingredient breakdown plus an overall verdict, personalized with the
+// user's allergies. Local rules first, AI only for the remaining ingredients.
+app.post('/api/check-ingredients', optionalAuth, requireEntitlement('ingredientCheck'), async (req, res) => {
+    try {
+        const { text, ingredients: list, category = 'food', name } = req.body;
+
+        if (list !== undefined && (!Array.isArray(list) || list.some((entry) => typeof entry !== 'string'))) {
+            return res.status(400).json({ error: 'ingredients must be an array of strings' });
+        }
+        if (text !== undefined && typeof text !== 'string') {
+            return res.status(400).json({ error: 'text must be a string' });
+        }
+        if (!PRODUCT_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of ${PRODUCT_CATEGORIES.join(', ')}` });
         }
 
-        const recMatch = cleaned.response.match(/RECOMMENDATION:\s*(.+)/i);
-        const recommendation = recMatch ? recMatch[1].trim() : '';
+        const ingredients = splitIngredientList(list ? list.join('\n') : text);
+        if (ingredients.length === 0) {
+            return res.status(400).json({ error: 'Paste an ingredient list or recipe to check' });
+        }
+        if (ingredients.length > MAX_INGREDIENTS) {
+            return res.status(400).json({ error: `Check at most ${MAX_INGREDIENTS} ingredients at once` });
+        }
 
+        const profile = req.user ? req.user.getProfile() : {};
+        const fallback = safetyAssessment.isConfigured()
+            ? ({ ingredients: all, unknown }) => safetyAssessment.assessIngredients({ ingredients: all, unknown, category, userProfile: profile })
+            : null;
+        const report = await checkIngredients({
+            ingredients,
+            name: typeof name === 'string' && name.trim() ? name.trim() : undefined,
+            category,
+            allergies: safetyAssessment.activeKeys(profile.allergies),
+            fallback
+        });
+
+        // Rule answers are always usable; AI answers only once they validate
+        if (['not-needed', 'valid', 'repaired'].includes(report.assessmentStatus)) {
+            await recordSafetyCheck(req, report.assessment.item, report.assessment.riskScore);
+        }
+
+        const reviewed = report.source === 'ingredient-rules' && report.unresolved.length === 0;
         res.json({
-            comparisons: comparisonItems,
-            recommendation,
-            raw: cleaned.response,
-            confidential: true
+            ...report,
+            result: formatAssessmentText(report.assessment),
+            riskScore: report.assessment.riskScore,
+            reviewed,
+            reviewNotice: reviewed ? null : 'Includes AI-generated or unchecked results that have not been reviewed',
+            schemaVersion: SCHEMA_VERSION
         });
     } catch (error) {
-        console.error('Comparison API error:', error.response?.data || error.message);
-        res.status(500).json({ error: 'Failed to compare items' });
+        console.error('Ingredient check error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to check ingredients' });
     }
 });
 
@@ -0,0 +1,69 @@
+const { computeTimeline, parseDate } = require('./pregnancyTimeline');
+
+// Routine prenatal visit cadence by gestational week: every 4 weeks to 28,
+// every 2 weeks to 36, then weekly until delivery
+const VISIT_WEEKS = [8, 12, 16, 20, 24, 28, 30, 32, 34, 36, 37, 38, 39, 40, 41];
+const VISIT_MINUTES = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseTime(time = '09:00') {
+    const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const [hours, minutes] = [Number(match[1]), Number(match[2])];
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+// Visits at `time` local to the client (timezoneOffset as reported by
+// Date#getTimezoneOffset) for every cadence week still ahead, plus an
+// all-day entry for each screening window that has not passed. Weeks that
+// already have a visit in `skipWeeks` are left alone.
+function planAppointments({ profile, time = '09:00', timezoneOffset = 0, location, provider, skipWeeks = [], now = new Date() }) {
+    const timeline = computeTimeline(profile, { now });
+    if (!timeline || timeline.status === 'ended') return null;
+
+    const minutes = parseTime(time);
+    if (minutes === null) {
+        throw new Error('time must be HH:MM');
+    }
+
+    const lmp = parseDate(timeline.lmp);
+    const visits = VISIT_WEEKS
+        .filter((week) => !skipWeeks.includes(week))
+        .map((week) => {
+            const startsAt = new Date(lmp.getTime() + week * 7 * DAY_MS + (minutes + timezoneOffset) * 60000);
+            return {
+                title: week === VISIT_WEEKS[0] ? 'First prenatal visit' : `Prenatal visit (week ${week})`,
+                type: 'prenatal-visit',
+                startsAt,
+                endsAt: new Date(startsAt.getTime() + VISIT_MINUTES * 60000),
+                allDay: false,
+                location,
+                provider,
+                source: 'cadence',
+                gestationalWeek: week
+            };
+        })
+        .filter((visit) => visit.startsAt > now);
+
+    const screenings = timeline.screenings
+        .filter((screening) => screening.status !== 'past')
+        .map((screening) => ({
+            title: `${screening.name} window`,
+            type: 'screening',
+            startsAt: parseDate(screening.startDate),
+            endsAt: new Date(parseDate(screening.endDate).getTime() + DAY_MS),
+            allDay: true,
+            notes: screening.note,
+            source: 'screening',
+            gestationalWeek: screening.startWeek,
+            screeningId: screening.id
+        }));
+
+    return { timeline, appointments: [...visits, ...screenings] };
+}
+
+module.exports = {
+    VISIT_WEEKS,
+    parseTime,
+    planAppointments
+};
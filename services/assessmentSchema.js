@@ -0,0 +1,403 @@
+// Versioned JSON contract for AI safety assessments. Bump SCHEMA_VERSION
+// whenever a field is added, removed or changes meaning so clients can
+// tell which shape they are rendering.
+
+const SCHEMA_VERSION = '1.0';
+const SAFETY_LEVELS = ['Safe', 'Caution', 'Avoid'];
+const TRIMESTERS = ['first', 'second', 'third'];
+const INTERACTION_SEVERITIES = ['major', 'moderate', 'minor'];
+
+const scoredBlock = {
+    type: 'object',
+    required: ['riskScore', 'safetyLevel', 'why', 'tips'],
+    properties: {
+        riskScore: { type: 'integer', minimum: 1, maximum: 10 },
+        safetyLevel: { enum: SAFETY_LEVELS },
+        why: { type: 'string', minLength: 1 },
+        tips: { type: 'array', items: { type: 'string' }, maxItems: 5 }
+    }
+};
+
+// JSON Schema (draft-07) for a single assessment; served at /api/assessment-schema
+const ASSESSMENT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `https://safe-maternity.com/schemas/assessment/${SCHEMA_VERSION}.json`,
+    title: 'SafetyAssessment',
+    type: 'object',
+    required: ['schemaVersion', ...scoredBlock.required],
+    properties: {
+        schemaVersion: { const: SCHEMA_VERSION },
+        item: { type: 'string' },
+        ...scoredBlock.properties,
+        trimesterNotes: {
+            type: 'object',
+            properties: {
+                first: { type: 'string' },
+                second: { type: 'string' },
+                third: { type: 'string' }
+            }
+        },
+        ageRecommendation: { type: ['string', 'null'] },
+        keyConcern: { type: ['string', 'null'] },
+        saferAlternative: { type: ['string', 'null'] },
+        breastfeeding: { oneOf: [{ type: 'null' }, scoredBlock] }
+    }
+};
+
+function buildSchemaPrompt({ includeBreastfeeding = false, includeTrimesterNotes = true, includeAgeRecommendation = false, includeComparisonFields = false } = {}) {
+    const lines = [
+        '{',
+        `  "schemaVersion": "${SCHEMA_VERSION}",`,
+        '  "item": "<name of the item assessed>",',
+        '  "riskScore": <integer 1-10, 1=safest, 10=most dangerous>,',
+        '  "safetyLevel": "Safe" | "Caution" | "Avoid",',
+        '  "why": "<1 sentence explanation>",',
+        '  "tips": ["<short practical tip>", "<short practical tip>"]'
+    ];
+    if (includeTrimesterNotes) {
+        lines[lines.length - 1] += ',';
+        lines.push('  "trimesterNotes": { "first": "<note>", "second": "<note>", "third": "<note>" }');
+    }
+    if (includeAgeRecommendation) {
+        lines[lines.length - 1] += ',';
+        lines.push('  "ageRecommendation": "<age from which it is appropriate, or null if already appropriate>"');
+    }
+    if (includeComparisonFields) {
+        lines[lines.length - 1] += ',';
+        lines.push('  "keyConcern": "<main risk factor or null>",');
+        lines.push('  "saferAlternative": "<safer alternative or null>"');
+    }
+    if (includeBreastfeeding) {
+        lines[lines.length - 1] += ',';
+        lines.push('  "breastfeeding": { "riskScore": <integer 1-10>, "safetyLevel": "Safe" | "Caution" | "Avoid", "why": "<1 sentence>", "tips": ["<short tip>"] }');
+    }
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// Pull the first JSON object out of a model reply, tolerating <think> blocks,
+// markdown fences and leading chatter. Returns { value, thinking } or null.
+function extractJson(text) {
+    if (typeof text !== 'string') return null;
+
+    let thinking = '';
+    let body = text.replace(/<think>([\s\S]*?)<\/think>/gi, (match, inner) => {
+        thinking += inner.trim();
+        return '';
+    });
+    body = body.replace(/```(?:json)?/gi, '');
+
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    const before = body.slice(0, start).trim();
+    if (before) {
+        thinking = thinking ? `${thinking}\n${before}` : before;
+    }
+
+    try {
+        return { value: JSON.parse(body.slice(start, end + 1)), thinking };
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeSafetyLevel(value) {
+    if (typeof value !== 'string') return value;
+    const match = SAFETY_LEVELS.find((level) => level.toLowerCase() === value.trim().toLowerCase());
+    return match || value;
+}
+
+function normalizeScore(value) {
+    if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    return value;
+}
+
+function normalizeScoredBlock(block) {
+    if (!block || typeof block !== 'object') return block;
+    return {
+        ...block,
+        riskScore: normalizeScore(block.riskScore),
+        safetyLevel: normalizeSafetyLevel(block.safetyLevel),
+        tips: typeof block.tips === 'string' ? [block.tips] : block.tips
+    };
+}
+
+function validateScoredBlock(block, path) {
+    const errors = [];
+    if (!block || typeof block !== 'object' || Array.isArray(block)) {
+        return [`${path} must be an object`];
+    }
+    if (!Number.isInteger(block.riskScore) || block.riskScore < 1 || block.riskScore > 10) {
+        errors.push(`${path}.riskScore must be an integer from 1 to 10`);
+    }
+    if (!SAFETY_LEVELS.includes(block.safetyLevel)) {
+        errors.push(`${path}.safetyLevel must be one of ${SAFETY_LEVELS.join(', ')}`);
+    }
+    if (typeof block.why !== 'string' || !block.why.trim()) {
+        errors.push(`${path}.why must be a non-empty string`);
+    }
+    if (!Array.isArray(block.tips) || block.tips.some((tip) => typeof tip !== 'string')) {
+        errors.push(`${path}.tips must be an array of strings`);
+    }
+    return errors;
+}
+
+function validateAssessment(assessment, { requireBreastfeeding = false } = {}) {
+    if (!assessment || typeof assessment !== 'object' || Array.isArray(assessment)) {
+        return ['assessment must be a JSON object'];
+    }
+
+    const errors = [];
+    if (assessment.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be "${SCHEMA_VERSION}"`);
+    }
+    errors.push(...validateScoredBlock(assessment, 'assessment'));
+
+    if (assessment.trimesterNotes !== undefined && assessment.trimesterNotes !== null) {
+        const notes = assessment.trimesterNotes;
+        if (typeof notes !== 'object' || Object.entries(notes).some(([key, value]) => !TRIMESTERS.includes(key) || typeof value !== 'string')) {
+            errors.push('assessment.trimesterNotes may only contain first/second/third strings');
+        }
+    }
+
+    if (requireBreastfeeding || (assessment.breastfeeding !== undefined && assessment.breastfeeding !== null)) {
+        errors.push(...validateScoredBlock(assessment.breastfeeding, 'assessment.breastfeeding'));
+    }
+
+    return errors;
+}
+
+function parseAssessment(text, options = {}) {
+    const extracted = extractJson(text);
+    if (!extracted) {
+        return { assessment: null, thinking: '', errors: ['Reply did not contain a JSON object'] };
+    }
+
+    const value = extracted.value;
+    const assessment = value && typeof value === 'object' && !Array.isArray(value)
+        ? {
+            ...normalizeScoredBlock(value),
+            breastfeeding: value.breastfeeding ? normalizeScoredBlock(value.breastfeeding) : value.breastfeeding
+        }
+        : value;
+    if (assessment && assessment.breastfeeding === undefined) {
+        delete assessment.breastfeeding;
+    }
+
+    const errors = validateAssessment(assessment, options);
+    return {
+        assessment: errors.length === 0 ? assessment : null,
+        thinking: extracted.thinking,
+        errors
+    };
+}
+
+// Comparison replies wrap one assessment per item plus an overall recommendation
+function parseComparison(text, { expectedItems = 0 } = {}) {
+    const extracted = extractJson(text);
+    if (!extracted) {
+        return { comparison: null, thinking: '', errors: ['Reply did not contain a JSON object'] };
+    }
+
+    const value = extracted.value || {};
+    const errors = [];
+    if (value.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be "${SCHEMA_VERSION}"`);
+    }
+    if (!Array.isArray(value.comparisons) || value.comparisons.length === 0) {
+        errors.push('comparisons must be a non-empty array');
+    } else if (expectedItems && value.comparisons.length !== expectedItems) {
+        errors.push(`comparisons must contain exactly ${expectedItems} entries`);
+    }
+
+    const comparisons = (Array.isArray(value.comparisons) ? value.comparisons : []).map((entry, index) => {
+        const normalized = normalizeScoredBlock(entry);
+        errors.push(...validateScoredBlock(normalized, `comparisons[${index}]`));
+        if (!normalized || typeof normalized.item !== 'string' || !normalized.item.trim()) {
+            errors.push(`comparisons[${index}].item must be a non-empty string`);
+        }
+        return normalized;
+    });
+
+    return {
+        comparison: errors.length === 0
+            ? { schemaVersion: SCHEMA_VERSION, comparisons, recommendation: typeof value.recommendation === 'string' ? value.recommendation : '' }
+            : null,
+        thinking: extracted.thinking,
+        errors
+    };
+}
+
+function validateConcernNote(note, path) {
+    if (!note || typeof note !== 'object') return [`${path} must be an object`];
+    const errors = [];
+    if (!SAFETY_LEVELS.includes(note.level)) {
+        errors.push(`${path}.level must be one of ${SAFETY_LEVELS.join(', ')}`);
+    }
+    if (typeof note.note !== 'string' || !note.note.trim()) {
+        errors.push(`${path}.note must be a non-empty string`);
+    }
+    return errors;
+}
+
+// Interaction replies list pairwise warnings plus pregnancy/lactation notes
+// for each item the local interaction table did not know
+function parseInteractionReport(text) {
+    const extracted = extractJson(text);
+    if (!extracted) {
+        return { report: null, thinking: '', errors: ['Reply did not contain a JSON object'] };
+    }
+
+    const value = extracted.value || {};
+    const errors = [];
+    if (value.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be "${SCHEMA_VERSION}"`);
+    }
+    if (!Array.isArray(value.interactions)) {
+        errors.push('interactions must be an array');
+    }
+    if (!Array.isArray(value.concerns)) {
+        errors.push('concerns must be an array');
+    }
+
+    const interactions = (Array.isArray(value.interactions) ? value.interactions : []).map((entry, index) => {
+        const path = `interactions[${index}]`;
+        const normalized = { ...entry, severity: typeof entry?.severity === 'string' ? entry.severity.trim().toLowerCase() : entry?.severity };
+        if (!Array.isArray(normalized.between) || normalized.between.length !== 2 || normalized.between.some((name) => typeof name !== 'string' || !name.trim())) {
+            errors.push(`${path}.between must name exactly two items`);
+        }
+        if (!INTERACTION_SEVERITIES.includes(normalized.severity)) {
+            errors.push(`${path}.severity must be one of ${INTERACTION_SEVERITIES.join(', ')}`);
+        }
+        for (const field of ['effect', 'advice']) {
+            if (typeof normalized[field] !== 'string' || !normalized[field].trim()) {
+                errors.push(`${path}.${field} must be a non-empty string`);
+            }
+        }
+        return normalized;
+    });
+
+    const concerns = (Array.isArray(value.concerns) ? value.concerns : []).map((entry, index) => {
+        const path = `concerns[${index}]`;
+        const normalized = {
+            ...entry,
+            pregnancy: entry?.pregnancy ? { ...entry.pregnancy, level: normalizeSafetyLevel(entry.pregnancy.level) } : entry?.pregnancy,
+            lactation: entry?.lactation ? { ...entry.lactation, level: normalizeSafetyLevel(entry.lactation.level) } : entry?.lactation
+        };
+        if (typeof normalized.item !== 'string' || !normalized.item.trim()) {
+            errors.push(`${path}.item must be a non-empty string`);
+        }
+        errors.push(...validateConcernNote(normalized.pregnancy, `${path}.pregnancy`));
+        errors.push(...validateConcernNote(normalized.lactation, `${path}.lactation`));
+        return normalized;
+    });
+
+    return {
+        report: errors.length === 0 ? { schemaVersion: SCHEMA_VERSION, interactions, concerns } : null,
+        thinking: extracted.thinking,
+        errors
+    };
+}
+
+// Ingredient replies score each ingredient the local rules did not cover
+function parseIngredientReport(text) {
+    const extracted = extractJson(text);
+    if (!extracted) {
+        return { report: null, thinking: '', errors: ['Reply did not contain a JSON object'] };
+    }
+
+    const value = extracted.value || {};
+    const errors = [];
+    if (value.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be "${SCHEMA_VERSION}"`);
+    }
+    if (!Array.isArray(value.ingredients)) {
+        errors.push('ingredients must be an array');
+    }
+
+    const ingredients = (Array.isArray(value.ingredients) ? value.ingredients : []).map((entry, index) => {
+        const path = `ingredients[${index}]`;
+        const normalized = { ...entry, riskScore: normalizeScore(entry?.riskScore), safetyLevel: normalizeSafetyLevel(entry?.safetyLevel) };
+        if (typeof normalized.ingredient !== 'string' || !normalized.ingredient.trim()) {
+            errors.push(`${path}.ingredient must be a non-empty string`);
+        }
+        if (!Number.isInteger(normalized.riskScore) || normalized.riskScore < 1 || normalized.riskScore > 10) {
+            errors.push(`${path}.riskScore must be an integer from 1 to 10`);
+        }
+        if (!SAFETY_LEVELS.includes(normalized.safetyLevel)) {
+            errors.push(`${path}.safetyLevel must be one of ${SAFETY_LEVELS.join(', ')}`);
+        }
+        if (typeof normalized.why !== 'string' || !normalized.why.trim()) {
+            errors.push(`${path}.why must be a non-empty string`);
+        }
+        return normalized;
+    });
+
+    return {
+        report: errors.length === 0 ? { schemaVersion: SCHEMA_VERSION, ingredients } : null,
+        thinking: extracted.thinking,
+        errors
+    };
+}
+
+function formatScoredBlock(block, scoreLabel) {
+    const lines = [
+        `${scoreLabel}: ${block.riskScore}`,
+        `SAFETY: ${block.safetyLevel}`,
+        `WHY: ${block.why}`
+    ];
+    if (block.tips && block.tips.length > 0) {
+        lines.push('TIPS:', ...block.tips.map((tip) => `- ${tip}`));
+    }
+    return lines;
+}
+
+// Legacy "RISK_SCORE: n / SAFETY: ..." text so older clients keep rendering results
+function formatAssessmentText(assessment) {
+    if (assessment.breastfeeding) {
+        const pregnancy = formatScoredBlock(assessment, 'PREGNANCY_RISK_SCORE');
+        const breastfeeding = formatScoredBlock(assessment.breastfeeding, 'BREASTFEEDING_RISK_SCORE');
+        return [
+            pregnancy[0],
+            breastfeeding[0],
+            'PREGNANCY:',
+            ...pregnancy.slice(1),
+            '',
+            'BREASTFEEDING:',
+            ...breastfeeding.slice(1)
+        ].join('\n');
+    }
+
+    const lines = formatScoredBlock(assessment, 'RISK_SCORE');
+    if (assessment.trimesterNotes) {
+        const notes = TRIMESTERS
+            .filter((trimester) => assessment.trimesterNotes[trimester])
+            .map((trimester) => `- ${trimester.charAt(0).toUpperCase()}${trimester.slice(1)} trimester: ${assessment.trimesterNotes[trimester]}`);
+        if (notes.length > 0) {
+            lines.push('TRIMESTER NOTES:', ...notes);
+        }
+    }
+    if (assessment.ageRecommendation) {
+        lines.push(`AGE: ${assessment.ageRecommendation}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SAFETY_LEVELS,
+    INTERACTION_SEVERITIES,
+    ASSESSMENT_SCHEMA,
+    buildSchemaPrompt,
+    extractJson,
+    validateAssessment,
+    parseAssessment,
+    parseComparison,
+    parseInteractionReport,
+    parseIngredientReport,
+    formatAssessmentText
+};
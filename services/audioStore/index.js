@@ -0,0 +1,91 @@
+const os = require('os');
+const path = require('path');
+const createDiskAudioStore = require('./stores/disk');
+const createGridFSAudioStore = require('./stores/gridfs');
+
+// AUDIO_STORE selects where voice notes are kept: 'gridfs' (default) in the
+// app's MongoDB, or 'disk' under AUDIO_STORE_DIR for local development.
+// Every store has save({ buffer, contentType, metadata }), stat(id),
+// openStream(id), listBefore(date) and remove(id).
+
+// Uploads nobody attaches to an entry within a day are removed
+const UNATTACHED_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Path journal entries use to reference an uploaded note
+function voiceNoteUrl(id) {
+    return `/api/journal/audio/${id}`;
+}
+
+function createAudioStore(name = process.env.AUDIO_STORE || 'gridfs', overrides = {}) {
+    switch (name.toLowerCase()) {
+        case 'gridfs':
+            return createGridFSAudioStore(overrides);
+        case 'disk':
+            return createDiskAudioStore({
+                directory: process.env.AUDIO_STORE_DIR || path.join(os.tmpdir(), 'voice-notes'),
+                ...overrides
+            });
+        default:
+            throw new Error(`Unknown audio store: ${name}`);
+    }
+}
+
+let activeStore = null;
+
+function getAudioStore() {
+    if (!activeStore) {
+        activeStore = createAudioStore();
+    }
+    return activeStore;
+}
+
+// Swap the process-wide store (tests)
+function setAudioStore(store) {
+    activeStore = store;
+}
+
+// Removes notes older than `maxAgeMs` that `isAttached(id)` says no entry
+// uses. Returns how many were removed.
+async function removeUnattachedVoiceNotes(store, { isAttached, maxAgeMs = UNATTACHED_MAX_AGE_MS, now = new Date() }) {
+    let removed = 0;
+    for (const id of await store.listBefore(new Date(now.getTime() - maxAgeMs))) {
+        if (await isAttached(id)) continue;
+        await store.remove(id);
+        removed += 1;
+    }
+    return removed;
+}
+
+// Periodic cleanup of uploads that were never saved with an entry
+function startVoiceNoteCleanup(JournalEntry, { intervalMs = 60 * 60 * 1000, maxAgeMs } = {}) {
+    let running = false;
+    const sweep = async () => {
+        if (running) return 0;
+        running = true;
+        try {
+            return await removeUnattachedVoiceNotes(getAudioStore(), {
+                isAttached: (id) => JournalEntry.exists({ audioUrl: voiceNoteUrl(id) }).then(Boolean),
+                maxAgeMs
+            });
+        } catch (error) {
+            console.error('Voice note cleanup failed:', error.message);
+            return 0;
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref?.();
+    return { sweep, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+    voiceNoteUrl,
+    removeUnattachedVoiceNotes,
+    startVoiceNoteCleanup,
+    createAudioStore,
+    getAudioStore,
+    setAudioStore,
+    createDiskAudioStore,
+    createGridFSAudioStore
+};
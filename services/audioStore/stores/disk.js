@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Voice notes as files in one directory, each with a JSON sidecar holding the
+// content type and metadata. For local development and single-server setups;
+// serverless deployments should use GridFS.
+
+const ID_PATTERN = /^[a-f0-9]{24}$/;
+
+function createDiskAudioStore({ directory } = {}) {
+    if (!directory) throw new Error('Disk audio store needs a directory');
+
+    const fileFor = (id) => path.join(directory, `${id}.audio`);
+    const metaFor = (id) => path.join(directory, `${id}.json`);
+
+    async function save({ buffer, contentType, metadata = {} }) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const id = crypto.randomBytes(12).toString('hex');
+        const info = { id, contentType, size: buffer.length, metadata, createdAt: new Date().toISOString() };
+        await fs.promises.writeFile(fileFor(id), buffer);
+        await fs.promises.writeFile(metaFor(id), JSON.stringify(info));
+        return { id, contentType, size: buffer.length };
+    }
+
+    async function stat(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        try {
+            const info = JSON.parse(await fs.promises.readFile(metaFor(id), 'utf8'));
+            return { ...info, createdAt: new Date(info.createdAt) };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    function openStream(id) {
+        if (!ID_PATTERN.test(id)) throw new Error('Invalid voice note id');
+        return fs.createReadStream(fileFor(id));
+    }
+
+    // Ids of notes saved before `date`
+    async function listBefore(date) {
+        let files;
+        try {
+            files = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const ids = [];
+        for (const file of files) {
+            const id = path.basename(file, '.json');
+            if (!file.endsWith('.json') || !ID_PATTERN.test(id)) continue;
+            const note = await stat(id);
+            if (note && note.createdAt < date) ids.push(id);
+        }
+        return ids;
+    }
+
+    async function remove(id) {
+        if (!ID_PATTERN.test(id)) return;
+        await Promise.all([fileFor(id), metaFor(id)].map((file) => fs.promises.rm(file, { force: true })));
+    }
+
+    return { name: 'disk', save, stat, openStream, listBefore, remove };
+}
+
+module.exports = createDiskAudioStore;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Voice notes in MongoDB GridFS, next to the rest of the user's data. The
+// content type lives in the file metadata along with the caller's fields.
+
+function createGridFSAudioStore({ bucketName = 'voiceNotes', getDb = () => mongoose.connection.db } = {}) {
+    let bucket = null;
+
+    function getBucket() {
+        const db = getDb();
+        if (!db) throw new Error('Database not connected');
+        if (!bucket) bucket = new mongoose.mongo.GridFSBucket(db, { bucketName });
+        return bucket;
+    }
+
+    function toObjectId(id) {
+        return mongoose.Types.ObjectId.isValid(id) && String(id).length === 24 ? new mongoose.Types.ObjectId(id) : null;
+    }
+
+    function save({ buffer, contentType, metadata = {} }) {
+        return new Promise((resolve, reject) => {
+            const upload = getBucket().openUploadStream('voice-note', { metadata: { ...metadata, contentType } });
+            upload.once('error', reject);
+            upload.once('finish', () => resolve({ id: upload.id.toString(), contentType, size: buffer.length }));
+            upload.end(buffer);
+        });
+    }
+
+    async function stat(id) {
+        const objectId = toObjectId(id);
+        if (!objectId) return null;
+        const file = await getBucket().find({ _id: objectId }).next();
+        if (!file) return null;
+        const { contentType, ...metadata } = file.metadata || {};
+        return { id: file._id.toString(), contentType, size: file.length, metadata, createdAt: file.uploadDate };
+    }
+
+    function openStream(id) {
+        const objectId = toObjectId(id);
+        if (!objectId) throw new Error('Invalid voice note id');
+        return getBucket().openDownloadStream(objectId);
+    }
+
+    // Ids of notes saved before `date`
+    async function listBefore(date) {
+        const files = await getBucket().find({ uploadDate: { $lt: date } }, { projection: { _id: 1 } }).toArray();
+        return files.map((file) => file._id.toString());
+    }
+
+    async function remove(id) {
+        const objectId = toObjectId(id);
+        if (!objectId) return;
+        try {
+            await getBucket().delete(objectId);
+        } catch (error) {
+            // Already gone
+            if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+        }
+    }
+
+    return { name: 'gridfs', save, stat, openStream, listBefore, remove };
+}
+
+module.exports = createGridFSAudioStore;
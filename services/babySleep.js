@@ -0,0 +1,229 @@
+// Sleep totals for the baby monitor. Sessions may overlap (two caregivers
+// logging the same nap, or a nap entered after the fact), so they are merged
+// into one timeline before anything is counted. Night sleep is whatever
+// falls between 19:00 and 07:00 local time; the rest is naps.
+//
+// Daily totals are compared with the AASM/NSF recommendations for the
+// baby's (corrected) age, and bed-sharing or sofa sleep under 12 months
+// raises a safe-sleep warning (AAP 2022).
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const NIGHT_START_HOUR = 19;
+const NIGHT_END_HOUR = 7;
+// An open session stops counting after this long; it was probably never stopped
+const MAX_OPEN_HOURS = 16;
+const SAFE_SLEEP_MONTHS = 12;
+
+const QUALITIES = ['good', 'fair', 'poor'];
+const LOCATIONS = ['crib', 'bassinet', 'pack-n-play', 'parent bed', 'couch', 'car seat', 'stroller', 'arms', 'other'];
+const UNSAFE_LOCATIONS = {
+    'parent bed': 'Bed-sharing raises the risk of SIDS and suffocation. Place your baby on their back in their own crib or bassinet, in your room.',
+    couch: 'Sleeping on a couch or armchair with a baby is one of the highest-risk situations for SIDS and suffocation. Move your baby to their own crib or bassinet.'
+};
+
+// Total sleep per 24 hours, naps included
+const SLEEP_RECOMMENDATIONS = [
+    { fromMonths: 0, toMonths: 4, hours: [14, 17], label: '0–3 months (NSF)' },
+    { fromMonths: 4, toMonths: 12, hours: [12, 16], label: '4–12 months (AASM)' },
+    { fromMonths: 12, toMonths: 36, hours: [11, 14], label: '1–2 years (AASM)' },
+    { fromMonths: 36, toMonths: 72, hours: [10, 13], label: '3–5 years (AASM)' },
+    { fromMonths: 72, toMonths: Infinity, hours: [9, 12], label: '6–12 years (AASM)' }
+];
+
+function toDate(value) {
+    const parsed = new Date(value);
+    return value == null || Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function normalizeLocation(location) {
+    return typeof location === 'string' ? location.trim().toLowerCase() : undefined;
+}
+
+function validateSleepPayload(payload, { requireEnd = false } = {}) {
+    const start = payload?.startTime === undefined ? new Date() : toDate(payload.startTime);
+    if (!start) {
+        return 'startTime must be a valid date';
+    }
+    const end = payload?.endTime === undefined ? null : toDate(payload.endTime);
+    if (requireEnd && !end) {
+        return 'endTime must be a valid date';
+    }
+    if (end && end <= start) {
+        return 'endTime must be after startTime';
+    }
+    if (end && end - start > DAY_MS) {
+        return 'A sleep session cannot be longer than 24 hours';
+    }
+    if (payload?.quality !== undefined && !QUALITIES.includes(payload.quality)) {
+        return `quality must be one of: ${QUALITIES.join(', ')}`;
+    }
+    const location = normalizeLocation(payload?.location);
+    if (payload?.location !== undefined && !LOCATIONS.includes(location)) {
+        return `location must be one of: ${LOCATIONS.join(', ')}`;
+    }
+    return null;
+}
+
+function safeSleepWarning(location, ageMonths) {
+    const message = UNSAFE_LOCATIONS[normalizeLocation(location)];
+    if (!message || ageMonths === null || ageMonths === undefined || ageMonths >= SAFE_SLEEP_MONTHS) {
+        return null;
+    }
+    return { location: normalizeLocation(location), message };
+}
+
+function recommendationFor(ageMonths) {
+    if (ageMonths === null || ageMonths === undefined) return null;
+    return SLEEP_RECOMMENDATIONS.find((band) => ageMonths >= band.fromMonths && ageMonths < band.toMonths) || null;
+}
+
+// Sessions as [start, end] intervals merged where they overlap or touch
+function mergeSessions(sessions, now = new Date()) {
+    const intervals = sessions
+        .map((session) => {
+            const start = toDate(session.startTime);
+            if (!start) return null;
+            const end = toDate(session.endTime)
+                || new Date(Math.min(now.getTime(), start.getTime() + MAX_OPEN_HOURS * HOUR_MS));
+            return end > start ? [start.getTime(), end.getTime()] : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const [start, end] of intervals) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+}
+
+// Overlap in ms between [start, end] and the night windows it touches, in
+// the client's local time (timezoneOffset as from Date#getTimezoneOffset)
+function nightOverlap(start, end, timezoneOffset) {
+    const shift = timezoneOffset * MINUTE_MS;
+    const localStart = start - shift;
+    const localEnd = end - shift;
+    let total = 0;
+    // Night windows run from 19:00 on one local day to 07:00 the next
+    let windowStart = Math.floor(localStart / DAY_MS) * DAY_MS - DAY_MS + NIGHT_START_HOUR * HOUR_MS;
+    while (windowStart < localEnd) {
+        const windowEnd = windowStart + (24 - NIGHT_START_HOUR + NIGHT_END_HOUR) * HOUR_MS;
+        total += Math.max(0, Math.min(localEnd, windowEnd) - Math.max(localStart, windowStart));
+        windowStart += DAY_MS;
+    }
+    return total;
+}
+
+function localDayStart(time, timezoneOffset) {
+    const shift = timezoneOffset * MINUTE_MS;
+    return Math.floor((time - shift) / DAY_MS) * DAY_MS + shift;
+}
+
+function minutes(ms) {
+    return Math.round(ms / MINUTE_MS);
+}
+
+function hours(ms) {
+    return Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+// Daily and weekly totals for the last `days` local days, today included
+function summarizeSleep(sessions, { days = 7, now = new Date(), timezoneOffset = 0, ageMonths = null } = {}) {
+    const merged = mergeSessions(sessions, now);
+    const todayStart = localDayStart(now.getTime(), timezoneOffset);
+
+    const daily = [];
+    for (let index = days - 1; index >= 0; index--) {
+        const dayStart = todayStart - index * DAY_MS;
+        const dayEnd = dayStart + DAY_MS;
+        let total = 0;
+        let night = 0;
+        let longest = 0;
+        let stretches = 0;
+        for (const [start, end] of merged) {
+            const from = Math.max(start, dayStart);
+            const to = Math.min(end, dayEnd);
+            if (to <= from) continue;
+            total += to - from;
+            night += nightOverlap(from, to, timezoneOffset);
+            // A stretch belongs to the day it started on, at its full length
+            if (start >= dayStart && start < dayEnd) {
+                stretches++;
+                longest = Math.max(longest, end - start);
+            }
+        }
+        daily.push({
+            date: new Date(dayStart - timezoneOffset * MINUTE_MS).toISOString().slice(0, 10),
+            totalMinutes: minutes(total),
+            nightMinutes: minutes(night),
+            napMinutes: minutes(total - night),
+            longestStretchMinutes: minutes(longest),
+            sessions: stretches,
+            partial: index === 0
+        });
+    }
+
+    // Averages leave out today, which is still going
+    const complete = daily.filter((day) => !day.partial);
+    const weeks = [];
+    for (let end = complete.length; end > 0; end -= 7) {
+        const week = complete.slice(Math.max(0, end - 7), end);
+        const sum = (field) => week.reduce((total, day) => total + day[field], 0);
+        weeks.unshift({
+            from: week[0].date,
+            to: week[week.length - 1].date,
+            days: week.length,
+            totalHours: hours(sum('totalMinutes') * MINUTE_MS),
+            averageHoursPerDay: hours((sum('totalMinutes') / week.length) * MINUTE_MS),
+            averageNightHours: hours((sum('nightMinutes') / week.length) * MINUTE_MS),
+            averageNapHours: hours((sum('napMinutes') / week.length) * MINUTE_MS),
+            longestStretchMinutes: Math.max(...week.map((day) => day.longestStretchMinutes))
+        });
+    }
+
+    const recommendation = recommendationFor(ageMonths);
+    const latestWeek = weeks[weeks.length - 1] || null;
+    let comparison = null;
+    if (recommendation && latestWeek) {
+        const [low, high] = recommendation.hours;
+        let status = 'within';
+        if (latestWeek.averageHoursPerDay < low) status = 'below';
+        else if (latestWeek.averageHoursPerDay > high) status = 'above';
+        comparison = {
+            ageGroup: recommendation.label,
+            recommendedHours: recommendation.hours,
+            averageHoursPerDay: latestWeek.averageHoursPerDay,
+            status
+        };
+    }
+
+    const open = sessions.find((session) => !session.endTime);
+    return {
+        daily,
+        weekly: weeks,
+        longestStretchMinutes: Math.max(0, ...daily.map((day) => day.longestStretchMinutes)),
+        comparison,
+        currentSession: open || null
+    };
+}
+
+module.exports = {
+    QUALITIES,
+    LOCATIONS,
+    SLEEP_RECOMMENDATIONS,
+    SAFE_SLEEP_MONTHS,
+    validateSleepPayload,
+    normalizeLocation,
+    safeSleepWarning,
+    recommendationFor,
+    mergeSessions,
+    nightOverlap,
+    summarizeSleep
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// iCalendar (RFC 5545) feed for appointments. The feed URL carries a random
+// secret; only its SHA-256 hash is stored so a leaked database cannot be
+// used to read anyone's calendar, and rotating or deleting it revokes the URL.
+
+const PRODID = '-//Safe Maternity//Appointments//EN';
+
+function createFeedToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, tokenHash: hashFeedToken(token) };
+}
+
+function hashFeedToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function buildEvent(appointment, now) {
+    const start = new Date(appointment.startsAt);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${appointment._id || appointment.id}@safe-maternity.com`,
+        `DTSTAMP:${formatDateTime(new Date(appointment.updatedAt || now))}`
+    ];
+    if (appointment.allDay) {
+        const end = appointment.endsAt ? new Date(appointment.endsAt) : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+        const end = appointment.endsAt ? new Date(appointment.endsAt) : new Date(start.getTime() + 30 * 60000);
+        lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(appointment.title)}`);
+    if (appointment.location) lines.push(`LOCATION:${escapeText(appointment.location)}`);
+
+    const description = [
+        appointment.provider ? `Provider: ${appointment.provider}` : null,
+        appointment.gestationalWeek ? `Pregnancy week ${appointment.gestationalWeek}` : null,
+        appointment.notes
+    ].filter(Boolean).join('\n');
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+    lines.push(`STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    return lines;
+}
+
+function buildCalendar({ appointments, name = 'Pregnancy appointments', now = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        ...appointments.flatMap((appointment) => buildEvent(appointment, now)),
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    createFeedToken,
+    hashFeedToken,
+    buildCalendar
+};
@@ -0,0 +1,119 @@
+// Contraction timing. Intervals are start to start. The 5-1-1 rule (about
+// 5 minutes apart, lasting 1 minute, for 1 hour) is the usual point to go in
+// at term; before 37 weeks, 6 or more in an hour can be preterm labor.
+
+const FIVE_ONE_ONE = { intervalMinutes: 5, durationSeconds: 60, sustainedMinutes: 60 };
+// A longer gap than this ends a run of contractions
+const RUN_GAP_MINUTES = 10;
+const PRETERM_WEEK = 37;
+const PRETERM_PER_HOUR = 6;
+const HOUR_MS = 60 * 60 * 1000;
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+}
+
+// Sorted oldest first, with duration and the interval since the one before
+function describeContractions(contractions) {
+    const sorted = [...contractions].sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+    return sorted.map((contraction, index) => {
+        const start = new Date(contraction.startedAt);
+        const previous = index > 0 ? new Date(sorted[index - 1].startedAt) : null;
+        return {
+            id: contraction._id || contraction.id || null,
+            startedAt: start,
+            endedAt: new Date(contraction.endedAt),
+            intensity: contraction.intensity || null,
+            durationSeconds: Math.round((new Date(contraction.endedAt) - start) / 1000),
+            intervalMinutes: previous ? Math.round((start - previous) / 6000) / 10 : null
+        };
+    });
+}
+
+// The latest unbroken run of contractions, and whether its last hour meets 5-1-1
+function checkFiveOneOne(described) {
+    const run = [];
+    for (let index = described.length - 1; index >= 0; index--) {
+        run.unshift(described[index]);
+        const interval = described[index].intervalMinutes;
+        if (interval === null || interval > RUN_GAP_MINUTES) break;
+    }
+    if (run.length < 2) {
+        return { met: false, sustainedMinutes: 0, averageIntervalMinutes: null, averageDurationSeconds: null };
+    }
+
+    const last = run[run.length - 1].startedAt;
+    const lastHour = run.filter((entry) => last - entry.startedAt <= HOUR_MS);
+    const sustainedMinutes = Math.round((last - run[0].startedAt) / 60000);
+    // The first contraction in the window has its interval from outside it
+    const averageIntervalMinutes = average(lastHour.slice(1).map((entry) => entry.intervalMinutes));
+    const averageDurationSeconds = average(lastHour.map((entry) => entry.durationSeconds));
+
+    return {
+        met: sustainedMinutes >= FIVE_ONE_ONE.sustainedMinutes
+            && averageIntervalMinutes !== null && averageIntervalMinutes <= FIVE_ONE_ONE.intervalMinutes
+            && averageDurationSeconds >= FIVE_ONE_ONE.durationSeconds,
+        sustainedMinutes,
+        averageIntervalMinutes,
+        averageDurationSeconds
+    };
+}
+
+// Summary of recent contractions plus any alerts. `week` is the gestational
+// week, or null when unknown (then only 5-1-1 is checked).
+function analyzeContractions(contractions, { week = null } = {}) {
+    const described = describeContractions(contractions);
+    const last = described[described.length - 1] || null;
+    const lastHour = last ? described.filter((entry) => last.startedAt - entry.startedAt <= HOUR_MS) : [];
+    const fiveOneOne = checkFiveOneOne(described);
+    const alerts = [];
+
+    if (fiveOneOne.met) {
+        alerts.push({
+            urgency: 'go-to-labor-and-delivery',
+            message: `Contractions have been about ${fiveOneOne.averageIntervalMinutes} minutes apart and ${Math.round(fiveOneOne.averageDurationSeconds)} seconds long for ${fiveOneOne.sustainedMinutes} minutes, which meets the 5-1-1 rule. Call Labor & Delivery and head in.`
+        });
+    }
+    if (week !== null && week < PRETERM_WEEK && lastHour.length >= PRETERM_PER_HOUR) {
+        alerts.push({
+            urgency: 'go-to-labor-and-delivery',
+            message: `${lastHour.length} contractions in an hour at ${week} weeks can be preterm labor. Go to Labor & Delivery or call your provider now.`
+        });
+    }
+
+    return {
+        count: described.length,
+        lastHourCount: lastHour.length,
+        averageDurationSeconds: average(lastHour.map((entry) => entry.durationSeconds)),
+        averageIntervalMinutes: average(lastHour.slice(1).map((entry) => entry.intervalMinutes)),
+        fiveOneOne,
+        recent: described.slice(-12).reverse(),
+        alerts
+    };
+}
+
+// Hourly buckets (newest last) for the trend chart
+function summarizeByHour(contractions) {
+    const buckets = new Map();
+    for (const entry of describeContractions(contractions)) {
+        const hour = new Date(Math.floor(entry.startedAt.getTime() / HOUR_MS) * HOUR_MS).toISOString();
+        if (!buckets.has(hour)) buckets.set(hour, []);
+        buckets.get(hour).push(entry);
+    }
+    return [...buckets.entries()].map(([hour, entries]) => ({
+        hour,
+        count: entries.length,
+        averageDurationSeconds: average(entries.map((entry) => entry.durationSeconds)),
+        averageIntervalMinutes: average(entries.map((entry) => entry.intervalMinutes).filter((interval) => interval !== null))
+    }));
+}
+
+module.exports = {
+    FIVE_ONE_ONE,
+    PRETERM_WEEK,
+    describeContractions,
+    checkFiveOneOne,
+    analyzeContractions,
+    summarizeByHour
+};
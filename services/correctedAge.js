@@ -0,0 +1,92 @@
+// Chronological, corrected and postmenstrual age for a baby. A baby born
+// before 37 weeks is compared with others of the same corrected age (age
+// minus the weeks born early) until 24 months. Preterm growth is read from
+// the Fenton charts by postmenstrual age up to 50 weeks, then from WHO/CDC
+// at corrected age.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.4375;
+const TERM_WEEKS = 40;
+const PRETERM_BEFORE_WEEKS = 37;
+const CORRECT_UNTIL_MONTHS = 24;
+const FENTON_UNTIL_WEEKS = 50;
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function toDate(value) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Weeks of pregnancy at birth, as stored (e.g. 32 or 32.4); anything outside
+// the range a live birth can have is ignored
+function normalizeGestationalAge(value) {
+    const weeks = Number(value);
+    return Number.isFinite(weeks) && weeks >= 22 && weeks <= 44 ? weeks : null;
+}
+
+function splitDays(days) {
+    const whole = Math.max(0, Math.floor(days));
+    return {
+        days: whole,
+        weeks: Math.floor(whole / 7),
+        daysOfWeek: whole % 7,
+        months: round(whole / DAYS_PER_MONTH)
+    };
+}
+
+function computeBabyAge({ birthDate, gestationalAge, on = new Date() } = {}) {
+    const born = toDate(birthDate);
+    const at = toDate(on);
+    if (!born || !at || at < born) {
+        return null;
+    }
+
+    const chronologicalDays = Math.floor((at - born) / DAY_MS);
+    const gestationalWeeks = normalizeGestationalAge(gestationalAge);
+    const preterm = gestationalWeeks !== null && gestationalWeeks < PRETERM_BEFORE_WEEKS;
+    const correctionDays = preterm ? Math.round((TERM_WEEKS - gestationalWeeks) * 7) : 0;
+    const chronological = splitDays(chronologicalDays);
+    const useCorrected = preterm && chronological.months < CORRECT_UNTIL_MONTHS;
+    const corrected = preterm ? splitDays(chronologicalDays - correctionDays) : null;
+    const postmenstrualWeeks = gestationalWeeks !== null
+        ? round(gestationalWeeks + chronologicalDays / 7, 1)
+        : null;
+    const ageDays = useCorrected ? corrected.days : chronological.days;
+
+    return {
+        chronological,
+        corrected,
+        gestationalAgeAtBirth: gestationalWeeks,
+        preterm,
+        correctionWeeks: round(correctionDays / 7, 1),
+        postmenstrualWeeks,
+        // Before term-equivalent age the corrected age is still "negative"
+        beforeTermEquivalent: preterm && chronologicalDays < correctionDays,
+        useCorrected,
+        // The age to read growth charts and milestones at
+        ageDays,
+        ageMonths: round(ageDays / DAYS_PER_MONTH),
+        chart: preterm && postmenstrualWeeks <= FENTON_UNTIL_WEEKS ? 'fenton' : 'who-cdc'
+    };
+}
+
+// Gestational age at birth from the monitoring risk factors, else the baby
+// profile
+function gestationalAgeFor(baby, monitoring) {
+    return normalizeGestationalAge(monitoring?.riskFactors?.gestationalAge)
+        ?? normalizeGestationalAge(baby?.gestationalAgeAtBirth);
+}
+
+module.exports = {
+    TERM_WEEKS,
+    PRETERM_BEFORE_WEEKS,
+    CORRECT_UNTIL_MONTHS,
+    FENTON_UNTIL_WEEKS,
+    normalizeGestationalAge,
+    computeBabyAge,
+    gestationalAgeFor
+};
@@ -0,0 +1,212 @@
+const path = require('path');
+const { computeBabyAge } = require('./correctedAge');
+
+// Developmental milestones from the CDC checklists in
+// data/developmental-milestones.json. Each milestone is one 75% of children
+// reach by its checklist age, so one that isn't marked achieved by then is
+// overdue. Ages are corrected for prematurity until 24 months (see
+// correctedAge.js).
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'developmental-milestones.json');
+const CATEGORIES = ['motor', 'cognitive', 'language', 'social'];
+const RECENT_MONTHS = 3;
+
+function createMilestoneCatalog(data) {
+    const checklists = data.checklists || [];
+    const byId = new Map();
+    let previousAge = 0;
+    for (const checklist of checklists) {
+        if (!(checklist.ageMonths > previousAge)) {
+            throw new Error(`Milestone checklists must be in increasing age order (${checklist.ageMonths})`);
+        }
+        previousAge = checklist.ageMonths;
+        for (const milestone of checklist.milestones || []) {
+            if (!milestone.id || !milestone.text) {
+                throw new Error(`Milestone at ${checklist.ageMonths} months needs an id and text`);
+            }
+            if (!CATEGORIES.includes(milestone.category)) {
+                throw new Error(`Milestone "${milestone.id}" has unknown category "${milestone.category}"`);
+            }
+            if (byId.has(milestone.id)) {
+                throw new Error(`Duplicate milestone id "${milestone.id}"`);
+            }
+            byId.set(milestone.id, { ...milestone, ageMonths: checklist.ageMonths });
+        }
+    }
+
+    return {
+        id: data.id,
+        name: data.name,
+        version: data.version,
+        url: data.url,
+        notes: data.notes,
+        checklists,
+        get: (id) => byId.get(id) || null
+    };
+}
+
+let catalog = null;
+
+function getMilestoneCatalog() {
+    if (!catalog) {
+        catalog = createMilestoneCatalog(require(DEFAULT_PATH));
+    }
+    return catalog;
+}
+
+function emptyCounts() {
+    return Object.fromEntries(CATEGORIES.map((category) => [category, { expected: 0, achieved: 0, overdue: 0 }]));
+}
+
+// Every catalog milestone with its status for a baby of `age`
+// (computeBabyAge) given the monitoring milestone records
+function computeMilestoneStatus(milestoneCatalog, { age, birthDate, gestationalAge, records = [] }) {
+    const recordFor = new Map();
+    const other = [];
+    for (const record of records) {
+        if (record.milestoneId && milestoneCatalog.get(record.milestoneId)) {
+            recordFor.set(record.milestoneId, record);
+        } else {
+            other.push(record);
+        }
+    }
+
+    const ageMonths = age.ageMonths;
+    const nextChecklist = milestoneCatalog.checklists.find((checklist) => checklist.ageMonths > ageMonths) || null;
+    const byCategory = emptyCounts();
+    const overdue = [];
+    const checklists = milestoneCatalog.checklists.map((checklist) => ({
+        ageMonths: checklist.ageMonths,
+        milestones: checklist.milestones.map((milestone) => {
+            const record = recordFor.get(milestone.id);
+            const counts = byCategory[milestone.category];
+            const past = ageMonths >= checklist.ageMonths;
+            if (past) counts.expected += 1;
+
+            if (record?.achievedDate) {
+                const achievedAge = computeBabyAge({ birthDate, gestationalAge, on: record.achievedDate });
+                const achievedAgeMonths = achievedAge ? achievedAge.ageMonths : null;
+                if (past) counts.achieved += 1;
+                return {
+                    ...milestone,
+                    ageMonths: checklist.ageMonths,
+                    status: 'achieved',
+                    recordId: record._id,
+                    achievedDate: record.achievedDate,
+                    achievedAgeMonths,
+                    late: achievedAgeMonths !== null && achievedAgeMonths > checklist.ageMonths,
+                    notes: record.notes || null
+                };
+            }
+            if (past) {
+                counts.overdue += 1;
+                const entry = { ...milestone, ageMonths: checklist.ageMonths, status: 'overdue' };
+                overdue.push(entry);
+                return entry;
+            }
+            return {
+                ...milestone,
+                ageMonths: checklist.ageMonths,
+                status: checklist === nextChecklist ? 'expected' : 'upcoming'
+            };
+        })
+    }));
+
+    return {
+        catalog: {
+            id: milestoneCatalog.id,
+            name: milestoneCatalog.name,
+            version: milestoneCatalog.version,
+            url: milestoneCatalog.url,
+            notes: milestoneCatalog.notes
+        },
+        ageMonths,
+        corrected: age.useCorrected,
+        nextChecklistMonths: nextChecklist ? nextChecklist.ageMonths : null,
+        byCategory,
+        overdue,
+        checklists,
+        other
+    };
+}
+
+// What a pediatrician visit needs: counts by category, what's overdue,
+// what was reached lately and what comes next
+function developmentalSummary(status, { now = new Date() } = {}) {
+    const recentSince = new Date(now);
+    recentSince.setUTCMonth(recentSince.getUTCMonth() - RECENT_MONTHS);
+    const all = status.checklists.flatMap((checklist) => checklist.milestones);
+
+    return {
+        ageMonths: status.ageMonths,
+        corrected: status.corrected,
+        byCategory: status.byCategory,
+        overdue: status.overdue,
+        late: all.filter((milestone) => milestone.late),
+        recentlyAchieved: all
+            .filter((milestone) => milestone.status === 'achieved' && new Date(milestone.achievedDate) >= recentSince)
+            .sort((a, b) => new Date(b.achievedDate) - new Date(a.achievedDate)),
+        next: all.filter((milestone) => milestone.status === 'expected'),
+        nextChecklistMonths: status.nextChecklistMonths,
+        discussWithPediatrician: status.overdue.length > 0
+    };
+}
+
+function milestoneAlertMessage(checklistMonths, count) {
+    return `${count} milestone${count === 1 ? '' : 's'} expected by ${checklistMonths} months ${count === 1 ? 'is' : 'are'} not marked yet. `
+        + 'Mention them at the next checkup and ask about developmental screening.';
+}
+
+// One alert per checklist age with overdue milestones, raised only once
+// milestones are being recorded: an untouched checklist isn't a missed one.
+// Open alerts get the current count, and ones whose checklist has nothing
+// overdue left are acknowledged. A checklist whose alert the user already
+// acknowledged isn't raised again. Returns the alerts added, updated or
+// acknowledged; the caller saves.
+function syncMilestoneAlerts(monitoring, status) {
+    const tracking = status.checklists.some((checklist) => checklist.milestones.some((milestone) => milestone.status === 'achieved'));
+    const overdueByAge = new Map();
+    for (const milestone of tracking ? status.overdue : []) {
+        overdueByAge.set(milestone.ageMonths, (overdueByAge.get(milestone.ageMonths) || 0) + 1);
+    }
+    const alertsFor = (checklistMonths) => monitoring.alerts.filter((alert) => alert.data?.kind === 'milestone-overdue'
+        && alert.data.checklistMonths === checklistMonths);
+
+    const changed = [];
+    for (const alert of monitoring.alerts) {
+        if (alert.acknowledged || alert.data?.kind !== 'milestone-overdue') continue;
+        const count = overdueByAge.get(alert.data.checklistMonths);
+        if (!count) {
+            alert.acknowledged = true;
+            alert.acknowledgedBy = 'System';
+            alert.acknowledgedAt = new Date();
+            changed.push(alert);
+        } else if (alert.data.count !== count) {
+            alert.message = milestoneAlertMessage(alert.data.checklistMonths, count);
+            alert.data = { ...alert.data, count };
+            changed.push(alert);
+        }
+    }
+
+    for (const [checklistMonths, count] of overdueByAge) {
+        const existing = alertsFor(checklistMonths);
+        if (existing.some((alert) => !alert.acknowledged || alert.acknowledgedBy !== 'System')) continue;
+        monitoring.alerts.push({
+            type: 'milestone',
+            severity: 'medium',
+            message: milestoneAlertMessage(checklistMonths, count),
+            data: { kind: 'milestone-overdue', checklistMonths, count }
+        });
+        changed.push(monitoring.alerts[monitoring.alerts.length - 1]);
+    }
+    return changed;
+}
+
+module.exports = {
+    CATEGORIES,
+    createMilestoneCatalog,
+    getMilestoneCatalog,
+    computeMilestoneStatus,
+    developmentalSummary,
+    syncMilestoneAlerts
+};
@@ -0,0 +1,181 @@
+// Diaper output over a rolling 24 hours. In the first week the expected
+// count rises with the day of life (one wet diaper on day 1, two on day 2 ...
+// six from day 6); after that the profile's wetDiapers.min applies. A short
+// tracking history is pro-rated, and the gap since the last wet diaper is
+// allowed to run longer overnight.
+//
+// Blood, and white/pale (acholic) stool, alert as soon as they are logged:
+// pale stool can be the first sign of biliary atresia.
+
+const HOUR_MS = 60 * 60 * 1000;
+const WINDOW_HOURS = 24;
+const DEFAULT_MIN_WET = 6;
+// Hours without a wet diaper before it is a concern, by day and overnight
+const WET_GAP_HOURS = { day: 6, night: 8, urgent: 12 };
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+
+// Day of life -> expected wet diapers and stools per 24 hours
+const FIRST_WEEK = [
+    { day: 1, wet: 1, stools: 1 },
+    { day: 2, wet: 2, stools: 1 },
+    { day: 3, wet: 3, stools: 2 },
+    { day: 4, wet: 4, stools: 2 },
+    { day: 5, wet: 5, stools: 3 },
+    { day: 6, wet: 6, stools: 3 },
+    { day: 7, wet: 6, stools: 3 }
+];
+
+const ACHOLIC_COLORS = /\b(white|pale|chalky|clay|gr[ae]y)\b/i;
+const RED_COLORS = /\b(red|bloody|maroon)\b/i;
+const BLACK_COLORS = /\b(black|tarry)\b/i;
+
+function isWet(record) {
+    return record.type === 'wet' || record.type === 'both';
+}
+
+function isDirty(record) {
+    return record.type === 'dirty' || record.type === 'both';
+}
+
+function expectationsFor(ageDays, minWet = DEFAULT_MIN_WET) {
+    const dayOfLife = ageDays === null || ageDays === undefined ? null : Math.floor(ageDays) + 1;
+    const firstWeek = dayOfLife !== null ? FIRST_WEEK.find((entry) => entry.day === dayOfLife) : null;
+    if (firstWeek) {
+        return { dayOfLife, wet: firstWeek.wet, stools: firstWeek.stools, source: 'first-week' };
+    }
+    return { dayOfLife, wet: minWet ?? DEFAULT_MIN_WET, stools: null, source: 'profile' };
+}
+
+// Local hour of `date` from an IANA timezone, else a Date#getTimezoneOffset
+// value
+function localHour(date, { timeZone, timezoneOffset = 0 } = {}) {
+    if (timeZone) {
+        try {
+            const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date);
+            return Number(hour);
+        } catch (error) {
+            // Unknown zone: fall through to the offset
+        }
+    }
+    return new Date(date.getTime() - timezoneOffset * 60000).getUTCHours();
+}
+
+function isNight(hour) {
+    return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+}
+
+// Alerts for a single diaper, raised as soon as it is logged
+function evaluateDiaperRecord(record, { ageDays = null } = {}) {
+    const alerts = [];
+    const color = record.color || '';
+    if (record.blood || (isDirty(record) && RED_COLORS.test(color))) {
+        alerts.push({
+            kind: 'blood',
+            severity: 'high',
+            message: 'Blood in the diaper. Call your pediatrician today; go to the emergency room if your baby is also vomiting, has a swollen belly, or seems very sleepy or unwell.'
+        });
+    }
+    if (isDirty(record) && ACHOLIC_COLORS.test(color)) {
+        alerts.push({
+            kind: 'acholic-stool',
+            severity: 'high',
+            message: 'White, grey or pale stool can be a sign of a liver problem (biliary atresia). Call your pediatrician today and bring a photo of the diaper.'
+        });
+    }
+    // Black meconium is expected for the first few days only
+    if (isDirty(record) && BLACK_COLORS.test(color) && ageDays !== null && ageDays >= 5) {
+        alerts.push({
+            kind: 'black-stool',
+            severity: 'high',
+            message: 'Black stool after the first few days can be digested blood. Call your pediatrician today.'
+        });
+    }
+    return alerts;
+}
+
+// Rolling-24h summary and any low-output concerns at `now`
+function evaluateDiaperOutput(records, {
+    now = new Date(),
+    ageDays = null,
+    minWet = DEFAULT_MIN_WET,
+    trackingSince = null,
+    timeZone,
+    timezoneOffset = 0
+} = {}) {
+    const windowStart = now.getTime() - WINDOW_HOURS * HOUR_MS;
+    const sorted = records
+        .filter((record) => record.timestamp && new Date(record.timestamp).getTime() <= now.getTime())
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const recent = sorted.filter((record) => new Date(record.timestamp).getTime() >= windowStart);
+    const wet = recent.filter(isWet);
+    const dirty = recent.filter(isDirty);
+    const expected = expectationsFor(ageDays, minWet);
+
+    // Only part of the window counts when tracking (or life) began inside it
+    const firstRecord = sorted.length > 0 ? new Date(sorted[0].timestamp).getTime() : null;
+    const starts = [windowStart, firstRecord, trackingSince && new Date(trackingSince).getTime()]
+        .filter((value) => Number.isFinite(value));
+    const coveredHours = Math.min(WINDOW_HOURS, (now.getTime() - Math.max(...starts)) / HOUR_MS);
+    const fraction = Math.max(0, coveredHours) / WINDOW_HOURS;
+    const expectedWetSoFar = Math.floor(expected.wet * fraction);
+
+    const lastWet = sorted.filter(isWet).pop();
+    const hoursSinceLastWet = lastWet
+        ? Math.round(((now - new Date(lastWet.timestamp)) / HOUR_MS) * 10) / 10
+        : null;
+    const overnight = isNight(localHour(now, { timeZone, timezoneOffset }));
+    const gapLimit = overnight ? WET_GAP_HOURS.night : WET_GAP_HOURS.day;
+
+    const concerns = [];
+    if (wet.length < expectedWetSoFar) {
+        concerns.push({
+            kind: 'low-wet-count',
+            severity: expected.source === 'first-week' || wet.length <= expectedWetSoFar / 2 ? 'high' : 'medium',
+            message: `${wet.length} wet diaper${wet.length === 1 ? '' : 's'} in the last ${Math.round(coveredHours)} hours; at least ${expectedWetSoFar} expected${expected.source === 'first-week' ? ` on day ${expected.dayOfLife} of life` : ''}. Offer more feeds and call your pediatrician if it stays low.`
+        });
+    }
+    if (hoursSinceLastWet !== null && hoursSinceLastWet >= gapLimit) {
+        concerns.push({
+            kind: 'wet-gap',
+            severity: hoursSinceLastWet >= WET_GAP_HOURS.urgent ? 'high' : 'medium',
+            message: `No wet diaper for ${Math.floor(hoursSinceLastWet)} hours. Call your pediatrician if your baby also has a dry mouth, no tears, a sunken soft spot or is unusually sleepy.`
+        });
+    }
+    if (expected.stools !== null && coveredHours >= WINDOW_HOURS && dirty.length < expected.stools) {
+        concerns.push({
+            kind: 'low-stool-count',
+            severity: 'medium',
+            message: `${dirty.length} dirty diaper${dirty.length === 1 ? '' : 's'} in 24 hours; ${expected.stools} or more are expected on day ${expected.dayOfLife}. This can mean your baby isn't getting enough milk yet.`
+        });
+    }
+
+    let status = 'ok';
+    if (concerns.some((concern) => concern.severity === 'high')) status = 'low';
+    else if (concerns.length > 0) status = 'watch';
+
+    return {
+        windowHours: WINDOW_HOURS,
+        coveredHours: Math.round(coveredHours * 10) / 10,
+        wetCount: wet.length,
+        dirtyCount: dirty.length,
+        expectedWet: expected.wet,
+        expectedWetSoFar,
+        expectedStools: expected.stools,
+        dayOfLife: expected.dayOfLife,
+        hoursSinceLastWet,
+        overnight,
+        status,
+        concerns
+    };
+}
+
+module.exports = {
+    WINDOW_HOURS,
+    WET_GAP_HOURS,
+    FIRST_WEEK,
+    expectationsFor,
+    localHour,
+    evaluateDiaperRecord,
+    evaluateDiaperOutput
+};
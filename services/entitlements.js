@@ -0,0 +1,242 @@
+// Plans and per-feature quotas for trial (anonymous), free and premium users.
+// Route handlers check a quota up front with middleware/entitlements.js and
+// charge it only once they have produced a successful answer.
+
+const FEATURES = {
+    textCheck: 'Text safety checks',
+    imageCheck: 'Image safety checks',
+    detailedReport: 'Detailed safety reports',
+    comparison: 'Safety comparisons',
+    logAnalysis: 'Log entry analysis',
+    babyCheck: 'Baby safety checks',
+    followUp: 'Follow-up questions',
+    interactionCheck: 'Medication interaction checks',
+    productCheck: 'Product barcode checks',
+    ingredientCheck: 'Ingredient list checks',
+    triageExplanation: 'Symptom triage explanations'
+};
+
+// Quota per period: null = unlimited, 0 = not included in the plan.
+// Trial usage lives in the session; free and premium usage resets daily (UTC).
+const PLANS = {
+    trial: {
+        name: 'Trial',
+        period: 'session',
+        quotas: { textCheck: 1, imageCheck: 0, detailedReport: 1, comparison: 1, logAnalysis: 0, babyCheck: 1, followUp: 0, interactionCheck: 0, productCheck: 1, ingredientCheck: 1, triageExplanation: 0 }
+    },
+    free: {
+        name: 'Free',
+        period: 'day',
+        quotas: { textCheck: 1, imageCheck: 1, detailedReport: 1, comparison: 1, logAnalysis: 0, babyCheck: 3, followUp: 5, interactionCheck: 3, productCheck: 5, ingredientCheck: 3, triageExplanation: 3 }
+    },
+    premium: {
+        name: 'Premium',
+        period: 'day',
+        quotas: { textCheck: null, imageCheck: null, detailedReport: null, comparison: null, logAnalysis: null, babyCheck: null, followUp: null, interactionCheck: null, productCheck: null, ingredientCheck: null, triageExplanation: null }
+    }
+};
+
+function getPlanId(user) {
+    if (!user) return 'trial';
+    return user.isPremium ? 'premium' : 'free';
+}
+
+function currentPeriod(plan, now = new Date()) {
+    if (plan.period === 'session') {
+        return { key: 'session', resetAt: null };
+    }
+    const resetAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    return { key: now.toISOString().slice(0, 10), resetAt };
+}
+
+// Users keep counts on user.usage; anonymous visitors on req.session.usage
+function readCounts({ user, session }, periodKey) {
+    if (user) {
+        const usage = user.usage || {};
+        if (usage.period !== periodKey || !usage.counts) return {};
+        return typeof usage.counts.toObject === 'function'
+            ? Object.fromEntries(usage.counts)
+            : { ...usage.counts };
+    }
+    return { ...(session?.usage?.counts || {}) };
+}
+
+function writeCounts({ user, session }, periodKey, counts) {
+    if (user) {
+        user.usage = { period: periodKey, counts };
+        return;
+    }
+    if (session) {
+        session.usage = { counts };
+    }
+}
+
+function assertFeature(feature) {
+    if (!FEATURES[feature]) {
+        throw new Error(`Unknown entitlement feature: ${feature}`);
+    }
+}
+
+function getQuota(subject, feature, now = new Date()) {
+    assertFeature(feature);
+    const planId = getPlanId(subject.user);
+    const plan = PLANS[planId];
+    const period = currentPeriod(plan, now);
+    const limit = plan.quotas[feature];
+    const used = readCounts(subject, period.key)[feature] || 0;
+
+    return {
+        feature,
+        plan: planId,
+        period: plan.period,
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(limit - used, 0),
+        resetAt: period.resetAt
+    };
+}
+
+function getAllQuotas(subject, now = new Date()) {
+    const planId = getPlanId(subject.user);
+    const features = {};
+    for (const feature of Object.keys(FEATURES)) {
+        const { limit, used, remaining, resetAt } = getQuota(subject, feature, now);
+        features[feature] = { label: FEATURES[feature], limit, used, remaining, resetAt };
+    }
+    return { plan: planId, planName: PLANS[planId].name, period: PLANS[planId].period, features };
+}
+
+function hasQuota(quota) {
+    return quota.remaining === null || quota.remaining > 0;
+}
+
+// Saved users are counted in the database with atomic updates, so parallel
+// requests can't each read the same count and both take the last use
+function usageModel(user) {
+    const Model = user?.constructor;
+    return user?._id && typeof Model?.findOneAndUpdate === 'function' ? Model : null;
+}
+
+function canReserve(subject) {
+    return usageModel(subject.user) !== null;
+}
+
+// Increments one feature's count in the current period. With a limit the
+// filter only matches while the count is under it; null when none is left.
+async function incrementUsage(user, feature, { limit = null, now = new Date() } = {}) {
+    const Model = usageModel(user);
+    const period = currentPeriod(PLANS[getPlanId(user)], now);
+    const field = `usage.counts.${feature}`;
+
+    // A new period starts from zero
+    await Model.updateOne(
+        { _id: user._id, 'usage.period': { $ne: period.key } },
+        { $set: { usage: { period: period.key, counts: {} } } }
+    );
+    const filter = { _id: user._id, 'usage.period': period.key };
+    if (limit !== null) {
+        filter.$or = [{ [field]: { $exists: false } }, { [field]: { $lt: limit } }];
+    }
+    const updated = await Model.findOneAndUpdate(filter, { $inc: { [field]: 1 } }, { new: true, projection: { usage: 1 } }).lean();
+    if (!updated) return null;
+    return {
+        period: period.key,
+        quota: getQuota({ user: { isPremium: user.isPremium, usage: updated.usage } }, feature, now)
+    };
+}
+
+// Takes one use up front for a saved user; null when the limit is reached
+async function reserveUsage(subject, feature, now = new Date()) {
+    assertFeature(feature);
+    const limit = PLANS[getPlanId(subject.user)].quotas[feature];
+    return incrementUsage(subject.user, feature, { limit, now });
+}
+
+// Gives back a reserved use the request never charged
+async function releaseUsage(subject, feature, periodKey) {
+    const Model = usageModel(subject.user);
+    const field = `usage.counts.${feature}`;
+    await Model.updateOne(
+        { _id: subject.user._id, 'usage.period': periodKey, [field]: { $gt: 0 } },
+        { $inc: { [field]: -1 } }
+    );
+}
+
+// Records one use of a feature; persists the user document when there is one
+async function recordUsage(subject, feature, now = new Date()) {
+    assertFeature(feature);
+    if (canReserve(subject)) {
+        return (await incrementUsage(subject.user, feature, { now })).quota;
+    }
+    const plan = PLANS[getPlanId(subject.user)];
+    const period = currentPeriod(plan, now);
+    const counts = readCounts(subject, period.key);
+    counts[feature] = (counts[feature] || 0) + 1;
+    writeCounts(subject, period.key, counts);
+
+    if (subject.user && typeof subject.user.save === 'function') {
+        await subject.user.save();
+    }
+    return getQuota(subject, feature, now);
+}
+
+function setQuotaHeaders(res, quota) {
+    res.setHeader('X-RateLimit-Plan', quota.plan);
+    res.setHeader('X-RateLimit-Feature', quota.feature);
+    if (quota.limit === null) {
+        res.setHeader('X-RateLimit-Limit', 'unlimited');
+        res.setHeader('X-RateLimit-Remaining', 'unlimited');
+    } else {
+        res.setHeader('X-RateLimit-Limit', String(quota.limit));
+        res.setHeader('X-RateLimit-Remaining', String(quota.remaining));
+    }
+    if (quota.resetAt) {
+        res.setHeader('X-RateLimit-Reset', String(Math.floor(quota.resetAt.getTime() / 1000)));
+    }
+}
+
+// 403 body shared by every metered endpoint; requiresUpgrade drives the client upsell
+function quotaExceededBody(quota) {
+    const label = FEATURES[quota.feature].toLowerCase();
+    const noun = quota.limit === 1 ? label.replace(/s$/, '') : label;
+    let error;
+    let message;
+
+    if (quota.limit === 0) {
+        error = 'Premium subscription required';
+        message = quota.plan === 'trial'
+            ? `Sign up to use ${label}.`
+            : `Upgrade to premium to unlock ${label}!`;
+    } else if (quota.plan === 'trial') {
+        error = 'Trial limit reached';
+        message = `Trial users get ${quota.limit} free ${noun}. Please sign up for unlimited access!`;
+    } else {
+        error = 'Daily limit reached';
+        message = `You've used your ${quota.limit} free ${noun} for today. Upgrade to premium for unlimited access!`;
+    }
+
+    return {
+        error,
+        message,
+        requiresUpgrade: true,
+        feature: quota.feature,
+        plan: quota.plan,
+        limit: quota.limit,
+        resetAt: quota.resetAt
+    };
+}
+
+module.exports = {
+    FEATURES,
+    PLANS,
+    getPlanId,
+    getQuota,
+    getAllQuotas,
+    hasQuota,
+    canReserve,
+    reserveUsage,
+    releaseUsage,
+    recordUsage,
+    setQuotaHeaders,
+    quotaExceededBody
+};
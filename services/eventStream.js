@@ -0,0 +1,45 @@
+// Minimal Server-Sent Events writer. Sends a comment every 15s so proxies
+// keep the connection open while the model is thinking.
+
+const HEARTBEAT_MS = 15000;
+
+function openEventStream(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, HEARTBEAT_MS);
+
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    function send(event, data) {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function close() {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        res.end();
+    }
+
+    return {
+        send,
+        close,
+        get closed() {
+            return closed;
+        }
+    };
+}
+
+module.exports = { openEventStream };
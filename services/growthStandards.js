@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+
+// Child growth percentiles from the LMS tables in data/growth/. who-0-2.json
+// ships with the repo; the CDC 2 to 20 year (cdc-2-20.json) and Fenton
+// preterm (fenton-2013.json) tables are read when they have been imported
+// with scripts/import-growth-tables.js, and ages no loaded table covers get
+// no percentile. Each table row is [x, L, M, S] where x is age in months, or
+// length in cm for weight-for-length. A measurement's z-score comes from the
+// Box-Cox LMS formula, and curves are drawn by inverting it at the
+// percentile z-values.
+//
+// Files are chained by `ageRangeMonths`: the earliest source covering an age
+// wins, so WHO answers at exactly 24 months and CDC after. Preterm (Fenton)
+// files set `scale: "postmenstrual-weeks"` and are only read on that scale.
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'growth');
+const DAYS_PER_MONTH = 30.4375;
+
+const INDICATORS = {
+    'weight-for-age': { label: 'Weight-for-age', measure: 'weight', unit: 'kg', x: 'age' },
+    'length-for-age': { label: 'Length/height-for-age', measure: 'length', unit: 'cm', x: 'age' },
+    'head-circumference-for-age': { label: 'Head circumference-for-age', measure: 'headCircumference', unit: 'cm', x: 'age' },
+    'weight-for-length': { label: 'Weight-for-length', measure: 'weight', unit: 'kg', x: 'length' },
+    'bmi-for-age': { label: 'BMI-for-age', measure: 'bmi', unit: 'kg/m²', x: 'age' }
+};
+
+// Standard normal z-values of the plotted percentile lines
+const PERCENTILE_CURVES = {
+    p3: -1.8808,
+    p10: -1.2816,
+    p25: -0.6745,
+    p50: 0,
+    p75: 0.6745,
+    p90: 1.2816,
+    p97: 1.8808
+};
+
+const KG_PER_UNIT = { kg: 1, g: 0.001, lbs: 0.45359237, lb: 0.45359237, oz: 0.028349523125 };
+const CM_PER_UNIT = { cm: 1, mm: 0.1, inches: 2.54, in: 2.54 };
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function normalizeSex(value) {
+    const sex = String(value || '').trim().toLowerCase();
+    if (['male', 'boy', 'm'].includes(sex)) return 'male';
+    if (['female', 'girl', 'f'].includes(sex)) return 'female';
+    return null;
+}
+
+// Converts a stored { value, unit } to the chart unit; an unknown unit gives
+// null rather than a guess. A missing unit means the schema default.
+function toKg(measurement) {
+    const value = measurement?.value;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const factor = KG_PER_UNIT[String(measurement.unit || 'kg').toLowerCase()];
+    return factor ? value * factor : null;
+}
+
+function toCm(measurement) {
+    const value = measurement?.value;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const factor = CM_PER_UNIT[String(measurement.unit || 'cm').toLowerCase()];
+    return factor ? value * factor : null;
+}
+
+function computeBmi(weightKg, lengthCm) {
+    if (!weightKg || !lengthCm) return null;
+    const meters = lengthCm / 100;
+    return weightKg / (meters * meters);
+}
+
+function ageInMonths(birthDate, date = new Date()) {
+    const born = new Date(birthDate);
+    const on = new Date(date);
+    if (Number.isNaN(born.getTime()) || Number.isNaN(on.getTime()) || on < born) return null;
+    return (on - born) / (24 * 60 * 60 * 1000) / DAYS_PER_MONTH;
+}
+
+function adjustedAgeInMonths(adjustedAge) {
+    const weeks = Number(adjustedAge?.weeks || 0);
+    const days = Number(adjustedAge?.days || 0);
+    if (!Number.isFinite(weeks) || !Number.isFinite(days)) return null;
+    return Math.max(0, weeks * 7 + days) / DAYS_PER_MONTH;
+}
+
+function valueAtZ({ L, M, S }, z) {
+    if (L === 0) return M * Math.exp(S * z);
+    return M * Math.pow(1 + L * S * z, 1 / L);
+}
+
+function lmsZScore({ L, M, S }, value) {
+    if (L === 0) return Math.log(value / M) / S;
+    return (Math.pow(value / M, L) - 1) / (L * S);
+}
+
+// WHO keeps the distance between the ±2 and ±3 SD lines beyond ±3 for
+// weight-based indicators, so skewed tails don't stretch extreme z-scores
+function restrictTails(lms, value, z) {
+    if (z > 3) {
+        const sd3 = valueAtZ(lms, 3);
+        return 3 + (value - sd3) / (sd3 - valueAtZ(lms, 2));
+    }
+    if (z < -3) {
+        const sd3 = valueAtZ(lms, -3);
+        return -3 + (value - sd3) / (valueAtZ(lms, -2) - sd3);
+    }
+    return z;
+}
+
+function normalCdf(z) {
+    return 0.5 * (1 + erf(z / Math.sqrt(2)));
+}
+
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const absX = Math.abs(x);
+    const t = 1 / (1 + 0.3275911 * absX);
+    const a1 = 0.254829592;
+    const a2 = -0.284496736;
+    const a3 = 1.421413741;
+    const a4 = -1.453152027;
+    const a5 = 1.061405429;
+
+    const poly = (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t;
+    return sign * (1 - poly * Math.exp(-absX * absX));
+}
+
+// Linear interpolation of L, M and S between the rows either side of x
+function interpolateRow(rows, x) {
+    if (x < rows[0][0] || x > rows[rows.length - 1][0]) return null;
+    let low = 0;
+    let high = rows.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (rows[mid][0] <= x) low = mid; else high = mid;
+    }
+    const [x1, L1, M1, S1] = rows[low];
+    const [x2, L2, M2, S2] = rows[high];
+    const ratio = x2 === x1 ? 0 : (x - x1) / (x2 - x1);
+    return {
+        L: L1 + (L2 - L1) * ratio,
+        M: M1 + (M2 - M1) * ratio,
+        S: S1 + (S2 - S1) * ratio
+    };
+}
+
+function createGrowthStandards(tables = []) {
+    const sources = [...tables].sort((a, b) => (a.ageRangeMonths?.[0] ?? 0) - (b.ageRangeMonths?.[0] ?? 0));
+
+    function tablesFor(indicator, sex, scale = 'age') {
+        return sources
+            .filter((source) => (source.scale || 'age') === scale)
+            .map((source) => ({ source, table: source.indicators?.[indicator] }))
+            .filter(({ table }) => Array.isArray(table?.[sex]) && table[sex].length > 0);
+    }
+
+    function lookup(indicator, sex, x, scale) {
+        for (const { source, table } of tablesFor(indicator, sex, scale)) {
+            const lms = interpolateRow(table[sex], x);
+            if (lms) return { lms, source, table };
+        }
+        return null;
+    }
+
+    // value must already be in the chart unit (kg, cm or kg/m²)
+    function assess(indicator, sexValue, x, value, { scale } = {}) {
+        const sex = normalizeSex(sexValue);
+        if (!sex || !INDICATORS[indicator] || typeof x !== 'number' || !(value > 0)) return null;
+        const found = lookup(indicator, sex, x, scale);
+        if (!found) return null;
+
+        let zScore = lmsZScore(found.lms, value);
+        if (found.table.restrictTails) {
+            zScore = restrictTails(found.lms, value, zScore);
+        }
+        // Beyond about ±3 SD the z-score says more than "0th" or "100th"
+        return {
+            zScore: round(zScore),
+            percentile: Math.min(99.9, Math.max(0.1, round(normalCdf(zScore) * 100, 1))),
+            source: found.source.source
+        };
+    }
+
+    // P3–P97 lines at every table row in [from, to], across chained sources
+    function curves(indicator, sexValue, { from = -Infinity, to = Infinity, scale } = {}) {
+        const sex = normalizeSex(sexValue);
+        if (!sex) return [];
+        const points = [];
+        let covered = -Infinity;
+        for (const { table } of tablesFor(indicator, sex, scale)) {
+            for (const [x, L, M, S] of table[sex]) {
+                if (x <= covered || x < from || x > to) continue;
+                const point = { x };
+                for (const [name, z] of Object.entries(PERCENTILE_CURVES)) {
+                    point[name] = round(valueAtZ({ L, M, S }, z));
+                }
+                points.push(point);
+            }
+            covered = Math.max(covered, table[sex][table[sex].length - 1][0]);
+        }
+        return points;
+    }
+
+    function describe(indicator, sexValue, { scale = 'age' } = {}) {
+        const sex = normalizeSex(sexValue);
+        const found = sex ? tablesFor(indicator, sex, scale) : [];
+        let xUnit = 'months';
+        if (INDICATORS[indicator].x === 'length') xUnit = 'cm';
+        else if (scale === 'postmenstrual-weeks') xUnit = 'weeks';
+        return {
+            id: indicator,
+            ...INDICATORS[indicator],
+            xUnit,
+            available: found.length > 0,
+            sources: found.map(({ source, table }) => ({
+                source: source.source,
+                name: source.name,
+                url: source.url,
+                from: table[sex][0][0],
+                to: table[sex][table[sex].length - 1][0]
+            }))
+        };
+    }
+
+    function indicators(sexValue, options) {
+        return Object.keys(INDICATORS).map((indicator) => describe(indicator, sexValue, options));
+    }
+
+    return { sources, assess, curves, describe, indicators };
+}
+
+function loadTables(directory = DEFAULT_DIR) {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+}
+
+let defaultStandards = null;
+
+function getGrowthStandards() {
+    if (!defaultStandards) {
+        defaultStandards = createGrowthStandards(loadTables());
+    }
+    return defaultStandards;
+}
+
+module.exports = {
+    INDICATORS,
+    PERCENTILE_CURVES,
+    normalizeSex,
+    toKg,
+    toCm,
+    computeBmi,
+    ageInMonths,
+    adjustedAgeInMonths,
+    valueAtZ,
+    lmsZScore,
+    normalCdf,
+    loadTables,
+    createGrowthStandards,
+    getGrowthStandards
+};
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeItem } = require('./knowledgeBase');
+
+// Vaccination status from a baby's birth date and the doses recorded on the
+// baby profile, against a schedule in data/immunization-schedules/<id>.json.
+// Each dose has a routine age window (ageMonths..untilMonths) and the
+// minimum age and interval it may be given at. A recorded dose that breaks
+// the minimums by more than the 4-day grace period doesn't count. A dose is
+// overdue once the schedule's overdueAfterMonths (default 1) have passed
+// since its window closed. Behind schedule, later doses are planned at the
+// minimum intervals (catch-up).
+
+const SCHEDULE_DIR = path.join(__dirname, '..', 'data', 'immunization-schedules');
+const DEFAULT_SCHEDULE = 'us-cdc';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = 4;
+const DEFAULT_OVERDUE_AFTER_MONTHS = 1;
+const DAYS_PER_MONTH = 30.4375;
+
+function validateVaccine(vaccine) {
+    const errors = [];
+    if (!vaccine.id) errors.push('id is required');
+    if (!vaccine.name) errors.push('name is required');
+    if (!Array.isArray(vaccine.doses) || vaccine.doses.length === 0) {
+        errors.push('doses are required');
+    } else {
+        vaccine.doses.forEach((dose, index) => {
+            if (dose.dose !== index + 1) errors.push(`doses must be numbered in order (${dose.dose})`);
+            if (!Number.isFinite(dose.ageMonths) || !Number.isFinite(dose.untilMonths) || dose.untilMonths < dose.ageMonths) {
+                errors.push(`dose ${dose.dose} needs ageMonths <= untilMonths`);
+            }
+        });
+    }
+    return errors;
+}
+
+function addMonths(date, months) {
+    const whole = Math.floor(months);
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() + whole);
+    if (months > whole) {
+        result.setTime(result.getTime() + Math.round((months - whole) * DAYS_PER_MONTH) * DAY_MS);
+    }
+    return result;
+}
+
+function addWeeks(date, weeks) {
+    return new Date(date.getTime() + weeks * 7 * DAY_MS);
+}
+
+function maxDate(...dates) {
+    return new Date(Math.max(...dates.filter(Boolean).map((date) => date.getTime())));
+}
+
+function ageMonthsOn(birthDate, date) {
+    return (date - birthDate) / DAY_MS / DAYS_PER_MONTH;
+}
+
+function createImmunizationSchedule(data) {
+    const vaccines = data.vaccines || [];
+    const ids = new Set();
+    const aliases = [];
+    for (const vaccine of vaccines) {
+        const errors = validateVaccine(vaccine);
+        if (errors.length > 0) {
+            throw new Error(`Invalid immunization schedule "${data.id}" vaccine "${vaccine.id}": ${errors.join('; ')}`);
+        }
+        ids.add(vaccine.id);
+        for (const alias of [vaccine.id, vaccine.name, ...(vaccine.aliases || [])]) {
+            aliases.push({ key: normalizeItem(alias), vaccines: [vaccine.id] });
+        }
+    }
+    for (const combination of data.combinations || []) {
+        const unknown = combination.vaccines.filter((id) => !ids.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Immunization schedule "${data.id}" combination "${combination.name}" refers to unknown ${unknown.join(', ')}`);
+        }
+        for (const alias of [combination.name, ...(combination.aliases || [])]) {
+            aliases.push({ key: normalizeItem(alias), vaccines: combination.vaccines });
+        }
+    }
+    // Longest first, so "dtap ipv" matches the combination before "dtap"
+    aliases.sort((a, b) => b.key.length - a.key.length);
+
+    // Vaccine ids a recorded name counts for ("Pentacel", "DTaP #2"), or []
+    function resolve(name) {
+        const text = ` ${normalizeItem(name)} `;
+        const exact = aliases.find((alias) => ` ${alias.key} ` === text);
+        if (exact) return exact.vaccines;
+        const partial = aliases.find((alias) => text.includes(` ${alias.key} `));
+        return partial ? partial.vaccines : [];
+    }
+
+    return {
+        id: data.id,
+        name: data.name,
+        country: data.country,
+        version: data.version,
+        url: data.url,
+        notes: data.notes,
+        overdueAfterMonths: data.overdueAfterMonths ?? DEFAULT_OVERDUE_AFTER_MONTHS,
+        vaccines,
+        seasonal: data.seasonal || [],
+        resolve
+    };
+}
+
+const loaded = new Map();
+
+function listSchedules() {
+    return fs.readdirSync(SCHEDULE_DIR)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => file.slice(0, -5))
+        .sort();
+}
+
+function getImmunizationSchedule(id = DEFAULT_SCHEDULE) {
+    if (!listSchedules().includes(id)) {
+        return null;
+    }
+    if (!loaded.has(id)) {
+        loaded.set(id, createImmunizationSchedule(require(path.join(SCHEDULE_DIR, `${id}.json`))));
+    }
+    return loaded.get(id);
+}
+
+// Why `date` can't count as `dose`, or null
+function invalidReason(dose, date, { birthDate, previous, first }) {
+    const graceEnd = (earliest) => earliest && date.getTime() < earliest.getTime() - GRACE_DAYS * DAY_MS;
+    if (dose.minAgeWeeks && graceEnd(addWeeks(birthDate, dose.minAgeWeeks))) {
+        return `given before the minimum age of ${dose.minAgeWeeks} weeks`;
+    }
+    if (dose.minAgeMonths && graceEnd(addMonths(birthDate, dose.minAgeMonths))) {
+        return `given before the minimum age of ${dose.minAgeMonths} months`;
+    }
+    if (previous && dose.minIntervalWeeks && graceEnd(addWeeks(previous, dose.minIntervalWeeks))) {
+        return `given less than ${dose.minIntervalWeeks} weeks after the previous dose`;
+    }
+    if (first && dose.minIntervalFromFirstWeeks && graceEnd(addWeeks(first, dose.minIntervalFromFirstWeeks))) {
+        return `given less than ${dose.minIntervalFromFirstWeeks} weeks after the first dose`;
+    }
+    return null;
+}
+
+function earliestFor(dose, { birthDate, previous, first }) {
+    return maxDate(
+        birthDate,
+        dose.minAgeWeeks && addWeeks(birthDate, dose.minAgeWeeks),
+        dose.minAgeMonths && addMonths(birthDate, dose.minAgeMonths),
+        previous && dose.minIntervalWeeks && addWeeks(previous, dose.minIntervalWeeks),
+        first && dose.minIntervalFromFirstWeeks && addWeeks(first, dose.minIntervalFromFirstWeeks)
+    );
+}
+
+// Why the rest of the series isn't needed, or null
+function seriesEnded(vaccine, { birthDate, valid, now }) {
+    const ageNow = ageMonthsOn(birthDate, now);
+    if (vaccine.completeAfterDoseAtMonths
+        && valid.some((date) => ageMonthsOn(birthDate, date) >= vaccine.completeAfterDoseAtMonths)) {
+        return { status: 'not-needed', reason: `A dose at ${vaccine.completeAfterDoseAtMonths} months or older completes the series.` };
+    }
+    if (vaccine.notNeededFromMonths && ageNow >= vaccine.notNeededFromMonths) {
+        return { status: 'not-needed', reason: `Not routinely needed from ${vaccine.notNeededFromMonths / 12} years of age.` };
+    }
+    if (vaccine.startBeforeWeeks && valid.length === 0 && now >= addWeeks(birthDate, vaccine.startBeforeWeeks)) {
+        return { status: 'too-late', reason: `The series can't be started from ${vaccine.startBeforeWeeks} weeks of age.` };
+    }
+    if (vaccine.seriesMaxAgeMonths && ageNow >= vaccine.seriesMaxAgeMonths) {
+        return { status: 'too-late', reason: `No doses are given from ${vaccine.seriesMaxAgeMonths} months of age.` };
+    }
+    return null;
+}
+
+function vaccineStatus(vaccine, { birthDate, given, now, overdueAfterMonths }) {
+    const valid = [];
+    const invalid = [];
+    for (const date of given) {
+        const dose = vaccine.doses[valid.length];
+        if (!dose) {
+            invalid.push({ date, reason: 'extra dose: the series was already complete' });
+            continue;
+        }
+        const reason = invalidReason(dose, date, { birthDate, previous: valid[valid.length - 1], first: valid[0] });
+        if (reason) invalid.push({ date, reason });
+        else valid.push(date);
+    }
+
+    const ended = seriesEnded(vaccine, { birthDate, valid, now });
+    const doses = [];
+    // The date each dose was or will be given, for planning the next one
+    let previous = null;
+    const first = valid[0] || null;
+    let plannedFirst = first;
+    for (const [index, dose] of vaccine.doses.entries()) {
+        const givenOn = valid[index] || null;
+        if (givenOn) {
+            doses.push({ dose: dose.dose, status: 'given', givenOn, note: dose.note });
+            previous = givenOn;
+            continue;
+        }
+        const previousDose = vaccine.doses[index - 1];
+        if (previousDose && dose.skipIfPreviousAtMonths && valid[index - 1]
+            && ageMonthsOn(birthDate, valid[index - 1]) >= dose.skipIfPreviousAtMonths
+            && (!dose.skipIfPreviousIntervalWeeks || !valid[index - 2]
+                || valid[index - 1] >= addWeeks(valid[index - 2], dose.skipIfPreviousIntervalWeeks))) {
+            doses.push({ dose: dose.dose, status: 'not-needed', reason: `Dose ${previousDose.dose} was given at ${dose.skipIfPreviousAtMonths / 12} years or older.` });
+            continue;
+        }
+        if (ended) {
+            doses.push({ dose: dose.dose, status: ended.status, reason: ended.reason });
+            continue;
+        }
+
+        const earliestOn = earliestFor(dose, { birthDate, previous, first: plannedFirst });
+        const recommendedOn = maxDate(addMonths(birthDate, dose.ageMonths), earliestOn);
+        const dueBy = maxDate(addMonths(birthDate, dose.untilMonths + overdueAfterMonths), earliestOn);
+        let status = 'upcoming';
+        if (now > dueBy) status = 'overdue';
+        else if (now >= recommendedOn) status = 'due';
+        doses.push({ dose: dose.dose, status, earliestOn, recommendedOn, dueBy, note: dose.note });
+        // Later doses are planned from when this one can realistically be given
+        previous = status === 'overdue' ? maxDate(now, earliestOn) : recommendedOn;
+        if (!plannedFirst) plannedFirst = previous;
+    }
+
+    const pending = doses.filter((dose) => ['due', 'overdue', 'upcoming'].includes(dose.status));
+    return {
+        id: vaccine.id,
+        name: vaccine.name,
+        complete: pending.length === 0,
+        ended: ended ? ended.reason : null,
+        nextDose: pending[0] || null,
+        doses,
+        invalidDoses: invalid
+    };
+}
+
+// Status of every vaccine in `schedule`. `records` are the profile's
+// vaccinations ({ name, date }); ones without a date are ignored, and names
+// the schedule doesn't know come back in `unrecognized`.
+function computeVaccinationStatus(schedule, { birthDate, records = [], now = new Date() }) {
+    const born = new Date(birthDate);
+    if (Number.isNaN(born.getTime())) {
+        throw new Error('A valid birth date is required');
+    }
+
+    const givenByVaccine = new Map(schedule.vaccines.map((vaccine) => [vaccine.id, []]));
+    const unrecognized = [];
+    for (const record of records) {
+        const date = record.date ? new Date(record.date) : null;
+        if (!date || Number.isNaN(date.getTime())) continue;
+        const ids = schedule.resolve(record.name);
+        if (ids.length === 0) {
+            unrecognized.push({ name: record.name, date });
+            continue;
+        }
+        ids.forEach((id) => givenByVaccine.get(id).push(date));
+    }
+
+    const vaccines = schedule.vaccines.map((vaccine) => vaccineStatus(vaccine, {
+        birthDate: born,
+        given: givenByVaccine.get(vaccine.id).sort((a, b) => a - b),
+        now,
+        overdueAfterMonths: schedule.overdueAfterMonths
+    }));
+    const collect = (status) => vaccines.flatMap((vaccine) => vaccine.doses
+        .filter((dose) => dose.status === status)
+        .map((dose) => ({ vaccine: vaccine.id, name: vaccine.name, ...dose })));
+
+    const upcoming = collect('upcoming').sort((a, b) => a.recommendedOn - b.recommendedOn);
+    return {
+        schedule: { id: schedule.id, name: schedule.name, version: schedule.version, url: schedule.url, notes: schedule.notes },
+        vaccines,
+        overdue: collect('overdue').sort((a, b) => a.dueBy - b.dueBy),
+        due: collect('due').sort((a, b) => a.dueBy - b.dueBy),
+        upcoming,
+        nextVisit: upcoming[0]?.recommendedOn || null,
+        unrecognized,
+        seasonal: schedule.seasonal
+    };
+}
+
+// One `appointment` alert per vaccine dose as it becomes due and again if it
+// becomes overdue. Pending alerts for doses that are no longer due or overdue
+// (given, or due alerts superseded by overdue ones) are acknowledged. Returns
+// the alerts added or acknowledged; the caller saves.
+function syncVaccinationAlerts(monitoring, status) {
+    const changed = [];
+    const doses = [
+        ...status.overdue.map((dose) => ({ ...dose, kind: 'vaccine-overdue', severity: 'medium' })),
+        ...status.due.map((dose) => ({ ...dose, kind: 'vaccine-due', severity: 'low' }))
+    ];
+    const isFor = (alert, dose) => alert.type === 'appointment'
+        && alert.data?.kind === dose.kind
+        && alert.data.vaccine === dose.vaccine
+        && alert.data.dose === dose.dose;
+
+    for (const alert of monitoring.alerts) {
+        if (alert.acknowledged || alert.type !== 'appointment') continue;
+        if (!['vaccine-due', 'vaccine-overdue'].includes(alert.data?.kind)) continue;
+        if (doses.some((dose) => isFor(alert, dose))) continue;
+        alert.acknowledged = true;
+        alert.acknowledgedBy = 'System';
+        alert.acknowledgedAt = new Date();
+        changed.push(alert);
+    }
+
+    for (const dose of doses) {
+        if (monitoring.alerts.some((alert) => isFor(alert, dose))) continue;
+        const by = dose.dueBy.toISOString().slice(0, 10);
+        monitoring.alerts.push({
+            type: 'appointment',
+            severity: dose.severity,
+            message: dose.kind === 'vaccine-overdue'
+                ? `${dose.name} dose ${dose.dose} is overdue (due by ${by}). Book a catch-up visit with your pediatrician.`
+                : `${dose.name} dose ${dose.dose} is due (by ${by}).`,
+            data: { kind: dose.kind, vaccine: dose.vaccine, dose: dose.dose, dueBy: dose.dueBy }
+        });
+        changed.push(monitoring.alerts[monitoring.alerts.length - 1]);
+    }
+    return changed;
+}
+
+// Rows for the CSV/PDF record: given doses first, then what is still to come
+function vaccinationRecordRows(status) {
+    const day = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+    const rows = [];
+    for (const vaccine of status.vaccines) {
+        for (const dose of vaccine.doses) {
+            rows.push({
+                vaccine: vaccine.name,
+                dose: dose.dose,
+                status: dose.status,
+                given: day(dose.givenOn),
+                recommended: day(dose.recommendedOn),
+                dueBy: day(dose.dueBy)
+            });
+        }
+        for (const entry of vaccine.invalidDoses) {
+            rows.push({ vaccine: vaccine.name, dose: '', status: `not counted: ${entry.reason}`, given: day(entry.date), recommended: '', dueBy: '' });
+        }
+    }
+    for (const entry of status.unrecognized) {
+        rows.push({ vaccine: entry.name, dose: '', status: 'not in schedule', given: day(entry.date), recommended: '', dueBy: '' });
+    }
+    return rows;
+}
+
+module.exports = {
+    DEFAULT_SCHEDULE,
+    createImmunizationSchedule,
+    listSchedules,
+    getImmunizationSchedule,
+    computeVaccinationStatus,
+    syncVaccinationAlerts,
+    vaccinationRecordRows
+};
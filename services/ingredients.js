@@ -0,0 +1,270 @@
+const path = require('path');
+const { SCHEMA_VERSION, SAFETY_LEVELS } = require('./assessmentSchema');
+const { normalizeItem } = require('./knowledgeBase');
+
+// Ingredient-level pregnancy checks against data/ingredient-rules.json. Each
+// rule lists whole-word patterns (plurals match too) and the product
+// categories it applies to, so "cetyl alcohol" in a cream is not flagged as
+// drinking alcohol. Allergen patterns there are keyed like the profile's
+// allergies map.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'ingredient-rules.json');
+const PRODUCT_CATEGORIES = ['food', 'cosmetic'];
+const NO_CONCERN_SCORE = 2;
+const ALLERGEN_SCORE = 9;
+const MAX_INGREDIENTS = 60;
+const MAX_INGREDIENT_LENGTH = 100;
+const MAX_TIPS = 5;
+
+// Leading recipe quantities such as "2 cups", "1/2 tsp." or "200 g"
+const QUANTITY_PATTERN = /^[\d\s¼½¾⅓⅔⅛./-]+(cups?|tbsps?|tablespoons?|tsps?|teaspoons?|g|grams?|kg|ml|l|oz|ounces?|lbs?|pounds?|cloves?|pinch(es)?|dash(es)?|cans?|slices?|large|medium|small)?\.?\s+(of\s+)?/i;
+const RECIPE_LINE = /^\s*[\d¼½¾⅓⅔⅛]/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePatterns(patterns = []) {
+    return patterns.map((pattern) => new RegExp(`\\b${escapeRegExp(normalizeItem(pattern))}(s|es)?\\b`));
+}
+
+function validateRule(rule) {
+    const errors = [];
+    if (!rule.id) errors.push('id is required');
+    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+        errors.push('patterns must be a non-empty array');
+    }
+    if (!Array.isArray(rule.appliesTo) || rule.appliesTo.some((category) => !PRODUCT_CATEGORIES.includes(category))) {
+        errors.push(`appliesTo must list categories from ${PRODUCT_CATEGORIES.join(', ')}`);
+    }
+    if (!Number.isInteger(rule.riskScore) || rule.riskScore < 1 || rule.riskScore > 10) {
+        errors.push('riskScore must be an integer from 1 to 10');
+    }
+    if (!SAFETY_LEVELS.includes(rule.safetyLevel)) {
+        errors.push(`safetyLevel must be one of ${SAFETY_LEVELS.join(', ')}`);
+    }
+    if (!rule.why) errors.push('why is required');
+    return errors;
+}
+
+function matches(entry, text) {
+    return entry.matchers.some((matcher) => matcher.test(text))
+        && !entry.excluders.some((excluder) => excluder.test(text));
+}
+
+function createIngredientRules(data) {
+    const rules = (data.rules || []).map((rule) => {
+        const errors = validateRule(rule);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ingredient rule "${rule.id}": ${errors.join('; ')}`);
+        }
+        return { ...rule, matchers: compilePatterns(rule.patterns), excluders: compilePatterns(rule.exclude) };
+    });
+    const allergens = (data.allergens || []).map((allergen) => {
+        if (!allergen.key || !allergen.name || !Array.isArray(allergen.patterns) || allergen.patterns.length === 0) {
+            throw new Error(`Invalid allergen "${allergen.key}": key, name and patterns are required`);
+        }
+        return { ...allergen, matchers: compilePatterns(allergen.patterns), excluders: compilePatterns(allergen.exclude) };
+    });
+
+    // Rules and allergens both match whole words; excludes veto the match
+    function matchIngredient(ingredient, category, allergies) {
+        const text = normalizeItem(ingredient);
+        if (!text) return { rule: null, allergens: [] };
+        return {
+            rule: rules.find((rule) => (!category || rule.appliesTo.includes(category)) && matches(rule, text)) || null,
+            allergens: allergens.filter((allergen) => allergies.includes(allergen.key) && matches(allergen, text))
+        };
+    }
+
+    // One flag per ingredient, highest risk first. `allergies` is a list of
+    // profile allergy keys; an ingredient containing one is always Avoid.
+    function analyze(ingredients, { category, allergies = [] } = {}) {
+        const flagged = [];
+        const unmatched = [];
+        for (const ingredient of ingredients) {
+            const { rule, allergens: found } = matchIngredient(ingredient, category, allergies);
+            if (!rule && found.length === 0) {
+                unmatched.push(ingredient);
+                continue;
+            }
+
+            const reasons = found.map((allergen) => `Contains ${allergen.name.toLowerCase()}, which is listed in your allergies.`);
+            if (rule) reasons.push(rule.why);
+            flagged.push({
+                ingredient,
+                ruleId: rule ? rule.id : null,
+                concern: rule ? rule.name : `${found[0].name} allergen`,
+                allergens: found.map((allergen) => allergen.key),
+                riskScore: found.length > 0 ? Math.max(rule ? rule.riskScore : 0, ALLERGEN_SCORE) : rule.riskScore,
+                safetyLevel: found.length > 0 ? 'Avoid' : rule.safetyLevel,
+                why: reasons.join(' ')
+            });
+        }
+        flagged.sort((a, b) => b.riskScore - a.riskScore);
+
+        const worst = flagged[0];
+        return {
+            flagged,
+            unmatched,
+            riskScore: worst ? worst.riskScore : NO_CONCERN_SCORE,
+            safetyLevel: worst ? worst.safetyLevel : 'Safe'
+        };
+    }
+
+    return {
+        version: data.version,
+        updatedAt: data.updatedAt,
+        size: rules.length,
+        allergenKeys: allergens.map((allergen) => allergen.key),
+        // Allergens from `allergies` that any of the texts names
+        matchAllergens: (texts, allergies) => allergens.filter((allergen) => allergies.includes(allergen.key)
+            && texts.some((text) => matches(allergen, normalizeItem(text)))),
+        analyze
+    };
+}
+
+let defaultRules = null;
+
+function getIngredientRules() {
+    if (!defaultRules) {
+        defaultRules = createIngredientRules(require(DEFAULT_PATH));
+    }
+    return defaultRules;
+}
+
+// Shapes an analysis like any other assessment so formatAssessmentText and
+// the clients can render it
+function toIngredientAssessment(name, analysis) {
+    const concerns = [...new Set(analysis.flagged.map((entry) => entry.concern))];
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        item: name,
+        riskScore: analysis.riskScore,
+        safetyLevel: analysis.safetyLevel,
+        why: concerns.length > 0
+            ? `Contains ingredients of concern: ${concerns.join(', ')}.`
+            : 'None of the listed ingredients are on our pregnancy watch list. Check with your provider if you have specific concerns.',
+        tips: analysis.flagged.slice(0, MAX_TIPS).map((entry) => `${entry.ingredient}: ${entry.why}`)
+    };
+}
+
+function cleanIngredient(text) {
+    return text
+        .replace(/^\s*(ingredients|contains)\s*:?\s*/i, '')
+        .replace(/^(less than )?\d+(\.\d+)?\s*%\s*or less of:?\s*/i, '')
+        .replace(QUANTITY_PATTERN, '')
+        .replace(/^[\s*•·-]+|[\s.*]+$/g, '')
+        .trim();
+}
+
+// Splits a pasted label, recipe or OCR text into ingredient names.
+// Label sub-ingredients in brackets become their own entries; recipe lines
+// ("2 cups flour, sifted") keep only the ingredient before the first comma.
+function splitIngredientList(text) {
+    const names = [];
+    const seen = new Set();
+
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const parts = RECIPE_LINE.test(line)
+            ? [line.split(',')[0]]
+            : line.replace(/[()[\]{}]/g, ',').split(/[,;•·]|\.\s/);
+
+        for (const part of parts) {
+            const name = cleanIngredient(part);
+            const key = normalizeItem(name);
+            if (!/[a-z]/.test(key) || seen.has(key)) continue;
+            seen.add(key);
+            names.push(name.slice(0, MAX_INGREDIENT_LENGTH));
+        }
+    }
+    return names;
+}
+
+// Per-ingredient breakdown plus an overall verdict for /api/check-ingredients.
+// Local rules and allergens come first; `fallback({ ingredients, unknown })`
+// (safetyAssessment.assessIngredients) scores the rest.
+async function checkIngredients({ ingredients, name = 'Ingredient list', category = 'food', allergies = [], rules = getIngredientRules(), fallback = null }) {
+    if (!PRODUCT_CATEGORIES.includes(category)) {
+        throw new Error(`category must be one of ${PRODUCT_CATEGORIES.join(', ')}`);
+    }
+
+    const analysis = rules.analyze(ingredients, { category, allergies });
+    const byIngredient = new Map(analysis.flagged.map((entry) => [entry.ingredient, { ...entry, source: 'ingredient-rules' }]));
+    const unknown = analysis.unmatched;
+
+    let assessmentStatus = 'not-needed';
+    if (unknown.length > 0) {
+        assessmentStatus = 'unavailable';
+        if (fallback) {
+            const structured = await fallback({ ingredients, unknown });
+            assessmentStatus = structured.status;
+            if (structured.report) {
+                const byKey = new Map(unknown.map((name) => [normalizeItem(name), name]));
+                for (const entry of structured.report.ingredients) {
+                    const name = byKey.get(normalizeItem(entry.ingredient));
+                    if (!name || byIngredient.has(name)) continue;
+                    byIngredient.set(name, {
+                        ingredient: name,
+                        ruleId: null,
+                        concern: null,
+                        allergens: [],
+                        riskScore: entry.riskScore,
+                        safetyLevel: entry.safetyLevel,
+                        why: entry.why,
+                        source: 'ai'
+                    });
+                }
+            }
+        }
+    }
+
+    // Ingredients in the order given; unchecked ones keep null scores
+    const breakdown = ingredients.map((name) => byIngredient.get(name) || {
+        ingredient: name, ruleId: null, concern: null, allergens: [], riskScore: null, safetyLevel: null, why: null, source: null
+    });
+    const scored = breakdown.filter((entry) => entry.riskScore !== null).sort((a, b) => b.riskScore - a.riskScore);
+    const unresolved = breakdown.filter((entry) => entry.riskScore === null).map((entry) => entry.ingredient);
+    const flagged = scored.filter((entry) => entry.safetyLevel !== 'Safe');
+    const worst = scored[0];
+
+    const verdict = {
+        riskScore: worst ? worst.riskScore : NO_CONCERN_SCORE,
+        safetyLevel: worst ? worst.safetyLevel : 'Safe',
+        flagged: flagged.map((entry) => ({ ...entry, concern: entry.concern || entry.ingredient }))
+    };
+    const assessment = toIngredientAssessment(name, verdict);
+    if (flagged.length === 0 && scored.length > 0 && unresolved.length === 0) {
+        assessment.why = 'No ingredient stands out as a pregnancy concern.';
+    }
+    // Never call the list safe without saying which parts went unchecked
+    if (unresolved.length > 0) {
+        assessment.why += ` Could not check: ${unresolved.join(', ')}.`;
+    }
+
+    const aiUsed = breakdown.some((entry) => entry.source === 'ai');
+    let source = 'ingredient-rules';
+    if (aiUsed) {
+        source = analysis.flagged.length > 0 ? 'mixed' : 'ai';
+    }
+
+    return {
+        ingredients: breakdown,
+        category,
+        assessment,
+        unresolved,
+        source,
+        assessmentStatus,
+        rulesVersion: rules.version
+    };
+}
+
+module.exports = {
+    PRODUCT_CATEGORIES,
+    MAX_INGREDIENTS,
+    createIngredientRules,
+    getIngredientRules,
+    toIngredientAssessment,
+    splitIngredientList,
+    checkIngredients
+};
@@ -0,0 +1,248 @@
+const path = require('path');
+const { SAFETY_LEVELS, INTERACTION_SEVERITIES } = require('./assessmentSchema');
+const { normalizeItem } = require('./knowledgeBase');
+
+// Medication interaction checks for /api/interactions. Pairs and per-drug
+// pregnancy/lactation notes come from data/drug-interactions.json first; only
+// items the table does not know are sent to the LLM fallback.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'drug-interactions.json');
+const CONTEXTS = ['pregnancy', 'lactation'];
+const SEVERITY_RANK = { minor: 1, moderate: 2, major: 3 };
+const LEVEL_RANK = { Safe: 1, Caution: 2, Avoid: 3 };
+
+function validateDrug(drug) {
+    const errors = [];
+    if (!drug.id) errors.push('id is required');
+    if (!drug.name) errors.push('name is required');
+    if (!Array.isArray(drug.aliases)) errors.push('aliases must be an array');
+    if (!Array.isArray(drug.classes)) errors.push('classes must be an array');
+    for (const context of CONTEXTS) {
+        const note = drug[context];
+        if (!note || !SAFETY_LEVELS.includes(note.level) || !note.note) {
+            errors.push(`${context} must have a level (${SAFETY_LEVELS.join('/')}) and a note`);
+        }
+    }
+    return errors;
+}
+
+function createInteractionTable(data) {
+    const drugs = data.drugs || [];
+    const rules = data.interactions || [];
+    const index = new Map();
+    const ids = new Set();
+    const classes = new Set();
+
+    for (const drug of drugs) {
+        const errors = validateDrug(drug);
+        if (errors.length > 0) {
+            throw new Error(`Invalid interaction table drug "${drug.id}": ${errors.join('; ')}`);
+        }
+        ids.add(drug.id);
+        drug.classes.forEach((name) => classes.add(name));
+        for (const alias of [drug.name, ...drug.aliases]) {
+            const key = normalizeItem(alias);
+            const existing = index.get(key);
+            if (existing && existing !== drug) {
+                throw new Error(`Interaction table alias "${alias}" is used by both "${existing.id}" and "${drug.id}"`);
+            }
+            index.set(key, drug);
+        }
+    }
+
+    // Each side of a rule is a drug id or "class:<name>"
+    for (const rule of rules) {
+        if (!Array.isArray(rule.between) || rule.between.length !== 2) {
+            throw new Error(`Interaction rule "${rule.id}" must name exactly two drugs or classes`);
+        }
+        for (const ref of rule.between) {
+            const known = ref.startsWith('class:') ? classes.has(ref.slice(6)) : ids.has(ref);
+            if (!known) {
+                throw new Error(`Interaction rule "${rule.id}" refers to unknown "${ref}"`);
+            }
+        }
+        if (!INTERACTION_SEVERITIES.includes(rule.severity) || !rule.effect || !rule.advice) {
+            throw new Error(`Interaction rule "${rule.id}" needs a severity, effect and advice`);
+        }
+    }
+
+    function resolve(name) {
+        const key = normalizeItem(name);
+        if (!key) return null;
+        return index.get(key) || (key.endsWith('s') ? index.get(key.slice(0, -1)) : null) || null;
+    }
+
+    function matches(ref, drug) {
+        return ref.startsWith('class:') ? drug.classes.includes(ref.slice(6)) : drug.id === ref;
+    }
+
+    // Every rule that applies to a pair of different drugs
+    function findInteractions(first, second) {
+        if (first.id === second.id) return [];
+        return rules.filter(({ between: [a, b] }) =>
+            (matches(a, first) && matches(b, second)) || (matches(a, second) && matches(b, first))
+        );
+    }
+
+    return {
+        version: data.version,
+        updatedAt: data.updatedAt,
+        size: drugs.length,
+        resolve,
+        findInteractions
+    };
+}
+
+let defaultTable = null;
+
+function getInteractionTable() {
+    if (!defaultTable) {
+        defaultTable = createInteractionTable(require(DEFAULT_PATH));
+    }
+    return defaultTable;
+}
+
+// Trimmed, de-duplicated names with the new item last
+function collectItems(medications, item) {
+    const itemName = item.trim();
+    const seen = new Set([normalizeItem(itemName)]);
+    const names = [];
+    for (const name of medications) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        const key = normalizeItem(trimmed);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        names.push(trimmed);
+    }
+    return [...names, itemName];
+}
+
+function combineRisk({ interactions, concerns, context, unchecked }) {
+    const reasons = [];
+    let rank = 0;
+
+    for (const interaction of interactions) {
+        const severityRank = SEVERITY_RANK[interaction.severity];
+        if (severityRank >= SEVERITY_RANK.moderate) {
+            reasons.push(`${interaction.severity} interaction: ${interaction.between.join(' + ')}`);
+        }
+        rank = Math.max(rank, severityRank);
+    }
+    for (const concern of concerns) {
+        const level = concern[context].level;
+        if (LEVEL_RANK[level] >= LEVEL_RANK.Caution) {
+            reasons.push(`${concern.item}: ${level === 'Avoid' ? 'avoid' : 'use caution'} during ${context === 'lactation' ? 'breastfeeding' : 'pregnancy'}`);
+        }
+        rank = Math.max(rank, LEVEL_RANK[level]);
+    }
+    if (unchecked.length > 0) {
+        reasons.push(`Not checked: ${unchecked.join(', ')}`);
+    }
+
+    let level = rank >= 3 ? 'high' : rank === 2 ? 'moderate' : 'low';
+    // Never call a combination low risk when part of it could not be checked
+    if (level === 'low' && unchecked.length > 0) {
+        level = 'unknown';
+    }
+    return { level, reasons };
+}
+
+function sortInteractions(interactions, item) {
+    const involves = (interaction) => interaction.between.includes(item) ? 1 : 0;
+    return interactions.sort((a, b) =>
+        involves(b) - involves(a) || SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+    );
+}
+
+// `fallback({ items, unknown })` is the LLM call (safetyAssessment.assessInteractions);
+// leave it out to check against the local table only
+async function checkInteractions({ medications = [], item, context = 'pregnancy', table = getInteractionTable(), fallback = null }) {
+    if (!CONTEXTS.includes(context)) {
+        throw new Error(`context must be one of ${CONTEXTS.join(', ')}`);
+    }
+
+    const names = collectItems(medications, item);
+    const itemName = names[names.length - 1];
+    const resolved = names.map((name) => ({ name, drug: table.resolve(name) }));
+    const known = resolved.filter((entry) => entry.drug);
+    const unknown = resolved.filter((entry) => !entry.drug).map((entry) => entry.name);
+
+    const interactions = [];
+    for (let i = 0; i < known.length; i++) {
+        for (let j = i + 1; j < known.length; j++) {
+            for (const rule of table.findInteractions(known[i].drug, known[j].drug)) {
+                interactions.push({
+                    between: [known[i].name, known[j].name],
+                    severity: rule.severity,
+                    effect: rule.effect,
+                    advice: rule.advice,
+                    source: 'interaction-table'
+                });
+            }
+        }
+    }
+
+    const concerns = known.map(({ name, drug }) => ({
+        item: name,
+        matched: drug.name,
+        pregnancy: drug.pregnancy,
+        lactation: drug.lactation,
+        source: 'interaction-table'
+    }));
+
+    let assessmentStatus = 'not-needed';
+    let unchecked = unknown;
+
+    if (unknown.length > 0) {
+        assessmentStatus = 'unavailable';
+        if (fallback) {
+            const structured = await fallback({ items: names, unknown });
+            assessmentStatus = structured.status;
+            if (structured.report) {
+                const byKey = new Map(names.map((name) => [normalizeItem(name), name]));
+                const unknownKeys = new Set(unknown.map(normalizeItem));
+
+                // Keep only pairs between listed items that involve an unknown one
+                for (const entry of structured.report.interactions) {
+                    const between = entry.between.map((name) => byKey.get(normalizeItem(name)));
+                    if (between.some((name) => !name) || between[0] === between[1]) continue;
+                    if (!between.some((name) => unknownKeys.has(normalizeItem(name)))) continue;
+                    interactions.push({ between, severity: entry.severity, effect: entry.effect, advice: entry.advice, source: 'ai' });
+                }
+                for (const entry of structured.report.concerns) {
+                    const name = byKey.get(normalizeItem(entry.item));
+                    if (!name || !unknownKeys.has(normalizeItem(name))) continue;
+                    concerns.push({ item: name, pregnancy: entry.pregnancy, lactation: entry.lactation, source: 'ai' });
+                }
+                const answered = new Set(concerns.map((concern) => normalizeItem(concern.item)));
+                unchecked = unknown.filter((name) => !answered.has(normalizeItem(name)));
+            }
+        }
+    }
+
+    const aiUsed = interactions.some((entry) => entry.source === 'ai') || concerns.some((entry) => entry.source === 'ai');
+    let source = 'interaction-table';
+    if (aiUsed) {
+        source = known.length > 0 ? 'mixed' : 'ai';
+    }
+
+    return {
+        item: itemName,
+        medications: names.slice(0, -1),
+        context,
+        interactions: sortInteractions(interactions, itemName),
+        concerns,
+        combinedRisk: combineRisk({ interactions, concerns, context, unchecked }),
+        unresolved: unchecked,
+        source,
+        assessmentStatus,
+        tableVersion: table.version
+    };
+}
+
+module.exports = {
+    CONTEXTS,
+    createInteractionTable,
+    getInteractionTable,
+    checkInteractions
+};
@@ -0,0 +1,111 @@
+// Count-to-10 fetal movement sessions. The usual advice is 10 movements
+// within 2 hours; beyond that, what matters is a change from the user's own
+// pattern, so each session is compared with the median of their recent ones.
+
+const KICK_TARGET = 10;
+const TARGET_WINDOW_MINUTES = 120;
+const BASELINE_SESSIONS = 7;
+const MIN_BASELINE_SESSIONS = 3;
+// A session this many times slower than usual (and at least
+// SLOWDOWN_MIN_MINUTES slower) is worth a call
+const SLOWDOWN_FACTOR = 2;
+const SLOWDOWN_MIN_MINUTES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function minutesBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / 6000) / 10;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Minutes from the start to the target-th movement, or null if it was not reached
+function minutesToTarget(session) {
+    const target = session.target || KICK_TARGET;
+    const kickTimes = session.kickTimes || [];
+    if (kickTimes.length >= target) {
+        return minutesBetween(session.startedAt, kickTimes[target - 1]);
+    }
+    return session.count >= target ? minutesBetween(session.startedAt, session.endedAt) : null;
+}
+
+// Median time to 10 over the most recent sessions that got there; null until
+// there are enough of them
+function computeBaseline(history) {
+    const times = [...history]
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .map(minutesToTarget)
+        .filter((minutes) => minutes !== null)
+        .slice(0, BASELINE_SESSIONS);
+    return times.length >= MIN_BASELINE_SESSIONS ? median(times) : null;
+}
+
+// Alerts for a finished session against the sessions before it
+function evaluateKickSession(session, history = []) {
+    const target = session.target || KICK_TARGET;
+    const minutes = minutesToTarget(session);
+    const elapsed = minutesBetween(session.startedAt, session.endedAt);
+    const baseline = computeBaseline(history);
+    const alerts = [];
+
+    if ((minutes === null && elapsed >= TARGET_WINDOW_MINUTES) || minutes > TARGET_WINDOW_MINUTES) {
+        alerts.push({
+            urgency: 'go-to-labor-and-delivery',
+            message: `Fewer than ${target} movements in 2 hours. Go to Labor & Delivery or call your provider now to have your baby checked.`
+        });
+    } else if (minutes !== null && baseline !== null
+        && minutes >= baseline * SLOWDOWN_FACTOR && minutes - baseline >= SLOWDOWN_MIN_MINUTES) {
+        alerts.push({
+            urgency: 'call-provider',
+            message: `${target} movements took ${Math.round(minutes)} minutes; your usual is about ${Math.round(baseline)}. Call your provider today, and go in if movements slow further.`
+        });
+    }
+
+    return { minutesToTarget: minutes, baselineMinutes: baseline, alerts };
+}
+
+// Daily trend (UTC days, newest last) plus the current baseline
+function summarizeKickSessions(sessions, { days = 14, now = new Date() } = {}) {
+    const since = now.getTime() - days * DAY_MS;
+    const recent = sessions.filter((session) => new Date(session.startedAt).getTime() >= since);
+    const byDay = new Map();
+    for (const session of recent) {
+        const date = new Date(session.startedAt).toISOString().slice(0, 10);
+        if (!byDay.has(date)) byDay.set(date, []);
+        byDay.get(date).push(session);
+    }
+
+    const daily = [...byDay.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, entries]) => {
+            const times = entries.map(minutesToTarget);
+            return {
+                date,
+                sessions: entries.length,
+                medianMinutesToTarget: median(times.filter((minutes) => minutes !== null)),
+                missedTarget: times.filter((minutes) => minutes === null || minutes > TARGET_WINDOW_MINUTES).length
+            };
+        });
+
+    const latest = [...sessions].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))[0] || null;
+    return {
+        target: KICK_TARGET,
+        baselineMinutes: computeBaseline(sessions),
+        sessionCount: recent.length,
+        daily,
+        latest: latest ? { startedAt: latest.startedAt, count: latest.count, minutesToTarget: minutesToTarget(latest) } : null
+    };
+}
+
+module.exports = {
+    KICK_TARGET,
+    TARGET_WINDOW_MINUTES,
+    minutesToTarget,
+    computeBaseline,
+    evaluateKickSession,
+    summarizeKickSessions
+};
@@ -0,0 +1,118 @@
+const path = require('path');
+const { SCHEMA_VERSION, validateAssessment } = require('./assessmentSchema');
+
+// Curated, reviewed answers for common items. /api/check-safety answers from
+// here without calling the LLM; data lives in data/knowledge-base.json and is
+// versioned by its "version" field.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'knowledge-base.json');
+const CATEGORIES = ['food', 'drug', 'activity', 'cosmetic'];
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+function normalizeItem(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s-]/g, ' ')
+        .replace(/-/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Naive singular form so "hot tubs" finds "hot tub"
+function singularize(text) {
+    if (text.endsWith('ies')) return `${text.slice(0, -3)}y`;
+    if (text.endsWith('s') && !text.endsWith('ss')) return text.slice(0, -1);
+    return text;
+}
+
+function toAssessment(entry, { includeBreastfeeding = false } = {}) {
+    const assessment = {
+        schemaVersion: SCHEMA_VERSION,
+        item: entry.name,
+        riskScore: entry.riskScore,
+        safetyLevel: entry.safetyLevel,
+        why: entry.why,
+        tips: entry.tips,
+        trimesterNotes: entry.trimesterNotes
+    };
+    if (includeBreastfeeding) {
+        assessment.breastfeeding = entry.breastfeeding;
+    }
+    return assessment;
+}
+
+function validateEntry(entry) {
+    const errors = [];
+    if (!entry.id) errors.push('id is required');
+    if (!CATEGORIES.includes(entry.category)) {
+        errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    if (!Array.isArray(entry.aliases) || entry.aliases.length === 0) {
+        errors.push('aliases must be a non-empty array');
+    }
+    if (!Array.isArray(entry.citations) || entry.citations.length === 0) {
+        errors.push('citations must be a non-empty array');
+    }
+    errors.push(...validateAssessment(toAssessment(entry, { includeBreastfeeding: true }), { requireBreastfeeding: true }));
+    return errors;
+}
+
+function createKnowledgeBase(data) {
+    const entries = data.entries || [];
+    const index = new Map();
+
+    for (const entry of entries) {
+        const errors = validateEntry(entry);
+        if (errors.length > 0) {
+            throw new Error(`Invalid knowledge base entry "${entry.id}": ${errors.join('; ')}`);
+        }
+        for (const alias of [entry.name, ...entry.aliases]) {
+            const key = normalizeItem(alias);
+            const existing = index.get(key);
+            if (existing && existing !== entry) {
+                throw new Error(`Knowledge base alias "${alias}" is used by both "${existing.id}" and "${entry.id}"`);
+            }
+            index.set(key, entry);
+        }
+    }
+
+    function lookup(item) {
+        const key = normalizeItem(item);
+        if (!key) return null;
+        return index.get(key) || index.get(singularize(key)) || null;
+    }
+
+    // Names for prompt examples, e.g. the high-risk list in the risk guidelines
+    function listNames({ minScore = 1, maxScore = 10 } = {}) {
+        return entries
+            .filter((entry) => entry.riskScore >= minScore && entry.riskScore <= maxScore)
+            .map((entry) => entry.aliases[0]);
+    }
+
+    return {
+        version: data.version,
+        updatedAt: data.updatedAt,
+        size: entries.length,
+        lookup,
+        listNames
+    };
+}
+
+let defaultKnowledgeBase = null;
+
+function getKnowledgeBase() {
+    if (!defaultKnowledgeBase) {
+        defaultKnowledgeBase = createKnowledgeBase(require(DEFAULT_PATH));
+    }
+    return defaultKnowledgeBase;
+}
+
+module.exports = {
+    CATEGORIES,
+    normalizeItem,
+    toAssessment,
+    createKnowledgeBase,
+    getKnowledgeBase
+};
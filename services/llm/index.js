@@ -0,0 +1,71 @@
+const createOpenAICompatibleProvider = require('./providers/openaiCompatible');
+const createStubProvider = require('./providers/stub');
+
+// LLM_PROVIDER selects the backend: 'shroud' (default), 'openai' for any
+// OpenAI-compatible endpoint, or 'stub' for offline development and tests.
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function createProvider(name = process.env.LLM_PROVIDER || 'shroud', overrides = {}) {
+    const env = process.env;
+    const common = {
+        timeout: readInt(env.LLM_TIMEOUT_MS, 30000),
+        retries: readInt(env.LLM_MAX_RETRIES, 1)
+    };
+
+    switch (name.toLowerCase()) {
+        case 'shroud': {
+            const model = env.SHROUD_MODEL || 'Qwen/Qwen3-32B';
+            return createOpenAICompatibleProvider({
+                ...common,
+                name: 'shroud',
+                baseUrl: `${env.SHROUD_HTTP_URL || 'https://dev.shroud.us'}/v1`,
+                apiKey: env.SHROUD_API_KEY,
+                model,
+                visionModels: [model],
+                ...overrides
+            });
+        }
+        case 'openai': {
+            const model = env.LLM_MODEL || 'gpt-4o-mini';
+            return createOpenAICompatibleProvider({
+                ...common,
+                name: 'openai',
+                baseUrl: env.LLM_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: env.LLM_API_KEY,
+                model,
+                visionModels: (env.LLM_VISION_MODELS || model).split(',').map((m) => m.trim()).filter(Boolean),
+                ...overrides
+            });
+        }
+        case 'stub':
+            return createStubProvider(overrides);
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+let activeProvider = null;
+
+function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProvider();
+    }
+    return activeProvider;
+}
+
+// Swap the process-wide provider (tests, or switching vendors at runtime)
+function setProvider(provider) {
+    activeProvider = provider;
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    setProvider,
+    createOpenAICompatibleProvider,
+    createStubProvider
+};
@@ -0,0 +1,189 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+// Upstream statuses and socket errors worth another attempt
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+function isRetryable(error) {
+    if (error.response) {
+        return RETRYABLE_STATUSES.includes(error.response.status);
+    }
+    return RETRYABLE_CODES.includes(error.code);
+}
+
+function getRetryDelay(error, attempt, baseDelay) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        return Math.min(retryAfter * 1000, 5000);
+    }
+    return baseDelay * Math.pow(2, attempt);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Any endpoint speaking the OpenAI /chat/completions protocol (Shroud, OpenAI, vLLM, Ollama, ...)
+function createOpenAICompatibleProvider(options = {}) {
+    const {
+        name = 'openai',
+        baseUrl,
+        apiKey,
+        model,
+        visionModels = model ? [model] : [],
+        timeout = 30000,
+        retries = 1,
+        retryDelay = 500,
+        httpClient = axios
+    } = options;
+
+    const endpoint = `${(baseUrl || '').replace(/\/+$/, '')}/chat/completions`;
+
+    function isConfigured() {
+        return !!(baseUrl && apiKey && model);
+    }
+
+    // Retries only cover getting a response; a stream that fails midway is not replayed
+    async function postWithRetries(body, requestTimeout, extraConfig = {}) {
+        let attempt = 0;
+        for (;;) {
+            try {
+                return await httpClient.post(endpoint, body, {
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: requestTimeout,
+                    ...extraConfig
+                });
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+                const wait = getRetryDelay(error, attempt, retryDelay);
+                console.warn(`⚠️ ${name} request failed (${error.response?.status || error.code}), retrying in ${wait}ms`);
+                await sleep(wait);
+                attempt++;
+            }
+        }
+    }
+
+    function buildBody(request) {
+        const body = {
+            model: request.model || model,
+            messages: request.messages
+        };
+        if (request.temperature !== undefined) body.temperature = request.temperature;
+        if (request.maxTokens !== undefined) body.max_tokens = request.maxTokens;
+        return body;
+    }
+
+    async function chat(request = {}) {
+        const body = buildBody(request);
+        const response = await postWithRetries(body, request.timeout || timeout);
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error(`Empty response from ${name} provider`);
+        }
+
+        return {
+            content,
+            model: response.data.model || body.model,
+            usage: response.data.usage || null,
+            provider: name
+        };
+    }
+
+    // Same as chat() but with stream: true; each content delta is passed to
+    // request.onToken as it arrives and the full reply is returned at the end
+    async function stream(request = {}) {
+        const body = { ...buildBody(request), stream: true };
+        const response = await postWithRetries(body, request.timeout || timeout, {
+            responseType: 'stream',
+            signal: request.signal
+        });
+
+        const decoder = new StringDecoder('utf8');
+        let pending = '';
+        let content = '';
+        let responseModel = body.model;
+        let usage = null;
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) return;
+            const payload = trimmed.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+
+            let event;
+            try {
+                event = JSON.parse(payload);
+            } catch (error) {
+                return;
+            }
+            if (event.model) responseModel = event.model;
+            if (event.usage) usage = event.usage;
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                if (request.onToken) request.onToken(delta);
+            }
+        };
+
+        await new Promise((resolve, reject) => {
+            response.data.on('data', (chunk) => {
+                pending += decoder.write(chunk);
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                lines.forEach(handleLine);
+            });
+            response.data.on('end', () => {
+                handleLine(pending + decoder.end());
+                resolve();
+            });
+            response.data.on('error', reject);
+        });
+
+        if (!content) {
+            throw new Error(`Empty response from ${name} provider`);
+        }
+        return { content, model: responseModel, usage, provider: name };
+    }
+
+    // Tries each configured vision model in turn and returns the first success
+    async function vision(request = {}) {
+        const messages = [];
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+        messages.push({
+            role: 'user',
+            content: [
+                { type: 'text', text: request.prompt },
+                { type: 'image_url', image_url: { url: request.image } }
+            ]
+        });
+        // Earlier turns to replay after the image, e.g. a schema repair request
+        messages.push(...(request.history || []));
+
+        let lastError = null;
+        for (const modelName of request.models || visionModels) {
+            try {
+                console.log(`🔍 Attempting image analysis with model: ${modelName}`);
+                const result = await chat({ ...request, model: modelName, messages });
+                console.log(`✅ Image analysis successful with model: ${modelName}`);
+                return result;
+            } catch (error) {
+                console.error(`❌ Model ${modelName} failed:`, error.response?.data || error.message);
+                lastError = error;
+            }
+        }
+        throw lastError || new Error('All vision models failed');
+    }
+
+    return { name, model, visionModels, isConfigured, chat, stream, vision };
+}
+
+module.exports = createOpenAICompatibleProvider;
+module.exports.isRetryable = isRetryable;
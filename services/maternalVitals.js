@@ -0,0 +1,214 @@
+// Thresholds for the pregnant user's own vitals (routes/maternalMonitoring.js).
+// Weight gain follows the 2009 IOM guidelines for a single baby, blood
+// pressure the ACOG hypertension bands, and glucose the usual gestational
+// diabetes targets.
+
+const LBS_PER_KG = 2.20462;
+const CM_PER_INCH = 2.54;
+const MG_DL_PER_MMOL_L = 18.016;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Total gain for the pregnancy, and weekly gain in the 2nd and 3rd trimesters
+const IOM_GAIN = {
+    underweight: { label: 'Underweight', maxBmi: 18.5, totalKg: [12.5, 18], weeklyKg: [0.44, 0.58] },
+    normal: { label: 'Normal weight', maxBmi: 25, totalKg: [11.5, 16], weeklyKg: [0.35, 0.5] },
+    overweight: { label: 'Overweight', maxBmi: 30, totalKg: [7, 11.5], weeklyKg: [0.23, 0.33] },
+    obese: { label: 'Obese', maxBmi: Infinity, totalKg: [5, 9], weeklyKg: [0.17, 0.27] }
+};
+// Gain expected by the end of the first trimester, for every category
+const FIRST_TRIMESTER_KG = [0.5, 2];
+const FIRST_TRIMESTER_WEEKS = 13;
+// A week's gain this large after 20 weeks can be fluid from preeclampsia
+const RAPID_GAIN_KG_PER_WEEK = 2;
+
+const GLUCOSE_TYPES = ['fasting', 'before-meal', '1h-after-meal', '2h-after-meal', 'bedtime', 'random'];
+
+const DEFAULT_ALERT_THRESHOLDS = {
+    bloodPressure: { systolic: 140, diastolic: 90, severeSystolic: 160, severeDiastolic: 110 },
+    glucose: { fasting: 95, oneHourAfterMeal: 140, twoHoursAfterMeal: 120, low: 60 }
+};
+
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function toKg(weight) {
+    if (!weight || typeof weight.value !== 'number') return null;
+    return weight.unit === 'lbs' ? weight.value / LBS_PER_KG : weight.value;
+}
+
+function toCm(height) {
+    if (!height || typeof height.value !== 'number') return null;
+    return height.unit === 'inches' ? height.value * CM_PER_INCH : height.value;
+}
+
+function toMgDl(value, unit = 'mg/dL') {
+    return unit === 'mmol/L' ? round(value * MG_DL_PER_MMOL_L, 0) : value;
+}
+
+function computeBmi(weightKg, heightCm) {
+    if (!weightKg || !heightCm) return null;
+    return round(weightKg / ((heightCm / 100) ** 2));
+}
+
+function bmiCategory(bmi) {
+    if (bmi === null) return null;
+    return Object.keys(IOM_GAIN).find((key) => bmi < IOM_GAIN[key].maxBmi);
+}
+
+// Expected cumulative gain at a gestational week: a straight line to the
+// first-trimester range, then the weekly rate for the category
+function expectedGainRange(category, week) {
+    const guideline = IOM_GAIN[category];
+    if (!guideline || week === null || week === undefined) return null;
+    if (week <= FIRST_TRIMESTER_WEEKS) {
+        const share = Math.max(week, 0) / FIRST_TRIMESTER_WEEKS;
+        return { lowKg: round(FIRST_TRIMESTER_KG[0] * share), highKg: round(FIRST_TRIMESTER_KG[1] * share) };
+    }
+    const extraWeeks = week - FIRST_TRIMESTER_WEEKS;
+    return {
+        lowKg: round(FIRST_TRIMESTER_KG[0] + extraWeeks * guideline.weeklyKg[0]),
+        highKg: round(FIRST_TRIMESTER_KG[1] + extraWeeks * guideline.weeklyKg[1])
+    };
+}
+
+// Band for the weight chart, weeks 0-40
+function expectedGainCurve(category) {
+    if (!IOM_GAIN[category]) return [];
+    return Array.from({ length: 41 }, (_, week) => ({ week, ...expectedGainRange(category, week) }));
+}
+
+// `record` and `previous` are { timestamp, weightKg, week }; gain is measured
+// from the pre-pregnancy weight when it is known
+function evaluateWeight(record, { baselineKg = null, category = null, previous = null } = {}) {
+    const gainKg = baselineKg !== null ? round(record.weightKg - baselineKg) : null;
+    const range = category ? expectedGainRange(category, record.week) : null;
+    const alerts = [];
+    let status = null;
+
+    if (gainKg !== null && range) {
+        status = gainKg < range.lowKg ? 'below' : gainKg > range.highKg ? 'above' : 'within';
+        if (status !== 'within' && record.week > FIRST_TRIMESTER_WEEKS) {
+            alerts.push({
+                type: 'weight',
+                severity: 'low',
+                message: `Weight gain of ${gainKg} kg at ${record.week} weeks is ${status} the recommended ${range.lowKg}-${range.highKg} kg for your starting BMI`,
+                data: { gainKg, range }
+            });
+        }
+    }
+
+    if (previous) {
+        const days = (new Date(record.timestamp) - new Date(previous.timestamp)) / DAY_MS;
+        const change = record.weightKg - previous.weightKg;
+        // Only judge a rate over at least a few days, and at most two weeks
+        if (days >= 3 && days <= 14) {
+            const perWeek = round(change / days * 7);
+            if (record.week >= 20 && perWeek >= RAPID_GAIN_KG_PER_WEEK) {
+                alerts.push({
+                    type: 'weight',
+                    severity: 'high',
+                    message: `Sudden weight gain of ${round(change)} kg in ${Math.round(days)} days. Call your provider today; fast gain with swelling can be a sign of preeclampsia.`,
+                    data: { changeKg: round(change), days: Math.round(days) }
+                });
+            }
+        }
+        if (record.week > FIRST_TRIMESTER_WEEKS && change <= -2) {
+            alerts.push({
+                type: 'weight',
+                severity: 'medium',
+                message: `Weight dropped ${round(-change)} kg since your last entry. Mention it to your provider.`,
+                data: { changeKg: round(change) }
+            });
+        }
+    }
+
+    return { gainKg, range, status, alerts };
+}
+
+function classifyBloodPressure({ systolic, diastolic }, thresholds = DEFAULT_ALERT_THRESHOLDS.bloodPressure) {
+    const reading = `${systolic}/${diastolic} mmHg`;
+    if (systolic >= thresholds.severeSystolic || diastolic >= thresholds.severeDiastolic) {
+        return {
+            category: 'severe',
+            alerts: [{
+                type: 'blood-pressure',
+                severity: 'critical',
+                message: `Severe-range blood pressure: ${reading}. Rest for 15 minutes and recheck. If it is still this high, or you have a headache, vision changes or upper belly pain, go to Labor & Delivery now.`,
+                data: { systolic, diastolic }
+            }]
+        };
+    }
+    if (systolic >= thresholds.systolic || diastolic >= thresholds.diastolic) {
+        return {
+            category: 'high',
+            alerts: [{
+                type: 'blood-pressure',
+                severity: 'high',
+                message: `High blood pressure: ${reading}. Call your provider today; new high blood pressure after 20 weeks needs to be checked for preeclampsia.`,
+                data: { systolic, diastolic }
+            }]
+        };
+    }
+    if (systolic >= 120 || diastolic >= 80) return { category: 'elevated', alerts: [] };
+    return { category: 'normal', alerts: [] };
+}
+
+// Targets apply with the gestational-diabetes condition; without it only
+// lows and clearly diabetic values raise an alert
+function evaluateGlucose({ value, type }, { gestationalDiabetes = false, thresholds = DEFAULT_ALERT_THRESHOLDS.glucose } = {}) {
+    const targets = {
+        fasting: thresholds.fasting,
+        'before-meal': thresholds.fasting,
+        '1h-after-meal': thresholds.oneHourAfterMeal,
+        '2h-after-meal': thresholds.twoHoursAfterMeal
+    };
+    const target = gestationalDiabetes ? targets[type] ?? null : null;
+    const alerts = [];
+
+    if (value < thresholds.low) {
+        alerts.push({
+            type: 'glucose',
+            severity: 'high',
+            message: `Low blood sugar: ${value} mg/dL. Have 15 g of fast-acting sugar, recheck in 15 minutes, and call your provider if it stays low.`,
+            data: { value, type }
+        });
+    } else if (target !== null && value >= target) {
+        alerts.push({
+            type: 'glucose',
+            severity: 'medium',
+            message: `${value} mg/dL is above your ${type.replace(/-/g, ' ')} target of under ${target} mg/dL`,
+            data: { value, type, target }
+        });
+    } else if ((type === 'fasting' && value >= 126) || value >= 200) {
+        // Random and bedtime readings have no target, so these limits apply
+        // with gestational diabetes too
+        alerts.push({
+            type: 'glucose',
+            severity: 'medium',
+            message: gestationalDiabetes
+                ? `${value} mg/dL is high. Tell your provider so they can review your treatment plan.`
+                : `${value} mg/dL is high. Tell your provider so they can check for diabetes.`,
+            data: { value, type }
+        });
+    }
+
+    return { target, inTarget: target === null ? null : value >= thresholds.low && value < target, alerts };
+}
+
+module.exports = {
+    IOM_GAIN,
+    GLUCOSE_TYPES,
+    DEFAULT_ALERT_THRESHOLDS,
+    toKg,
+    toCm,
+    toMgDl,
+    computeBmi,
+    bmiCategory,
+    expectedGainRange,
+    expectedGainCurve,
+    evaluateWeight,
+    classifyBloodPressure,
+    evaluateGlucose
+};
@@ -0,0 +1,346 @@
+// Medication reminders as concrete doses. Each enabled reminder ("09:00") is
+// a dose every day in the baby's timezone between startDate and endDate.
+// Administration log entries are matched to the nearest open dose; a dose
+// nobody logged is missed once its grace window has passed.
+//
+// There is no separate dose store: schedules are recomputed from the
+// reminders and the log whenever they are needed, so editing either one
+// corrects the history.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_GRACE_MINUTES = 60;
+const DEFAULT_TIME_ZONE = 'UTC';
+// Missed doses older than this don't raise alerts (a new reminder schedule
+// shouldn't flag a week of history)
+const ALERT_LOOKBACK_HOURS = 24;
+// A dose logged within this share of the dosing interval is a possible
+// double dose, unless the medication sets minIntervalHours
+const DUPLICATE_FRACTION = 0.75;
+
+// Order matters: "every 8 hours" before the word forms
+const FREQUENCIES = [
+    { pattern: /\b(prn|as needed)\b/i, hours: () => null },
+    { pattern: /\bq\.?\s*(\d+(?:\.\d+)?)\s*h/i, hours: (match) => Number(match[1]) },
+    { pattern: /\bevery\s+(\d+(?:\.\d+)?)\s*(hours?|hrs?|h)\b/i, hours: (match) => Number(match[1]) },
+    { pattern: /\b(qid|four times)\b/i, hours: () => 6 },
+    { pattern: /\b(tid|three times)\b/i, hours: () => 8 },
+    { pattern: /\b(bid|twice)\b/i, hours: () => 12 },
+    { pattern: /\b(qd|once|daily|every day|nightly|at bedtime)\b/i, hours: () => 24 }
+];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function toDate(value) {
+    const parsed = new Date(value);
+    return value == null || Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function parseReminderTime(value) {
+    const match = TIME_PATTERN.exec(String(value ?? '').trim());
+    return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function resolveTimeZone(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+function zonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const values = {};
+    for (const part of parts) {
+        if (part.type !== 'literal') values[part.type] = Number(part.value);
+    }
+    return values;
+}
+
+// Minutes the zone is ahead of UTC at `date`
+function zoneOffsetMinutes(date, timeZone) {
+    const parts = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS);
+}
+
+// The instant a local wall-clock time happens in `timeZone`. Checked twice
+// so days that change to or from daylight saving time come out right.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = zoneOffsetMinutes(new Date(guess), timeZone);
+    const time = guess - offset * MINUTE_MS;
+    const corrected = zoneOffsetMinutes(new Date(time), timeZone);
+    return new Date(corrected === offset ? time : guess - corrected * MINUTE_MS);
+}
+
+function localDateKey(date, timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function localDayStart(date, timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return zonedTime(year, month, day, 0, 0, timeZone);
+}
+
+function enabledTimes(medication) {
+    return (medication.reminders || [])
+        .filter((reminder) => reminder.enabled !== false)
+        .map((reminder) => ({ label: reminder.time, ...parseReminderTime(reminder.time) }))
+        .filter((time) => Number.isInteger(time.hour))
+        .sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+}
+
+// Hours between doses, from the frequency text or else the reminder count
+function intervalHours(medication) {
+    const frequency = String(medication.frequency || '');
+    for (const { pattern, hours } of FREQUENCIES) {
+        const match = pattern.exec(frequency);
+        if (match) return hours(match);
+    }
+    const times = enabledTimes(medication);
+    return times.length > 0 ? 24 / times.length : null;
+}
+
+function graceMinutesFor(medication) {
+    return Number.isFinite(medication.graceMinutes) && medication.graceMinutes >= 0
+        ? medication.graceMinutes
+        : DEFAULT_GRACE_MINUTES;
+}
+
+// Scheduled doses in [from, to). endDate counts up to the end of its local day.
+function expandDoses(medication, { from, to, timeZone = DEFAULT_TIME_ZONE }) {
+    const times = enabledTimes(medication);
+    if (times.length === 0 || to <= from) return [];
+    const start = toDate(medication.startDate);
+    const endKey = toDate(medication.endDate) ? localDateKey(toDate(medication.endDate), timeZone) : null;
+
+    const doses = [];
+    const first = zonedParts(new Date(from.getTime() - DAY_MS), timeZone);
+    for (let offset = 0; ; offset++) {
+        const day = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        if (day.getTime() - 2 * DAY_MS > to.getTime()) break;
+        for (const time of times) {
+            const at = zonedTime(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), time.hour, time.minute, timeZone);
+            if (at < from || at >= to) continue;
+            if (start && at < start) continue;
+            if (endKey && localDateKey(at, timeZone) > endKey) continue;
+            doses.push({ scheduledFor: at, time: time.label });
+        }
+    }
+    return doses.sort((a, b) => a.scheduledFor - b.scheduledFor);
+}
+
+// Doses in [from, to) with their status at `now`: given, late, skipped,
+// missed, due or upcoming
+function buildSchedule(medication, { from, to, now = new Date(), timeZone = DEFAULT_TIME_ZONE }) {
+    const graceMs = graceMinutesFor(medication) * MINUTE_MS;
+    const interval = intervalHours(medication);
+    // One extra dose either side so matching windows are right at the edges
+    const padding = Math.max(DAY_MS, (interval || 24) * HOUR_MS);
+    const doses = expandDoses(medication, {
+        from: new Date(from.getTime() - padding),
+        to: new Date(to.getTime() + padding),
+        timeZone
+    });
+    const log = (medication.administrationLog || [])
+        .filter((entry) => toDate(entry.timestamp))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const used = new Set();
+
+    const matched = doses.map((dose, index) => {
+        const scheduled = dose.scheduledFor.getTime();
+        const previous = doses[index - 1]?.scheduledFor.getTime();
+        const next = doses[index + 1]?.scheduledFor.getTime();
+        // Early by up to the grace window; late until halfway to the next dose
+        const windowStart = Math.max(scheduled - graceMs, previous !== undefined ? (previous + scheduled) / 2 : -Infinity);
+        const windowEnd = scheduled + Math.max(graceMs, next !== undefined ? (next - scheduled) / 2 : graceMs);
+        const entry = log.find((candidate) => {
+            const at = new Date(candidate.timestamp).getTime();
+            return !used.has(candidate) && at >= windowStart && at < windowEnd;
+        });
+
+        let status;
+        if (entry) {
+            used.add(entry);
+            if (entry.given === false) status = 'skipped';
+            else status = new Date(entry.timestamp).getTime() > scheduled + graceMs ? 'late' : 'given';
+        } else if (now.getTime() < scheduled) {
+            status = 'upcoming';
+        } else if (now.getTime() <= scheduled + graceMs) {
+            status = 'due';
+        } else {
+            status = 'missed';
+        }
+        return {
+            ...dose,
+            status,
+            administeredAt: entry ? new Date(entry.timestamp) : null,
+            logId: entry?._id ?? null
+        };
+    });
+    return matched.filter((dose) => dose.scheduledFor >= from && dose.scheduledFor < to);
+}
+
+function isActive(medication, now) {
+    const end = toDate(medication.endDate);
+    return !end || end >= new Date(now.getTime() - DAY_MS);
+}
+
+// Per-medication counts over [from, to). Doses still due or upcoming are
+// left out, so adherence only covers doses that could have been given.
+function adherenceReport(medications, { from, to, now = new Date(), timeZone = DEFAULT_TIME_ZONE }) {
+    const totals = { scheduled: 0, given: 0, late: 0, skipped: 0, missed: 0 };
+    const rows = medications.map((medication) => {
+        const doses = buildSchedule(medication, { from, to, now, timeZone })
+            .filter((dose) => dose.status !== 'upcoming' && dose.status !== 'due');
+        const counts = { scheduled: doses.length, given: 0, late: 0, skipped: 0, missed: 0 };
+        for (const dose of doses) counts[dose.status]++;
+        for (const key of Object.keys(totals)) totals[key] += counts[key];
+        const extraDoses = (medication.administrationLog || []).filter((entry) => {
+            const at = toDate(entry.timestamp);
+            return at && at >= from && at < to && entry.given !== false
+                && !doses.some((dose) => dose.logId && String(dose.logId) === String(entry._id));
+        }).length;
+        return {
+            medicationId: medication._id,
+            name: medication.name,
+            dosage: medication.dosage,
+            asNeeded: enabledTimes(medication).length === 0,
+            ...counts,
+            unscheduledDoses: extraDoses,
+            adherence: percent(counts.given + counts.late, counts.scheduled),
+            onTime: percent(counts.given, counts.scheduled)
+        };
+    });
+    return {
+        from,
+        to,
+        timeZone,
+        medications: rows,
+        overall: {
+            ...totals,
+            adherence: percent(totals.given + totals.late, totals.scheduled),
+            onTime: percent(totals.given, totals.scheduled)
+        }
+    };
+}
+
+function percent(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// A warning when a dose at `timestamp` is too close to another given dose
+function duplicateDoseWarning(medication, timestamp) {
+    const at = toDate(timestamp);
+    const interval = intervalHours(medication);
+    const minIntervalHours = Number.isFinite(medication.minIntervalHours) && medication.minIntervalHours > 0
+        ? medication.minIntervalHours
+        : interval ? Math.round(interval * DUPLICATE_FRACTION * 10) / 10 : null;
+    if (!at || !minIntervalHours) return null;
+
+    const closest = (medication.administrationLog || [])
+        .filter((entry) => entry.given !== false && toDate(entry.timestamp))
+        .map((entry) => ({ entry, hours: Math.abs(at - new Date(entry.timestamp)) / HOUR_MS }))
+        .filter(({ hours }) => hours < minIntervalHours)
+        .sort((a, b) => a.hours - b.hours)[0];
+    if (!closest) return null;
+
+    const hoursApart = Math.round(closest.hours * 10) / 10;
+    return {
+        previousDoseAt: new Date(closest.entry.timestamp),
+        hoursApart,
+        minIntervalHours,
+        message: `${medication.name} was also given ${hoursApart} hours ${new Date(closest.entry.timestamp) <= at ? 'before' : 'after'} this dose; doses should be at least ${minIntervalHours} hours apart. Check the dose with your pediatrician or pharmacist before giving more.`
+    };
+}
+
+// Adds a `medication` alert for each dose missed in the last day that hasn't
+// been alerted yet. Returns the alerts added; the caller saves.
+function syncMedicationAlerts(monitoring, { now = new Date() } = {}) {
+    const timeZone = resolveTimeZone(monitoring.settings?.timezone);
+    const from = new Date(now.getTime() - ALERT_LOOKBACK_HOURS * HOUR_MS);
+    const added = [];
+    for (const medication of monitoring.medications || []) {
+        if (!isActive(medication, now)) continue;
+        const missed = buildSchedule(medication, { from, to: now, now, timeZone })
+            .filter((dose) => dose.status === 'missed');
+        for (const dose of missed) {
+            const alerted = monitoring.alerts.some((alert) => alert.type === 'medication'
+                && alert.data?.kind === 'missed-dose'
+                && String(alert.data.medicationId) === String(medication._id)
+                && new Date(alert.data.scheduledFor).getTime() === dose.scheduledFor.getTime());
+            if (alerted) continue;
+            monitoring.alerts.push({
+                type: 'medication',
+                severity: 'medium',
+                message: `Missed dose: ${medication.name}${medication.dosage ? ` ${medication.dosage}` : ''} was due at ${dose.time}`,
+                data: { kind: 'missed-dose', medicationId: String(medication._id), scheduledFor: dose.scheduledFor }
+            });
+            added.push(monitoring.alerts[monitoring.alerts.length - 1]);
+        }
+    }
+    return added;
+}
+
+// Periodic sweep so missed doses alert even when nobody opens the app
+function startMedicationScheduler(BabyMonitoring, { intervalMs = 5 * 60 * 1000 } = {}) {
+    let running = false;
+    const sweep = async () => {
+        if (running) return 0;
+        running = true;
+        let total = 0;
+        try {
+            const profiles = await BabyMonitoring.find({ 'medications.reminders.enabled': true });
+            for (const monitoring of profiles) {
+                const added = syncMedicationAlerts(monitoring);
+                if (added.length > 0) {
+                    total += added.length;
+                    await monitoring.save();
+                }
+            }
+        } catch (error) {
+            console.error('Medication reminder sweep failed:', error.message);
+        } finally {
+            running = false;
+        }
+        return total;
+    };
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref?.();
+    return { sweep, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+    DEFAULT_GRACE_MINUTES,
+    parseReminderTime,
+    isValidTimeZone,
+    resolveTimeZone,
+    zonedTime,
+    localDayStart,
+    intervalHours,
+    expandDoses,
+    buildSchedule,
+    adherenceReport,
+    duplicateDoseWarning,
+    syncMedicationAlerts,
+    startMedicationScheduler
+};
@@ -0,0 +1,67 @@
+// A minimal text-only PDF writer for printable records: a title, then lines
+// of Courier text, as many pages as needed. Characters outside Latin-1 are
+// replaced with "?" since only the standard fonts are used.
+
+const PAGE_WIDTH = 612; // US Letter, points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const TITLE_SIZE = 14;
+const FONT_SIZE = 9;
+const LEADING = 12;
+
+function escapeText(text) {
+    return String(text)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+}
+
+function pageContent(title, lines, pageNumber, pageCount) {
+    const parts = ['BT', `/F2 ${TITLE_SIZE} Tf`, `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`, `(${escapeText(title)}) Tj`, 'ET'];
+    let y = PAGE_HEIGHT - MARGIN - TITLE_SIZE - LEADING;
+    parts.push('BT', `/F1 ${FONT_SIZE} Tf`, `${LEADING} TL`, `${MARGIN} ${y} Td`);
+    for (const line of lines) {
+        parts.push(`(${escapeText(line)}) Tj T*`);
+        y -= LEADING;
+    }
+    parts.push('ET');
+    parts.push('BT', `/F1 ${FONT_SIZE} Tf`, `${PAGE_WIDTH - MARGIN - 60} ${MARGIN / 2} Td`, `(Page ${pageNumber} of ${pageCount}) Tj`, 'ET');
+    return parts.join('\n');
+}
+
+function renderTextPdf({ title, lines }) {
+    const perPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN - TITLE_SIZE - LEADING) / LEADING);
+    const pages = [];
+    for (let start = 0; start < Math.max(lines.length, 1); start += perPage) {
+        pages.push(lines.slice(start, start + perPage));
+    }
+
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream each
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    pages.forEach((pageLines, index) => {
+        const content = pageContent(title, pageLines, index + 1, pages.length);
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, 'latin1');
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+}
+
+module.exports = { renderTextPdf };
@@ -0,0 +1,206 @@
+const path = require('path');
+const { normalizeItem } = require('./knowledgeBase');
+
+// Weight-based doses of OTC fever and pain medicines for babies, from
+// data/pediatric-dosing.json. Doses are rounded down to 0.1 mL, and checked
+// against the age minimum and against what was given in the last 24 hours.
+// Doses logged without an amount are counted as a full dose.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'pediatric-dosing.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DAYS_PER_MONTH = 30.4375;
+// Babies gain weight fast; an older weight may under-dose
+const STALE_WEIGHT_DAYS = 30;
+
+function validateDrug(drug) {
+    const errors = [];
+    if (!drug.id) errors.push('id is required');
+    if (!drug.name) errors.push('name is required');
+    if (!Array.isArray(drug.aliases)) errors.push('aliases must be an array');
+    for (const field of ['mgPerKg', 'maxDosesPerDay', 'maxMgPerKgPerDay', 'maxSingleDoseMg', 'maxDailyMg']) {
+        if (!(drug[field] > 0)) errors.push(`${field} must be a positive number`);
+    }
+    if (!Array.isArray(drug.intervalHours) || drug.intervalHours.length !== 2) {
+        errors.push('intervalHours must be [min, max]');
+    }
+    if (!Array.isArray(drug.concentrations) || drug.concentrations.length === 0) {
+        errors.push('at least one concentration is required');
+    } else if (drug.concentrations.some((entry) => !entry.id || !(entry.mg > 0) || !(entry.ml > 0))) {
+        errors.push('concentrations need an id, mg and ml');
+    }
+    return errors;
+}
+
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function createDosingTable(data) {
+    const drugs = data.drugs || [];
+    const index = new Map();
+    for (const drug of drugs) {
+        const errors = validateDrug(drug);
+        if (errors.length > 0) {
+            throw new Error(`Invalid dosing table drug "${drug.id}": ${errors.join('; ')}`);
+        }
+        for (const alias of [drug.id, drug.name, ...drug.aliases]) {
+            index.set(normalizeItem(alias), drug);
+        }
+    }
+
+    function resolve(name) {
+        return index.get(normalizeItem(name)) || null;
+    }
+
+    // A medication name such as "Infants' Tylenol" that mentions the drug
+    function matchMedication(name) {
+        const words = ` ${normalizeItem(name)} `;
+        for (const [alias, drug] of index) {
+            if (words.includes(` ${alias} `)) return drug;
+        }
+        return null;
+    }
+
+    return {
+        version: data.version,
+        updatedAt: data.updatedAt,
+        source: data.source,
+        drugs,
+        resolve,
+        matchMedication
+    };
+}
+
+let defaultTable = null;
+
+function getDosingTable() {
+    if (!defaultTable) {
+        defaultTable = createDosingTable(require(DEFAULT_PATH));
+    }
+    return defaultTable;
+}
+
+function tooYoung(drug, ageDays) {
+    if (drug.minAgeWeeks && ageDays < drug.minAgeWeeks * 7) return true;
+    if (drug.minAgeMonths && ageDays / DAYS_PER_MONTH < drug.minAgeMonths) return true;
+    return false;
+}
+
+// mg given in a log entry: doseMg, else a "160 mg" dosage on the medication
+function loggedDoseMg(entry, medication) {
+    if (Number.isFinite(entry.doseMg) && entry.doseMg > 0) return entry.doseMg;
+    const match = /(\d+(?:\.\d+)?)\s*mg\b/i.exec(medication?.dosage || '');
+    return match ? Number(match[1]) : null;
+}
+
+// Given doses of `drug` from every matching medication in the last 24 hours
+function recentDoses(medications, drug, { now = new Date(), table = getDosingTable() } = {}) {
+    const since = now.getTime() - DAY_MS;
+    const doses = [];
+    for (const medication of medications || []) {
+        if (table.matchMedication(medication.name) !== drug) continue;
+        for (const entry of medication.administrationLog || []) {
+            const at = new Date(entry.timestamp);
+            if (entry.given === false || Number.isNaN(at.getTime())) continue;
+            if (at.getTime() < since || at > now) continue;
+            doses.push({ at, mg: loggedDoseMg(entry, medication), medication: medication.name });
+        }
+    }
+    return doses.sort((a, b) => a.at - b.at);
+}
+
+function calculateDose({
+    drug,
+    concentration,
+    weightKg,
+    weighedAt = null,
+    ageDays,
+    doses = [],
+    now = new Date()
+}) {
+    const form = concentration
+        ? drug.concentrations.find((entry) => entry.id === concentration)
+        : drug.concentrations[0];
+    if (!form) {
+        throw new Error(`concentration must be one of ${drug.concentrations.map((entry) => entry.id).join(', ')}`);
+    }
+
+    const result = {
+        drug: drug.id,
+        name: drug.name,
+        concentration: { id: form.id, label: form.label, mgPerMl: round(form.mg / form.ml, 2) },
+        weightKg: round(weightKg, 2),
+        weighedAt,
+        allowed: true,
+        reason: null,
+        dose: null,
+        last24h: null,
+        canGiveNow: false,
+        warnings: []
+    };
+
+    if (tooYoung(drug, ageDays)) {
+        return { ...result, allowed: false, reason: drug.minAgeReason };
+    }
+
+    const mgPerMl = form.mg / form.ml;
+    const targetMg = Math.min(weightKg * drug.mgPerKg, drug.maxSingleDoseMg);
+    const ml = Math.floor((targetMg / mgPerMl) * 10) / 10;
+    const mg = round(ml * mgPerMl);
+    const maxDailyMg = round(Math.min(weightKg * drug.maxMgPerKgPerDay, drug.maxDailyMg));
+    result.dose = {
+        mg,
+        ml,
+        mgPerKg: round(mg / weightKg),
+        everyHours: drug.intervalHours,
+        maxDosesPerDay: drug.maxDosesPerDay,
+        maxDailyMg
+    };
+
+    const unknownAmounts = doses.filter((entry) => entry.mg === null).length;
+    const givenMg = doses.reduce((total, entry) => total + (entry.mg ?? mg), 0);
+    const lastDose = doses[doses.length - 1] || null;
+    const nextDoseAt = lastDose ? new Date(lastDose.at.getTime() + drug.intervalHours[0] * HOUR_MS) : null;
+    result.last24h = {
+        doses: doses.length,
+        mg: round(givenMg),
+        unknownAmounts,
+        remainingMg: round(Math.max(0, maxDailyMg - givenMg)),
+        lastDoseAt: lastDose ? lastDose.at : null,
+        nextDoseAt
+    };
+
+    const blockers = [];
+    if (doses.length >= drug.maxDosesPerDay) {
+        blockers.push(`${doses.length} doses of ${drug.name.toLowerCase()} were already given in the last 24 hours, the most allowed. Do not give another dose.`);
+    } else if (givenMg + mg > maxDailyMg) {
+        blockers.push(`Another ${mg} mg would go over the ${maxDailyMg} mg limit for 24 hours. Do not give another dose.`);
+    }
+    if (nextDoseAt && nextDoseAt > now) {
+        const hours = round((now - lastDose.at) / HOUR_MS);
+        blockers.push(`The last dose was ${hours} hours ago. Wait until ${nextDoseAt.toISOString()} (${drug.intervalHours[0]} hours after it).`);
+    }
+    result.canGiveNow = blockers.length === 0;
+    result.warnings.push(...blockers);
+
+    if (unknownAmounts > 0) {
+        result.warnings.push(`${unknownAmounts} recent dose${unknownAmounts === 1 ? ' has' : 's have'} no amount recorded and ${unknownAmounts === 1 ? 'was' : 'were'} counted as a full ${mg} mg dose.`);
+    }
+    if (weighedAt && (now - new Date(weighedAt)) / DAY_MS > STALE_WEIGHT_DAYS) {
+        result.warnings.push(`The last weight was recorded more than ${STALE_WEIGHT_DAYS} days ago. Weigh your baby again for an accurate dose.`);
+    }
+    if (targetMg === drug.maxSingleDoseMg) {
+        result.warnings.push(`Capped at the ${drug.maxSingleDoseMg} mg maximum single dose.`);
+    }
+    return result;
+}
+
+module.exports = {
+    STALE_WEIGHT_DAYS,
+    createDosingTable,
+    getDosingTable,
+    recentDoses,
+    calculateDose
+};
@@ -0,0 +1,160 @@
+// Pregnancy timeline from the profile's due date or last menstrual period
+// (LMP). Gestational age counts from the LMP, which is 280 days before the
+// due date. All dates are calendar dates (YYYY-MM-DD) compared in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280;
+// Past this point the pregnancy has ended and the dates are stale
+const MAX_GESTATION_DAYS = 44 * 7;
+
+const MILESTONES = [
+    { week: 6, title: 'Heartbeat often visible on ultrasound' },
+    { week: 12, title: 'Miscarriage risk drops considerably' },
+    { week: 14, title: 'Second trimester begins' },
+    { week: 18, title: 'First movements often felt' },
+    { week: 24, title: 'Viability milestone' },
+    { week: 28, title: 'Third trimester begins' },
+    { week: 37, title: 'Early term' },
+    { week: 39, title: 'Full term' },
+    { week: 40, title: 'Due date' },
+    { week: 41, title: 'Late term' },
+    { week: 42, title: 'Post term' }
+];
+
+// Windows run from the start of startWeek to the end of endWeek
+const SCREENINGS = [
+    { id: 'nipt', name: 'Cell-free DNA screening (NIPT)', startWeek: 10, endWeek: 13, note: 'Optional blood test for chromosomal conditions; can be done later but is usually offered in the first trimester.' },
+    { id: 'nt-scan', name: 'Nuchal translucency (NT) scan', startWeek: 11, endWeek: 13, note: 'Ultrasound measurement that is only possible in this window.' },
+    { id: 'anatomy-scan', name: 'Anatomy ultrasound', startWeek: 18, endWeek: 22 },
+    { id: 'glucose-test', name: 'Glucose screening for gestational diabetes', startWeek: 24, endWeek: 28 },
+    { id: 'tdap', name: 'Tdap vaccine', startWeek: 27, endWeek: 36, note: 'Earlier in the window gives the baby the most antibodies.' },
+    { id: 'rh-immunoglobulin', name: 'Rh immunoglobulin', startWeek: 28, endWeek: 28, condition: 'rh-negative' },
+    { id: 'gbs', name: 'Group B strep (GBS) swab', startWeek: 36, endWeek: 37 }
+];
+
+// Accepts YYYY-MM-DD or a full ISO timestamp; returns a UTC midnight Date or null
+function parseDate(value) {
+    if (!value) return null;
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function startOfDay(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function trimesterFor(totalDays) {
+    if (totalDays < 14 * 7) return 'first';
+    if (totalDays < 28 * 7) return 'second';
+    return 'third';
+}
+
+// Returns an error message, or null when the dates are usable. A due date
+// wins over an LMP when both are given.
+function validatePregnancyDates({ dueDate, lmp } = {}, { now = new Date() } = {}) {
+    const today = startOfDay(now);
+    if (dueDate) {
+        const due = parseDate(dueDate);
+        if (!due) return 'dueDate must be a date (YYYY-MM-DD)';
+        if (due > addDays(today, PREGNANCY_DAYS)) return 'dueDate is more than 40 weeks away';
+        return null;
+    }
+    if (lmp) {
+        const start = parseDate(lmp);
+        if (!start) return 'lmp must be a date (YYYY-MM-DD)';
+        if (start > today) return 'lmp cannot be in the future';
+    }
+    return null;
+}
+
+// Null when the profile has no usable date
+function computeTimeline(profile = {}, { now = new Date() } = {}) {
+    const due = parseDate(profile.dueDate);
+    const lmpDate = due ? addDays(due, -PREGNANCY_DAYS) : parseDate(profile.lmp);
+    if (!lmpDate) return null;
+
+    const dueDate = due || addDays(lmpDate, PREGNANCY_DAYS);
+    const today = startOfDay(now);
+    const totalDays = Math.round((today - lmpDate) / DAY_MS);
+    if (totalDays < 0) return null;
+
+    const weeks = Math.floor(totalDays / 7);
+    const days = totalDays % 7;
+    let status = 'pregnant';
+    if (totalDays > MAX_GESTATION_DAYS) {
+        status = 'ended';
+    } else if (totalDays > PREGNANCY_DAYS) {
+        status = 'overdue';
+    }
+
+    const conditions = profile.conditions || {};
+    const hasCondition = (key) => Array.isArray(conditions) ? conditions.includes(key) : conditions[key] === true;
+    const milestones = MILESTONES.map((milestone) => ({
+        ...milestone,
+        date: formatDate(addDays(lmpDate, milestone.week * 7)),
+        reached: totalDays >= milestone.week * 7
+    }));
+    const screenings = SCREENINGS
+        .filter((screening) => !screening.condition || hasCondition(screening.condition))
+        .map(({ condition, ...screening }) => {
+            const start = screening.startWeek * 7;
+            const end = screening.endWeek * 7 + 6;
+            let windowStatus = 'open';
+            if (totalDays < start) windowStatus = 'upcoming';
+            else if (totalDays > end) windowStatus = 'past';
+            return {
+                ...screening,
+                startDate: formatDate(addDays(lmpDate, start)),
+                endDate: formatDate(addDays(lmpDate, end)),
+                status: windowStatus
+            };
+        });
+
+    return {
+        basis: due ? 'dueDate' : 'lmp',
+        dueDate: formatDate(dueDate),
+        lmp: formatDate(lmpDate),
+        status,
+        gestationalAge: { weeks, days, totalDays, label: `${weeks}w ${days}d` },
+        trimester: trimesterFor(totalDays),
+        daysUntilDue: Math.round((dueDate - today) / DAY_MS),
+        progress: Math.min(100, Math.round((totalDays / PREGNANCY_DAYS) * 100)),
+        milestones,
+        nextMilestone: milestones.find((milestone) => !milestone.reached) || null,
+        screenings
+    };
+}
+
+// Completed weeks from the profile's due date or LMP, or null when there is
+// no date or the pregnancy has ended
+function currentGestationalWeek(profile, { now = new Date() } = {}) {
+    const timeline = computeTimeline(profile, { now });
+    return timeline && timeline.status !== 'ended' ? timeline.gestationalAge.weeks : null;
+}
+
+// One line for prompts, e.g. "24 weeks 3 days pregnant (second trimester)"
+function describeGestationalAge(timeline) {
+    const { weeks, days } = timeline.gestationalAge;
+    const dayText = days === 1 ? '1 day' : `${days} days`;
+    return `${weeks} weeks ${dayText} pregnant (${timeline.trimester} trimester)`;
+}
+
+module.exports = {
+    PREGNANCY_DAYS,
+    parseDate,
+    validatePregnancyDates,
+    computeTimeline,
+    currentGestationalWeek,
+    describeGestationalAge
+};
@@ -0,0 +1,75 @@
+const path = require('path');
+const { PRODUCT_CATEGORIES } = require('./ingredients');
+
+// Local catalog of packaged foods and cosmetics keyed by barcode
+// (data/product-catalog.json). UPC-A, EAN-8, EAN-13 and GTIN-14 codes are
+// all stored and looked up as GTIN-14 so the same product matches however
+// the scanner reports it.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'product-catalog.json');
+const CODE_LENGTHS = [8, 12, 13, 14];
+
+function hasValidCheckDigit(digits) {
+    let total = 0;
+    for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+        total += Number(digits[i]) * weight;
+    }
+    return (10 - (total % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// Returns the GTIN-14 form of a barcode, or null when it is not a valid code
+function normalizeBarcode(code) {
+    const digits = String(code || '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits) || !CODE_LENGTHS.includes(digits.length)) return null;
+    if (!hasValidCheckDigit(digits)) return null;
+    return digits.padStart(14, '0');
+}
+
+function createProductCatalog(data) {
+    const products = data.products || [];
+    const index = new Map();
+
+    for (const product of products) {
+        const gtin = normalizeBarcode(product.code);
+        if (!gtin) {
+            throw new Error(`Product catalog code "${product.code}" is not a valid UPC/EAN`);
+        }
+        if (!PRODUCT_CATEGORIES.includes(product.category)) {
+            throw new Error(`Product "${product.code}" category must be one of ${PRODUCT_CATEGORIES.join(', ')}`);
+        }
+        if (!Array.isArray(product.ingredients) || product.ingredients.length === 0) {
+            throw new Error(`Product "${product.code}" needs an ingredient list`);
+        }
+        if (index.has(gtin)) {
+            throw new Error(`Product catalog code "${product.code}" is listed twice`);
+        }
+        index.set(gtin, product);
+    }
+
+    function lookup(code) {
+        const gtin = normalizeBarcode(code);
+        return gtin ? index.get(gtin) || null : null;
+    }
+
+    return {
+        version: data.version,
+        updatedAt: data.updatedAt,
+        size: products.length,
+        lookup
+    };
+}
+
+let defaultCatalog = null;
+
+function getProductCatalog() {
+    if (!defaultCatalog) {
+        defaultCatalog = createProductCatalog(require(DEFAULT_PATH));
+    }
+    return defaultCatalog;
+}
+
+module.exports = {
+    normalizeBarcode,
+    createProductCatalog,
+    getProductCatalog
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { SCHEMA_VERSION } = require('./assessmentSchema');
+const { normalizeItem } = require('./knowledgeBase');
+const { currentGestationalWeek } = require('./pregnancyTimeline');
+const { activeKeys, buildPreferenceContext } = require('./safetyAssessment');
+
+// Cache for AI safety answers shared across serverless instances. Two
+// backends with the same async interface: 'mongo' (default when MONGODB_URI
+// is set) and 'memory'. Cache failures are logged and treated as misses so a
+// cache outage never breaks a safety check.
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const DEFAULTS = {
+    ttlMs: readInt(process.env.RESPONSE_CACHE_TTL_MS, 24 * 60 * 60 * 1000),
+    maxEntries: readInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 5000),
+    maxEntryBytes: readInt(process.env.RESPONSE_CACHE_MAX_ENTRY_BYTES, 32 * 1024)
+};
+
+// Everything that goes into the prompt: two users only share an entry when
+// the model would have been asked the same question. The prompt gives the
+// gestational age to the day, but the key only uses the week (or the picked
+// trimester) so entries aren't invalidated every day.
+function pregnancyStageKey(userProfile) {
+    const week = currentGestationalWeek(userProfile);
+    if (week !== null) return `week-${week}`;
+    return userProfile.trimester || null;
+}
+
+function buildCacheKey({ item, userProfile = {}, includeBreastfeeding = false }) {
+    const normalizedItem = normalizeItem(item);
+    const factors = {
+        schemaVersion: SCHEMA_VERSION,
+        item: normalizedItem,
+        pregnancyStage: pregnancyStageKey(userProfile),
+        conditions: activeKeys(userProfile.conditions).sort(),
+        allergies: activeKeys(userProfile.allergies).sort(),
+        advancedMaternalAge: parseInt(userProfile.age, 10) >= 35,
+        preferences: buildPreferenceContext(userProfile.preferences),
+        dual: !!includeBreastfeeding
+    };
+    const digest = crypto.createHash('sha256').update(JSON.stringify(factors)).digest('hex').slice(0, 32);
+    return { key: `safety:${digest}`, item: normalizedItem };
+}
+
+function createMetrics(backend) {
+    const counters = { hits: 0, misses: 0, sets: 0, skipped: 0, evictions: 0, errors: 0 };
+    return {
+        counters,
+        snapshot(extra = {}) {
+            const lookups = counters.hits + counters.misses;
+            return {
+                backend,
+                ...counters,
+                hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+                ...extra
+            };
+        }
+    };
+}
+
+function createMemoryCache(options = {}) {
+    const { ttlMs, maxEntries, maxEntryBytes } = { ...DEFAULTS, ...options };
+    const entries = new Map();
+    const metrics = createMetrics('memory');
+
+    async function get({ key }) {
+        const entry = entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) entries.delete(key);
+            metrics.counters.misses++;
+            return null;
+        }
+        // Re-insert so Map order doubles as least-recently-used order
+        entries.delete(key);
+        entries.set(key, entry);
+        metrics.counters.hits++;
+        return entry.data;
+    }
+
+    async function set({ key, item }, data) {
+        const size = Buffer.byteLength(JSON.stringify(data));
+        if (size > maxEntryBytes) {
+            metrics.counters.skipped++;
+            return false;
+        }
+        entries.delete(key);
+        entries.set(key, { item, data, expiresAt: Date.now() + ttlMs });
+        metrics.counters.sets++;
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            metrics.counters.evictions++;
+        }
+        return true;
+    }
+
+    async function purge({ item } = {}) {
+        if (!item) {
+            const removed = entries.size;
+            entries.clear();
+            return removed;
+        }
+        const target = normalizeItem(item);
+        let removed = 0;
+        for (const [key, entry] of entries) {
+            if (entry.item === target) {
+                entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async function stats() {
+        return metrics.snapshot({ entries: entries.size, maxEntries, maxEntryBytes, ttlMs });
+    }
+
+    return { backend: 'memory', get, set, purge, stats };
+}
+
+function createMongoCache(options = {}) {
+    const { ttlMs, maxEntries, maxEntryBytes } = { ...DEFAULTS, ...options };
+    const Model = options.model || require('../models/ResponseCache');
+    const metrics = createMetrics('mongo');
+
+    function recordError(action, error) {
+        metrics.counters.errors++;
+        console.error(`⚠️ Response cache ${action} failed:`, error.message);
+    }
+
+    async function get({ key }) {
+        try {
+            const entry = await Model.findOneAndUpdate(
+                { key, expiresAt: { $gt: new Date() } },
+                { $inc: { hits: 1 } },
+                { new: true }
+            ).lean();
+            if (!entry) {
+                metrics.counters.misses++;
+                return null;
+            }
+            metrics.counters.hits++;
+            return entry.data;
+        } catch (error) {
+            recordError('read', error);
+            metrics.counters.misses++;
+            return null;
+        }
+    }
+
+    // Oldest entries go first once the collection grows past maxEntries
+    async function trim() {
+        const count = await Model.estimatedDocumentCount();
+        if (count <= maxEntries) return;
+        const oldest = await Model.find({}, { _id: 1 }).sort({ createdAt: 1 }).limit(count - maxEntries).lean();
+        const result = await Model.deleteMany({ _id: { $in: oldest.map((doc) => doc._id) } });
+        metrics.counters.evictions += result.deletedCount || 0;
+    }
+
+    async function set({ key, item }, data) {
+        const size = Buffer.byteLength(JSON.stringify(data));
+        if (size > maxEntryBytes) {
+            metrics.counters.skipped++;
+            return false;
+        }
+        try {
+            const now = new Date();
+            await Model.updateOne(
+                { key },
+                { $set: { item, data, size, createdAt: now, expiresAt: new Date(now.getTime() + ttlMs) }, $setOnInsert: { hits: 0 } },
+                { upsert: true }
+            );
+            metrics.counters.sets++;
+            await trim();
+            return true;
+        } catch (error) {
+            recordError('write', error);
+            return false;
+        }
+    }
+
+    async function purge({ item } = {}) {
+        const result = await Model.deleteMany(item ? { item: normalizeItem(item) } : {});
+        return result.deletedCount || 0;
+    }
+
+    async function stats() {
+        let entries = null;
+        try {
+            entries = await Model.estimatedDocumentCount();
+        } catch (error) {
+            recordError('stats', error);
+        }
+        return metrics.snapshot({ entries, maxEntries, maxEntryBytes, ttlMs });
+    }
+
+    return { backend: 'mongo', get, set, purge, stats };
+}
+
+function createResponseCache(backend = process.env.RESPONSE_CACHE_BACKEND, options = {}) {
+    const hasMongo = !!(process.env.MONGODB_URI || process.env.mongodb_uri);
+    const selected = (backend || (hasMongo ? 'mongo' : 'memory')).toLowerCase();
+
+    switch (selected) {
+        case 'mongo':
+            return createMongoCache(options);
+        case 'memory':
+            return createMemoryCache(options);
+        default:
+            throw new Error(`Unknown response cache backend: ${selected}`);
+    }
+}
+
+let activeCache = null;
+
+function getResponseCache() {
+    if (!activeCache) {
+        activeCache = createResponseCache();
+    }
+    return activeCache;
+}
+
+// Swap the process-wide cache (tests)
+function setResponseCache(cache) {
+    activeCache = cache;
+}
+
+module.exports = {
+    buildCacheKey,
+    createMemoryCache,
+    createMongoCache,
+    createResponseCache,
+    getResponseCache,
+    setResponseCache
+};
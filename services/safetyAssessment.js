@@ -0,0 +1,714 @@
+const { getProvider } = require('./llm');
+const {
+    SCHEMA_VERSION,
+    buildSchemaPrompt,
+    parseAssessment,
+    parseComparison,
+    parseInteractionReport,
+    parseIngredientReport
+} = require('./assessmentSchema');
+const { getKnowledgeBase } = require('./knowledgeBase');
+const { computeTimeline, describeGestationalAge } = require('./pregnancyTimeline');
+const { getIngredientRules } = require('./ingredients');
+
+// Single entry point for every AI-backed safety assessment. Route handlers
+// describe *what* they want assessed; prompt wording and the provider call
+// live here so models or vendors can change without touching the routes.
+
+const CONDITION_LABELS = {
+    'gestational-diabetes': 'gestational diabetes',
+    'preeclampsia': 'preeclampsia/high blood pressure',
+    'anemia': 'anemia',
+    'thyroid': 'thyroid disorders',
+    'placenta-previa': 'placenta previa',
+    'hyperemesis': 'hyperemesis gravidarum',
+    'rh-negative': 'Rh negative blood type',
+    'multiples': 'multiple pregnancy (twins/triplets)'
+};
+
+const ALLERGY_LABELS = {
+    'peanuts': 'peanut allergy',
+    'tree-nuts': 'tree nut allergy',
+    'milk': 'milk/dairy allergy',
+    'eggs': 'egg allergy',
+    'soy': 'soy allergy',
+    'wheat': 'wheat allergy',
+    'shellfish': 'shellfish allergy',
+    'fish': 'fish allergy',
+    'sesame': 'sesame allergy',
+    'latex': 'latex allergy',
+    'penicillin': 'penicillin allergy',
+    'aspirin': 'aspirin/NSAID allergy',
+    'sulfa': 'sulfa drug allergy',
+    'iodine': 'iodine/contrast dye allergy',
+    'bee-stings': 'bee/wasp sting allergy',
+    'pollen': 'pollen/hay fever',
+    'dust-mites': 'dust mite allergy',
+    'pet-dander': 'pet dander allergy',
+    'mold': 'mold allergy',
+    'nickel': 'nickel/metal allergy'
+};
+
+const RISK_GUIDELINES = `- 1-2: Very safe (walking, prenatal vitamins)
+- 3-4: Generally safe (moderate exercise, most cooked foods)
+- 5: Requires judgment (hair dye, hot baths)
+- 6-7: Use caution (some medications, certain exercises)
+- 8-9: High risk/Avoid (raw fish/sushi, soft cheeses, roller coasters, alcohol)
+- 10: Extremely dangerous (certain drugs, extreme activities)
+
+Common high-risk items (7+): ${getKnowledgeBase().listNames({ minScore: 7 }).join(', ')}.`;
+
+// Profiles hold these as { key: true } maps or, from the web app, arrays of keys
+function activeKeys(map) {
+    if (Array.isArray(map)) return map.filter((key) => typeof key === 'string');
+    return Object.entries(map || {})
+        .filter(([, value]) => value === true)
+        .map(([key]) => key);
+}
+
+// Exact gestational age when the profile has a due date or LMP, otherwise
+// the trimester the user picked
+function describePregnancyStage(userProfile = {}) {
+    const timeline = computeTimeline(userProfile);
+    if (timeline && timeline.status !== 'ended') {
+        return `Currently ${describeGestationalAge(timeline)}.`;
+    }
+    return userProfile.trimester ? `Currently in ${userProfile.trimester} trimester.` : '';
+}
+
+function buildProfileContext(userProfile = {}) {
+    let contextInfo = '';
+
+    const conditions = activeKeys(userProfile.conditions).map((key) => CONDITION_LABELS[key] || key);
+    if (conditions.length > 0) {
+        contextInfo += `\nPatient has: ${conditions.join(', ')}.`;
+    }
+
+    const allergies = activeKeys(userProfile.allergies).map((key) => ALLERGY_LABELS[key] || key);
+    if (allergies.length > 0) {
+        contextInfo += `\nPatient has allergies: ${allergies.join(', ')}.`;
+    }
+
+    const stage = describePregnancyStage(userProfile);
+    if (stage) {
+        contextInfo += `\n${stage}`;
+    }
+
+    if (userProfile.age && parseInt(userProfile.age) >= 35) {
+        contextInfo += `\nAdvanced maternal age (${userProfile.age}).`;
+    }
+
+    return contextInfo;
+}
+
+// What a curated knowledge base answer can't account for: an allergy the
+// item or entry names, or any listed condition, since entries are written
+// for an uncomplicated pregnancy. Empty when the answer applies as is.
+function profileConcerns(entry, { item, userProfile = {} } = {}) {
+    const names = [item, entry.name, ...(entry.aliases || [])];
+    const allergens = getIngredientRules().matchAllergens(names, activeKeys(userProfile.allergies));
+    const concerns = allergens.map((allergen) => `Your profile lists a ${ALLERGY_LABELS[allergen.key] || allergen.name.toLowerCase()}.`);
+    for (const key of activeKeys(userProfile.conditions)) {
+        concerns.push(`Your profile lists ${CONDITION_LABELS[key] || key}, which this general answer doesn't account for.`);
+    }
+    return concerns;
+}
+
+// Detailed reports always ask for comprehensive answers regardless of the brief/detailed preference
+function buildPreferenceContext(prefs, { detailed = false } = {}) {
+    if (!prefs) return '';
+    let preferenceContext = '';
+
+    if (prefs.measurementSystem === 'metric') {
+        preferenceContext += '\nUse metric units (kg, °C, ml, cm).';
+    } else {
+        preferenceContext += '\nUse imperial units (lbs, °F, cups, inches).';
+    }
+
+    if (prefs.caffeineMeasurement === 'milligrams') {
+        preferenceContext += '\nFor caffeine, use milligrams (e.g., "200mg limit" instead of "1-2 cups").';
+    } else {
+        preferenceContext += '\nFor caffeine, use cups/servings (e.g., "1-2 cups" instead of mg amounts).';
+    }
+
+    if (prefs.temperatureUnit === 'celsius') {
+        preferenceContext += '\nUse Celsius for temperatures.';
+    } else {
+        preferenceContext += '\nUse Fahrenheit for temperatures.';
+    }
+
+    if (detailed) {
+        preferenceContext += '\nProvide comprehensive, detailed explanations with specific medical information.';
+    } else if (prefs.detailLevel === 'detailed') {
+        preferenceContext += '\nProvide comprehensive explanations with detailed medical information.';
+    } else {
+        preferenceContext += '\nKeep explanations brief and to the point.';
+    }
+
+    if (prefs.languageStyle === 'scientific') {
+        preferenceContext += '\nUse medical terminology and scientific language.';
+    } else if (detailed) {
+        preferenceContext += '\nUse clear, understandable language while being comprehensive.';
+    } else {
+        preferenceContext += '\nUse simple, easy-to-understand language.';
+    }
+
+    if (prefs.riskStyle === 'reassuring') {
+        preferenceContext += detailed
+            ? '\nEmphasize what is safe and provide reassuring information where appropriate.'
+            : '\nEmphasize what is safe and reassuring where appropriate.';
+    } else if (prefs.riskStyle === 'cautious') {
+        preferenceContext += detailed
+            ? '\nEmphasize potential risks and provide thorough cautions.'
+            : '\nEmphasize potential risks and err on the side of caution.';
+    } else {
+        preferenceContext += detailed
+            ? '\nPresent both risks and benefits in a balanced, detailed way.'
+            : '\nPresent risks and benefits in a balanced way.';
+    }
+
+    return preferenceContext;
+}
+
+function describeBabyAge(babyAgeMonths) {
+    if (babyAgeMonths === null || babyAgeMonths === undefined) {
+        return '';
+    }
+    if (babyAgeMonths < 1) {
+        return 'newborn (less than 1 month old)';
+    }
+    if (babyAgeMonths < 6) {
+        return `${babyAgeMonths} month${babyAgeMonths > 1 ? 's' : ''} old infant`;
+    }
+    if (babyAgeMonths < 12) {
+        return `${babyAgeMonths} month old baby`;
+    }
+    const years = Math.floor(babyAgeMonths / 12);
+    return `${years} year${years > 1 ? 's' : ''} old toddler`;
+}
+
+const REPAIR_ATTEMPTS = 1;
+
+function buildRepairPrompt(errors) {
+    return `Your previous reply did not match the required JSON schema (version ${SCHEMA_VERSION}):
+${errors.map((error) => `- ${error}`).join('\n')}
+Reply again with ONLY the corrected JSON object. No markdown, no commentary.`;
+}
+
+// Calls the model, validates the reply with `parse`, and on failure asks the
+// model to repair its own output. Never invents values: if the reply still
+// does not validate the result comes back with status 'unparsed'.
+async function requestStructured(call, parse) {
+    let history = [];
+    let reply = null;
+    let parsed = null;
+
+    for (let attempt = 0; attempt <= REPAIR_ATTEMPTS; attempt++) {
+        reply = await call(history);
+        parsed = parse(reply.content);
+        if (parsed.errors.length === 0) {
+            return { ...parsed, status: attempt === 0 ? 'valid' : 'repaired', raw: reply.content, model: reply.model };
+        }
+
+        console.warn(`⚠️ Assessment failed schema validation (attempt ${attempt + 1}):`, parsed.errors.join('; '));
+        history = [
+            { role: 'assistant', content: reply.content },
+            { role: 'user', content: buildRepairPrompt(parsed.errors) }
+        ];
+    }
+
+    return { ...parsed, status: 'unparsed', raw: reply.content, model: reply.model };
+}
+
+function isConfigured() {
+    return getProvider().isConfigured();
+}
+
+function getProviderName() {
+    return getProvider().name;
+}
+
+async function assessItem({ item, userProfile = {}, includeBreastfeeding = false }) {
+    const contextInfo = buildProfileContext(userProfile);
+    const preferenceContext = buildPreferenceContext(userProfile.preferences);
+
+    const prompt = includeBreastfeeding
+        ? `Provide a concise, dual safety assessment of "${item}" for both pregnancy and breastfeeding.${contextInfo}${preferenceContext}
+Give risk scores 1-10 (1=safest, 10=most dangerous). The top-level fields describe pregnancy; the "breastfeeding" block describes breastfeeding.`
+        : `Is "${item}" safe during pregnancy? ${contextInfo}${preferenceContext}
+Give risk score 1-10 (1=safest, 10=most dangerous). Consider any mentioned conditions. Follow user preferences for units and communication style. Tips should be 2-3 short practical tips specific to the patient's conditions if applicable.`;
+
+    const messages = [
+        {
+            role: 'system',
+            content: `You are a medical expert specializing in pregnancy safety. CRITICAL: Accurately assess risk levels.
+
+Risk Score Guidelines (1-10 scale):
+${RISK_GUIDELINES}
+Be accurate and evidence-based. Consider patient-specific conditions.`
+        },
+        {
+            role: 'user',
+            content: `${prompt}
+
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape:
+${buildSchemaPrompt({ includeBreastfeeding })}`
+        }
+    ];
+
+    return requestStructured(
+        (history) => getProvider().chat({
+            messages: [...messages, ...history],
+            temperature: 0.1,
+            maxTokens: includeBreastfeeding ? 600 : 400
+        }),
+        (text) => parseAssessment(text, { requireBreastfeeding: includeBreastfeeding })
+    );
+}
+
+// Streams through onToken when the caller wants progressive output
+function complete(request, { onToken, signal } = {}) {
+    return onToken
+        ? getProvider().stream({ ...request, onToken, signal })
+        : getProvider().chat(request);
+}
+
+async function assessItemDetailed({ item, userProfile = {}, onToken, signal }) {
+    const contextInfo = buildProfileContext(userProfile);
+    const preferenceContext = buildPreferenceContext(userProfile.preferences, { detailed: true });
+
+    const prompt = `Provide a comprehensive, detailed analysis of "${item}" during pregnancy. ${contextInfo}${preferenceContext}
+Start your response with EXACTLY TWO header lines:
+RISK_SCORE: [1-10]
+SAFETY: [Safe/Caution/Avoid]
+
+Then a blank line followed by the full answer formatted using ONLY HTML tags (h3, p, ul, li, strong). Do NOT use markdown symbols like *, **, or #.
+
+Please provide a thorough examination including these HTML sections:
+
+<h3>Safety Overview</h3>
+<p>Detailed safety assessment and risk level</p>
+
+<h3>Trimester Considerations</h3>
+<p>How safety/recommendations change by trimester</p>
+
+<h3>Dosage/Amount Guidelines</h3>
+<p>Specific limits and recommendations if applicable</p>
+
+<h3>Medical Mechanisms</h3>
+<p>How this affects pregnancy and fetal development</p>
+
+<h3>Special Circumstances</h3>
+<p>Considerations for high-risk pregnancies or specific conditions</p>
+
+<h3>Practical Guidelines</h3>
+<ul><li>Detailed practical advice and alternatives</li></ul>
+
+<h3>Warning Signs</h3>
+<ul><li>What symptoms to watch for</li></ul>
+
+<h3>Healthcare Consultation</h3>
+<p>When to contact healthcare providers</p>
+
+Be comprehensive and evidence-based. Address any specific conditions mentioned.`;
+
+    return complete({
+        messages: [
+            {
+                role: 'system',
+                content: `You are a comprehensive pregnancy health expert providing detailed, evidence-based information.
+
+CRITICAL Risk Score Guidelines (1-10):
+${RISK_GUIDELINES}
+
+Give thorough, well-structured responses with specific medical guidance. Do NOT include ANY instructions, reasoning, formatting notes, or meta-commentary in your output. Start DIRECTLY with the two header lines, followed by a blank line, then ONLY the HTML-formatted content using h3, p, ul, li, strong tags. Do NOT use markdown or any other text.`
+            },
+            { role: 'user', content: prompt }
+        ],
+        temperature: 0.2,
+        maxTokens: 800,
+        timeout: 45000
+    }, { onToken, signal });
+}
+
+async function assessImage({ image, userProfile = {} }) {
+    const stage = describePregnancyStage(userProfile);
+
+    return requestStructured(
+        (history) => getProvider().vision({
+            system: `You are a medical expert analyzing images for pregnancy safety. Look at the image carefully, identify what you see, and provide a specific safety assessment.
+
+CRITICAL Risk Score Guidelines (1-10):
+${RISK_GUIDELINES}
+Be accurate based on what you see in the image.`,
+            prompt: `Look at this image carefully. Identify what item, food, product, or activity is shown. Then assess its safety during pregnancy.${stage ? ` ${stage}` : ''}
+Use "item" for what you see, "why" for a brief description of the image and why it is safe/caution/avoid for pregnancy, and "tips" for specific practical tips based on what's in the image.
+
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape:
+${buildSchemaPrompt()}`,
+            image,
+            history,
+            temperature: 0.3,
+            maxTokens: 500
+        }),
+        (text) => parseAssessment(text)
+    );
+}
+
+async function assessImageDetailed({ image, userProfile = {} }) {
+    let contextInfo = '';
+    const stage = describePregnancyStage(userProfile);
+    if (stage) {
+        contextInfo += `\n${stage}`;
+    }
+    if (activeKeys(userProfile.conditions).length > 0) {
+        contextInfo += `\nPatient has specific medical conditions that may affect recommendations.`;
+    }
+
+    return getProvider().vision({
+        system: `You are a comprehensive medical expert analyzing images for detailed pregnancy safety assessment. First identify what you see in the image, then provide thorough, evidence-based analysis.
+
+CRITICAL Risk Score Guidelines (1-10):
+${RISK_GUIDELINES}
+
+Format your response using HTML tags only (h3, p, ul, li, strong) - do NOT use markdown (no *, #, or ** symbols).`,
+        prompt: `Look at this image carefully and identify what is shown. Then provide a comprehensive analysis regarding pregnancy safety. ${contextInfo}
+
+Format your response using HTML tags. Include these sections:
+
+<h3>Item Identification</h3>
+<p>What you see in the image</p>
+
+<h3>Detailed Safety Assessment</h3>
+<p>Comprehensive safety evaluation</p>
+
+<h3>Specific Risks/Benefits</h3>
+<p>Detailed explanation of any risks or benefits</p>
+
+<h3>Trimester Considerations</h3>
+<p>How recommendations might vary by pregnancy stage</p>
+
+<h3>Usage Guidelines</h3>
+<ul>
+<li>Specific recommendations for safe use if applicable</li>
+</ul>
+
+<h3>Alternatives</h3>
+<p>Safer alternatives if the item should be avoided</p>
+
+<h3>Medical Considerations</h3>
+<p>How this relates to pregnancy health</p>
+
+<h3>When to Consult a Doctor</h3>
+<ul>
+<li>Specific situations requiring medical consultation</li>
+</ul>
+
+Be thorough and evidence-based. Use ONLY HTML tags (h3, p, ul, li, strong). Do NOT use markdown symbols like *, **, or #.`,
+        image,
+        temperature: 0.2,
+        maxTokens: 800
+    });
+}
+
+async function analyzeLogEntry({ text, userProfile = {}, onToken, signal }) {
+    const stage = describePregnancyStage(userProfile);
+    const prompt = `Analyze this pregnancy log entry and provide detailed health insights:
+
+Entry: "${text}"${stage ? `\n${stage}` : ''}
+
+Please provide:
+1. Health Assessment - What this might indicate about the pregnancy
+2. Important Observations - Key things to note
+3. Recommendations - What actions to consider
+4. When to Contact Doctor - Any concerning signs
+
+Format as HTML with clear sections and bullet points.`;
+
+    return complete({
+        messages: [
+            {
+                role: 'system',
+                content: 'You are a pregnancy health expert providing detailed analysis of pregnancy diary entries. Be thorough, supportive, and medically accurate.'
+            },
+            { role: 'user', content: prompt }
+        ],
+        temperature: 0.3,
+        maxTokens: 500
+    }, { onToken, signal });
+}
+
+// Explains a triage result the rules have already decided. The model only
+// explains; it is told the urgency tier and must not soften it.
+async function explainTriage({ symptoms, triage, userProfile = {} }) {
+    const stage = describePregnancyStage(userProfile);
+    const flags = triage.redFlags.length > 0
+        ? triage.redFlags.map((flag) => `- ${flag.name}: ${flag.reason}`).join('\n')
+        : '- None';
+
+    const prompt = `Symptoms reported: "${[].concat(symptoms).join('; ')}"${stage ? `\n${stage}` : ''}
+
+A clinical ruleset has already triaged this as: ${triage.label}.
+Red flags found:
+${flags}
+
+Explain in plain, calm language why these symptoms matter, what to do right now, and what to tell the provider or triage nurse. Do NOT change, question or soften the urgency above, and do not suggest waiting longer than it says.
+
+Answer in under 200 words using ONLY HTML tags (p, ul, li, strong). Do NOT use markdown symbols like *, **, or #.`;
+
+    return getProvider().chat({
+        messages: [
+            {
+                role: 'system',
+                content: 'You are a labor and delivery triage nurse explaining an urgency decision to a pregnant patient. Be clear, supportive and medically accurate.'
+            },
+            { role: 'user', content: prompt }
+        ],
+        temperature: 0.2,
+        maxTokens: 500
+    });
+}
+
+async function assessBabyItem({ item, babyAgeMonths, isBreastfeeding }) {
+    const ageContext = describeBabyAge(babyAgeMonths);
+    const breastfeedingContext = isBreastfeeding
+        ? ' The parent is currently breastfeeding, so also mention if this affects the breastfeeding parent.'
+        : '';
+
+    const prompt = `Is "${item}" safe for a ${ageContext || 'baby'}?${breastfeedingContext}
+
+Give a safety rating 1-10 where 1 is very safe and 10 is very dangerous. In "why" cover the potential risks or concerns (choking hazards, allergen risks, developmental appropriateness). In "tips" give guidelines for safe use and safe alternatives if applicable. Set "ageRecommendation" to the age when it becomes safe if it is not safe now.
+
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape:
+${buildSchemaPrompt({ includeTrimesterNotes: false, includeAgeRecommendation: true })}`;
+
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are a pediatric safety expert providing detailed, accurate information about baby and child safety. Focus on evidence-based recommendations from pediatric organizations.'
+        },
+        { role: 'user', content: prompt }
+    ];
+
+    return requestStructured(
+        (history) => getProvider().chat({
+            messages: [...messages, ...history],
+            temperature: 0.3,
+            maxTokens: 800
+        }),
+        (text) => parseAssessment(text)
+    );
+}
+
+async function assessBabyImage({ image, babyAgeMonths, isBreastfeeding }) {
+    const ageContext = describeBabyAge(babyAgeMonths);
+    const breastfeedingContext = isBreastfeeding
+        ? ' The parent is currently breastfeeding, so also mention if this affects the breastfeeding parent.'
+        : '';
+
+    return requestStructured(
+        (history) => getProvider().vision({
+            system: 'You are a pediatric safety expert analyzing images for baby and child safety. Focus on identifying potential hazards, age-appropriateness, and safety concerns.',
+            prompt: `Analyze this image for safety for a ${ageContext || 'baby'}.${breastfeedingContext}
+
+Identify what's in the image in "item". Give a safety rating 1-10 where 1 is very safe and 10 is very dangerous. In "why" cover the specific safety concerns for this age group, in "tips" recommendations for safe use or alternatives, and set "ageRecommendation" to the age when this becomes appropriate if it is not currently safe.
+
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape:
+${buildSchemaPrompt({ includeTrimesterNotes: false, includeAgeRecommendation: true })}`,
+            image,
+            history,
+            temperature: 0.3,
+            maxTokens: 800
+        }),
+        (text) => parseAssessment(text)
+    );
+}
+
+async function compareItems({ items, userProfile = {} }) {
+    const itemList = items.map((it, i) => `${i + 1}. "${it}"`).join('\n');
+    const stage = describePregnancyStage(userProfile);
+
+    const prompt = `Compare the pregnancy safety of these items side by side:
+${itemList}
+${stage ? `${stage}\n` : ''}
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape, with one entry in "comparisons" per item in the order given:
+{
+  "schemaVersion": "${SCHEMA_VERSION}",
+  "comparisons": [
+${buildSchemaPrompt({ includeTrimesterNotes: false, includeComparisonFields: true }).split('\n').map((line) => `    ${line}`).join('\n')}
+  ],
+  "recommendation": "<which item is safest and why, 1 sentence>"
+}
+Use "why" for a 1-2 sentence explanation. Omit "schemaVersion" inside individual comparisons.
+
+Be concise, accurate, and evidence-based.`;
+
+    const messages = [
+        {
+            role: 'system',
+            content: `You are a pregnancy safety expert comparing multiple items. Provide structured, side-by-side comparisons with clear risk scores. Use the exact format requested.
+
+Risk Score Guidelines (1-10):
+- 1-2: Very safe (walking, prenatal vitamins)
+- 3-4: Generally safe (moderate exercise, most cooked foods)
+- 5: Requires judgment (hair dye, hot baths)
+- 6-7: Use caution (some medications, certain exercises)
+- 8-9: High risk/Avoid (raw fish, alcohol, certain drugs)
+- 10: Extremely dangerous`
+        },
+        { role: 'user', content: prompt }
+    ];
+
+    return requestStructured(
+        (history) => getProvider().chat({
+            messages: [...messages, ...history],
+            temperature: 0.15,
+            maxTokens: 900
+        }),
+        (text) => parseComparison(text, { expectedItems: items.length })
+    );
+}
+
+// Fallback for /api/interactions: only asked about items the local
+// interaction table does not know, and only for pairs involving them
+async function assessInteractions({ items, unknown, userProfile = {} }) {
+    const contextInfo = buildProfileContext(userProfile);
+    const itemList = items.map((name) => `- "${name}"${unknown.includes(name) ? ' (check this one)' : ''}`).join('\n');
+
+    const prompt = `A pregnant or breastfeeding patient takes these medications, supplements or products together:
+${itemList}
+${contextInfo}
+
+1. List every clinically relevant interaction between a marked item and any other item on the list. Leave out pairs with no meaningful interaction.
+2. For each marked item, give its pregnancy and breastfeeding safety on its own.
+
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape:
+{
+  "schemaVersion": "${SCHEMA_VERSION}",
+  "interactions": [
+    { "between": ["<item>", "<item>"], "severity": "<major|moderate|minor>", "effect": "<what happens, 1 sentence>", "advice": "<what to do, 1 sentence>" }
+  ],
+  "concerns": [
+    { "item": "<marked item>", "pregnancy": { "level": "<Safe|Caution|Avoid>", "note": "<1 sentence>" }, "lactation": { "level": "<Safe|Caution|Avoid>", "note": "<1 sentence>" } }
+  ]
+}
+Use the item names exactly as written above.`;
+
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are a clinical pharmacist specializing in medication safety during pregnancy and breastfeeding. Be conservative, accurate and evidence-based. Never invent interactions; an empty list is a valid answer.'
+        },
+        { role: 'user', content: prompt }
+    ];
+
+    return requestStructured(
+        (history) => getProvider().chat({
+            messages: [...messages, ...history],
+            temperature: 0.1,
+            maxTokens: 900
+        }),
+        parseInteractionReport
+    );
+}
+
+// Fallback for /api/check-ingredients: scores the ingredients the local rules
+// did not cover, with the whole list as context
+async function assessIngredients({ ingredients, unknown, category = 'food', userProfile = {} }) {
+    const contextInfo = buildProfileContext(userProfile);
+    const itemList = ingredients.map((name) => `- "${name}"${unknown.includes(name) ? ' (score this one)' : ''}`).join('\n');
+
+    const prompt = `A pregnant patient wants to know whether this ${category === 'cosmetic' ? 'personal care product' : 'food or recipe'} is safe. Its ingredients are:
+${itemList}
+${contextInfo}
+
+Score each marked ingredient on its own for pregnancy safety. Consider the amount normally used in a ${category === 'cosmetic' ? 'product like this' : 'dish like this'}.
+
+Respond with ONLY a JSON object (no markdown, no commentary) in exactly this shape:
+{
+  "schemaVersion": "${SCHEMA_VERSION}",
+  "ingredients": [
+    { "ingredient": "<marked ingredient>", "riskScore": <integer 1-10, 1=safest, 10=most dangerous>, "safetyLevel": "Safe" | "Caution" | "Avoid", "why": "<1 short sentence>" }
+  ]
+}
+Use the ingredient names exactly as written above.`;
+
+    const messages = [
+        {
+            role: 'system',
+            content: `You are a medical expert specializing in pregnancy safety. CRITICAL: Accurately assess risk levels.
+
+Risk Score Guidelines (1-10 scale):
+${RISK_GUIDELINES}
+Be accurate and evidence-based. Most everyday ingredients are safe; do not overstate risk.`
+        },
+        { role: 'user', content: prompt }
+    ];
+
+    return requestStructured(
+        (history) => getProvider().chat({
+            messages: [...messages, ...history],
+            temperature: 0.1,
+            maxTokens: 1200
+        }),
+        parseIngredientReport
+    );
+}
+
+// Answers a follow-up question with the whole thread as context: the original
+// question and assessment first, then every earlier question and answer
+async function answerFollowUp({ item, itemType = 'text', assessment, history = [], question, userProfile = {} }) {
+    const contextInfo = buildProfileContext(userProfile);
+    const preferenceContext = buildPreferenceContext(userProfile.preferences);
+    const subject = itemType === 'image' ? 'the item in the photo the user shared' : `"${item}"`;
+
+    const messages = [
+        {
+            role: 'system',
+            content: `You are a pregnancy health expert answering follow-up questions about ${subject}. ${contextInfo}${preferenceContext}
+
+Your earlier assessment is in the conversation. Unless the user clearly names a different item, every question is about ${subject}. Stay consistent with the earlier risk score unless the new details change it, and say so when they do.
+
+CRITICAL Risk Score Guidelines (1-10):
+${RISK_GUIDELINES}
+
+Answer in under 200 words using ONLY HTML tags (p, ul, li, strong). Do NOT use markdown symbols like *, **, or #. Do NOT include reasoning or meta-commentary.`
+        },
+        {
+            role: 'user',
+            content: itemType === 'image' ? 'Is the item in this photo safe during pregnancy?' : `Is "${item}" safe during pregnancy?`
+        },
+        { role: 'assistant', content: assessment.result },
+        ...history.map(({ role, content }) => ({ role, content })),
+        { role: 'user', content: question }
+    ];
+
+    return getProvider().chat({
+        messages,
+        temperature: 0.3,
+        maxTokens: 500
+    });
+}
+
+module.exports = {
+    isConfigured,
+    getProviderName,
+    activeKeys,
+    describePregnancyStage,
+    buildProfileContext,
+    buildPreferenceContext,
+    profileConcerns,
+    describeBabyAge,
+    assessItem,
+    assessItemDetailed,
+    assessImage,
+    assessImageDetailed,
+    analyzeLogEntry,
+    explainTriage,
+    assessBabyItem,
+    assessBabyImage,
+    compareItems,
+    assessInteractions,
+    assessIngredients,
+    answerFollowUp
+};
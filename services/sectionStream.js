@@ -0,0 +1,111 @@
+// Incremental parser for the HTML-section answers (detailed reports, log
+// analysis) so they can be shown while the model is still writing. Text is
+// pushed in arbitrary chunks; <think> blocks are dropped, the RISK_SCORE /
+// SAFETY header lines are reported once complete, and each <h2>-<h4> section
+// is reported when the next heading starts or the stream ends.
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+const HEADING = /<h([2-4])[^>]*>/gi;
+
+// Length of the longest suffix of text that could be the start of tag
+function partialTagLength(text, tag) {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+        if (tag.startsWith(text.slice(-length))) return length;
+    }
+    return 0;
+}
+
+function headingTitle(html) {
+    const match = html.match(/<h([2-4])[^>]*>([\s\S]*?)<\/h\1>/i);
+    return match ? match[2].replace(/<[^>]+>/g, '').trim() : '';
+}
+
+function createSectionParser({ onMeta = () => {}, onSection = () => {} } = {}) {
+    let raw = '';
+    let inThink = false;
+    let body = '';
+    let metaSent = false;
+    let sectionStart = -1;
+    let sectionCount = 0;
+
+    function emitMeta(force) {
+        if (metaSent) return;
+        const riskMatch = body.match(/RISK_SCORE:\s*(\d+)/i);
+        // The SAFETY word is only final once its line ends
+        const safetyMatch = body.match(/SAFETY:[^\S\n]*([A-Za-z]+)([^\S\n]*\n)?/i);
+        const headerDone = safetyMatch && safetyMatch[2];
+        if (!force && !headerDone && !body.includes('<')) return;
+
+        metaSent = true;
+        if (riskMatch || safetyMatch) {
+            onMeta({
+                riskScore: riskMatch ? parseInt(riskMatch[1], 10) : null,
+                safety: safetyMatch ? safetyMatch[1] : null
+            });
+        }
+    }
+
+    function emitSection(end) {
+        const html = body.slice(sectionStart, end).trim();
+        onSection({ index: sectionCount++, title: headingTitle(html), html });
+    }
+
+    function scanSections() {
+        HEADING.lastIndex = sectionStart < 0 ? 0 : sectionStart + 1;
+        let match;
+        while ((match = HEADING.exec(body)) !== null) {
+            if (sectionStart >= 0) emitSection(match.index);
+            sectionStart = match.index;
+        }
+    }
+
+    function appendVisible(text) {
+        if (!text) return;
+        body += text;
+        emitMeta(false);
+        scanSections();
+    }
+
+    function push(chunk) {
+        raw += chunk;
+        for (;;) {
+            if (inThink) {
+                const close = raw.indexOf(THINK_CLOSE);
+                if (close === -1) {
+                    raw = raw.slice(raw.length - partialTagLength(raw, THINK_CLOSE));
+                    return;
+                }
+                raw = raw.slice(close + THINK_CLOSE.length);
+                inThink = false;
+                continue;
+            }
+
+            const open = raw.indexOf(THINK_OPEN);
+            if (open === -1) {
+                const held = partialTagLength(raw, THINK_OPEN);
+                appendVisible(raw.slice(0, raw.length - held));
+                raw = raw.slice(raw.length - held);
+                return;
+            }
+            appendVisible(raw.slice(0, open));
+            raw = raw.slice(open + THINK_OPEN.length);
+            inThink = true;
+        }
+    }
+
+    function end() {
+        if (!inThink) appendVisible(raw);
+        raw = '';
+        emitMeta(true);
+        if (sectionStart >= 0) {
+            emitSection(body.length);
+            sectionStart = -1;
+        }
+        return { text: body, sections: sectionCount };
+    }
+
+    return { push, end };
+}
+
+module.exports = { createSectionParser };
@@ -0,0 +1,223 @@
+const path = require('path');
+const { normalizeItem } = require('./knowledgeBase');
+
+// Deterministic symptom triage against data/triage-rules.json. Red-flag rules
+// decide the urgency tier before any AI is involved, so an emergency answer
+// never depends on a model, a quota or a network call.
+//
+// A rule's `match` is a list of pattern groups; every group must match (so
+// "headache" + "blurred vision" is one rule). `fromWeek`/`untilWeek` limit it
+// to part of the pregnancy, `whenSeverity` to reports at that severity, and
+// `escalate` raises it to the top tier from a week or at a severity.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'triage-rules.json');
+const URGENCY_TIERS = ['self-care', 'call-provider', 'go-to-labor-and-delivery'];
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const MAX_SYMPTOMS_LENGTH = 2000;
+
+const URGENCY_LABELS = {
+    'self-care': 'Self-care at home',
+    'call-provider': 'Call your provider today',
+    'go-to-labor-and-delivery': 'Go to Labor & Delivery now'
+};
+
+// Words that make the report itself severe when no severity is given
+const SEVERE_WORDS = [/\b(severe|severely|worst|unbearable|excruciating|intense)\b/g];
+// "no bleeding", "haven't had any bleeding", "denies headache"
+const NEGATION = /\b(no|not|without|denies|denied|never|don t|doesn t|didn t|haven t|hasn t|isn t)\b(\s+\S+){0,3}\s*$/;
+const TEMPERATURE = /(\d{2,3}(?:[.,]\d{1,2})?)\s*(°|degrees?)?\s*([fc])?\b/gi;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// With the 'g' flag mentions() can check every occurrence for negation
+function compilePatterns(patterns = [], flags = '') {
+    return patterns.map((pattern) => new RegExp(`\\b${escapeRegExp(normalizeItem(pattern))}(s|es)?\\b`, flags));
+}
+
+function validateRule(rule) {
+    const errors = [];
+    if (!rule.id) errors.push('id is required');
+    if (!rule.name) errors.push('name is required');
+    if (!URGENCY_TIERS.includes(rule.urgency) || rule.urgency === 'self-care') {
+        errors.push('urgency must be call-provider or go-to-labor-and-delivery');
+    }
+    if (!Array.isArray(rule.match) || rule.match.length === 0
+        || rule.match.some((group) => !Array.isArray(group) || group.length === 0)) {
+        errors.push('match must be a non-empty list of pattern lists');
+    }
+    if (rule.whenSeverity !== undefined && !SEVERITIES.includes(rule.whenSeverity)) {
+        errors.push(`whenSeverity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (rule.escalate && rule.escalate.severity !== undefined && !SEVERITIES.includes(rule.escalate.severity)) {
+        errors.push(`escalate.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!rule.reason) errors.push('reason is required');
+    return errors;
+}
+
+// Sentences and "but" clauses are checked separately so "no fever, bleeding
+// heavily" does not read the bleeding as negated
+function splitClauses(symptoms) {
+    const list = Array.isArray(symptoms) ? symptoms : [symptoms];
+    return list
+        .flatMap((entry) => String(entry || '').replace(/[’‘]/g, "'").split(/[.;,!?\n]|\bbut\b/i))
+        .map((clause) => normalizeItem(clause))
+        .filter(Boolean);
+}
+
+function mentions(matchers, clauses) {
+    return clauses.some((clause) => matchers.some((matcher) => {
+        for (const found of clause.matchAll(matcher)) {
+            if (!NEGATION.test(clause.slice(0, found.index))) return true;
+        }
+        return false;
+    }));
+}
+
+// Reads "101.2F", "38.5 °C" or "fever of 101" from the text; a bare number
+// is taken as Fahrenheit when it is above 45
+function parseTemperature(symptoms) {
+    const list = Array.isArray(symptoms) ? symptoms : [symptoms];
+    for (const entry of list) {
+        const text = String(entry || '');
+        const context = text.match(/\b(fever|temp|temperature)\b(?:[^.;\n]|\.(?=\d))*/i);
+        for (const found of (context ? context[0] : text).matchAll(TEMPERATURE)) {
+            if (!context && !found[3]) continue;
+            const value = Number(found[1].replace(',', '.'));
+            const unit = found[3] ? found[3].toUpperCase() : (value > 45 ? 'F' : 'C');
+            const fahrenheit = toFahrenheit(value, unit);
+            if (fahrenheit >= 90 && fahrenheit <= 110) return fahrenheit;
+        }
+    }
+    return null;
+}
+
+function toFahrenheit(value, unit = 'F') {
+    const fahrenheit = unit === 'C' ? value * 9 / 5 + 32 : value;
+    return Math.round(fahrenheit * 10) / 10;
+}
+
+function describeUrgency(urgency, week) {
+    if (urgency === 'go-to-labor-and-delivery') {
+        return week !== null && week < 20
+            ? 'Go to the emergency room now, or call 911.'
+            : 'Go to Labor & Delivery now, or call 911 if you cannot get there safely.';
+    }
+    if (urgency === 'call-provider') {
+        return 'Call your provider or their after-hours line today. Go in sooner if it gets worse.';
+    }
+    return 'No red-flag symptoms found. Rest, stay hydrated and mention it at your next visit; call your provider if it gets worse or you are worried.';
+}
+
+// Returns an error message for a bad request body, or null
+function validateTriageInput({ symptoms, week, severity, temperature, temperatureUnit } = {}) {
+    const list = Array.isArray(symptoms) ? symptoms : [symptoms];
+    if (list.some((entry) => typeof entry !== 'string') || !list.join('').trim()) {
+        return 'symptoms must be text or a list of text';
+    }
+    if (list.join(' ').length > MAX_SYMPTOMS_LENGTH) {
+        return `symptoms must be under ${MAX_SYMPTOMS_LENGTH} characters`;
+    }
+    if (week !== undefined && week !== null && !(Number.isInteger(week) && week >= 1 && week <= 44)) {
+        return 'week must be a whole number from 1 to 44';
+    }
+    if (severity !== undefined && severity !== null && !SEVERITIES.includes(severity)) {
+        return `severity must be one of ${SEVERITIES.join(', ')}`;
+    }
+    if (temperature !== undefined && temperature !== null && (typeof temperature !== 'number' || !Number.isFinite(temperature))) {
+        return 'temperature must be a number';
+    }
+    if (temperatureUnit !== undefined && !['F', 'C'].includes(temperatureUnit)) {
+        return 'temperatureUnit must be F or C';
+    }
+    return null;
+}
+
+function createTriageRules(data) {
+    const rules = (data.rules || []).map((rule) => {
+        const errors = validateRule(rule);
+        if (errors.length > 0) {
+            throw new Error(`Invalid triage rule "${rule.id}": ${errors.join('; ')}`);
+        }
+        return { ...rule, groups: rule.match.map((group) => compilePatterns(group, 'g')), excluders: compilePatterns(rule.exclude) };
+    });
+
+    function applies(rule, { clauses, week, severity, temperatureF }) {
+        // Rules limited to part of the pregnancy still apply when the week is unknown
+        if (week !== null && rule.fromWeek !== undefined && week < rule.fromWeek) return false;
+        if (week !== null && rule.untilWeek !== undefined && week > rule.untilWeek) return false;
+        if (rule.whenSeverity && SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(rule.whenSeverity)) return false;
+
+        const relevant = clauses.filter((clause) => !rule.excluders.some((excluder) => excluder.test(clause)));
+        const mentioned = rule.groups.every((group) => mentions(group, relevant));
+        const feverish = rule.aboveTemperatureF !== undefined && temperatureF !== null && temperatureF > rule.aboveTemperatureF;
+        return mentioned || feverish;
+    }
+
+    function escalates(rule, { week, severity }) {
+        const { fromWeek, severity: atSeverity } = rule.escalate || {};
+        return (fromWeek !== undefined && week !== null && week >= fromWeek)
+            || (atSeverity !== undefined && SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(atSeverity));
+    }
+
+    // Highest-urgency red flag wins. With no red flag, a severe report is
+    // still worth a call; anything else is self-care.
+    function triage({ symptoms, week = null, severity, temperature, temperatureUnit = 'F' }) {
+        const clauses = splitClauses(symptoms);
+        const stated = severity || (mentions(SEVERE_WORDS, clauses) ? 'severe' : null);
+        const temperatureF = typeof temperature === 'number'
+            ? toFahrenheit(temperature, temperatureUnit)
+            : parseTemperature(symptoms);
+        const input = { clauses, week: week ?? null, severity: stated, temperatureF };
+
+        const redFlags = rules
+            .filter((rule) => applies(rule, input))
+            .map((rule) => ({
+                id: rule.id,
+                name: rule.name,
+                urgency: escalates(rule, input) ? 'go-to-labor-and-delivery' : rule.urgency,
+                reason: rule.reason
+            }))
+            .sort((a, b) => URGENCY_TIERS.indexOf(b.urgency) - URGENCY_TIERS.indexOf(a.urgency));
+
+        let urgency = redFlags.length > 0 ? redFlags[0].urgency : 'self-care';
+        if (urgency === 'self-care' && stated === 'severe') urgency = 'call-provider';
+
+        return {
+            urgency,
+            label: URGENCY_LABELS[urgency],
+            advice: describeUrgency(urgency, input.week),
+            redFlags,
+            gestationalWeek: input.week,
+            severity: stated,
+            temperatureF,
+            rulesVersion: data.version || null
+        };
+    }
+
+    return {
+        version: data.version || null,
+        size: rules.length,
+        triage
+    };
+}
+
+let defaultRules = null;
+
+function getTriageRules() {
+    if (!defaultRules) {
+        defaultRules = createTriageRules(require(DEFAULT_PATH));
+    }
+    return defaultRules;
+}
+
+module.exports = {
+    URGENCY_TIERS,
+    URGENCY_LABELS,
+    SEVERITIES,
+    validateTriageInput,
+    createTriageRules,
+    getTriageRules
+};
@@ -0,0 +1,56 @@
+const createOpenAICompatibleTranscriber = require('./providers/openaiCompatible');
+const createStubTranscriber = require('./providers/stub');
+
+// TRANSCRIPTION_PROVIDER selects speech-to-text for voice notes: 'none'
+// (default, voice notes are stored without text), 'openai' for any
+// OpenAI-compatible /audio/transcriptions endpoint, or 'stub' for offline
+// development and tests.
+
+function createTranscriber(name = process.env.TRANSCRIPTION_PROVIDER || 'none', overrides = {}) {
+    const env = process.env;
+
+    switch (name.toLowerCase()) {
+        case 'none':
+            return {
+                name: 'none',
+                model: null,
+                isConfigured: () => false,
+                transcribe: async () => {
+                    throw new Error('Transcription is turned off');
+                }
+            };
+        case 'openai':
+            return createOpenAICompatibleTranscriber({
+                baseUrl: env.TRANSCRIPTION_BASE_URL || env.LLM_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: env.TRANSCRIPTION_API_KEY || env.LLM_API_KEY,
+                model: env.TRANSCRIPTION_MODEL || 'whisper-1',
+                ...overrides
+            });
+        case 'stub':
+            return createStubTranscriber(overrides);
+        default:
+            throw new Error(`Unknown transcription provider: ${name}`);
+    }
+}
+
+let activeTranscriber = null;
+
+function getTranscriber() {
+    if (!activeTranscriber) {
+        activeTranscriber = createTranscriber();
+    }
+    return activeTranscriber;
+}
+
+// Swap the process-wide transcriber (tests, or switching vendors at runtime)
+function setTranscriber(transcriber) {
+    activeTranscriber = transcriber;
+}
+
+module.exports = {
+    createTranscriber,
+    getTranscriber,
+    setTranscriber,
+    createOpenAICompatibleTranscriber,
+    createStubTranscriber
+};
@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+// Any endpoint speaking the OpenAI /audio/transcriptions protocol (OpenAI
+// Whisper, Groq, a local faster-whisper server, ...)
+function createOpenAICompatibleTranscriber(options = {}) {
+    const {
+        baseUrl,
+        apiKey,
+        model = 'whisper-1',
+        timeout = 60000,
+        httpClient = axios
+    } = options;
+
+    const endpoint = `${(baseUrl || '').replace(/\/+$/, '')}/audio/transcriptions`;
+
+    function isConfigured() {
+        return !!(baseUrl && apiKey);
+    }
+
+    async function transcribe({ buffer, contentType, language }) {
+        if (!isConfigured()) {
+            throw new Error('Transcription provider is not configured');
+        }
+        const form = new FormData();
+        const extension = (contentType.split('/')[1] || 'webm').split(';')[0];
+        form.append('file', new Blob([buffer], { type: contentType }), `voice-note.${extension}`);
+        form.append('model', model);
+        if (language) form.append('language', language);
+
+        const response = await httpClient.post(endpoint, form, {
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            timeout
+        });
+        return { text: (response.data?.text || '').trim(), provider: 'openai', model };
+    }
+
+    return { name: 'openai', model, isConfigured, transcribe };
+}
+
+module.exports = createOpenAICompatibleTranscriber;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Deterministic offline transcriber for tests and local development. The
+// same audio always gives the same text, so search and analysis can be
+// exercised without a speech-to-text service.
+function createStubTranscriber(options = {}) {
+    const { text } = options;
+
+    async function transcribe({ buffer, contentType }) {
+        const digest = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 8);
+        return {
+            text: text || `Voice note ${digest} (${Math.ceil(buffer.length / 1024)} KB ${contentType}). Offline stub transcript.`,
+            provider: 'stub',
+            model: 'stub'
+        };
+    }
+
+    return { name: 'stub', model: 'stub', isConfigured: () => true, transcribe };
+}
+
+module.exports = createStubTranscriber;
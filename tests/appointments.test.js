@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planAppointments, parseTime } = require('../services/appointmentPlan');
+const { createFeedToken, hashFeedToken, buildCalendar } = require('../services/calendarFeed');
+const { __testUtils } = require('../routes/appointments');
+
+const now = new Date('2026-10-19T15:00:00Z');
+
+test('cadence keeps only future visits at the local time', () => {
+    const plan = planAppointments({ profile: { dueDate: '2027-01-29' }, time: '09:30', timezoneOffset: 300, now });
+    const visits = plan.appointments.filter((entry) => entry.source === 'cadence');
+
+    // 25w 3d today, so week 28 is the first visit still ahead
+    assert.deepEqual(visits.map((visit) => visit.gestationalWeek), [28, 30, 32, 34, 36, 37, 38, 39, 40, 41]);
+    assert.equal(visits[0].startsAt.toISOString(), '2026-11-06T14:30:00.000Z');
+    assert.equal(visits[0].endsAt - visits[0].startsAt, 30 * 60000);
+
+    const screenings = plan.appointments.filter((entry) => entry.source === 'screening');
+    assert.ok(screenings.every((entry) => entry.allDay && entry.screeningId));
+    assert.ok(!screenings.some((entry) => entry.screeningId === 'nt-scan'));
+});
+
+test('cadence skips weeks and rejects bad input', () => {
+    const plan = planAppointments({ profile: { dueDate: '2027-01-29' }, skipWeeks: [28, 30], now });
+    assert.equal(plan.appointments.find((entry) => entry.source === 'cadence').gestationalWeek, 32);
+
+    assert.equal(planAppointments({ profile: { trimester: 'second' }, now }), null);
+    assert.throws(() => planAppointments({ profile: { dueDate: '2027-01-29' }, time: '25:00', now }), /HH:MM/);
+    assert.equal(parseTime('7:05'), 425);
+});
+
+test('calendar output follows RFC 5545', () => {
+    const ics = buildCalendar({
+        now,
+        appointments: [
+            {
+                _id: 'a1',
+                title: 'Scan; bring notes, please',
+                startsAt: new Date('2026-11-06T14:30:00Z'),
+                location: 'Clinic\nRoom 2',
+                notes: 'x'.repeat(120),
+                status: 'cancelled'
+            },
+            { _id: 'a2', title: 'Glucose test window', startsAt: new Date('2026-10-09T00:00:00Z'), endsAt: new Date('2026-11-06T00:00:00Z'), allDay: true }
+        ]
+    });
+
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+    assert.ok(!/[^\r]\n/.test(ics));
+    assert.match(ics, /SUMMARY:Scan\\; bring notes\\, please/);
+    assert.match(ics, /LOCATION:Clinic\\nRoom 2/);
+    assert.match(ics, /DTSTART:20261106T143000Z\r\nDTEND:20261106T150000Z/);
+    assert.match(ics, /STATUS:CANCELLED/);
+    assert.match(ics, /DTSTART;VALUE=DATE:20261009\r\nDTEND;VALUE=DATE:20261106/);
+});
+
+test('feed tokens are stored only as hashes', () => {
+    const { token, tokenHash } = createFeedToken();
+    assert.match(token, /^[A-Za-z0-9_-]{32}$/);
+    assert.equal(hashFeedToken(token), tokenHash);
+    assert.notEqual(createFeedToken().token, token);
+});
+
+test('appointment validation', () => {
+    const { validateAppointment } = __testUtils;
+    assert.equal(validateAppointment({ title: 'Visit', startsAt: '2026-11-06T14:30:00Z' }), null);
+    assert.equal(validateAppointment({ startsAt: '2026-11-06' }), 'title is required');
+    assert.equal(validateAppointment({ title: 'Visit', startsAt: 'soon' }), 'startsAt must be a date');
+    assert.equal(validateAppointment({ title: 'Visit', startsAt: '2026-11-06', endsAt: '2026-11-05' }), 'endsAt must be after startsAt');
+    assert.match(validateAppointment({ type: 'party' }, { partial: true }), /^type must be one of/);
+    assert.equal(validateAppointment({ notes: 'ok' }, { partial: true }), null);
+});
+
+test('updates are checked against the stored start and end', () => {
+    const { validateUpdate } = __testUtils;
+    const stored = { startsAt: new Date('2026-11-06T14:00:00Z'), endsAt: new Date('2026-11-06T15:00:00Z') };
+    assert.equal(validateUpdate(stored, { startsAt: '2026-11-06T16:00:00Z' }), 'endsAt must be after startsAt');
+    assert.equal(validateUpdate(stored, { startsAt: '2026-11-06T16:00:00Z', endsAt: '2026-11-06T17:00:00Z' }), null);
+    assert.equal(validateUpdate(stored, { endsAt: '2026-11-06T13:00:00Z' }), 'endsAt must be after startsAt');
+    assert.equal(validateUpdate({ startsAt: stored.startsAt }, { startsAt: '2026-11-07T09:00:00Z' }), null);
+});
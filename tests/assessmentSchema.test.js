@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const llm = require('../services/llm');
+const safetyAssessment = require('../services/safetyAssessment');
+const {
+    SCHEMA_VERSION,
+    parseAssessment,
+    parseComparison,
+    formatAssessmentText
+} = require('../services/assessmentSchema');
+
+const validAssessment = {
+    schemaVersion: SCHEMA_VERSION,
+    item: 'coffee',
+    riskScore: 4,
+    safetyLevel: 'Caution',
+    why: 'Limit caffeine to 200mg per day.',
+    tips: ['Stick to one cup', 'Watch for hidden caffeine']
+};
+
+test('parseAssessment accepts fenced JSON and keeps reasoning separate', () => {
+    const reply = `<think>coffee has caffeine</think>\n\`\`\`json\n${JSON.stringify({ ...validAssessment, riskScore: '4', safetyLevel: 'caution' })}\n\`\`\``;
+    const parsed = parseAssessment(reply);
+
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.assessment.riskScore, 4);
+    assert.equal(parsed.assessment.safetyLevel, 'Caution');
+    assert.equal(parsed.thinking, 'coffee has caffeine');
+});
+
+test('parseAssessment reports schema violations instead of guessing a score', () => {
+    const parsed = parseAssessment(JSON.stringify({ ...validAssessment, riskScore: 14, safetyLevel: 'Maybe' }));
+
+    assert.equal(parsed.assessment, null);
+    assert.ok(parsed.errors.some((error) => /riskScore/.test(error)));
+    assert.ok(parsed.errors.some((error) => /safetyLevel/.test(error)));
+    assert.equal(parseAssessment('RISK_SCORE: 5').assessment, null);
+});
+
+test('parseComparison requires one entry per compared item', () => {
+    const reply = JSON.stringify({ schemaVersion: SCHEMA_VERSION, comparisons: [validAssessment], recommendation: 'Pick tea.' });
+
+    assert.equal(parseComparison(reply, { expectedItems: 1 }).comparison.recommendation, 'Pick tea.');
+    assert.match(parseComparison(reply, { expectedItems: 2 }).errors.join(), /exactly 2 entries/);
+});
+
+test('formatAssessmentText renders the legacy text format', () => {
+    const text = formatAssessmentText({ ...validAssessment, breastfeeding: { ...validAssessment, riskScore: 2, safetyLevel: 'Safe' } });
+
+    assert.match(text, /^PREGNANCY_RISK_SCORE: 4\nBREASTFEEDING_RISK_SCORE: 2\n/);
+    assert.match(text, /BREASTFEEDING:\nSAFETY: Safe/);
+});
+
+test('invalid replies get one repair round before being marked unparsed', async () => {
+    let replies = ['Coffee is fine in moderation.', JSON.stringify(validAssessment)];
+    const provider = llm.createStubProvider({ responder: () => replies.shift() });
+    llm.setProvider(provider);
+
+    const repaired = await safetyAssessment.assessItem({ item: 'coffee' });
+    assert.equal(repaired.status, 'repaired');
+    assert.equal(repaired.assessment.riskScore, 4);
+    assert.equal(provider.calls.length, 2);
+    assert.match(provider.calls[1].messages.at(-1).content, /did not contain a JSON object/);
+
+    replies = ['still prose', 'more prose'];
+    const unparsed = await safetyAssessment.assessItem({ item: 'coffee' });
+    assert.equal(unparsed.status, 'unparsed');
+    assert.equal(unparsed.assessment, null);
+    assert.equal(unparsed.raw, 'more prose');
+
+    llm.setProvider(null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { requireAdmin } = require('../middleware/auth');
+
+function run(middleware, req) {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { res, passed };
+}
+
+function adminRequest(headerToken, body = {}) {
+    return { header: (name) => (name === 'X-Admin-Token' ? headerToken : undefined), body };
+}
+
+test('requireAdmin rejects wrong, multibyte and non-string tokens', (t) => {
+    const previous = process.env.ADMIN_TOKEN;
+    process.env.ADMIN_TOKEN = 'secret-token';
+    t.after(() => {
+        if (previous === undefined) delete process.env.ADMIN_TOKEN;
+        else process.env.ADMIN_TOKEN = previous;
+    });
+
+    assert.equal(run(requireAdmin, adminRequest('secret-token')).passed, true);
+    assert.equal(run(requireAdmin, adminRequest('secret-tokeX')).res.statusCode, 403);
+    // Same character count as the token, more bytes
+    assert.equal(run(requireAdmin, adminRequest('secret-tokén')).res.statusCode, 403);
+    assert.equal(run(requireAdmin, adminRequest(undefined, { adminToken: ['secret-token'] })).res.statusCode, 403);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    mergeSessions,
+    summarizeSleep,
+    safeSleepWarning,
+    validateSleepPayload,
+    recommendationFor
+} = require('../services/babySleep');
+
+const at = (time) => new Date(`2026-03-${time}Z`);
+
+test('overlapping sessions are counted once', () => {
+    const merged = mergeSessions([
+        { startTime: at('10T13:00:00'), endTime: at('10T14:30:00') },
+        { startTime: at('10T14:00:00'), endTime: at('10T15:00:00') },
+        { startTime: at('10T16:00:00'), endTime: at('10T16:30:00') }
+    ]);
+    assert.equal(merged.length, 2);
+    assert.equal((merged[0][1] - merged[0][0]) / 60000, 120);
+});
+
+test('daily totals split night from naps in local time', () => {
+    const sessions = [
+        // 20:00–06:00 local at UTC+2 (timezoneOffset -120), crossing midnight
+        { startTime: at('09T18:00:00'), endTime: at('10T04:00:00') },
+        // A double-logged afternoon nap, 14:00–15:30 local
+        { startTime: at('10T12:00:00'), endTime: at('10T13:30:00') },
+        { startTime: at('10T12:15:00'), endTime: at('10T13:00:00') }
+    ];
+    const summary = summarizeSleep(sessions, { days: 2, now: at('11T10:00:00'), timezoneOffset: -120, ageMonths: 6 });
+    const [march10] = summary.daily;
+    assert.equal(march10.date, '2026-03-10');
+    assert.equal(march10.totalMinutes, 6 * 60 + 90);
+    assert.equal(march10.nightMinutes, 6 * 60);
+    assert.equal(march10.napMinutes, 90);
+    assert.equal(march10.longestStretchMinutes, 90);
+    assert.equal(summary.longestStretchMinutes, 90);
+
+    assert.equal(summary.weekly.length, 1);
+    assert.equal(summary.comparison.status, 'below');
+    assert.deepEqual(summary.comparison.recommendedHours, [12, 16]);
+});
+
+test('bed-sharing and couch sleep warn under 12 months only', () => {
+    assert.match(safeSleepWarning('Parent Bed', 3).message, /Bed-sharing/);
+    assert.ok(safeSleepWarning('couch', 11.5));
+    assert.equal(safeSleepWarning('parent bed', 14), null);
+    assert.equal(safeSleepWarning('crib', 2), null);
+});
+
+test('sleep payloads and age bands are validated', () => {
+    assert.equal(validateSleepPayload({ location: 'crib' }), null);
+    assert.match(validateSleepPayload({ location: 'hammock' }), /location/);
+    assert.match(validateSleepPayload({ startTime: at('10T10:00:00'), endTime: at('10T09:00:00') }), /after/);
+    assert.match(validateSleepPayload({ startTime: at('10T10:00:00') }, { requireEnd: true }), /endTime/);
+    assert.deepEqual(recommendationFor(1).hours, [14, 17]);
+    assert.deepEqual(recommendationFor(18).hours, [11, 14]);
+});
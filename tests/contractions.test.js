@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeContractions, summarizeByHour } = require('../services/contractions');
+const { __testUtils } = require('../routes/contractions');
+
+const start = new Date('2026-10-19T02:00:00Z').getTime();
+
+// `count` contractions every `everyMinutes`, each `seconds` long
+function series(count, everyMinutes, seconds, offsetMinutes = 0) {
+    return Array.from({ length: count }, (_, index) => {
+        const startedAt = new Date(start + (offsetMinutes + index * everyMinutes) * 60000);
+        return { startedAt, endedAt: new Date(startedAt.getTime() + seconds * 1000) };
+    });
+}
+
+test('durations and intervals are measured start to start', () => {
+    const analysis = analyzeContractions(series(3, 7, 45));
+    assert.equal(analysis.count, 3);
+    assert.deepEqual(analysis.recent.map((entry) => entry.intervalMinutes), [7, 7, null]);
+    assert.equal(analysis.averageDurationSeconds, 45);
+    assert.equal(analysis.fiveOneOne.met, false);
+});
+
+test('5-1-1 needs an hour of contractions 5 minutes apart lasting a minute', () => {
+    const met = analyzeContractions(series(14, 5, 65), { week: 39 });
+    assert.equal(met.fiveOneOne.met, true);
+    assert.equal(met.fiveOneOne.sustainedMinutes, 65);
+    assert.equal(met.alerts[0].urgency, 'go-to-labor-and-delivery');
+
+    assert.equal(analyzeContractions(series(8, 5, 65), { week: 39 }).fiveOneOne.met, false); // 35 minutes
+    assert.equal(analyzeContractions(series(14, 5, 40), { week: 39 }).fiveOneOne.met, false); // too short
+    assert.equal(analyzeContractions(series(10, 8, 65), { week: 39 }).fiveOneOne.met, false); // too far apart
+
+    // A long break starts a new run
+    const broken = [...series(8, 5, 65), ...series(6, 5, 65, 60)];
+    assert.equal(analyzeContractions(broken).fiveOneOne.sustainedMinutes, 25);
+});
+
+test('six an hour before 37 weeks is flagged as possible preterm labor', () => {
+    const contractions = series(6, 10, 40);
+    assert.match(analyzeContractions(contractions, { week: 32 }).alerts[0].message, /preterm labor/);
+    assert.deepEqual(analyzeContractions(contractions, { week: 38 }).alerts, []);
+    assert.deepEqual(analyzeContractions(contractions).alerts, []);
+});
+
+test('hourly trend and validation', () => {
+    const hourly = summarizeByHour(series(14, 5, 60));
+    assert.deepEqual(hourly.map((bucket) => bucket.count), [12, 2]);
+    assert.equal(hourly[0].averageIntervalMinutes, 5);
+
+    const { validateContraction } = __testUtils;
+    const now = new Date(start + 60 * 60000);
+    const [{ startedAt, endedAt }] = series(1, 5, 60);
+    assert.equal(validateContraction({ startedAt, endedAt, intensity: 'strong' }, { now }), null);
+    assert.equal(validateContraction({ startedAt, endedAt: new Date(start + 6 * 60000) }, { now }), 'A contraction can last at most 5 minutes');
+    assert.match(validateContraction({ startedAt, endedAt, intensity: 'huge' }, { now }), /^intensity must be one of/);
+});
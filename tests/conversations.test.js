@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const llm = require('../services/llm');
+const safetyAssessment = require('../services/safetyAssessment');
+const { __testUtils } = require('../routes/conversations');
+
+test('validateThreadPayload requires an item and the assessment text', () => {
+    assert.equal(__testUtils.validateThreadPayload({ assessment: { result: 'ok' } }), 'item is required');
+    assert.equal(__testUtils.validateThreadPayload({ item: 'sushi', assessment: {} }), 'assessment.result is required');
+    assert.equal(
+        __testUtils.validateThreadPayload({ item: 'sushi', assessment: { result: 'ok', riskScore: 11 } }),
+        'assessment.riskScore must be an integer from 1 to 10'
+    );
+    assert.equal(__testUtils.validateThreadPayload({ item: 'sushi', assessment: { result: 'ok', riskScore: null } }), null);
+});
+
+test('validateQuestion rejects empty and oversized questions', () => {
+    assert.equal(__testUtils.validateQuestion('  '), 'question is required');
+    assert.equal(__testUtils.validateQuestion('x'.repeat(1001)), 'question must be under 1000 characters');
+    assert.equal(__testUtils.validateQuestion('What about the third trimester?'), null);
+});
+
+test('answerFollowUp sends the whole thread to the model', async () => {
+    const provider = llm.createStubProvider();
+    llm.setProvider(provider);
+    try {
+        await safetyAssessment.answerFollowUp({
+            item: 'sushi',
+            assessment: { result: 'RISK_SCORE: 8\nSAFETY: Avoid' },
+            history: [
+                { role: 'user', content: 'What about cooked rolls?' },
+                { role: 'assistant', content: 'Cooked rolls are fine.' }
+            ],
+            question: 'What about in the third trimester?'
+        });
+    } finally {
+        llm.setProvider(null);
+    }
+
+    const { messages } = provider.calls[0];
+    assert.deepEqual(messages.slice(1).map((message) => message.role), ['user', 'assistant', 'user', 'assistant', 'user']);
+    assert.equal(messages[1].content, 'Is "sushi" safe during pregnancy?');
+    assert.equal(messages[2].content, 'RISK_SCORE: 8\nSAFETY: Avoid');
+    assert.equal(messages[5].content, 'What about in the third trimester?');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeBabyAge, gestationalAgeFor } = require('../services/correctedAge');
+
+const birthDate = new Date('2026-01-01T00:00:00Z');
+const daysLater = (days) => new Date(birthDate.getTime() + days * 24 * 60 * 60 * 1000);
+
+test('preterm babies use corrected age and Fenton until 50 weeks', () => {
+    const early = computeBabyAge({ birthDate, gestationalAge: 28, on: daysLater(42) });
+    assert.equal(early.preterm, true);
+    assert.equal(early.correctionWeeks, 12);
+    assert.equal(early.postmenstrualWeeks, 34);
+    assert.equal(early.beforeTermEquivalent, true);
+    assert.equal(early.ageDays, 0);
+    assert.equal(early.chart, 'fenton');
+
+    const later = computeBabyAge({ birthDate, gestationalAge: 28, on: daysLater(180) });
+    assert.equal(later.corrected.days, 96);
+    assert.equal(later.ageDays, 96);
+    assert.equal(later.chart, 'who-cdc');
+});
+
+test('correction stops at 24 months and term babies are not corrected', () => {
+    const twoYears = computeBabyAge({ birthDate, gestationalAge: 30, on: daysLater(740) });
+    assert.equal(twoYears.useCorrected, false);
+    assert.equal(twoYears.ageDays, 740);
+
+    const term = computeBabyAge({ birthDate, gestationalAge: 39, on: daysLater(30) });
+    assert.equal(term.preterm, false);
+    assert.equal(term.corrected, null);
+    assert.equal(term.ageDays, 30);
+
+    assert.equal(computeBabyAge({ birthDate, on: new Date('2025-12-01') }), null);
+});
+
+test('gestational age comes from monitoring risk factors before the profile', () => {
+    assert.equal(gestationalAgeFor({ gestationalAgeAtBirth: 33 }, { riskFactors: { gestationalAge: 31 } }), 31);
+    assert.equal(gestationalAgeFor({ gestationalAgeAtBirth: 33 }, null), 33);
+    assert.equal(gestationalAgeFor({ gestationalAgeAtBirth: 3 }, null), null);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CATEGORIES,
+    createMilestoneCatalog,
+    getMilestoneCatalog,
+    computeMilestoneStatus,
+    developmentalSummary,
+    syncMilestoneAlerts
+} = require('../services/developmentalMilestones');
+const { computeBabyAge } = require('../services/correctedAge');
+
+const catalog = getMilestoneCatalog();
+const birthDate = new Date('2026-01-01T00:00:00Z');
+const now = new Date('2026-07-01T00:00:00Z');
+
+function statusFor({ gestationalAge, records = [] } = {}) {
+    const age = computeBabyAge({ birthDate, gestationalAge, on: now });
+    return computeMilestoneStatus(catalog, { age, birthDate, gestationalAge, records });
+}
+
+function milestone(status, id) {
+    return status.checklists.flatMap((checklist) => checklist.milestones).find((entry) => entry.id === id);
+}
+
+test('the catalog covers the CDC checklists from 2 to 60 months', () => {
+    const ages = catalog.checklists.map((checklist) => checklist.ageMonths);
+    assert.deepEqual(ages, [2, 4, 6, 9, 12, 15, 18, 24, 30, 36, 48, 60]);
+    for (const checklist of catalog.checklists) {
+        const categories = new Set(checklist.milestones.map((entry) => entry.category));
+        assert.ok([...categories].every((category) => CATEGORIES.includes(category)));
+    }
+    assert.equal(catalog.get('12m-pulls-up-stand').ageMonths, 12);
+    assert.throws(() => createMilestoneCatalog({
+        checklists: [{ ageMonths: 2, milestones: [{ id: 'x', category: 'feeding', text: 'Eats' }] }]
+    }), /unknown category/);
+});
+
+test('milestones are overdue past their checklist age', () => {
+    const status = statusFor();
+    assert.equal(status.corrected, false);
+    assert.equal(milestone(status, '4m-brings-hands-mouth').status, 'overdue');
+    assert.equal(milestone(status, '6m-laughs').status, 'expected');
+    assert.equal(milestone(status, '9m-sits-without-support').status, 'upcoming');
+    assert.equal(status.nextChecklistMonths, 6);
+    assert.equal(status.byCategory.motor.expected, status.byCategory.motor.overdue);
+});
+
+test('preterm babies are checked at their corrected age', () => {
+    // Born at 32 weeks: 6 months old, 4 months corrected
+    const status = statusFor({
+        gestationalAge: 32,
+        records: [{ milestoneId: '2m-opens-hands-briefly', achievedDate: new Date('2026-04-20T00:00:00Z') }]
+    });
+    assert.equal(status.corrected, true);
+    assert.equal(status.nextChecklistMonths, 6);
+    assert.equal(milestone(status, '4m-brings-hands-mouth').status, 'overdue');
+
+    const achieved = milestone(status, '2m-opens-hands-briefly');
+    assert.equal(achieved.status, 'achieved');
+    // 109 days old, 53 days corrected
+    assert.equal(achieved.achievedAgeMonths, 1.74);
+    assert.equal(achieved.late, false);
+});
+
+test('the summary lists late, recent and next milestones', () => {
+    const status = statusFor({
+        records: [
+            { milestoneId: '2m-looks-face', achievedDate: new Date('2026-02-20T00:00:00Z') },
+            { milestoneId: '4m-brings-hands-mouth', achievedDate: new Date('2026-06-01T00:00:00Z') },
+            { milestone: 'First tooth', achievedDate: new Date('2026-06-10T00:00:00Z') }
+        ]
+    });
+    const summary = developmentalSummary(status, { now });
+    assert.deepEqual(summary.late.map((entry) => entry.id), ['4m-brings-hands-mouth']);
+    assert.deepEqual(summary.recentlyAchieved.map((entry) => entry.id), ['4m-brings-hands-mouth']);
+    assert.ok(summary.next.every((entry) => entry.ageMonths === 6));
+    assert.equal(summary.discussWithPediatrician, true);
+    assert.equal(status.other[0].milestone, 'First tooth');
+});
+
+test('overdue alerts start once milestones are being recorded', () => {
+    const monitoring = { alerts: [] };
+    assert.equal(syncMilestoneAlerts(monitoring, statusFor()).length, 0);
+
+    const status = statusFor({
+        records: [{ milestoneId: '2m-looks-face', achievedDate: new Date('2026-02-20T00:00:00Z') }]
+    });
+    const added = syncMilestoneAlerts(monitoring, status);
+    assert.deepEqual(added.map((alert) => alert.data.checklistMonths), [2, 4]);
+    assert.ok(added.every((alert) => alert.type === 'milestone'));
+    assert.equal(syncMilestoneAlerts(monitoring, status).length, 0);
+
+    // Marking milestones refreshes the count and resolves finished checklists
+    const twoMonths = catalog.checklists.find((checklist) => checklist.ageMonths === 2).milestones;
+    const fourMonths = catalog.checklists.find((checklist) => checklist.ageMonths === 4).milestones;
+    const marked = statusFor({
+        records: [...twoMonths, fourMonths[0]].map((entry) => ({ milestoneId: entry.id, achievedDate: new Date('2026-05-01T00:00:00Z') }))
+    });
+    const changed = syncMilestoneAlerts(monitoring, marked);
+    assert.equal(changed.length, 2);
+    const [atTwo, atFour] = added;
+    assert.equal(atTwo.acknowledged, true);
+    assert.equal(atFour.acknowledged, undefined);
+    assert.equal(atFour.data.count, fourMonths.length - 1);
+    assert.match(atFour.message, new RegExp(`^${fourMonths.length - 1} milestone`));
+
+    // An alert the user dismissed stays dismissed
+    atFour.acknowledged = true;
+    atFour.acknowledgedBy = 'User';
+    assert.equal(syncMilestoneAlerts(monitoring, marked).length, 0);
+});
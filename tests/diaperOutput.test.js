@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    expectationsFor,
+    evaluateDiaperRecord,
+    evaluateDiaperOutput
+} = require('../services/diaperOutput');
+
+const at = (time) => new Date(`2026-03-${time}Z`);
+const wet = (time) => ({ type: 'wet', timestamp: at(time) });
+
+test('first-week expectations follow the day of life', () => {
+    assert.deepEqual(
+        [0, 1, 2, 4, 6].map((days) => expectationsFor(days).wet),
+        [1, 2, 3, 5, 6]
+    );
+    assert.equal(expectationsFor(3).stools, 2);
+    assert.equal(expectationsFor(20, 8).wet, 8);
+    assert.equal(expectationsFor(20).stools, null);
+});
+
+test('a full day with too few wet diapers is flagged', () => {
+    const records = [wet('08T20:00:00'), wet('09T14:00:00'), wet('10T02:00:00'), wet('10T08:00:00')];
+    const result = evaluateDiaperOutput(records, {
+        now: at('10T12:00:00'),
+        ageDays: 30,
+        trackingSince: at('01T00:00:00')
+    });
+    assert.equal(result.wetCount, 3);
+    assert.equal(result.expectedWetSoFar, 6);
+    assert.equal(result.status, 'low');
+    assert.ok(result.concerns.some((concern) => concern.kind === 'low-wet-count'));
+});
+
+test('expectations are pro-rated when tracking only just started', () => {
+    const result = evaluateDiaperOutput([wet('10T09:00:00')], {
+        now: at('10T11:00:00'),
+        ageDays: 30,
+        trackingSince: at('10T08:00:00')
+    });
+    assert.equal(result.coveredHours, 2);
+    assert.equal(result.expectedWetSoFar, 0);
+    assert.equal(result.status, 'ok');
+});
+
+test('a long gap without a wet diaper is allowed more slack overnight', () => {
+    const records = [];
+    for (let hour = 0; hour < 16; hour += 2) {
+        records.push(wet(`09T${String(hour + 8).padStart(2, '0')}:00:00`));
+    }
+    const options = { ageDays: 30, trackingSince: at('01T00:00:00') };
+    const night = evaluateDiaperOutput(records, { ...options, now: at('10T05:00:00') });
+    assert.equal(night.overnight, true);
+    assert.equal(night.hoursSinceLastWet, 7);
+    assert.equal(night.concerns.some((concern) => concern.kind === 'wet-gap'), false);
+
+    const day = evaluateDiaperOutput(records, { ...options, now: at('10T05:00:00'), timezoneOffset: -8 * 60 });
+    assert.equal(day.overnight, false);
+    assert.ok(day.concerns.some((concern) => concern.kind === 'wet-gap'));
+});
+
+test('blood and pale stool alert immediately', () => {
+    assert.equal(evaluateDiaperRecord({ type: 'dirty', color: 'yellow', blood: true })[0].kind, 'blood');
+    const pale = evaluateDiaperRecord({ type: 'dirty', color: 'Pale grey' });
+    assert.equal(pale[0].kind, 'acholic-stool');
+    assert.equal(pale[0].severity, 'high');
+    assert.deepEqual(evaluateDiaperRecord({ type: 'dirty', color: 'black' }, { ageDays: 1 }), []);
+    assert.equal(evaluateDiaperRecord({ type: 'dirty', color: 'black' }, { ageDays: 10 })[0].kind, 'black-stool');
+    assert.deepEqual(evaluateDiaperRecord({ type: 'wet', color: 'yellow' }), []);
+});
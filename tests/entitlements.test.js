@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const entitlements = require('../services/entitlements');
+const { requireEntitlement } = require('../middleware/entitlements');
+
+function fakeUser(isPremium = false) {
+    return { isPremium, saves: 0, async save() { this.saves++; } };
+}
+
+// Stands in for the User model: applies the quota filters to one stored
+// document an update at a time, as MongoDB does
+function fakeSavedUser(isPremium = false) {
+    const stored = { usage: { period: null, counts: {} } };
+    const count = (field) => stored.usage.counts[field.replace('usage.counts.', '')];
+    const satisfies = (field, condition) => {
+        const value = count(field);
+        if ('$exists' in condition) return (value !== undefined) === condition.$exists;
+        if ('$lt' in condition) return value !== undefined && value < condition.$lt;
+        return value !== undefined && value > condition.$gt;
+    };
+    const matches = (filter) => Object.entries(filter).every(([field, condition]) => {
+        if (field === '_id') return true;
+        if (field === '$or') return condition.some((option) => matches(option));
+        if (field === 'usage.period') return condition.$ne !== undefined ? stored.usage.period !== condition.$ne : stored.usage.period === condition;
+        return satisfies(field, condition);
+    });
+    const apply = (update) => {
+        if (update.$set) stored.usage = { ...update.$set.usage, counts: {} };
+        for (const [field, by] of Object.entries(update.$inc || {})) {
+            const key = field.replace('usage.counts.', '');
+            stored.usage.counts[key] = (stored.usage.counts[key] || 0) + by;
+        }
+    };
+    class User {
+        static async updateOne(filter, update) {
+            if (matches(filter)) apply(update);
+        }
+
+        static findOneAndUpdate(filter, update) {
+            return {
+                lean: async () => {
+                    await null;
+                    if (!matches(filter)) return null;
+                    apply(update);
+                    return { usage: JSON.parse(JSON.stringify(stored.usage)) };
+                }
+            };
+        }
+    }
+    const user = new User();
+    user._id = 'user-1';
+    user.isPremium = isPremium;
+    return { user, stored };
+}
+
+function fakeResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        headersSent: false,
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+test('plans resolve from the user and cover every feature', () => {
+    assert.equal(entitlements.getPlanId(null), 'trial');
+    assert.equal(entitlements.getPlanId(fakeUser()), 'free');
+    assert.equal(entitlements.getPlanId(fakeUser(true)), 'premium');
+
+    for (const plan of Object.values(entitlements.PLANS)) {
+        assert.deepEqual(Object.keys(plan.quotas).sort(), Object.keys(entitlements.FEATURES).sort());
+    }
+});
+
+test('free quota is per feature and resets the next UTC day', async () => {
+    const user = fakeUser();
+    const today = new Date('2026-10-19T15:00:00Z');
+    const tomorrow = new Date('2026-10-20T00:00:01Z');
+
+    const after = await entitlements.recordUsage({ user }, 'textCheck', today);
+    assert.equal(after.remaining, 0);
+    assert.equal(after.resetAt.toISOString(), '2026-10-20T00:00:00.000Z');
+    assert.equal(user.saves, 1);
+
+    assert.equal(entitlements.getQuota({ user }, 'babyCheck', today).remaining, 3);
+    assert.equal(entitlements.getQuota({ user }, 'textCheck', tomorrow).remaining, 1);
+});
+
+test('trial usage lives in the session and premium is unlimited', async () => {
+    const session = {};
+    await entitlements.recordUsage({ session }, 'textCheck');
+    assert.equal(entitlements.getQuota({ session }, 'textCheck').remaining, 0);
+    assert.equal(entitlements.getQuota({ session }, 'textCheck').resetAt, null);
+
+    const premium = { user: fakeUser(true) };
+    await entitlements.recordUsage(premium, 'imageCheck');
+    assert.equal(entitlements.getQuota(premium, 'imageCheck').remaining, null);
+    assert.equal(entitlements.getAllQuotas(premium).features.imageCheck.used, 1);
+});
+
+test('exceeded quotas explain the limit and ask for an upgrade', () => {
+    const trialImage = entitlements.quotaExceededBody(entitlements.getQuota({ session: {} }, 'imageCheck'));
+    assert.equal(trialImage.error, 'Premium subscription required');
+    assert.equal(trialImage.requiresUpgrade, true);
+
+    const freeText = entitlements.quotaExceededBody({ ...entitlements.getQuota({ user: fakeUser() }, 'textCheck'), remaining: 0 });
+    assert.equal(freeText.error, 'Daily limit reached');
+    assert.match(freeText.message, /1 free text safety check for today/);
+});
+
+test('middleware sets headers, blocks at zero and charges only when asked', async () => {
+    const req = { user: fakeUser(), session: {} };
+    const res = fakeResponse();
+    let nextCalls = 0;
+
+    requireEntitlement('comparison')(req, res, () => nextCalls++);
+    assert.equal(nextCalls, 1);
+    assert.equal(res.headers['X-RateLimit-Limit'], '1');
+    assert.equal(res.headers['X-RateLimit-Remaining'], '1');
+    assert.ok(res.headers['X-RateLimit-Reset']);
+
+    // A failed answer never calls charge, so the quota is untouched
+    const retryRes = fakeResponse();
+    requireEntitlement('comparison')({ user: req.user, session: {} }, retryRes, () => nextCalls++);
+    assert.equal(nextCalls, 2);
+
+    await req.entitlement.charge();
+    await req.entitlement.charge();
+    assert.equal(res.headers['X-RateLimit-Remaining'], '0');
+
+    const blocked = fakeResponse();
+    requireEntitlement('comparison')({ user: req.user, session: {} }, blocked, () => nextCalls++);
+    assert.equal(nextCalls, 2);
+    assert.equal(blocked.statusCode, 403);
+    assert.equal(blocked.body.feature, 'comparison');
+});
+
+test('saved users reserve uses atomically and get uncharged ones back', async () => {
+    const { user, stored } = fakeSavedUser();
+    const requests = [0, 1].map(() => ({ req: { user, session: {} }, res: Object.assign(new EventEmitter(), fakeResponse()) }));
+    let nextCalls = 0;
+
+    // Two parallel requests for the last comparison: only one gets it
+    await Promise.all(requests.map(({ req, res }) => requireEntitlement('comparison')(req, res, () => nextCalls++)));
+    assert.equal(nextCalls, 1);
+    assert.deepEqual(requests.map(({ res }) => res.statusCode).sort(), [200, 403]);
+    assert.equal(stored.usage.counts.comparison, 1);
+
+    // The winner fails and never charges: the use is released on close
+    const winner = requests.find(({ res }) => res.statusCode === 200);
+    winner.res.emit('close');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(stored.usage.counts.comparison, 0);
+
+    const charged = { req: { user, session: {} }, res: Object.assign(new EventEmitter(), fakeResponse()) };
+    await requireEntitlement('comparison')(charged.req, charged.res, () => nextCalls++);
+    await charged.req.entitlement.charge();
+    charged.res.emit('close');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(stored.usage.counts.comparison, 1);
+    assert.equal(charged.res.headers['X-RateLimit-Remaining'], '0');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createGrowthStandards,
+    getGrowthStandards,
+    lmsZScore,
+    valueAtZ,
+    normalizeSex
+} = require('../services/growthStandards');
+
+test('WHO curves match the published weight-for-age percentiles', () => {
+    const standards = getGrowthStandards();
+    const [birth] = standards.curves('weight-for-age', 'male', { from: 0, to: 0 });
+    assert.equal(birth.p50, 3.35);
+    assert.equal(birth.p3, 2.51);
+    assert.equal(birth.p97, 4.35);
+
+    const [girlAtOne] = standards.curves('weight-for-age', 'female', { from: 12, to: 12 });
+    assert.equal(girlAtOne.p50, 8.95);
+});
+
+test('LMS z-score inverts valueAtZ, including L = 0', () => {
+    for (const lms of [{ L: 0.1257, M: 7.934, S: 0.10958 }, { L: 0, M: 16, S: 0.08 }]) {
+        assert.ok(Math.abs(lmsZScore(lms, valueAtZ(lms, 1.5)) - 1.5) < 1e-9);
+    }
+});
+
+test('weight-based WHO z-scores are restricted beyond 3 SD', () => {
+    const standards = getGrowthStandards();
+    const lms = { L: 0.3487, M: 3.3464, S: 0.14602 };
+    const heavy = standards.assess('weight-for-age', 'male', 0, 6);
+    const sd3 = valueAtZ(lms, 3);
+    const restricted = 3 + (6 - sd3) / (sd3 - valueAtZ(lms, 2));
+    assert.equal(heavy.zScore, Math.round(restricted * 100) / 100);
+    assert.notEqual(heavy.zScore, Math.round(lmsZScore(lms, 6) * 100) / 100);
+    assert.equal(heavy.percentile, 99.9);
+});
+
+test('sources chain by age and missing indicators are reported', () => {
+    const row = (x, M) => [x, 1, M, 0.1];
+    const standards = createGrowthStandards([
+        { source: 'CDC', ageRangeMonths: [24, 240], indicators: { 'weight-for-age': { male: [row(24, 13), row(36, 14)] } } },
+        { source: 'WHO', ageRangeMonths: [0, 24], indicators: { 'weight-for-age': { male: [row(0, 3), row(24, 12)] } } }
+    ]);
+    assert.equal(standards.assess('weight-for-age', 'M', 24, 12).source, 'WHO');
+    assert.equal(standards.assess('weight-for-age', 'M', 30, 13.5).zScore, 0);
+    assert.deepEqual(standards.curves('weight-for-age', 'male').map((point) => point.x), [0, 24, 36]);
+    assert.equal(standards.assess('weight-for-age', 'M', 300, 60), null);
+    assert.equal(standards.assess('weight-for-age', 'unknown', 12, 9), null);
+
+    const bmi = standards.indicators('male').find((indicator) => indicator.id === 'bmi-for-age');
+    assert.equal(bmi.available, false);
+    assert.equal(normalizeSex('Girl'), 'female');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getImmunizationSchedule,
+    computeVaccinationStatus,
+    syncVaccinationAlerts,
+    vaccinationRecordRows
+} = require('../services/immunizationSchedule');
+const { renderTextPdf } = require('../services/pdfDocument');
+
+const schedule = getImmunizationSchedule('us-cdc');
+const birthDate = new Date('2026-01-10T00:00:00Z');
+const day = (date) => date.toISOString().slice(0, 10);
+
+function vaccine(status, id) {
+    return status.vaccines.find((entry) => entry.id === id);
+}
+
+test('names and combination vaccines resolve to schedule vaccines', () => {
+    assert.deepEqual(schedule.resolve('Pentacel'), ['dtap', 'ipv', 'hib']);
+    assert.deepEqual(schedule.resolve('DTaP-IPV'), ['dtap', 'ipv']);
+    assert.deepEqual(schedule.resolve('DTaP #2'), ['dtap']);
+    assert.deepEqual(schedule.resolve('Prevnar 20'), ['pcv']);
+    assert.deepEqual(schedule.resolve('BCG'), []);
+    assert.equal(getImmunizationSchedule('nowhere'), null);
+});
+
+test('due and overdue doses follow the birth date', () => {
+    const status = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [{ name: 'Hepatitis B', date: birthDate }],
+        now: new Date('2026-03-20T00:00:00Z')
+    });
+    const hepb = vaccine(status, 'hepb');
+    assert.equal(hepb.doses[0].status, 'given');
+    assert.equal(hepb.doses[1].status, 'due');
+    // Overdue a month after the end of the 1-2 month window
+    assert.equal(day(hepb.doses[1].dueBy), '2026-04-10');
+    assert.equal(vaccine(status, 'dtap').doses[0].status, 'due');
+    assert.equal(vaccine(status, 'mmr').doses[0].status, 'upcoming');
+    assert.equal(day(vaccine(status, 'mmr').doses[0].recommendedOn), '2027-01-10');
+
+    const later = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [{ name: 'Hepatitis B', date: birthDate }],
+        now: new Date('2026-04-20T00:00:00Z')
+    });
+    assert.ok(later.overdue.some((dose) => dose.vaccine === 'dtap' && dose.dose === 1));
+});
+
+test('catch-up doses are planned at the minimum intervals', () => {
+    const status = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [{ name: 'DTaP', date: new Date('2026-07-10T00:00:00Z') }],
+        now: new Date('2026-07-20T00:00:00Z')
+    });
+    const dtap = vaccine(status, 'dtap');
+    // Dose 2 was due by 4 months; it can be given 4 weeks after dose 1
+    assert.equal(dtap.doses[1].status, 'upcoming');
+    assert.equal(day(dtap.doses[1].recommendedOn), '2026-08-07');
+    assert.equal(day(dtap.doses[2].recommendedOn), '2026-09-04');
+});
+
+test('doses given too early are not counted', () => {
+    const status = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [
+            { name: 'MMR', date: new Date('2026-12-01T00:00:00Z') },
+            { name: 'Flu shot', date: new Date('2026-12-01T00:00:00Z') },
+            { name: 'Measles', date: new Date('2027-01-08T00:00:00Z') }
+        ],
+        now: new Date('2027-02-01T00:00:00Z')
+    });
+    const mmr = vaccine(status, 'mmr');
+    assert.equal(mmr.invalidDoses.length, 1);
+    assert.match(mmr.invalidDoses[0].reason, /minimum age/);
+    // Within the 4-day grace period of 12 months
+    assert.equal(day(mmr.doses[0].givenOn), '2027-01-08');
+    assert.equal(status.unrecognized[0].name, 'Flu shot');
+});
+
+test('age limits end a series', () => {
+    const status = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [],
+        now: new Date('2026-06-01T00:00:00Z')
+    });
+    assert.ok(vaccine(status, 'rotavirus').doses.every((dose) => dose.status === 'too-late'));
+
+    const hib = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [{ name: 'Hib', date: new Date('2027-06-01T00:00:00Z') }],
+        now: new Date('2027-07-01T00:00:00Z')
+    });
+    assert.equal(vaccine(hib, 'hib').complete, true);
+});
+
+test('alerts are raised once per dose and status', () => {
+    const status = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [],
+        now: new Date('2026-03-20T00:00:00Z')
+    });
+    const monitoring = { alerts: [] };
+    const added = syncVaccinationAlerts(monitoring, status);
+    assert.ok(added.length > 0);
+    assert.ok(added.every((alert) => alert.type === 'appointment'));
+    assert.equal(syncVaccinationAlerts(monitoring, status).length, 0);
+
+    // Once DTaP dose 1 is given its due alert is acknowledged
+    const given = computeVaccinationStatus(schedule, {
+        birthDate,
+        records: [{ name: 'DTaP', date: new Date('2026-03-21T00:00:00Z') }],
+        now: new Date('2026-03-22T00:00:00Z')
+    });
+    syncVaccinationAlerts(monitoring, given);
+    const dtapAlert = monitoring.alerts.find((alert) => alert.data.vaccine === 'dtap' && alert.data.dose === 1);
+    assert.equal(dtapAlert.acknowledged, true);
+    assert.ok(monitoring.alerts.some((alert) => alert.data.vaccine === 'ipv' && !alert.acknowledged));
+});
+
+test('the vaccination record renders as a PDF', () => {
+    const status = computeVaccinationStatus(schedule, { birthDate, records: [], now: new Date('2026-03-20T00:00:00Z') });
+    const rows = vaccinationRecordRows(status);
+    const pdf = renderTextPdf({ title: 'Vaccination record (test)', lines: rows.map((row) => `${row.vaccine} ${row.dose} ${row.status}`) });
+    const text = pdf.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.trimEnd().endsWith('%%EOF'));
+    assert.match(text, /Vaccination record \\\(test\\\)/);
+    const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    assert.equal(text.slice(xref, xref + 4), 'xref');
+});
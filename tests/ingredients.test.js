@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const llm = require('../services/llm');
+const safetyAssessment = require('../services/safetyAssessment');
+const { parseIngredientReport } = require('../services/assessmentSchema');
+const { splitIngredientList, checkIngredients } = require('../services/ingredients');
+
+test('labels are split into ingredients, sub-ingredients included', () => {
+    const label = 'INGREDIENTS: Enriched Flour (Wheat Flour, Niacin), Sugar; Salt. Contains 2% or less of: Soy Lecithin, sugar\nContains: Milk';
+    assert.deepEqual(splitIngredientList(label), ['Enriched Flour', 'Wheat Flour', 'Niacin', 'Sugar', 'Salt', 'Soy Lecithin', 'Milk']);
+});
+
+test('recipe lines drop quantities and preparation notes', () => {
+    const recipe = '2 cups all-purpose flour, sifted\n1/2 tsp. salt\n3 large eggs\n200 g smoked salmon, sliced';
+    assert.deepEqual(splitIngredientList(recipe), ['all-purpose flour', 'salt', 'eggs', 'smoked salmon']);
+});
+
+test('profile allergies turn matching ingredients into Avoid', async () => {
+    const ingredients = ['Peanut Butter', 'Cocoa Butter', 'Swordfish'];
+    const report = await checkIngredients({ ingredients, allergies: ['peanuts', 'milk'] });
+
+    const [peanutButter, cocoaButter, swordfish] = report.ingredients;
+    assert.deepEqual(peanutButter.allergens, ['peanuts']); // not milk: "peanut butter" is excluded
+    assert.equal(peanutButter.safetyLevel, 'Avoid');
+    assert.equal(cocoaButter.riskScore, null);
+    assert.equal(swordfish.ruleId, 'high-mercury-fish');
+
+    assert.deepEqual(report.unresolved, ['Cocoa Butter']);
+    assert.equal(report.assessmentStatus, 'unavailable');
+    assert.match(report.assessment.why, /Could not check: Cocoa Butter/);
+});
+
+test('only ingredients the rules missed are sent to the AI fallback', async () => {
+    llm.setProvider(llm.createStubProvider());
+    let asked = null;
+    const report = await checkIngredients({
+        ingredients: ['Oats', 'Caffeine'],
+        fallback: async ({ ingredients, unknown }) => {
+            asked = unknown;
+            return safetyAssessment.assessIngredients({ ingredients, unknown });
+        }
+    });
+
+    assert.deepEqual(asked, ['Oats']);
+    assert.equal(report.ingredients[0].source, 'ai');
+    assert.equal(report.ingredients[1].source, 'ingredient-rules');
+    assert.equal(report.source, 'mixed');
+    assert.equal(report.assessmentStatus, 'valid');
+    assert.deepEqual(report.unresolved, []);
+});
+
+test('ingredient reports are validated entry by entry', () => {
+    const parsed = parseIngredientReport('{"schemaVersion":"1.0","ingredients":[{"ingredient":"Oats","riskScore":"11","safetyLevel":"ok","why":""}]}');
+    assert.equal(parsed.report, null);
+    assert.equal(parsed.errors.length, 3);
+});
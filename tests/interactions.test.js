@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCHEMA_VERSION, parseInteractionReport } = require('../services/assessmentSchema');
+const { getInteractionTable, checkInteractions } = require('../services/interactions');
+
+test('shipped interaction table loads and resolves brand names', () => {
+    const table = getInteractionTable();
+    assert.ok(table.size > 0);
+    assert.equal(table.resolve('Zoloft').id, 'sertraline');
+    assert.equal(table.resolve('prenatal vitamins').id, 'prenatal-vitamin');
+    assert.equal(table.resolve('mystery herb'), null);
+});
+
+test('class rules apply to every member and skip the same drug twice', async () => {
+    const report = await checkInteractions({ medications: ['Zoloft', 'prenatal vitamin'], item: 'Advil' });
+
+    assert.deepEqual(report.interactions.map((entry) => entry.between), [['Zoloft', 'Advil']]);
+    assert.equal(report.interactions[0].severity, 'moderate');
+    assert.equal(report.combinedRisk.level, 'high'); // ibuprofen is "Avoid" in pregnancy
+    assert.equal(report.source, 'interaction-table');
+    assert.equal(report.assessmentStatus, 'not-needed');
+});
+
+test('unknown items without a fallback are never reported as low risk', async () => {
+    const report = await checkInteractions({ medications: ['levothyroxine'], item: 'mystery herb', context: 'lactation' });
+
+    assert.deepEqual(report.unresolved, ['mystery herb']);
+    assert.equal(report.assessmentStatus, 'unavailable');
+    assert.equal(report.combinedRisk.level, 'unknown');
+});
+
+test('fallback results are limited to pairs involving unknown items', async () => {
+    const note = { level: 'Safe', note: 'Fine.' };
+    const fallback = async ({ items, unknown }) => {
+        assert.deepEqual(items, ['sertraline', 'ibuprofen', 'mystery herb']);
+        assert.deepEqual(unknown, ['mystery herb']);
+        return {
+            status: 'valid',
+            report: {
+                interactions: [
+                    { between: ['Mystery Herb', 'sertraline'], severity: 'major', effect: 'x', advice: 'y' },
+                    { between: ['sertraline', 'ibuprofen'], severity: 'minor', effect: 'x', advice: 'y' },
+                    { between: ['mystery herb', 'warfarin'], severity: 'major', effect: 'x', advice: 'y' }
+                ],
+                concerns: [{ item: 'mystery herb', pregnancy: note, lactation: note }]
+            }
+        };
+    };
+
+    const report = await checkInteractions({ medications: ['sertraline', 'ibuprofen'], item: 'mystery herb', fallback });
+    const aiPairs = report.interactions.filter((entry) => entry.source === 'ai').map((entry) => entry.between);
+
+    assert.deepEqual(aiPairs, [['mystery herb', 'sertraline']]);
+    assert.deepEqual(report.unresolved, []);
+    assert.equal(report.source, 'mixed');
+});
+
+test('parseInteractionReport validates severities and safety levels', () => {
+    const valid = parseInteractionReport(JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        interactions: [{ between: ['a', 'b'], severity: 'Major', effect: 'x', advice: 'y' }],
+        concerns: [{ item: 'a', pregnancy: { level: 'caution', note: 'n' }, lactation: { level: 'Safe', note: 'n' } }]
+    }));
+    assert.deepEqual(valid.errors, []);
+    assert.equal(valid.report.interactions[0].severity, 'major');
+    assert.equal(valid.report.concerns[0].pregnancy.level, 'Caution');
+
+    const invalid = parseInteractionReport(JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        interactions: [{ between: ['a'], severity: 'severe', effect: 'x', advice: 'y' }],
+        concerns: []
+    }));
+    assert.equal(invalid.report, null);
+    assert.equal(invalid.errors.length, 2);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { __testUtils } = require('../routes/journal');
+
+const { validateEntryPayload, entryFields, buildListQuery } = __testUtils;
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+test('entries need some content and sane fields', () => {
+    assert.equal(validateEntryPayload({ text: 'Felt the first kick', mood: 'happy', tags: ['Milestone'] }), null);
+    assert.match(validateEntryPayload({ text: '   ' }), /needs text, a voice note or a photo/);
+    assert.match(validateEntryPayload({ text: 'ok', mood: 'ecstatic' }), /mood must be one of/);
+    assert.match(validateEntryPayload({ text: 'ok', date: '2999-01-01' }), /future/);
+    assert.match(validateEntryPayload({ text: 'ok', tags: 'milestone' }), /tags must be a list/);
+    assert.match(validateEntryPayload({ text: 'ok', audioUrl: 'blob:https://app/123' }), /audioUrl/);
+
+    // Updates only check what was sent
+    assert.equal(validateEntryPayload({ mood: 'tired' }, { partial: true }), null);
+});
+
+test('photo attachments must be images or https links', () => {
+    assert.equal(validateEntryPayload({ attachments: [{ url: 'data:image/jpeg;base64,/9j/4AAQ' }] }), null);
+    assert.equal(validateEntryPayload({ attachments: [{ url: 'https://example.com/bump.jpg', caption: '20 weeks' }] }), null);
+    assert.match(validateEntryPayload({ attachments: [{ url: 'data:text/html;base64,PGgxPg==' }] }), /attachment/);
+    assert.match(
+        validateEntryPayload({ attachments: Array.from({ length: 5 }, () => ({ url: 'https://example.com/a.jpg' })) }),
+        /at most 4/
+    );
+});
+
+test('tags are lowercased and deduplicated, symptoms keep their case', () => {
+    const fields = entryFields({
+        text: '  Back pain after the walk  ',
+        tags: ['Walk', 'walk ', 'Second  Trimester'],
+        symptoms: ['Back pain', 'Back pain'],
+        attachments: [{ url: 'data:image/png;base64,iVBORw0KGgo=' }],
+        userId: 'someone-else'
+    });
+    assert.equal(fields.text, 'Back pain after the walk');
+    assert.deepEqual(fields.tags, ['walk', 'second trimester']);
+    assert.deepEqual(fields.symptoms, ['Back pain']);
+    assert.equal(fields.attachments[0].contentType, 'image/png');
+    assert.equal(fields.userId, undefined);
+});
+
+test('list queries page, filter by date, tag and mood, and rank text matches', () => {
+    const plain = buildListQuery(userId, { page: '3', limit: '500', tag: 'Milestone' });
+    assert.equal(plain.page, 3);
+    assert.equal(plain.limit, 100);
+    assert.equal(plain.filter.tags, 'milestone');
+    assert.deepEqual(plain.sort, { date: -1 });
+
+    const ranged = buildListQuery(userId, { from: '2026-10-01', to: '2026-10-31', mood: 'calm' });
+    assert.equal(ranged.filter.date.$gte.toISOString(), '2026-10-01T00:00:00.000Z');
+    assert.equal(ranged.filter.mood, 'calm');
+
+    const search = buildListQuery(userId, { q: 'heartburn' });
+    assert.deepEqual(search.filter.$text, { $search: 'heartburn' });
+    assert.deepEqual(Object.keys(search.sort), ['score', 'date']);
+
+    assert.equal(buildListQuery(userId, { from: '2026-10-31', to: '2026-10-01' }).error, 'Invalid date range');
+    assert.equal(buildListQuery(userId, { mood: 'ecstatic' }).error, 'Invalid mood');
+});
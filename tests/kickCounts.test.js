@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { minutesToTarget, computeBaseline, evaluateKickSession, summarizeKickSessions } = require('../services/kickCounts');
+const { __testUtils } = require('../routes/kickCounts');
+
+const MINUTE = 60000;
+
+// A session on `day` (UTC, October 2026) that reaches 10 movements in `minutes`
+function session(day, minutes) {
+    const startedAt = new Date(Date.UTC(2026, 9, day, 20));
+    const kickTimes = Array.from({ length: 10 }, (_, index) => new Date(startedAt.getTime() + (index + 1) * minutes * MINUTE / 10));
+    return { startedAt, endedAt: kickTimes[9], count: 10, kickTimes };
+}
+
+test('time to 10 comes from the tenth kick or the session end', () => {
+    assert.equal(minutesToTarget(session(1, 25)), 25);
+    const counted = { startedAt: new Date('2026-10-01T20:00:00Z'), endedAt: new Date('2026-10-01T20:40:00Z'), count: 12 };
+    assert.equal(minutesToTarget(counted), 40);
+    assert.equal(minutesToTarget({ ...counted, count: 6 }), null);
+});
+
+test('baseline needs three sessions and uses the recent median', () => {
+    assert.equal(computeBaseline([session(1, 20), session(2, 30)]), null);
+    assert.equal(computeBaseline([session(1, 20), session(2, 30), session(3, 24), session(4, 90)]), 27);
+});
+
+test('alerts for a slow session and for fewer than 10 in 2 hours', () => {
+    const history = [session(1, 20), session(2, 22), session(3, 18)];
+
+    assert.deepEqual(evaluateKickSession(session(4, 25), history).alerts, []);
+    const slow = evaluateKickSession(session(4, 50), history);
+    assert.equal(slow.baselineMinutes, 20);
+    assert.equal(slow.alerts[0].urgency, 'call-provider');
+
+    const startedAt = new Date('2026-10-04T20:00:00Z');
+    const short = { startedAt, endedAt: new Date(startedAt.getTime() + 120 * MINUTE), count: 6, kickTimes: [] };
+    assert.equal(evaluateKickSession(short, history).alerts[0].urgency, 'go-to-labor-and-delivery');
+    // Stopped early: nothing to judge yet
+    assert.deepEqual(evaluateKickSession({ ...short, endedAt: new Date(startedAt.getTime() + 30 * MINUTE) }, history).alerts, []);
+});
+
+test('daily summary', () => {
+    const summary = summarizeKickSessions([session(17, 20), session(18, 30), session(18, 40), session(19, 24)], { now: new Date('2026-10-19T23:00:00Z'), days: 7 });
+    assert.equal(summary.sessionCount, 4);
+    assert.deepEqual(summary.daily.map((day) => [day.date, day.sessions, day.medianMinutesToTarget]), [
+        ['2026-10-17', 1, 20], ['2026-10-18', 2, 35], ['2026-10-19', 1, 24]
+    ]);
+    assert.equal(summary.latest.minutesToTarget, 24);
+});
+
+test('kick session validation', () => {
+    const { validateKickSession } = __testUtils;
+    const now = new Date('2026-10-19T21:00:00Z');
+    const { startedAt, endedAt, kickTimes } = session(19, 30);
+    assert.equal(validateKickSession({ startedAt, endedAt, kickTimes }, { now }), null);
+    assert.equal(validateKickSession({ startedAt, endedAt, count: 4 }, { now }), null);
+    assert.equal(validateKickSession({ startedAt: endedAt, endedAt: startedAt, count: 4 }, { now }), 'endedAt must be after startedAt');
+    assert.equal(validateKickSession({ startedAt, endedAt, kickTimes: [now] }, { now }), 'kickTimes must be times between startedAt and endedAt');
+    assert.equal(validateKickSession({ startedAt, endedAt }, { now }), 'count must be a whole number from 0 to 200');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getKnowledgeBase, createKnowledgeBase, toAssessment } = require('../services/knowledgeBase');
+const { profileConcerns } = require('../services/safetyAssessment');
+const { validateAssessment } = require('../services/assessmentSchema');
+
+test('shipped knowledge base loads with a version and unique aliases', () => {
+    const knowledgeBase = getKnowledgeBase();
+    assert.ok(knowledgeBase.version);
+    assert.ok(knowledgeBase.size > 0);
+});
+
+test('lookup matches aliases regardless of case, accents, punctuation and plurals', () => {
+    const knowledgeBase = getKnowledgeBase();
+    assert.equal(knowledgeBase.lookup('Sashimi').id, 'raw-fish');
+    assert.equal(knowledgeBase.lookup('  PÂTÉ ').id, 'liver');
+    assert.equal(knowledgeBase.lookup('retin-a').id, 'retinoids');
+    assert.equal(knowledgeBase.lookup('hot tubs').id, 'hot-tub');
+    assert.equal(knowledgeBase.lookup('dragon fruit'), null);
+    assert.equal(knowledgeBase.lookup(''), null);
+});
+
+test('entries convert to schema-valid assessments', () => {
+    const entry = getKnowledgeBase().lookup('alcohol');
+    assert.deepEqual(validateAssessment(toAssessment(entry)), []);
+    assert.deepEqual(validateAssessment(toAssessment(entry, { includeBreastfeeding: true }), { requireBreastfeeding: true }), []);
+});
+
+test('createKnowledgeBase rejects invalid entries and duplicate aliases', () => {
+    const entry = getKnowledgeBase().lookup('walking');
+    assert.throws(() => createKnowledgeBase({ entries: [{ ...entry, riskScore: 12 }] }), /Invalid knowledge base entry/);
+    assert.throws(() => createKnowledgeBase({ entries: [entry, { ...entry, id: 'copy' }] }), /used by both/);
+});
+
+test('profile allergies and conditions keep a curated answer from applying as is', () => {
+    const salmon = getKnowledgeBase().lookup('salmon');
+    assert.deepEqual(profileConcerns(salmon, { item: 'salmon', userProfile: {} }), []);
+    assert.deepEqual(profileConcerns(salmon, { item: 'salmon', userProfile: { allergies: ['peanuts'] } }), []);
+    assert.match(profileConcerns(salmon, { item: 'salmon', userProfile: { allergies: { fish: true } } })[0], /fish allergy/);
+    assert.match(profileConcerns(salmon, { item: 'salmon', userProfile: { conditions: ['gestational-diabetes'] } })[0], /gestational diabetes/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const llm = require('../services/llm');
+const safetyAssessment = require('../services/safetyAssessment');
+
+test('stub provider is deterministic and fills requested fields', async () => {
+    const provider = llm.createStubProvider();
+    const request = {
+        messages: [{ role: 'user', content: 'Is "coffee" safe?\nRISK_SCORE: [1-10]\nSAFETY: [Safe/Caution/Avoid]' }]
+    };
+
+    const first = await provider.chat(request);
+    const second = await provider.chat(request);
+
+    assert.equal(first.content, second.content);
+    assert.match(first.content, /^RISK_SCORE: \d+\nSAFETY: (Safe|Caution|Avoid)$/);
+    assert.equal(provider.calls.length, 2);
+});
+
+test('openai-compatible provider retries retryable failures', async () => {
+    let attempts = 0;
+    const httpClient = {
+        post: async (url, body) => {
+            attempts++;
+            if (attempts === 1) {
+                const error = new Error('Service unavailable');
+                error.response = { status: 503, headers: {} };
+                throw error;
+            }
+            return { data: { model: body.model, choices: [{ message: { content: 'ok' } }] } };
+        }
+    };
+    const provider = llm.createOpenAICompatibleProvider({
+        baseUrl: 'https://llm.example/v1',
+        apiKey: 'key',
+        model: 'test-model',
+        retries: 2,
+        retryDelay: 1,
+        httpClient
+    });
+
+    const result = await provider.chat({ messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(result.content, 'ok');
+    assert.equal(result.model, 'test-model');
+    assert.equal(attempts, 2);
+});
+
+test('openai-compatible provider does not retry client errors', async () => {
+    let attempts = 0;
+    const httpClient = {
+        post: async () => {
+            attempts++;
+            const error = new Error('Bad request');
+            error.response = { status: 400, headers: {} };
+            throw error;
+        }
+    };
+    const provider = llm.createOpenAICompatibleProvider({
+        baseUrl: 'https://llm.example/v1',
+        apiKey: 'key',
+        model: 'test-model',
+        retries: 3,
+        retryDelay: 1,
+        httpClient
+    });
+
+    await assert.rejects(provider.chat({ messages: [] }), /Bad request/);
+    assert.equal(attempts, 1);
+});
+
+test('createProvider rejects unknown backends', () => {
+    assert.throws(() => llm.createProvider('nope'), /Unknown LLM provider/);
+});
+
+test('safety assessment service routes through the active provider', async () => {
+    const provider = llm.createStubProvider();
+    llm.setProvider(provider);
+
+    const result = await safetyAssessment.assessItem({
+        item: 'sushi',
+        userProfile: { conditions: { preeclampsia: true }, trimester: 'second' }
+    });
+
+    assert.equal(result.status, 'valid');
+    assert.ok(Number.isInteger(result.assessment.riskScore));
+    const prompt = provider.calls[0].messages[1].content;
+    assert.match(prompt, /preeclampsia\/high blood pressure/);
+    assert.match(prompt, /Currently in second trimester/);
+
+    llm.setProvider(null);
+});
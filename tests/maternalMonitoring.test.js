@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    computeBmi,
+    bmiCategory,
+    expectedGainRange,
+    evaluateWeight,
+    classifyBloodPressure,
+    evaluateGlucose
+} = require('../services/maternalVitals');
+const { __testUtils } = require('../routes/maternalMonitoring');
+
+test('BMI category picks the IOM gain range', () => {
+    assert.equal(bmiCategory(computeBmi(60, 165)), 'normal');
+    assert.equal(bmiCategory(computeBmi(50, 170)), 'underweight');
+    assert.equal(bmiCategory(computeBmi(95, 165)), 'obese');
+    assert.equal(bmiCategory(computeBmi(null, 165)), null);
+
+    assert.deepEqual(expectedGainRange('normal', 13), { lowKg: 0.5, highKg: 2 });
+    // 27 weeks past the first trimester at 0.35-0.5 kg a week
+    assert.deepEqual(expectedGainRange('normal', 40), { lowKg: 10, highKg: 15.5 });
+});
+
+test('weight gain is compared with the range for the starting BMI', () => {
+    const record = { timestamp: new Date('2026-10-19'), weightKg: 75, week: 28 };
+    const above = evaluateWeight(record, { baselineKg: 60, category: 'normal' });
+    assert.equal(above.gainKg, 15);
+    assert.equal(above.status, 'above');
+    assert.equal(above.alerts[0].severity, 'low');
+
+    const within = evaluateWeight({ ...record, weightKg: 67 }, { baselineKg: 60, category: 'normal' });
+    assert.equal(within.status, 'within');
+    assert.deepEqual(within.alerts, []);
+
+    assert.equal(evaluateWeight(record).gainKg, null);
+});
+
+test('sudden gain after 20 weeks raises a high alert', () => {
+    const previous = { timestamp: new Date('2026-10-14'), weightKg: 70, week: 30 };
+    const { alerts } = evaluateWeight(
+        { timestamp: new Date('2026-10-19'), weightKg: 72, week: 30 },
+        { previous }
+    );
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].severity, 'high');
+    assert.match(alerts[0].message, /preeclampsia/);
+});
+
+test('blood pressure bands follow the preeclampsia thresholds', () => {
+    assert.equal(classifyBloodPressure({ systolic: 112, diastolic: 70 }).category, 'normal');
+    assert.equal(classifyBloodPressure({ systolic: 132, diastolic: 78 }).category, 'elevated');
+
+    const high = classifyBloodPressure({ systolic: 128, diastolic: 92 });
+    assert.equal(high.category, 'high');
+    assert.equal(high.alerts[0].severity, 'high');
+
+    const severe = classifyBloodPressure({ systolic: 162, diastolic: 100 });
+    assert.equal(severe.category, 'severe');
+    assert.equal(severe.alerts[0].severity, 'critical');
+    assert.match(severe.alerts[0].message, /Labor & Delivery/);
+});
+
+test('glucose targets apply only with gestational diabetes', () => {
+    const withGdm = evaluateGlucose({ value: 130, type: '2h-after-meal' }, { gestationalDiabetes: true });
+    assert.equal(withGdm.target, 120);
+    assert.equal(withGdm.inTarget, false);
+    assert.equal(withGdm.alerts[0].severity, 'medium');
+
+    const withoutGdm = evaluateGlucose({ value: 130, type: '2h-after-meal' });
+    assert.equal(withoutGdm.inTarget, null);
+    assert.deepEqual(withoutGdm.alerts, []);
+
+    assert.equal(evaluateGlucose({ value: 52, type: 'random' }).alerts[0].severity, 'high');
+    assert.equal(evaluateGlucose({ value: 130, type: 'fasting' }).alerts.length, 1);
+
+    // No target for random readings, but a very high one still alerts
+    const randomWithGdm = evaluateGlucose({ value: 350, type: 'random' }, { gestationalDiabetes: true });
+    assert.equal(randomWithGdm.target, null);
+    assert.equal(randomWithGdm.alerts.length, 1);
+    assert.equal(randomWithGdm.alerts[0].severity, 'medium');
+});
+
+test('payload validators reject impossible readings', () => {
+    const { validateWeightPayload, validateBloodPressurePayload, validateGlucosePayload, validateProfilePayload } = __testUtils;
+
+    assert.equal(validateWeightPayload({ weight: { value: 150, unit: 'lbs' } }), null);
+    assert.match(validateWeightPayload({ weight: { value: 15 } }), /between 30 and 300/);
+    assert.match(validateWeightPayload({ weight: { value: 70 }, timestamp: '2999-01-01' }), /future/);
+
+    assert.equal(validateBloodPressurePayload({ systolic: 118, diastolic: 76, arm: 'left' }), null);
+    assert.match(validateBloodPressurePayload({ systolic: 76, diastolic: 118 }), /higher than diastolic/);
+
+    assert.equal(validateGlucosePayload({ value: 5.2, unit: 'mmol/L', type: 'fasting' }), null);
+    assert.match(validateGlucosePayload({ value: 90, type: 'snack' }), /type must be one of/);
+
+    assert.equal(validateProfilePayload({ height: { value: 64, unit: 'inches' } }), null);
+    assert.match(validateProfilePayload({ alertThresholds: { bloodPressure: { systolic: -1 } } }), /positive number/);
+});
+
+test('stored thresholds override the defaults and CSV cells are quoted', () => {
+    const thresholds = __testUtils.resolveThresholds({ alertThresholds: { bloodPressure: { systolic: 135 } } });
+    assert.equal(thresholds.bloodPressure.systolic, 135);
+    assert.equal(thresholds.bloodPressure.diastolic, 90);
+    assert.equal(thresholds.glucose.fasting, 95);
+
+    const csv = __testUtils.convertToCSV({
+        weightRecords: [],
+        bloodPressureReadings: [{
+            timestamp: new Date('2026-10-19T08:00:00Z'),
+            gestationalWeek: 30,
+            category: 'high',
+            systolic: 142,
+            diastolic: 91,
+            notes: 'after stairs, "felt fine"'
+        }],
+        glucoseReadings: []
+    });
+    assert.equal(csv, 'Category,Date,Week,Type,Value,Unit,Notes\n'
+        + 'Blood Pressure,2026-10-19T08:00:00.000Z,30,high,142/91,mmHg,"after stairs, ""felt fine"""\n');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    zonedTime,
+    intervalHours,
+    expandDoses,
+    buildSchedule,
+    adherenceReport,
+    duplicateDoseWarning,
+    syncMedicationAlerts
+} = require('../services/medicationSchedule');
+
+const at = (time) => new Date(`2026-03-${time}Z`);
+
+function medication(overrides = {}) {
+    return {
+        _id: 'med-1',
+        name: 'Amoxicillin',
+        dosage: '5 ml',
+        frequency: 'twice daily',
+        reminders: [{ time: '09:00', enabled: true }, { time: '21:00', enabled: true }],
+        administrationLog: [],
+        ...overrides
+    };
+}
+
+test('reminder times are read in the baby timezone, across DST changes', () => {
+    assert.equal(zonedTime(2026, 3, 7, 9, 0, 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+    assert.equal(zonedTime(2026, 3, 9, 9, 0, 'America/New_York').toISOString(), '2026-03-09T13:00:00.000Z');
+
+    const doses = expandDoses(medication(), {
+        from: at('08T00:00:00'),
+        to: at('10T00:00:00'),
+        timeZone: 'America/New_York'
+    });
+    assert.deepEqual(doses.map((dose) => dose.scheduledFor.toISOString()), [
+        '2026-03-08T02:00:00.000Z',
+        '2026-03-08T13:00:00.000Z',
+        '2026-03-09T01:00:00.000Z',
+        '2026-03-09T13:00:00.000Z'
+    ]);
+});
+
+test('frequency text sets the dosing interval', () => {
+    assert.equal(intervalHours({ frequency: 'Every 8 hours' }), 8);
+    assert.equal(intervalHours({ frequency: 'q6h' }), 6);
+    assert.equal(intervalHours({ frequency: 'TID' }), 8);
+    assert.equal(intervalHours({ frequency: 'as needed for fever' }), null);
+    assert.equal(intervalHours({ frequency: '', reminders: [{ time: '08:00' }, { time: '20:00' }] }), 12);
+});
+
+test('log entries match doses; unlogged doses are missed after the grace window', () => {
+    const med = medication({
+        administrationLog: [
+            { _id: 'a', timestamp: at('10T09:20:00'), given: true },
+            { _id: 'b', timestamp: at('10T23:30:00'), given: true }
+        ]
+    });
+    const doses = buildSchedule(med, { from: at('10T00:00:00'), to: at('12T00:00:00'), now: at('11T12:00:00') });
+    assert.deepEqual(doses.map((dose) => dose.status), ['given', 'late', 'missed', 'upcoming']);
+    assert.equal(doses[0].logId, 'a');
+
+    const due = buildSchedule(med, { from: at('11T00:00:00'), to: at('12T00:00:00'), now: at('11T09:30:00') });
+    assert.equal(due[0].status, 'due');
+});
+
+test('adherence counts only doses that could have been given', () => {
+    const med = medication({
+        administrationLog: [
+            { _id: 'a', timestamp: at('10T09:00:00'), given: true },
+            { _id: 'b', timestamp: at('10T21:05:00'), given: false }
+        ]
+    });
+    const report = adherenceReport([med], { from: at('10T00:00:00'), to: at('11T10:30:00'), now: at('11T10:30:00') });
+    const row = report.medications[0];
+    assert.equal(row.scheduled, 3);
+    assert.equal(row.given, 1);
+    assert.equal(row.skipped, 1);
+    assert.equal(row.missed, 1);
+    assert.equal(row.adherence, 33.3);
+});
+
+test('a second dose too soon after the last is flagged', () => {
+    const med = medication({ administrationLog: [{ timestamp: at('10T09:00:00'), given: true }] });
+    const warning = duplicateDoseWarning(med, at('10T11:00:00'));
+    assert.equal(warning.hoursApart, 2);
+    assert.equal(warning.minIntervalHours, 9);
+    assert.equal(duplicateDoseWarning(med, at('10T20:30:00')), null);
+    assert.equal(duplicateDoseWarning({ ...med, minIntervalHours: 12 }, at('10T20:30:00')).minIntervalHours, 12);
+    assert.equal(duplicateDoseWarning({ ...med, frequency: 'as needed', reminders: [] }, at('10T09:30:00')), null);
+});
+
+test('missed doses alert once', () => {
+    const monitoring = { settings: {}, medications: [medication()], alerts: [] };
+    const now = at('10T22:30:00');
+    const added = syncMedicationAlerts(monitoring, { now });
+    assert.equal(added.length, 2);
+    assert.equal(added[0].type, 'medication');
+    assert.match(added[0].message, /due at 09:00/);
+    assert.equal(syncMedicationAlerts(monitoring, { now }).length, 0);
+});
@@ -3,18 +3,121 @@ const assert = require('node:assert/strict');
 
 const monitoringRoute = require('../routes/monitoring');
 const { __testUtils } = monitoringRoute;
+const { createGrowthStandards, loadTables } = require('../services/growthStandards');
 
-test('calculatePercentile is deterministic for same input', () => {
-    const p1 = __testUtils.calculatePercentile(6.5, { weeks: 20, days: 0 }, 'weight');
-    const p2 = __testUtils.calculatePercentile(6.5, { weeks: 20, days: 0 }, 'weight');
-    assert.equal(p1, p2);
-    assert.ok(p1 >= 1 && p1 <= 99);
+test('growthPoint converts units and needs a sex', () => {
+    const boy = { gender: 'male', birthDate: new Date('2026-01-01T00:00:00Z') };
+    const date = new Date('2026-05-21T00:00:00Z');
+    const percentile = (weight, subject = boy) => __testUtils.growthPoint({ date, weight }, 'weight-for-age', subject).percentile;
+
+    const kg = percentile({ value: 6.5, unit: 'kg' });
+    assert.ok(kg >= 1 && kg <= 99);
+    assert.equal(percentile({ value: 6500, unit: 'g' }), kg);
+    assert.equal(percentile({ value: 6.5 * 2.20462262, unit: 'lbs' }), kg);
+    assert.ok(percentile({ value: 7, unit: 'kg' }) > kg);
+    assert.equal(percentile({ value: 6.5 }, { ...boy, gender: null }), null);
+    // The same weight sits higher on the girls' chart
+    assert.ok(percentile({ value: 6.5 }, { ...boy, gender: 'female' }) > kg);
+});
+
+test('growthPoint reads weight-for-length and BMI-for-age from the WHO tables', () => {
+    const baby = { gender: 'male', birthDate: new Date('2026-01-01T00:00:00Z') };
+    const measurement = { date: new Date('2027-01-01T00:00:00Z'), weight: { value: 10.45, unit: 'kg' }, length: { value: 80, unit: 'cm' } };
+
+    const weightForLength = __testUtils.growthPoint(measurement, 'weight-for-length', baby);
+    assert.equal(weightForLength.x, 80);
+    assert.equal(weightForLength.source, 'WHO');
+    assert.ok(Math.abs(weightForLength.percentile - 50) < 1);
+
+    const bmi = __testUtils.growthPoint(measurement, 'bmi-for-age', baby);
+    assert.equal(bmi.value, 16.33);
+    assert.equal(bmi.source, 'WHO');
 });
 
-test('calculatePercentile increases with larger measurement at same age', () => {
-    const lower = __testUtils.calculatePercentile(5.5, { weeks: 20, days: 0 }, 'weight');
-    const higher = __testUtils.calculatePercentile(7.0, { weeks: 20, days: 0 }, 'weight');
-    assert.ok(higher > lower);
+test('growthPoint reads age from the birth date and skips missing measures', () => {
+    const baby = { gender: 'boy', birthDate: new Date('2026-01-01T00:00:00Z') };
+    const measurement = {
+        date: new Date('2027-01-01T00:00:00Z'),
+        weight: { value: 9.65, unit: 'kg' },
+        length: { value: 29.8, unit: 'inches' }
+    };
+    const weight = __testUtils.growthPoint(measurement, 'weight-for-age', baby);
+    assert.ok(Math.abs(weight.x - 12) < 0.05);
+    assert.ok(Math.abs(weight.percentile - 50) < 2);
+    assert.equal(__testUtils.growthPoint(measurement, 'length-for-age', baby).value, 75.69);
+    assert.equal(__testUtils.growthPoint(measurement, 'head-circumference-for-age', baby), null);
+});
+
+test('growthPoint plots children past 2 years on CDC', () => {
+    // Synthetic rows standing in for the imported CDC 2-20 tables
+    const row = (months, M) => [months, 1, M, 0.1];
+    const whoOnly = createGrowthStandards(loadTables().filter((table) => table.source === 'WHO'));
+    const standards = createGrowthStandards([
+        ...whoOnly.sources,
+        { source: 'CDC', ageRangeMonths: [24, 240], indicators: { 'weight-for-age': { male: [row(24, 12), row(96, 24)] } } }
+    ]);
+    const child = { gender: 'boy', birthDate: new Date('2026-01-01T00:00:00Z') };
+    const fiveYears = { date: new Date('2031-01-01T00:00:00Z'), weight: { value: 18, unit: 'kg' } };
+
+    const point = __testUtils.growthPoint(fiveYears, 'weight-for-age', child, { standards });
+    assert.equal(point.source, 'CDC');
+    assert.equal(point.x, 59.99);
+    assert.equal(point.percentile, 50);
+    // Without CDC tables nothing covers 5 years
+    assert.equal(__testUtils.growthPoint(fiveYears, 'weight-for-age', child, { standards: whoOnly }).percentile, null);
+});
+
+test('growthPoint uses corrected age for preterm babies and Fenton when installed', () => {
+    const subject = { gender: 'female', birthDate: new Date('2026-01-01T00:00:00Z'), gestationalAge: 30 };
+    const measurement = { date: new Date('2026-07-01T00:00:00Z'), weight: { value: 5.8, unit: 'kg' } };
+
+    // 181 days old, 70 of them born early: read at 111 days on WHO
+    const point = __testUtils.growthPoint(measurement, 'weight-for-age', subject);
+    assert.equal(point.x, 3.65);
+    assert.equal(point.source, 'WHO');
+
+    // Synthetic postmenstrual-weeks table standing in for an imported Fenton
+    // file: the median rises 0.2 kg a week from 1.5 kg at 30 weeks
+    const row = (weeks, M) => [weeks, 1, M, 0.1];
+    const whoOnly = createGrowthStandards(loadTables().filter((table) => table.source === 'WHO'));
+    const standards = createGrowthStandards([
+        ...whoOnly.sources,
+        { source: 'Fenton', scale: 'postmenstrual-weeks', indicators: { 'weight-for-age': { female: [row(30, 1.5), row(50, 5.5)] } } }
+    ]);
+
+    // 31 days old at 30 weeks: 34.4 weeks postmenstrual, read on Fenton
+    const early = { date: new Date('2026-02-01T00:00:00Z'), weight: { value: 2.38, unit: 'kg' } };
+    const fenton = __testUtils.growthPoint(early, 'weight-for-age', subject, { standards });
+    assert.equal(fenton.x, 34.4);
+    assert.equal(fenton.source, 'Fenton');
+    assert.equal(fenton.percentile, 50);
+
+    // Past 50 weeks postmenstrual the same baby hands off to WHO
+    const later = __testUtils.growthPoint(measurement, 'weight-for-age', subject, { standards });
+    assert.equal(later.source, 'WHO');
+    assert.deepEqual(later, point);
+
+    // Without a Fenton table a forced postmenstrual scale has no percentile
+    assert.equal(__testUtils.growthPoint(early, 'weight-for-age', subject, { scale: 'postmenstrual-weeks', standards: whoOnly }).percentile, null);
+    assert.equal(__testUtils.growthPoint(measurement, 'weight-for-age', { ...subject, gestationalAge: null }, { scale: 'postmenstrual-weeks' }), null);
+});
+
+// Runs once data/growth/fenton-2013.json has been imported
+const fentonTable = loadTables().find((table) => table.source === 'Fenton');
+
+test('growthPoint reads preterm babies on the imported Fenton table until 50 weeks', { skip: !fentonTable && 'fenton-2013.json is not imported' }, () => {
+    const subject = { gender: 'female', birthDate: new Date('2026-01-01T00:00:00Z'), gestationalAge: 30 };
+    // Weighed at the table's median on its first row from 34 weeks postmenstrual
+    const [weeks, , median] = fentonTable.indicators['weight-for-age'].female.find(([x]) => x >= 34);
+    const date = new Date(subject.birthDate.getTime() + Math.round((weeks - 30) * 7) * 24 * 60 * 60 * 1000);
+    const fenton = __testUtils.growthPoint({ date, weight: { value: median, unit: 'kg' } }, 'weight-for-age', subject);
+    assert.equal(fenton.source, 'Fenton');
+    assert.ok(Math.abs(fenton.x - weeks) < 0.1);
+    assert.ok(Math.abs(fenton.percentile - 50) < 1);
+
+    // 56 weeks postmenstrual: back on WHO at corrected age
+    const later = __testUtils.growthPoint({ date: new Date('2026-07-01T00:00:00Z'), weight: { value: 5.8, unit: 'kg' } }, 'weight-for-age', subject);
+    assert.equal(later.source, 'WHO');
 });
 
 test('validateVitalPayload rejects empty payloads', () => {
@@ -69,3 +172,10 @@ test('validateDiaperPayload and validateMedicationPayload reject invalid data',
         'Medication name is required'
     );
 });
+
+test('vaccinationCsv keeps cells from running as formulas', () => {
+    const csv = __testUtils.vaccinationCsv([
+        { vaccine: '=HYPERLINK("http://x")', dose: 1, status: '@SUM(A1)', given: '', recommended: '', dueBy: '' }
+    ]);
+    assert.equal(csv.split('\n')[1], `"'=HYPERLINK(""http://x"")",1,'@SUM(A1),,,`);
+});
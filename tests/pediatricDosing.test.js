@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDosingTable, recentDoses, calculateDose } = require('../services/pediatricDosing');
+
+const table = getDosingTable();
+const acetaminophen = table.resolve('Tylenol');
+const ibuprofen = table.resolve('ibuprofen');
+const now = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+test('doses are weight-based and rounded down to 0.1 mL', () => {
+    const result = calculateDose({ drug: acetaminophen, weightKg: 7, ageDays: 150, now });
+    assert.equal(result.concentration.id, '160mg-5ml');
+    // 15 mg/kg = 105 mg = 3.28 mL -> 3.2 mL
+    assert.equal(result.dose.ml, 3.2);
+    assert.equal(result.dose.mg, 102.4);
+    assert.equal(result.dose.maxDailyMg, 525);
+    assert.equal(result.canGiveNow, true);
+
+    const drops = calculateDose({ drug: ibuprofen, concentration: '50mg-1.25ml', weightKg: 8, ageDays: 240, now });
+    assert.equal(drops.dose.ml, 2);
+    assert.equal(drops.dose.mg, 80);
+});
+
+test('age minimums are enforced', () => {
+    const young = calculateDose({ drug: ibuprofen, weightKg: 6, ageDays: 150, now });
+    assert.equal(young.allowed, false);
+    assert.equal(young.dose, null);
+    assert.match(young.reason, /6 months/);
+    assert.equal(calculateDose({ drug: acetaminophen, weightKg: 4.5, ageDays: 60, now }).allowed, false);
+    assert.equal(calculateDose({ drug: acetaminophen, weightKg: 5, ageDays: 84, now }).allowed, true);
+});
+
+test('recent doses block a dose that is too soon or over the daily maximum', () => {
+    const medications = [
+        {
+            name: "Infants' Tylenol",
+            dosage: '80 mg',
+            administrationLog: [
+                { timestamp: hoursAgo(30), given: true },
+                { timestamp: hoursAgo(2), given: true },
+                { timestamp: hoursAgo(9), given: false }
+            ]
+        },
+        { name: 'Motrin', administrationLog: [{ timestamp: hoursAgo(1), given: true }] }
+    ];
+    const doses = recentDoses(medications, acetaminophen, { now, table });
+    assert.equal(doses.length, 1);
+    assert.equal(doses[0].mg, 80);
+
+    const soon = calculateDose({ drug: acetaminophen, weightKg: 7, ageDays: 150, doses, now });
+    assert.equal(soon.canGiveNow, false);
+    assert.equal(soon.last24h.remainingMg, 445);
+    assert.equal(soon.last24h.nextDoseAt.toISOString(), hoursAgo(-2).toISOString());
+
+    const many = [1, 2, 3, 4, 5].map((hours) => ({ at: hoursAgo(hours * 4.5), mg: null }));
+    const full = calculateDose({ drug: acetaminophen, weightKg: 7, ageDays: 150, doses: many, now });
+    assert.equal(full.canGiveNow, false);
+    assert.equal(full.last24h.unknownAmounts, 5);
+    assert.match(full.warnings[0], /already given/);
+});
+
+test('large children are capped at the maximum single dose', () => {
+    const result = calculateDose({ drug: ibuprofen, concentration: '100mg-5ml', weightKg: 45, ageDays: 4000, now });
+    assert.equal(result.dose.mg, 400);
+    assert.ok(result.warnings.some((warning) => /maximum single dose/.test(warning)));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePregnancyDates, computeTimeline } = require('../services/pregnancyTimeline');
+const { buildProfileContext, activeKeys } = require('../services/safetyAssessment');
+
+const now = new Date('2026-10-19T15:00:00Z');
+
+test('due date and LMP give the same gestational age', () => {
+    const fromDue = computeTimeline({ dueDate: '2027-01-29' }, { now });
+    const fromLmp = computeTimeline({ lmp: '2026-04-24' }, { now });
+
+    assert.equal(fromDue.lmp, '2026-04-24');
+    assert.deepEqual(fromDue.gestationalAge, { weeks: 25, days: 3, totalDays: 178, label: '25w 3d' });
+    assert.deepEqual(fromLmp.gestationalAge, fromDue.gestationalAge);
+    assert.equal(fromLmp.dueDate, '2027-01-29');
+    assert.equal(fromLmp.basis, 'lmp');
+    assert.equal(fromDue.trimester, 'second');
+    assert.equal(fromDue.daysUntilDue, 102);
+});
+
+test('screening windows open and close with the week', () => {
+    const timeline = computeTimeline({ dueDate: '2027-01-29', conditions: ['rh-negative'] }, { now });
+    const status = Object.fromEntries(timeline.screenings.map((screening) => [screening.id, screening.status]));
+
+    assert.equal(status['nt-scan'], 'past');
+    assert.equal(status['glucose-test'], 'open');
+    assert.equal(status['rh-immunoglobulin'], 'upcoming');
+    assert.equal(status.gbs, 'upcoming');
+    assert.equal(timeline.nextMilestone.title, 'Third trimester begins');
+
+    const withoutRh = computeTimeline({ dueDate: '2027-01-29' }, { now });
+    assert.ok(!withoutRh.screenings.some((screening) => screening.id === 'rh-immunoglobulin'));
+});
+
+test('trimester boundaries and stale dates', () => {
+    assert.equal(computeTimeline({ lmp: '2026-07-14' }, { now }).trimester, 'first'); // 13w 6d
+    assert.equal(computeTimeline({ lmp: '2026-07-13' }, { now }).trimester, 'second');
+    assert.equal(computeTimeline({ lmp: '2025-12-01' }, { now }).status, 'ended');
+    assert.equal(computeTimeline({ trimester: 'second' }, { now }), null);
+});
+
+test('profile dates are validated', () => {
+    assert.equal(validatePregnancyDates({ dueDate: '2027-02-30' }, { now }), 'dueDate must be a date (YYYY-MM-DD)');
+    assert.equal(validatePregnancyDates({ dueDate: '2028-01-01' }, { now }), 'dueDate is more than 40 weeks away');
+    assert.equal(validatePregnancyDates({ lmp: '2026-11-01' }, { now }), 'lmp cannot be in the future');
+    assert.equal(validatePregnancyDates({ dueDate: '2027-01-29', lmp: 'not a date' }, { now }), null);
+    assert.equal(validatePregnancyDates({}), null);
+});
+
+test('prompts carry the exact week when a date is known', () => {
+    const lmp = new Date(Date.now() - 170 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    assert.match(buildProfileContext({ lmp, trimester: 'first' }), /Currently 24 weeks 2 days pregnant \(second trimester\)\./);
+    assert.match(buildProfileContext({ trimester: 'first' }), /Currently in first trimester\./);
+    assert.deepEqual(activeKeys(['anemia']), ['anemia']);
+});
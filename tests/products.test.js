@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatAssessmentText } = require('../services/assessmentSchema');
+const { normalizeBarcode, getProductCatalog } = require('../services/productCatalog');
+const { getIngredientRules, toIngredientAssessment } = require('../services/ingredients');
+
+test('barcodes are checksum-validated and normalized to GTIN-14', () => {
+    assert.equal(normalizeBarcode('0200000000011'), '00200000000011');
+    assert.equal(normalizeBarcode('200000000011'), '00200000000011'); // UPC-A form of the same code
+    assert.equal(normalizeBarcode('0200-0000-0001-1'), '00200000000011');
+    assert.equal(normalizeBarcode('0200000000012'), null);
+    assert.equal(normalizeBarcode('12345'), null);
+    assert.equal(normalizeBarcode('abc'), null);
+});
+
+test('shipped catalog resolves products however the code is scanned', () => {
+    const catalog = getProductCatalog();
+    assert.ok(catalog.size > 0);
+    assert.equal(catalog.lookup('200000000011').name, 'Retinol Night Cream');
+    assert.equal(catalog.lookup('0200000000189'), null);
+});
+
+test('ingredient rules flag the ingredient of concern and set the overall level', () => {
+    const product = getProductCatalog().lookup('0200000000011');
+    const analysis = getIngredientRules().analyze(product.ingredients, { category: product.category });
+
+    // Cetyl Alcohol is a fatty alcohol; the alcohol rule only applies to food
+    assert.deepEqual(analysis.flagged.map((entry) => entry.ingredient), ['Retinol']);
+    assert.equal(analysis.safetyLevel, 'Avoid');
+
+    const assessment = toIngredientAssessment(product.name, analysis);
+    assert.match(assessment.why, /Retinoids/);
+    assert.match(formatAssessmentText(assessment), /^RISK_SCORE: 8/);
+});
+
+test('excluded phrases and whole-word matching avoid false positives', () => {
+    const rules = getIngredientRules();
+    const food = { category: 'food' };
+
+    assert.deepEqual(rules.analyze(['Red Wine Vinegar', 'Cod Liver Oil', 'Drum Wheat'], food).flagged, []);
+    assert.equal(rules.analyze(['Red Wine Vinegar'], food).safetyLevel, 'Safe');
+    assert.deepEqual(rules.analyze(['Chicken Livers', 'Dark Rum'], food).flagged.map((entry) => entry.ruleId), ['liver', 'alcohol']);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCacheKey, createMemoryCache, createMongoCache } = require('../services/responseCache');
+
+test('cache keys separate users whose profile changes the answer', () => {
+    const base = buildCacheKey({ item: 'Sushi ' });
+    assert.deepEqual(buildCacheKey({ item: 'sushi' }), base);
+    assert.equal(base.item, 'sushi');
+
+    const variants = [
+        buildCacheKey({ item: 'sushi', userProfile: { conditions: { preeclampsia: true } } }),
+        buildCacheKey({ item: 'sushi', userProfile: { allergies: { fish: true } } }),
+        buildCacheKey({ item: 'sushi', userProfile: { trimester: 'third' } }),
+        buildCacheKey({ item: 'sushi', includeBreastfeeding: true })
+    ];
+    for (const variant of variants) {
+        assert.notEqual(variant.key, base.key);
+    }
+    // Unset flags do not change the key
+    assert.equal(buildCacheKey({ item: 'sushi', userProfile: { conditions: { preeclampsia: false } } }).key, base.key);
+});
+
+test('cache keys use the gestational week, not the day', () => {
+    const lmpDaysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const key = (days) => buildCacheKey({ item: 'sushi', userProfile: { lmp: lmpDaysAgo(days) } }).key;
+    assert.equal(key(71), key(72));
+    assert.notEqual(key(71), key(78));
+});
+
+test('memory cache tracks hits and misses and evicts least recently used entries', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    const coffee = buildCacheKey({ item: 'coffee' });
+    const tea = buildCacheKey({ item: 'tea' });
+    const soda = buildCacheKey({ item: 'soda' });
+
+    assert.equal(await cache.get(coffee), null);
+    await cache.set(coffee, { riskScore: 4 });
+    await cache.set(tea, { riskScore: 2 });
+    assert.deepEqual(await cache.get(coffee), { riskScore: 4 });
+    await cache.set(soda, { riskScore: 3 });
+
+    assert.equal(await cache.get(tea), null);
+    const stats = await cache.stats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.evictions, 1);
+    assert.equal(stats.entries, 2);
+});
+
+test('memory cache skips oversized entries, expires and purges by item', async () => {
+    const cache = createMemoryCache({ maxEntryBytes: 50, ttlMs: 1000 });
+    const key = buildCacheKey({ item: 'coffee' });
+
+    assert.equal(await cache.set(key, { result: 'x'.repeat(100) }), false);
+    assert.equal((await cache.stats()).skipped, 1);
+
+    await cache.set(key, { riskScore: 4 });
+    await cache.set(buildCacheKey({ item: 'coffee', includeBreastfeeding: true }), { riskScore: 4 });
+    await cache.set(buildCacheKey({ item: 'tea' }), { riskScore: 2 });
+    assert.equal(await cache.purge({ item: 'Coffee' }), 2);
+    assert.equal((await cache.stats()).entries, 1);
+
+    const expired = createMemoryCache({ ttlMs: -1 });
+    await expired.set(key, { riskScore: 4 });
+    assert.equal(await expired.get(key), null);
+});
+
+test('mongo cache treats database errors as misses', async () => {
+    const failing = () => ({ lean: async () => { throw new Error('not connected'); } });
+    const cache = createMongoCache({ model: { findOneAndUpdate: failing } });
+
+    assert.equal(await cache.get(buildCacheKey({ item: 'coffee' })), null);
+    const stats = await cache.stats();
+    assert.equal(stats.misses, 1);
+    assert.ok(stats.errors >= 1);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+
+const llm = require('../services/llm');
+const { createSectionParser } = require('../services/sectionStream');
+
+const ANSWER = '<think>weighing <h3>fake</h3> options</think>RISK_SCORE: 6\nSAFETY: Caution\n\n' +
+    '<h3>Safety Overview</h3><p>Limit intake.</p>\n<h3>Warning Signs</h3><ul><li>Cramping</li></ul>';
+
+function parseInChunks(text, size) {
+    const events = [];
+    const parser = createSectionParser({
+        onMeta: (meta) => events.push(['meta', meta]),
+        onSection: (section) => events.push(['section', section])
+    });
+    for (let i = 0; i < text.length; i += size) {
+        parser.push(text.slice(i, i + size));
+    }
+    parser.end();
+    return events;
+}
+
+test('section parser reports header and sections regardless of chunk size', () => {
+    const expected = [
+        ['meta', { riskScore: 6, safety: 'Caution' }],
+        ['section', { index: 0, title: 'Safety Overview', html: '<h3>Safety Overview</h3><p>Limit intake.</p>' }],
+        ['section', { index: 1, title: 'Warning Signs', html: '<h3>Warning Signs</h3><ul><li>Cramping</li></ul>' }]
+    ];
+    for (const size of [1, 3, 7, ANSWER.length]) {
+        assert.deepEqual(parseInChunks(ANSWER, size), expected, `chunk size ${size}`);
+    }
+});
+
+test('openai-compatible provider streams deltas and returns the full reply', async () => {
+    const lines = [
+        { model: 'served-model', choices: [{ delta: { content: 'RISK_' } }] },
+        { choices: [{ delta: { content: 'SCORE: 2' } }] },
+        { choices: [{ delta: {} }], usage: { total_tokens: 9 } }
+    ].map((event) => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+    let sentBody;
+    const httpClient = {
+        post: async (url, body, config) => {
+            sentBody = body;
+            assert.equal(config.responseType, 'stream');
+            // Split mid-line to exercise buffering
+            return { data: Readable.from([lines.slice(0, 20), lines.slice(20)]) };
+        }
+    };
+    const provider = llm.createOpenAICompatibleProvider({
+        baseUrl: 'https://llm.example/v1',
+        apiKey: 'key',
+        model: 'test-model',
+        httpClient
+    });
+
+    const tokens = [];
+    const result = await provider.stream({
+        messages: [{ role: 'user', content: 'hi' }],
+        onToken: (token) => tokens.push(token)
+    });
+
+    assert.equal(sentBody.stream, true);
+    assert.deepEqual(tokens, ['RISK_', 'SCORE: 2']);
+    assert.equal(result.content, 'RISK_SCORE: 2');
+    assert.equal(result.model, 'served-model');
+    assert.deepEqual(result.usage, { total_tokens: 9 });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTriageRules, getTriageRules, validateTriageInput } = require('../services/symptomTriage');
+
+const rules = getTriageRules();
+const flagIds = (result) => result.redFlags.map((flag) => flag.id);
+
+test('each listed red flag reaches the expected tier', () => {
+    assert.equal(rules.triage({ symptoms: 'bad headache and my vision is blurry', week: 30 }).urgency, 'go-to-labor-and-delivery');
+    assert.equal(rules.triage({ symptoms: "baby hasn't moved since last night", week: 32 }).urgency, 'go-to-labor-and-delivery');
+    assert.equal(rules.triage({ symptoms: 'I think my water broke', week: 35 }).urgency, 'go-to-labor-and-delivery');
+    assert.equal(rules.triage({ symptoms: 'some spotting today', week: 10 }).urgency, 'call-provider');
+    assert.equal(rules.triage({ symptoms: 'some spotting today', week: 26 }).urgency, 'go-to-labor-and-delivery');
+
+    const fever = rules.triage({ symptoms: 'achy all over', temperature: 38.4, temperatureUnit: 'C' });
+    assert.equal(fever.temperatureF, 101.1);
+    assert.deepEqual(flagIds(fever), ['fever']);
+    assert.equal(rules.triage({ symptoms: 'achy, temp 100.2' }).urgency, 'self-care');
+    assert.equal(rules.triage({ symptoms: 'feel hot, temp 100.9' }).urgency, 'call-provider');
+});
+
+test('negation is read per clause', () => {
+    assert.equal(rules.triage({ symptoms: "I haven't had any bleeding", week: 30 }).urgency, 'self-care');
+    assert.deepEqual(flagIds(rules.triage({ symptoms: 'No fever, bleeding heavily', week: 12 })), ['heavy-bleeding', 'vaginal-bleeding']);
+    assert.equal(rules.triage({ symptoms: 'my gums bleed when I brush', week: 20 }).urgency, 'self-care');
+});
+
+test('week limits and severity', () => {
+    // Movement counting only applies once movements are expected
+    assert.equal(rules.triage({ symptoms: 'baby moving less', week: 16 }).urgency, 'self-care');
+    assert.equal(rules.triage({ symptoms: 'baby moving less' }).urgency, 'go-to-labor-and-delivery');
+    assert.equal(rules.triage({ symptoms: 'contractions every 10 minutes', week: 39 }).urgency, 'self-care');
+
+    const headache = rules.triage({ symptoms: 'the worst headache', week: 12 });
+    assert.equal(headache.severity, 'severe');
+    assert.deepEqual(flagIds(headache), ['severe-headache']);
+    assert.equal(headache.urgency, 'call-provider');
+    assert.equal(rules.triage({ symptoms: 'headache', severity: 'mild', week: 30 }).urgency, 'self-care');
+
+    const tired = rules.triage({ symptoms: 'exhausted', severity: 'severe' });
+    assert.equal(tired.urgency, 'call-provider');
+    assert.deepEqual(tired.redFlags, []);
+    assert.match(rules.triage({ symptoms: 'fainted', week: 8 }).advice, /emergency room/);
+});
+
+test('rules and requests are validated', () => {
+    assert.throws(() => createTriageRules({ rules: [{ id: 'x', name: 'X', urgency: 'self-care', match: [['x']], reason: 'r' }] }), /urgency/);
+    assert.throws(() => createTriageRules({ rules: [{ id: 'x', name: 'X', urgency: 'call-provider', match: [[]], reason: 'r' }] }), /match/);
+
+    assert.equal(validateTriageInput({ symptoms: ['cramps', 'spotting'], week: 12, severity: 'mild' }), null);
+    assert.equal(validateTriageInput({ symptoms: '  ' }), 'symptoms must be text or a list of text');
+    assert.equal(validateTriageInput({ symptoms: 'cramps', week: 50 }), 'week must be a whole number from 1 to 44');
+    assert.match(validateTriageInput({ symptoms: 'cramps', severity: 'awful' }), /^severity must be one of/);
+    assert.equal(validateTriageInput({ symptoms: 'cramps', temperature: '101' }), 'temperature must be a number');
+});
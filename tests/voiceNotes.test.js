@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createAudioStore, removeUnattachedVoiceNotes } = require('../services/audioStore');
+const { createTranscriber } = require('../services/transcription');
+const { __testUtils } = require('../routes/journal');
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+test('disk store saves, streams and removes a voice note', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-notes-'));
+    const store = createAudioStore('disk', { directory });
+    const buffer = Buffer.from('fake opus frames');
+
+    const saved = await store.save({ buffer, contentType: 'audio/webm', metadata: { userId: 'u1', transcript: 'hello' } });
+    assert.match(saved.id, /^[a-f0-9]{24}$/);
+
+    const note = await store.stat(saved.id);
+    assert.equal(note.contentType, 'audio/webm');
+    assert.equal(note.size, buffer.length);
+    assert.deepEqual(note.metadata, { userId: 'u1', transcript: 'hello' });
+    assert.deepEqual(await readAll(store.openStream(saved.id)), buffer);
+
+    await store.remove(saved.id);
+    assert.equal(await store.stat(saved.id), null);
+    // Ids never reach the filesystem unless they look like ours
+    assert.equal(await store.stat('../../etc/passwd'), null);
+
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('uploads no entry uses are removed once they are old enough', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-notes-'));
+    const store = createAudioStore('disk', { directory });
+    const save = () => store.save({ buffer: Buffer.from('opus'), contentType: 'audio/webm', metadata: { userId: 'u1' } });
+    const attached = await save();
+    const orphan = await save();
+
+    const isAttached = async (id) => id === attached.id;
+    assert.equal(await removeUnattachedVoiceNotes(store, { isAttached }), 0);
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+    assert.equal(await removeUnattachedVoiceNotes(store, { isAttached, now: later }), 1);
+    assert.equal(await store.stat(orphan.id), null);
+    assert.ok(await store.stat(attached.id));
+
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('stub transcriber is deterministic and none is not configured', async () => {
+    const stub = createTranscriber('stub');
+    const buffer = Buffer.from('same audio');
+    const first = await stub.transcribe({ buffer, contentType: 'audio/ogg' });
+    const second = await stub.transcribe({ buffer, contentType: 'audio/ogg' });
+    assert.equal(first.text, second.text);
+    assert.equal(first.provider, 'stub');
+
+    const none = createTranscriber('none');
+    assert.equal(none.isConfigured(), false);
+    await assert.rejects(none.transcribe({ buffer, contentType: 'audio/ogg' }));
+    assert.throws(() => createTranscriber('nope'), /Unknown transcription provider/);
+});
+
+test('openai transcriber posts multipart audio to /audio/transcriptions', async () => {
+    let request;
+    const transcriber = createTranscriber('openai', {
+        baseUrl: 'https://speech.example/v1/',
+        apiKey: 'key',
+        httpClient: {
+            post: async (url, form, config) => {
+                request = { url, form, config };
+                return { data: { text: '  Felt the baby move after lunch. ' } };
+            }
+        }
+    });
+
+    const result = await transcriber.transcribe({ buffer: Buffer.from('x'), contentType: 'audio/webm', language: 'en' });
+    assert.equal(result.text, 'Felt the baby move after lunch.');
+    assert.equal(request.url, 'https://speech.example/v1/audio/transcriptions');
+    assert.equal(request.config.headers.Authorization, 'Bearer key');
+    assert.equal(request.form.get('model'), 'whisper-1');
+    assert.equal(request.form.get('file').name, 'voice-note.webm');
+});
+
+test('uploads accept recorder content types and entries point at stored notes', () => {
+    assert.equal(__testUtils.audioContentType('audio/webm;codecs=opus'), 'audio/webm');
+    assert.equal(__testUtils.audioContentType('audio/mp4'), 'audio/mp4');
+    assert.equal(__testUtils.audioContentType('video/mp4'), null);
+
+    const { validateEntryPayload } = __testUtils;
+    assert.equal(validateEntryPayload({ audioUrl: '/api/journal/audio/65a1b2c3d4e5f60718293a4b' }), null);
+    assert.match(validateEntryPayload({ audioUrl: '/uploads/../secret' }), /audioUrl/);
+});